@@ -18,10 +18,36 @@ export default defineConfig([
         PLATFORM_HOSTNAMES: 'readonly',
         CONTENT_MESSAGES: 'readonly',
         POPUP_MESSAGES: 'readonly',
+        TAB_MESSAGES: 'readonly',
         BACKGROUND_MESSAGES: 'readonly',
+        DOWNLOAD_EVENTS: 'readonly',
+        OFFSCREEN_MESSAGES: 'readonly',
         getFileExtension: 'readonly',
+        isHlsPlaylistUrl: 'readonly',
+        needsExternalDownloader: 'readonly',
+        selectVideoVariant: 'readonly',
+        applyVideoQuality: 'readonly',
         getPlatformFromUrl: 'readonly',
+        sanitizeFilename: 'readonly',
+        renderFilenameTemplate: 'readonly',
+        renderFolderTemplate: 'readonly',
         wait: 'readonly',
+        getMediaKey: 'readonly',
+        decodeEfgParam: 'readonly',
+        DEFAULT_SETTINGS: 'readonly',
+        loadSettings: 'readonly',
+        saveSettings: 'readonly',
+        mergeSettings: 'readonly',
+        resetSettings: 'readonly',
+        onSettingsChanged: 'readonly',
+        createZip: 'readonly',
+        uniqueZipEntryNames: 'readonly',
+        parseHlsPlaylist: 'readonly',
+        selectHlsVariant: 'readonly',
+        selectHlsAudio: 'readonly',
+        demuxTransportStream: 'readonly',
+        isTransportStream: 'readonly',
+        remuxToMp4: 'readonly',
         importScripts: 'readonly',
       }
     },
@@ -77,7 +103,8 @@ export default defineConfig([
     },
   },
   {
-    files: ['src/shared/**/*.js'],
+    // Files that are also required by Jest export through a `module.exports` guard
+    files: ['src/shared/**/*.js', 'src/background/zip.js', 'src/background/hls.js', 'src/offscreen/mpeg-ts.js', 'src/offscreen/mp4-muxer.js'],
     languageOptions: {
       globals: {
         module: 'readonly',
@@ -1,7 +1,11 @@
 global.chrome = {
   runtime: {
     onMessage: { addListener: jest.fn() },
+    onInstalled: { addListener: jest.fn() },
     sendMessage: jest.fn(),
+    getURL: jest.fn(path => `chrome-extension://test-extension-id/${path}`),
+    getContexts: jest.fn().mockResolvedValue([]),
+    getManifest: jest.fn(() => ({ action: { default_title: 'Social Snap - Download Images' } })),
     lastError: null,
   },
   storage: {
@@ -10,15 +14,38 @@ global.chrome = {
       set: jest.fn(),
       remove: jest.fn(),
     },
+    sync: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn(),
+    },
+    onChanged: { addListener: jest.fn() },
+  },
+  action: {
+    setBadgeText: jest.fn().mockResolvedValue(),
+    setBadgeBackgroundColor: jest.fn().mockResolvedValue(),
+    setTitle: jest.fn().mockResolvedValue(),
+  },
+  commands: {
+    onCommand: { addListener: jest.fn() },
+  },
+  contextMenus: {
+    create: jest.fn(),
+    removeAll: jest.fn(callback => callback && callback()),
+    onClicked: { addListener: jest.fn() },
   },
   downloads: {
     download: jest.fn(),
+    search: jest.fn().mockResolvedValue([]),
+    onChanged: { addListener: jest.fn() },
   },
   tabs: {
     query: jest.fn(),
     onRemoved: { addListener: jest.fn() },
     sendMessage: jest.fn(),
   },
+  offscreen: {
+    createDocument: jest.fn().mockResolvedValue(),
+  },
   webRequest: {
     onBeforeRequest: { addListener: jest.fn() },
   },
@@ -1,8 +1,30 @@
 /**
  * Bundled background script for Social Media Image Downloader
- * Shared constants and utilities are loaded via importScripts from src/shared/.
+ * Shared constants, utilities and settings are loaded via importScripts from src/shared/,
+ * the ZIP writer and HLS playlist parser from src/background/.
  */
-importScripts('/src/shared/constants.js', '/src/shared/utils.js');
+importScripts(
+  '/src/shared/constants.js', '/src/shared/utils.js', '/src/shared/settings.js',
+  '/src/background/zip.js', '/src/background/hls.js'
+);
+
+// === USER SETTINGS ===
+// Downloads read settings fresh per batch; only the debug flag is cached here for logging.
+let debugLogging = DEFAULT_SETTINGS.debug;
+
+loadSettings().then(settings => {
+  debugLogging = settings.debug;
+});
+
+onSettingsChanged(settings => {
+  debugLogging = settings.debug;
+});
+
+function log(...message) {
+  if (debugLogging) {
+    console.log(...message);
+  }
+}
 
 // === DATA MANAGER ===
 class DataManager {
@@ -28,53 +50,541 @@ class DataManager {
   }
 }
 
+// === DOWNLOAD HISTORY ===
+const HISTORY_DB_NAME = 'socialSnapHistory';
+const HISTORY_STORE = 'downloads';
+
+/**
+ * IndexedDB record of completed downloads, keyed by getMediaKey(fullSizeUrl) so an
+ * asset is recognised again at any resolution. Records look like:
+ * { mediaKey, url, audioUrl, thumbnailUrl, mediaType, platform, postUrl, author,
+ *   postId, caption, filename, downloadId, downloadedAt }
+ */
+class DownloadHistory {
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'mediaKey' });
+          store.createIndex('downloadedAt', 'downloadedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Runs `operation(store)` in one transaction and resolves with its requests' results once committed
+  async _transaction(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(HISTORY_STORE, mode);
+      const requests = operation(tx.objectStore(HISTORY_STORE));
+      tx.oncomplete = () => resolve(Array.isArray(requests) ? requests.map(r => r.result) : requests?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async record(entry) {
+    await this._transaction('readwrite', store => store.put(entry));
+  }
+
+  /**
+   * @param {string[]} mediaKeys
+   * @returns {Promise<Set<string>>} The subset of keys that have been downloaded before
+   */
+  async findDownloaded(mediaKeys) {
+    if (mediaKeys.length === 0) return new Set();
+    const records = await this._transaction('readonly', store => mediaKeys.map(key => store.get(key)));
+    return new Set(records.filter(Boolean).map(record => record.mediaKey));
+  }
+
+  async get(mediaKey) {
+    return this._transaction('readonly', store => store.get(mediaKey));
+  }
+
+  // All records, newest first
+  async getAll() {
+    const records = await this._transaction('readonly', store => store.index('downloadedAt').getAll());
+    return records.reverse();
+  }
+}
+
 // === DOWNLOAD MANAGER ===
+// Names of per-post files (JSON sidecar, ZIP archive); same tokens as media filenames
+const POST_FILENAME_TEMPLATE = '{platform}_{author}_{postId}.{ext}';
+
 class DownloadManager {
-  async _detectPlatform() {
+  // The active tab is the post the popup was opened on; used for the platform and history links
+  async _detectSource() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    return getPlatformFromUrl(tab.url) || 'unknown';
+    const pageUrl = tab ? tab.url : '';
+    return { platformName: getPlatformFromUrl(pageUrl) || 'unknown', pageUrl };
+  }
+
+  // Template token values for one item; `now` is shared across a batch so every file gets the same date/timestamp
+  _getTemplateValues(image, index, platformName, now) {
+    const iso = now.toISOString();
+    // Falls back to the download time when the page showed no post time
+    const postedAt = new Date(image.postedAt);
+    const postedIso = image.postedAt && !isNaN(postedAt) ? postedAt.toISOString() : iso;
+    return {
+      platform: platformName,
+      author: image.author || 'unknown',
+      postId: image.postId || 'unknown',
+      caption: image.caption || '',
+      date: iso.slice(0, 10),
+      timestamp: iso.slice(0, 19).replace(/[:-]/g, ''),
+      postedDate: postedIso.slice(0, 10),
+      postedTimestamp: postedIso.slice(0, 19).replace(/[:-]/g, ''),
+      index,
+      mediaType: image.mediaType === 'video' ? 'video' : 'image',
+      ext: getFileExtension(image.fullSizeUrl)
+    };
   }
 
-  async downloadAllImages(images) {
-    const platformName = await this._detectPlatform();
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+  // Prefixes the rendered per-post folder when subfolders are enabled
+  _addFolder(settings, values, filename) {
+    if (!settings.useSubfolders) return filename;
 
-    for (let i = 0; i < images.length; i++) {
-      const image = images[i];
-      try {
-        const extension = getFileExtension(image.fullSizeUrl);
-        const mediaType = image.mediaType === 'video' ? 'video' : 'image';
-        const filename = `${platformName}_${mediaType}_${timestamp}_${i + 1}.${extension}`;
+    const folder = renderFolderTemplate(settings.folderTemplate, values);
+    return folder ? `${folder}/${filename}` : filename;
+  }
 
-        await chrome.downloads.download({
-          url: image.fullSizeUrl,
-          filename
-        });
+  /**
+   * Builds the download path for one media item from the user's filename template
+   * and, when enabled, the per-post folder template.
+   */
+  _buildFilename(settings, image, index, platformName, now) {
+    const values = this._getTemplateValues(image, index, platformName, now);
+    return this._addFolder(settings, values, renderFilenameTemplate(settings.filenameTemplate, values));
+  }
+
+  _buildPostFilename(settings, image, platformName, now, ext) {
+    const values = { ...this._getTemplateValues(image, 0, platformName, now), ext };
+    return this._addFolder(settings, values, renderFilenameTemplate(POST_FILENAME_TEMPLATE, values));
+  }
+
+  // Groups item indices by post so sidecars and archives are written per post
+  _groupByPost(images, indices) {
+    const posts = new Map();
+    indices.forEach(i => {
+      const key = images[i].postId || images[i].postUrl || '';
+      if (!posts.has(key)) posts.set(key, []);
+      posts.get(key).push(i);
+    });
+    return Array.from(posts.values());
+  }
+
+  // Post details shared by the JSON sidecar and the ZIP manifest.json
+  _buildPostMetadata(images, items, indices, source, now) {
+    const post = images[indices[0]];
+    return {
+      platform: source.platformName,
+      postUrl: post.postUrl || source.pageUrl,
+      postId: post.postId || '',
+      author: post.author || '',
+      caption: post.caption || '',
+      postedAt: post.postedAt || null,
+      downloadedAt: now.toISOString(),
+      items: indices.map(i => ({
+        index: items[i].index,
+        filename: items[i].filename,
+        mediaType: images[i].mediaType === 'video' ? 'video' : 'image',
+        url: images[i].fullSizeUrl,
+        alt: images[i].alt || '',
+        status: items[i].status
+      }))
+    };
+  }
 
-        console.log(`Download ${mediaType} ${i + 1}/${images.length}: ${filename}`);
+  /**
+   * Writes one JSON sidecar per post in a finished batch, next to its media. Posts whose
+   * items all failed or were skipped get none. Sidecars go through the queue as data: URLs
+   * and are not added to the download history.
+   */
+  async _writeSidecars(images, items, settings, source, now) {
+    const posts = this._groupByPost(images, images.map((_, i) => i));
 
-        // Add small delay to avoid downloading too many files simultaneously
-        await new Promise(resolve => setTimeout(resolve, 500));
+    for (const indices of posts) {
+      if (!indices.some(i => items[i].status === 'complete')) continue;
+
+      const sidecar = this._buildPostMetadata(images, items, indices, source, now);
+      const filename = this._buildPostFilename(settings, images[indices[0]], source.platformName, now, 'json');
+      const url = `data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(sidecar, null, 2))}`;
+      const result = await downloadQueue.enqueue({ url, filename, conflictAction: settings.conflictAction }, settings);
+
+      if (result.status === 'complete') {
+        log(`Saved post metadata: ${filename}`);
+      } else {
+        console.error(`Saving post metadata ${filename} failed:`, result.error);
+      }
+    }
+  }
+
+  /**
+   * Fetches one media file into memory for an archive. Network errors, 5xx and 429
+   * responses are retried with the same backoff as interrupted downloads.
+   * @returns {Promise<{ data: Uint8Array, attempts: number }>}
+   */
+  async _fetchMedia(url, settings) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await fetch(url);
+        if (response.ok) {
+          return { data: new Uint8Array(await response.arrayBuffer()), attempts: attempt };
+        }
+        const error = new Error(`HTTP ${response.status}`);
+        error.retryable = response.status >= 500 || response.status === 429;
+        throw error;
       } catch (error) {
-        console.error(`Download image ${i + 1} failed:`, error);
+        // fetch() rejects with a TypeError on network failures; those are worth retrying
+        error.attempts = attempt;
+        if (error.retryable === false || attempt > settings.maxRetries) throw error;
+        await wait(settings.retryDelay * 2 ** (attempt - 1));
       }
     }
   }
 
-  async downloadSingleImage(image, index) {
+  /**
+   * Downloads an HLS stream as one MP4: picks the highest-bandwidth variant and its audio
+   * rendition, fetches their segments like archive media (with retries) and has the
+   * offscreen document remux them.
+   * @returns {Promise<Blob>}
+   */
+  async _fetchHlsStream(url, settings) {
+    if (!isHlsPlaylistUrl(url)) {
+      throw new Error('No stream playlist was found for this video');
+    }
+
+    const fetchPlaylist = async playlistUrl => {
+      const { data } = await this._fetchMedia(playlistUrl, settings);
+      return parseHlsPlaylist(new TextDecoder().decode(data), playlistUrl);
+    };
+
+    let playlists = [await fetchPlaylist(url)];
+    if (playlists[0].isMaster) {
+      const variant = selectHlsVariant(playlists[0].variants, settings.videoQuality);
+      if (!variant) {
+        throw new Error('HLS playlist has no video variants');
+      }
+      const audio = variant.audioGroup ? selectHlsAudio(playlists[0].audio, variant.audioGroup) : null;
+      log(`HLS variant ${variant.width}x${variant.height} at ${variant.bandwidth} bps${audio ? ' with separate audio' : ''}`);
+      playlists = await Promise.all([variant, audio].filter(Boolean).map(media => fetchPlaylist(media.url)));
+    }
+
+    const sources = await Promise.all(playlists.map(async playlist => {
+      if (playlist.segments.length === 0) {
+        throw new Error('HLS playlist has no segments');
+      }
+      const urls = playlist.initUrl ? [playlist.initUrl, ...playlist.segments] : playlist.segments;
+      const fetched = await mapWithConcurrency(urls, settings.maxConcurrentDownloads, segmentUrl => this._fetchMedia(segmentUrl, settings));
+      const data = fetched.map(result => result.data);
+      return playlist.initUrl ? { init: data[0], segments: data.slice(1) } : { segments: data };
+    }));
+
+    return offscreenClient.remuxToMp4(sources);
+  }
+
+  /**
+   * Downloads a Meta DASH video whose audio is a separate rendition: both whole files are
+   * fetched like archive media and the offscreen document muxes them into one MP4.
+   * @returns {Promise<Blob>}
+   */
+  async _fetchDashStreams(image, settings) {
+    const [video, audio] = await Promise.all([image.fullSizeUrl, image.audioUrl].map(url => this._fetchMedia(url, settings)));
+    return offscreenClient.remuxToMp4([{ segments: [video.data] }, { segments: [audio.data] }]);
+  }
+
+  // HLS streams and DASH videos with separate audio are remuxed to MP4 before saving
+  _fetchRemuxedVideo(image, settings) {
+    return image.audioUrl
+      ? this._fetchDashStreams(image, settings)
+      : this._fetchHlsStream(image.fullSizeUrl, settings);
+  }
+
+  // Fetches one archive entry; HLS streams and separate DASH audio are remuxed to MP4 first
+  async _fetchArchiveItem(image, settings) {
+    if (!image.isHLS && !image.audioUrl) {
+      return this._fetchMedia(image.fullSizeUrl, settings);
+    }
+    const blob = await this._fetchRemuxedVideo(image, settings);
+    return { data: new Uint8Array(await blob.arrayBuffer()), attempts: 1 };
+  }
+
+  // Saves an in-memory file through a blob: URL created by the offscreen document
+  async _saveBlob(blob, filename, settings, onStatus) {
+    const url = await offscreenClient.createBlobUrl(blob);
     try {
-      const platformName = await this._detectPlatform();
-      const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
-      const extension = getFileExtension(image.fullSizeUrl);
-      const mediaType = image.mediaType === 'video' ? 'video' : 'image';
-      const filename = `${platformName}_${mediaType}_${timestamp}_${index}.${extension}`;
+      return await downloadQueue.enqueue({ url, filename, conflictAction: settings.conflictAction }, settings, onStatus);
+    } finally {
+      offscreenClient.revokeBlobUrl(url).catch(() => {});
+    }
+  }
+
+  /**
+   * ZIP mode of downloadAllImages: fetches each post's media in the service worker and
+   * saves it as one `{platform}_{author}_{postId}.zip`, with manifest.json inside when
+   * zipManifest is on. Fills `items[i]` for every index in `pending`; archived items
+   * report the archive path as `filename` and their name inside it as `entry`.
+   */
+  async _downloadArchives(images, filenames, pending, items, settings, source, now) {
+    for (const indices of this._groupByPost(images, pending)) {
+      const fetched = await mapWithConcurrency(indices, settings.maxConcurrentDownloads, async i => {
+        this._broadcastStatus(images[i], filenames[i], { status: 'downloading', attempt: 1 });
+        try {
+          return await this._fetchArchiveItem(images[i], settings);
+        } catch (error) {
+          return { error: error.message, attempts: error.attempts || 1 };
+        }
+      });
+
+      const archived = [];
+      indices.forEach((i, n) => {
+        if (fetched[n].error) {
+          items[i] = { index: i + 1, filename: filenames[i], status: 'failed', error: fetched[n].error, attempts: fetched[n].attempts };
+          this._broadcastStatus(images[i], filenames[i], { status: 'failed', error: fetched[n].error });
+        } else {
+          archived.push({ i, data: fetched[n].data, attempts: fetched[n].attempts });
+        }
+      });
+      if (archived.length === 0) continue;
+
+      const zipFilename = this._buildPostFilename(settings, images[indices[0]], source.platformName, now, 'zip');
+      const entryNames = uniqueZipEntryNames(archived.map(({ i }) => filenames[i].split('/').pop()));
+      archived.forEach(({ i, attempts }, n) => {
+        items[i] = { index: i + 1, filename: zipFilename, entry: entryNames[n], status: 'complete', attempts };
+      });
+
+      const files = archived.map(({ data }, n) => ({ name: entryNames[n], data }));
+      if (settings.zipManifest) {
+        const manifest = this._buildPostMetadata(images, items, indices, source, now);
+        manifest.items.forEach(entry => {
+          const item = items[entry.index - 1];
+          if (item.entry) entry.filename = item.entry;
+        });
+        files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+      }
 
-      await chrome.downloads.download({
+      let result;
+      try {
+        result = await this._saveBlob(createZip(files, now), zipFilename, settings);
+      } catch (error) {
+        result = { status: 'failed', error: error.message };
+      }
+
+      for (const { i } of archived) {
+        if (result.status === 'complete') {
+          items[i].downloadId = result.downloadId;
+          await this._recordDownload(images[i], zipFilename, result.downloadId, source, items[i].entry);
+        } else {
+          items[i] = { ...items[i], status: 'failed', error: result.error };
+        }
+        this._broadcastStatus(images[i], zipFilename, { status: items[i].status, error: items[i].error });
+      }
+
+      if (result.status === 'complete') {
+        log(`Saved archive with ${archived.length} item(s): ${zipFilename}`);
+      } else {
+        console.error(`Saving archive ${zipFilename} failed:`, result.error);
+      }
+    }
+  }
+
+  // Relays queue progress for one item to any open popup
+  _broadcastStatus(image, filename, update) {
+    chrome.runtime.sendMessage({
+      action: DOWNLOAD_EVENTS.ITEM_STATUS,
+      url: image.fullSizeUrl,
+      filename,
+      ...update
+    }).catch(() => {});
+  }
+
+  // Queues one item and records it in the download history once Chrome reports it complete
+  async _queueDownload(image, filename, settings, source) {
+    const onStatus = update => this._broadcastStatus(image, filename, update);
+    const result = image.isHLS || image.audioUrl
+      ? await this._downloadRemuxed(image, filename, settings, onStatus)
+      : await downloadQueue.enqueue({ url: image.fullSizeUrl, filename, conflictAction: settings.conflictAction }, settings, onStatus);
+
+    if (result.status === 'complete') {
+      await this._recordDownload(image, filename, result.downloadId, source);
+    }
+    return result;
+  }
+
+  // Remuxed videos are fetched and muxed inside their queue slot, so they count against
+  // maxConcurrentDownloads like any other file, and saved through a blob: URL
+  _downloadRemuxed(image, filename, settings, onStatus) {
+    return downloadQueue.enqueueBuilt(async () => {
+      const blob = await this._fetchRemuxedVideo(image, settings);
+      const url = await offscreenClient.createBlobUrl(blob);
+      return {
+        options: { url, filename, conflictAction: settings.conflictAction },
+        cleanup: () => offscreenClient.revokeBlobUrl(url).catch(() => {})
+      };
+    }, settings, onStatus);
+  }
+
+  // Archived items keep the archive as `filename` and their name inside it as `entry`
+  async _recordDownload(image, filename, downloadId, source, archiveEntry = null) {
+    try {
+      await downloadHistory.record({
+        mediaKey: getMediaKey(image.fullSizeUrl),
         url: image.fullSizeUrl,
-        filename
+        audioUrl: image.audioUrl || null,
+        thumbnailUrl: image.thumbnailUrl || '',
+        mediaType: image.mediaType === 'video' ? 'video' : 'image',
+        platform: source.platformName,
+        postUrl: image.postUrl || source.pageUrl,
+        author: image.author || '',
+        postId: image.postId || '',
+        caption: image.caption || '',
+        filename,
+        archived: Boolean(archiveEntry),
+        entry: archiveEntry,
+        downloadId,
+        downloadedAt: Date.now()
       });
+    } catch (error) {
+      // History is best-effort; the file itself was saved
+      console.error('Recording download history failed:', error);
+    }
+  }
 
-      console.log(`Download single ${mediaType}: ${filename}`);
+  /**
+   * @param {Array<{fullSizeUrl: string}>} images
+   * @returns {Promise<string[]>} fullSizeUrls of items already in the download history
+   */
+  async findDownloadedUrls(images) {
+    try {
+      const downloadedKeys = await downloadHistory.findDownloaded(images.map(image => getMediaKey(image.fullSizeUrl)));
+      return images.map(image => image.fullSizeUrl).filter(url => downloadedKeys.has(getMediaKey(url)));
+    } catch (error) {
+      console.error('Reading download history failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Download history for the history page, newest first. Each entry gains `fileExists`:
+   * true/false from chrome.downloads, or null when Chrome no longer lists the download
+   * (e.g. after the downloads list was cleared).
+   */
+  async getHistory() {
+    const entries = await downloadHistory.getAll();
+    return Promise.all(entries.map(async entry => {
+      const [item] = entry.downloadId != null ? await chrome.downloads.search({ id: entry.downloadId }) : [];
+      return { ...entry, fileExists: item ? item.exists && item.state === 'complete' : null };
+    }));
+  }
+
+  /**
+   * Saves a history entry again under its original path; the entry then points at the new
+   * file. Items saved inside a ZIP are saved on their own, next to the archive under their
+   * entry name, so the archive itself is never replaced.
+   */
+  async redownloadFromHistory(mediaKey) {
+    const entry = await downloadHistory.get(mediaKey);
+    if (!entry) {
+      throw new Error(`No download history entry for ${mediaKey}`);
+    }
+
+    const settings = await loadSettings();
+    const image = {
+      fullSizeUrl: entry.url,
+      thumbnailUrl: entry.thumbnailUrl,
+      mediaType: entry.mediaType,
+      isHLS: isHlsPlaylistUrl(entry.url),
+      audioUrl: entry.audioUrl || null,
+      author: entry.author,
+      postId: entry.postId,
+      caption: entry.caption
+    };
+    const source = { platformName: entry.platform, pageUrl: entry.postUrl };
+
+    const filename = entry.archived
+      ? entry.filename.slice(0, entry.filename.lastIndexOf('/') + 1) + entry.entry
+      : entry.filename;
+    const result = await this._queueDownload(image, filename, settings, source);
+    if (result.status !== 'complete') {
+      throw new Error(result.error);
+    }
+    return result.downloadId;
+  }
+
+  /**
+   * Queues every item of a batch and resolves once all of them have finished.
+   * Items already in the download history are skipped unless `options.redownload`
+   * is set or the skipDownloaded setting is off. With downloadAsZip on, each post is
+   * saved as one archive; otherwise with writeSidecar on, a JSON file with the post's
+   * metadata is saved after the media.
+   * Resolves with { total, succeeded, failed, skipped, items } where each item is
+   * { index, filename, status: 'complete' | 'failed' | 'skipped', error?, attempts }.
+   */
+  async downloadAllImages(images, options = {}) {
+    const source = await this._detectSource();
+    const settings = await loadSettings();
+    const now = new Date();
+
+    const skipUrls = new Set(
+      settings.skipDownloaded && !options.redownload ? await this.findDownloadedUrls(images) : []
+    );
+
+    const filenames = images.map((image, i) => this._buildFilename(settings, image, i + 1, source.platformName, now));
+    const items = new Array(images.length);
+    const pending = [];
+    images.forEach((image, i) => {
+      if (skipUrls.has(image.fullSizeUrl)) {
+        this._broadcastStatus(image, filenames[i], { status: 'skipped', attempt: 0 });
+        items[i] = { index: i + 1, filename: filenames[i], status: 'skipped', attempts: 0 };
+      } else {
+        pending.push(i);
+      }
+    });
+
+    if (settings.downloadAsZip) {
+      await this._downloadArchives(images, filenames, pending, items, settings, source, now);
+    } else {
+      await Promise.all(pending.map(async i => {
+        const image = images[i];
+        const result = await this._queueDownload(image, filenames[i], settings, source);
+
+        if (result.status === 'complete') {
+          log(`Download ${image.mediaType || 'image'} ${i + 1}/${images.length}: ${filenames[i]}`);
+        } else {
+          console.error(`Download image ${i + 1} failed:`, result.error);
+        }
+        items[i] = { index: i + 1, filename: filenames[i], ...result };
+      }));
+
+      if (settings.writeSidecar) {
+        await this._writeSidecars(images, items, settings, source, now);
+      }
+    }
+
+    const succeeded = items.filter(item => item.status === 'complete').length;
+    const skipped = items.filter(item => item.status === 'skipped').length;
+    return { total: items.length, succeeded, failed: items.length - succeeded - skipped, skipped, items };
+  }
+
+  // Single items are an explicit request, so they are downloaded even if already in the history
+  async downloadSingleImage(image, index) {
+    try {
+      const source = await this._detectSource();
+      const settings = await loadSettings();
+      const filename = this._buildFilename(settings, image, index, source.platformName, new Date());
+
+      const result = await this._queueDownload(image, filename, settings, source);
+      if (result.status !== 'complete') {
+        throw new Error(result.error);
+      }
+
+      log(`Download single ${image.mediaType || 'image'}: ${filename}`);
     } catch (error) {
       console.error('Download single image failed:', error);
       throw error;
@@ -82,9 +592,258 @@ class DownloadManager {
   }
 }
 
+// === DOWNLOAD QUEUE ===
+// Interrupt reasons worth retrying; anything else (user cancel, disk full, bad path) fails at once.
+// See chrome.downloads.InterruptReason.
+const RETRYABLE_INTERRUPT_PREFIXES = ['NETWORK_', 'SERVER_'];
+
+function isRetryableInterrupt(reason) {
+  return RETRYABLE_INTERRUPT_PREFIXES.some(prefix => String(reason).startsWith(prefix));
+}
+
+/**
+ * Runs chrome.downloads jobs with at most `maxConcurrentDownloads` in flight.
+ * A job only counts as done when Chrome reports the download `complete` via
+ * downloads.onChanged; interrupted downloads are retried with exponential backoff.
+ */
+class DownloadQueue {
+  constructor() {
+    this.pendingJobs = [];
+    this.activeCount = 0;
+    this.watchers = new Map(); // downloadId -> { resolve, reject }
+  }
+
+  /**
+   * Adds a download to the queue. `onStatus` receives { status, attempt, error? } with
+   * status 'queued' | 'downloading' | 'retrying' | 'complete' | 'failed'.
+   * Never rejects: resolves with { status: 'complete', downloadId, attempts } or
+   * { status: 'failed', error, attempts }.
+   */
+  enqueue(options, settings, onStatus = () => {}) {
+    return new Promise(resolve => {
+      this.pendingJobs.push({ options, settings, onStatus, resolve });
+      onStatus({ status: 'queued', attempt: 0 });
+      this._startNext();
+    });
+  }
+
+  /**
+   * Like enqueue(), for files the service worker builds first. `build` runs once the job
+   * holds a slot and resolves with { options, cleanup? }; `cleanup` runs after the download
+   * finished or failed. A rejected `build` fails the job without retries.
+   */
+  enqueueBuilt(build, settings, onStatus = () => {}) {
+    return new Promise(resolve => {
+      this.pendingJobs.push({ build, settings, onStatus, resolve });
+      onStatus({ status: 'queued', attempt: 0 });
+      this._startNext();
+    });
+  }
+
+  _startNext() {
+    while (this.pendingJobs.length > 0 &&
+      this.activeCount < Math.max(1, this.pendingJobs[0].settings.maxConcurrentDownloads)) {
+      const job = this.pendingJobs.shift();
+      this.activeCount++;
+
+      this._runJob(job)
+        .then(result => {
+          job.onStatus({ status: result.status, attempt: result.attempts, error: result.error });
+          job.resolve(result);
+          // Pause before this slot takes the next file so large batches don't hammer the CDN
+          if (this.pendingJobs.length > 0) return wait(job.settings.downloadDelay);
+        })
+        .finally(() => {
+          this.activeCount--;
+          this._startNext();
+        });
+    }
+  }
+
+  async _runJob({ options, build, settings, onStatus }) {
+    if (!build) {
+      return this._download(options, settings, onStatus);
+    }
+
+    let built;
+    try {
+      onStatus({ status: 'downloading', attempt: 1 });
+      built = await build();
+    } catch (error) {
+      return { status: 'failed', error: error.message, attempts: error.attempts || 1 };
+    }
+    try {
+      return await this._download(built.options, settings, onStatus);
+    } finally {
+      if (built.cleanup) built.cleanup();
+    }
+  }
+
+  async _download(options, settings, onStatus) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        onStatus({ status: 'downloading', attempt });
+        const downloadId = await chrome.downloads.download(options);
+        await this._waitForCompletion(downloadId);
+        return { status: 'complete', downloadId, attempts: attempt };
+      } catch (error) {
+        const canRetry = error.retryable && attempt <= settings.maxRetries;
+        if (!canRetry) {
+          return { status: 'failed', error: error.message, attempts: attempt };
+        }
+
+        const delay = settings.retryDelay * 2 ** (attempt - 1);
+        log(`Download interrupted (${error.message}), retry ${attempt}/${settings.maxRetries} in ${delay}ms`);
+        onStatus({ status: 'retrying', attempt, error: error.message });
+        await wait(delay);
+      }
+    }
+  }
+
+  _waitForCompletion(downloadId) {
+    return new Promise((resolve, reject) => {
+      this.watchers.set(downloadId, { resolve, reject });
+
+      // Small files (and data: URLs) can finish before the watcher is registered
+      chrome.downloads.search({ id: downloadId })
+        .then(([item]) => {
+          if (!item) return;
+          this.handleDownloadChanged({
+            id: downloadId,
+            state: { current: item.state },
+            error: item.error ? { current: item.error } : undefined
+          });
+        })
+        .catch(() => {});
+    });
+  }
+
+  // chrome.downloads.onChanged handler
+  handleDownloadChanged(delta) {
+    const watcher = this.watchers.get(delta.id);
+    if (!watcher || !delta.state) return;
+
+    if (delta.state.current === 'complete') {
+      this.watchers.delete(delta.id);
+      watcher.resolve();
+    } else if (delta.state.current === 'interrupted') {
+      this.watchers.delete(delta.id);
+      const reason = delta.error?.current || 'INTERRUPTED';
+      const error = new Error(reason);
+      error.retryable = isRetryableInterrupt(reason);
+      watcher.reject(error);
+    }
+  }
+}
+
+// Runs `task` over `values` with at most `limit` in flight; results keep the input order
+async function mapWithConcurrency(values, limit, task) {
+  const results = new Array(values.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < values.length) {
+      const i = next++;
+      results[i] = await task(values[i], i);
+    }
+  };
+  const workerCount = Math.min(Math.max(1, limit), values.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+// === OFFSCREEN DOCUMENT ===
+const OFFSCREEN_DOCUMENT_PATH = 'src/offscreen/offscreen.html';
+
+/**
+ * Requests work from the offscreen document (src/offscreen/offscreen.js). Uses the service
+ * worker's client message channel rather than chrome.runtime messaging because only the
+ * former can carry Blobs and binary data. The document is created on first use and kept open.
+ */
+class OffscreenClient {
+  constructor() {
+    this.pendingRequests = new Map(); // request id -> { resolve, reject }
+    this.nextRequestId = 1;
+    this.creatingDocument = null;
+  }
+
+  async _ensureDocument() {
+    const documentUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [documentUrl]
+    });
+    if (contexts.length > 0) return documentUrl;
+
+    // Concurrent callers share one createDocument call; a second one would throw
+    if (!this.creatingDocument) {
+      this.creatingDocument = chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ['BLOBS'],
+        justification: 'Remux video streams and create blob: URLs for files assembled in the extension'
+      }).finally(() => {
+        this.creatingDocument = null;
+      });
+    }
+    await this.creatingDocument;
+    return documentUrl;
+  }
+
+  async _request(type, payload, transfer = []) {
+    const documentUrl = await this._ensureDocument();
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    const client = clients.find(c => c.url === documentUrl);
+    if (!client) {
+      throw new Error('Offscreen document is not available');
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      client.postMessage({ id, type, ...payload }, transfer);
+    });
+  }
+
+  // Service worker `message` handler for replies from the offscreen document
+  handleMessage(data) {
+    const pending = data && this.pendingRequests.get(data.id);
+    if (!pending) return;
+
+    this.pendingRequests.delete(data.id);
+    if (data.error) {
+      pending.reject(new Error(data.error));
+    } else {
+      pending.resolve(data.result);
+    }
+  }
+
+  createBlobUrl(blob) {
+    return this._request(OFFSCREEN_MESSAGES.CREATE_BLOB_URL, { blob });
+  }
+
+  revokeBlobUrl(url) {
+    return this._request(OFFSCREEN_MESSAGES.REVOKE_BLOB_URL, { url });
+  }
+
+  /**
+   * @param {Array<{ init?: Uint8Array, segments: Uint8Array[] }>} sources Transferred, not copied
+   * @returns {Promise<Blob>} video/mp4
+   */
+  remuxToMp4(sources) {
+    const buffers = sources.flatMap(source => [source.init, ...source.segments]).filter(Boolean).map(bytes => bytes.buffer);
+    return this._request(OFFSCREEN_MESSAGES.REMUX_MP4, { sources }, buffers);
+  }
+}
+
 // === INITIALIZE MANAGERS ===
 const dataManager = new DataManager();
 const downloadManager = new DownloadManager();
+const downloadQueue = new DownloadQueue();
+const downloadHistory = new DownloadHistory();
+const offscreenClient = new OffscreenClient();
+
+self.addEventListener('message', event => offscreenClient.handleMessage(event.data));
+
+chrome.downloads.onChanged.addListener(delta => downloadQueue.handleDownloadChanged(delta));
 
 // In-memory set tracking tabs with ongoing extractions.
 // Best-effort: cleared if service worker is killed and restarts.
@@ -92,9 +851,11 @@ const extractingTabs = new Set();
 
 // === FACEBOOK VIDEO URL COLLECTOR ===
 // Passively collects Facebook video MP4 URLs via webRequest.
-// Each URL's `efg` query param contains base64 JSON with video_id and bitrate,
-// allowing precise filtering by video and quality selection.
-const fbVideoUrls = new Map(); // videoId -> { url, bitrate }
+// Each URL's `efg` query param contains base64 JSON with video_id, bitrate and the
+// encoding tag, allowing precise filtering by video and quality selection. Every video
+// variant seen is kept for the popup's quality picker; DASH audio is a separate
+// rendition (audio vencode_tag), of which the best is kept.
+const fbVideoUrls = new Map(); // videoId -> { url, bitrate, variants, audioUrl, audioBitrate }
 
 function cleanFbVideoUrl(url) {
   try {
@@ -112,9 +873,14 @@ function parseEfgParam(url) {
     const efg = new URL(url).searchParams.get('efg');
     if (!efg) return null;
     const decoded = JSON.parse(atob(decodeURIComponent(efg)));
+    const tag = typeof decoded.vencode_tag === 'string' ? decoded.vencode_tag : '';
+    // Tags such as dash_h264-basic-gen2_720p name the quality
+    const qualityMatch = tag.match(/_(\d{3,4})p(?:_|$)/);
     return {
       videoId: decoded.video_id ? String(decoded.video_id) : null,
-      bitrate: decoded.bitrate || 0
+      bitrate: decoded.bitrate || 0,
+      height: qualityMatch ? Number(qualityMatch[1]) : 0,
+      isAudio: tag.includes('audio')
     };
   } catch {
     return null;
@@ -127,22 +893,93 @@ chrome.webRequest.onBeforeRequest.addListener(
     const meta = parseEfgParam(details.url);
     if (!meta || !meta.videoId) return;
 
-    const existing = fbVideoUrls.get(meta.videoId);
-    if (!existing || meta.bitrate > existing.bitrate) {
-      fbVideoUrls.set(meta.videoId, {
-        url: cleanFbVideoUrl(details.url),
-        bitrate: meta.bitrate
-      });
+    const url = cleanFbVideoUrl(details.url);
+    const entry = fbVideoUrls.get(meta.videoId) || { url: null, bitrate: 0, variants: [], audioUrl: null, audioBitrate: 0 };
+    if (meta.isAudio) {
+      if (!entry.audioUrl || meta.bitrate > entry.audioBitrate) {
+        entry.audioUrl = url;
+        entry.audioBitrate = meta.bitrate;
+      }
+    } else {
+      // Range requests for the same file clean to the same URL
+      if (!entry.variants.some(variant => variant.url === url)) {
+        entry.variants.push({ url, bitrate: meta.bitrate, width: 0, height: meta.height });
+      }
+      if (!entry.url || meta.bitrate > entry.bitrate) {
+        entry.url = url;
+        entry.bitrate = meta.bitrate;
+      }
     }
+    fbVideoUrls.set(meta.videoId, entry);
   },
   { urls: ['*://*.fbcdn.net/*'] }
 );
 
+// === TUMBLR POST FETCHER ===
+// Tumblr posts are read from the NPF state the web app embeds in the post's page on
+// www.tumblr.com. Blog subdomains (<blog>.tumblr.com) are another origin, so the content
+// script asks here.
+const TUMBLR_ORIGIN = 'https://www.tumblr.com';
+
+/**
+ * Reads the object the page assigns to ___INITIAL_STATE___. The JSON starts after the
+ * first `=` following the name, however the assignment is quoted or spaced, and ends at
+ * the brace that closes it, found by walking the text with strings skipped, so braces
+ * and `</script>` inside strings do not end it early.
+ * @returns {object|null}
+ */
+function readTumblrState(html) {
+  const name = html.indexOf('___INITIAL_STATE___');
+  const equals = name === -1 ? -1 : html.indexOf('=', name);
+  const start = equals === -1 ? -1 : html.indexOf('{', equals);
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < html.length; i++) {
+    const char = html[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      try {
+        return JSON.parse(html.slice(start, i + 1));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Resolves with the post in NPF, reblog trail included
+async function fetchTumblrPost(blog, postId) {
+  const response = await fetch(`${TUMBLR_ORIGIN}/${encodeURIComponent(blog)}/${postId}`, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Tumblr post request failed: HTTP ${response.status}`);
+  }
+  const state = readTumblrState(await response.text());
+  if (!state) {
+    throw new Error('No post state found on the Tumblr page');
+  }
+  const objects = state.PeeprRoute?.initialTimeline?.objects || [];
+  const post = objects.find(object => object.objectType === 'post' && object.idString === String(postId));
+  if (!post) {
+    throw new Error(`Tumblr post ${postId} not found`);
+  }
+  return post;
+}
+
 // === MESSAGE LISTENERS ===
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // Handle messages from content scripts
   if (sender.tab) {
     if (request.action === CONTENT_MESSAGES.IMAGES_EXTRACTED) {
+      clearShortcutHint(sender.tab.id);
       (async () => {
         await dataManager.storeImages(sender.tab.id, request.images);
         extractingTabs.delete(sender.tab.id);
@@ -150,6 +987,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return;
     }
 
+    // Profile mode: a new walk replaces whatever the tab had stored
+    if (request.action === CONTENT_MESSAGES.EXTRACTION_STARTED) {
+      clearShortcutHint(sender.tab.id);
+      (async () => {
+        extractingTabs.add(sender.tab.id);
+        await dataManager.storeImages(sender.tab.id, []);
+      })();
+      return;
+    }
+
     if (request.action === CONTENT_MESSAGES.IMAGES_APPEND) {
       (async () => {
         await dataManager.appendImages(sender.tab.id, request.images);
@@ -198,8 +1045,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     break;
 
   case BACKGROUND_MESSAGES.DOWNLOAD_IMAGES:
-    downloadManager.downloadAllImages(request.images)
-      .then(() => sendResponse({ success: true }))
+    downloadManager.downloadAllImages(request.images, { redownload: request.redownload })
+      .then(summary => sendResponse({ success: summary.failed === 0, summary }))
       .catch(error => {
         console.error('Download all images failed:', error);
         sendResponse({ success: false, error: error.message });
@@ -215,16 +1062,177 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
     return true;
 
+  case BACKGROUND_MESSAGES.CHECK_DOWNLOADED:
+    downloadManager.findDownloadedUrls(request.images)
+      .then(downloadedUrls => sendResponse({ downloadedUrls }));
+    return true;
+
+  case BACKGROUND_MESSAGES.GET_DOWNLOAD_HISTORY:
+    downloadManager.getHistory()
+      .then(entries => sendResponse({ success: true, entries }))
+      .catch(error => {
+        console.error('Reading download history failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+
+  case BACKGROUND_MESSAGES.REDOWNLOAD_HISTORY_ITEM:
+    downloadManager.redownloadFromHistory(request.mediaKey)
+      .then(downloadId => sendResponse({ success: true, downloadId }))
+      .catch(error => {
+        console.error('Re-download from history failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+
   case BACKGROUND_MESSAGES.FETCH_FB_VIDEO_URL: {
     const cached = fbVideoUrls.get(request.videoId);
-    if (cached) {
-      sendResponse({ success: true, videoUrl: cached.url });
+    if (cached?.url) {
+      sendResponse({ success: true, videoUrl: cached.url, audioUrl: cached.audioUrl, variants: cached.variants });
     } else {
       sendResponse({ success: false, error: `No video URL found for videoId ${request.videoId}` });
     }
     break;
   }
+
+  case BACKGROUND_MESSAGES.FETCH_TUMBLR_POST:
+    fetchTumblrPost(request.blog, request.postId)
+      .then(post => sendResponse({ success: true, post }))
+      .catch(error => {
+        console.error('Tumblr post request failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+});
+
+// === CONTEXT MENUS ===
+// The menu entries only record what was clicked; the tab's content script resolves it
+// against the page and downloads through DOWNLOAD_IMAGES.
+const CONTEXT_MENU_IDS = {
+  DOWNLOAD_MEDIA: 'downloadMedia',
+  DOWNLOAD_POST: 'downloadPost'
+};
+
+// Post permalinks, for the "all media" entry on links
+const POST_LINK_PATTERNS = [
+  'https://www.threads.com/*/post/*',
+  'https://www.threads.com/t/*',
+  'https://www.instagram.com/p/*',
+  'https://www.instagram.com/reel/*',
+  'https://www.instagram.com/*/p/*',
+  'https://www.instagram.com/*/reel/*',
+  'https://www.facebook.com/*/posts/*',
+  'https://www.facebook.com/permalink.php*',
+  'https://www.facebook.com/photo*',
+  'https://x.com/*/status/*',
+  'https://bsky.app/profile/*/post/*',
+  'https://www.reddit.com/r/*/comments/*',
+  'https://www.tumblr.com/*/*',
+  'https://*.tumblr.com/post/*'
+];
+
+function createContextMenus() {
+  const documentUrlPatterns = Object.values(PLATFORM_HOSTNAMES).map(hostname => `https://*.${hostname}/*`);
+
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_IDS.DOWNLOAD_MEDIA,
+      title: 'Download this media at full size',
+      contexts: ['image', 'video'],
+      documentUrlPatterns
+    });
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_IDS.DOWNLOAD_POST,
+      title: 'Download all media from this post',
+      contexts: ['link'],
+      targetUrlPatterns: POST_LINK_PATTERNS,
+      documentUrlPatterns
+    });
+  });
+}
+
+// Menu entries persist across service worker restarts, so they are only created on install and update
+chrome.runtime.onInstalled.addListener(createContextMenus);
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || tab.id < 0) return;
+
+  const action = info.menuItemId === CONTEXT_MENU_IDS.DOWNLOAD_MEDIA
+    ? TAB_MESSAGES.DOWNLOAD_CONTEXT_MEDIA
+    : TAB_MESSAGES.DOWNLOAD_CONTEXT_POST;
+  chrome.tabs.sendMessage(tab.id, {
+    action,
+    mediaType: info.mediaType,
+    srcUrl: info.srcUrl,
+    linkUrl: info.linkUrl
+  }, { frameId: info.frameId }).catch(error => {
+    console.error(`Context menu: no content script in tab ${tab.id}:`, error.message);
+  });
+});
+
+// === KEYBOARD SHORTCUTS ===
+// manifest.json `commands`; "Open the popup" is Chrome's own _execute_action.
+// Each one downloads part of what the popup would show for the tab, like its buttons.
+const COMMAND_FILTERS = {
+  'download-all': () => true,
+  'download-images': image => image.mediaType !== 'video',
+  'download-videos': image => image.mediaType === 'video'
+};
+
+/**
+ * Downloads the active tab's stored media for a shortcut. Videos are saved at the
+ * videoQuality setting, and videos only yt-dlp can save are left out.
+ * @returns {Promise<object|null>} The batch summary, or null when there was nothing to download
+ */
+async function downloadForCommand(command, tab) {
+  const filter = COMMAND_FILTERS[command];
+  if (!filter) return null;
+
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return null;
+  }
+
+  const stored = await dataManager.getStoredImages(tab.id);
+  const { videoQuality } = await loadSettings();
+  const images = applyVideoQuality(stored.filter(image => filter(image) && !needsExternalDownloader(image)), videoQuality);
+  if (images.length === 0) {
+    log(`Shortcut ${command}: no matching media stored for tab ${tab.id}`);
+    showShortcutHint(tab.id, stored.length === 0
+      ? 'Nothing to download yet: open the popup on this page first'
+      : 'No matching media on this page');
+    return null;
   }
+  if (extractingTabs.has(tab.id)) {
+    log(`Shortcut ${command}: tab ${tab.id} is still extracting, downloading the ${images.length} items found so far`);
+  }
+
+  clearShortcutHint(tab.id);
+  return downloadManager.downloadAllImages(images);
+}
+
+// A shortcut that downloads nothing marks the toolbar icon of its tab, with the reason as
+// the icon's tooltip. Chrome drops tab-specific badges when the tab navigates.
+function showShortcutHint(tabId, reason) {
+  Promise.all([
+    chrome.action.setBadgeBackgroundColor({ tabId, color: '#d93025' }),
+    chrome.action.setBadgeText({ tabId, text: '!' }),
+    chrome.action.setTitle({ tabId, title: reason })
+  ]).catch(error => console.error(`Shortcut hint for tab ${tabId} failed:`, error.message));
+}
+
+function clearShortcutHint(tabId) {
+  Promise.all([
+    chrome.action.setBadgeText({ tabId, text: '' }),
+    chrome.action.setTitle({ tabId, title: chrome.runtime.getManifest().action.default_title })
+  ]).catch(() => {});
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  downloadForCommand(command, tab).catch(error => {
+    console.error(`Shortcut ${command} failed:`, error);
+  });
 });
 
 // === TAB MANAGEMENT ===
@@ -0,0 +1,87 @@
+/**
+ * HLS playlist parsing (loaded into the service worker via importScripts). The background
+ * fetches the playlists and segments; the offscreen document remuxes them into an MP4.
+ */
+
+// Splits an attribute list such as BANDWIDTH=1280000,CODECS="avc1.4d401f,mp4a.40.2"
+function parseHlsAttributes(text) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+/**
+ * Parses a master or media playlist. URIs are resolved against `playlistUrl`.
+ *
+ * @returns {{ isMaster: boolean, variants: object[], audio: object[], initUrl: string|null, segments: string[] }}
+ *   `variants`: { url, bandwidth, width, height, audioGroup }; `audio`: { url, groupId, isDefault }.
+ * @throws {Error} For encrypted or byte-range streams, which are not supported
+ */
+function parseHlsPlaylist(text, playlistUrl) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Not an HLS playlist');
+  }
+
+  const resolve = uri => new URL(uri, playlistUrl).href;
+  const playlist = { isMaster: false, variants: [], audio: [], initUrl: null, segments: [] };
+  let streamInfo = null;
+
+  lines.slice(1).forEach(line => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      streamInfo = parseHlsAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+      playlist.isMaster = true;
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const media = parseHlsAttributes(line.slice('#EXT-X-MEDIA:'.length));
+      if (media.TYPE === 'AUDIO' && media.URI) {
+        playlist.audio.push({ url: resolve(media.URI), groupId: media['GROUP-ID'], isDefault: media.DEFAULT === 'YES' });
+      }
+      playlist.isMaster = true;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const map = parseHlsAttributes(line.slice('#EXT-X-MAP:'.length));
+      if (map.BYTERANGE) throw new Error('HLS byte-range segments are not supported');
+      playlist.initUrl = resolve(map.URI);
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const key = parseHlsAttributes(line.slice('#EXT-X-KEY:'.length));
+      if (key.METHOD && key.METHOD !== 'NONE') throw new Error('Encrypted HLS streams are not supported');
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      throw new Error('HLS byte-range segments are not supported');
+    } else if (!line.startsWith('#')) {
+      if (streamInfo) {
+        const [width, height] = (streamInfo.RESOLUTION || '').split('x').map(Number);
+        playlist.variants.push({
+          url: resolve(line),
+          bandwidth: Number(streamInfo.BANDWIDTH) || 0,
+          width: width || 0,
+          height: height || 0,
+          audioGroup: streamInfo.AUDIO || null
+        });
+        streamInfo = null;
+      } else {
+        playlist.segments.push(resolve(line));
+      }
+    }
+  });
+
+  return playlist;
+}
+
+// Variant for the videoQuality setting (see selectVideoVariant in utils.js); defaults to the highest bandwidth
+function selectHlsVariant(variants, quality = 'highest') {
+  const picked = selectVideoVariant(variants.map(variant => ({ ...variant, bitrate: variant.bandwidth, variant })), quality);
+  return picked ? picked.variant : null;
+}
+
+// Audio rendition for a variant's AUDIO group, preferring the DEFAULT=YES one
+function selectHlsAudio(audio, groupId) {
+  const group = audio.filter(rendition => rendition.groupId === groupId);
+  return group.find(rendition => rendition.isDefault) || group[0] || null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseHlsPlaylist, selectHlsVariant, selectHlsAudio };
+}
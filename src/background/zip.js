@@ -0,0 +1,134 @@
+/**
+ * Minimal ZIP writer for post archives (loaded into the service worker via importScripts).
+ * Entries are stored without compression: images and videos are already compressed, so
+ * deflating them would cost CPU for almost no size gain. No ZIP64, so archives are
+ * limited to 4 GB and 65535 entries.
+ */
+
+const ZIP_MAX_SIZE = 0xFFFFFFFF;
+const ZIP_MAX_ENTRIES = 0xFFFF;
+const ZIP_UTF8_FLAG = 0x0800;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers (local time, 2-second resolution)
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Builds a ZIP archive.
+ *
+ * @param {Array<{ name: string, data: Uint8Array|string }>} files Strings are stored as UTF-8
+ * @param {Date} [date] Modification time written for every entry
+ * @returns {Blob} application/zip
+ */
+function createZip(files, date = new Date()) {
+  if (files.length > ZIP_MAX_ENTRIES) {
+    throw new Error(`ZIP archives are limited to ${ZIP_MAX_ENTRIES} entries`);
+  }
+
+  const encoder = new TextEncoder();
+  const dos = toDosDateTime(date);
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);              // version needed
+    local.setUint16(6, ZIP_UTF8_FLAG, true);
+    local.setUint16(8, 0, true);               // method: stored
+    local.setUint16(10, dos.time, true);
+    local.setUint16(12, dos.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);    // compressed size
+    local.setUint32(22, data.length, true);    // uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);              // extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);            // version made by
+    central.setUint16(6, 20, true);            // version needed
+    central.setUint16(8, ZIP_UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dos.time, true);
+    central.setUint16(14, dos.date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // extra length, comment length, disk number, internal/external attributes stay 0
+    central.setUint32(42, offset, true);
+
+    parts.push(new Uint8Array(local.buffer), name, data);
+    centralDirectory.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+
+    if (offset > ZIP_MAX_SIZE) {
+      throw new Error('ZIP archives are limited to 4 GB');
+    }
+  });
+
+  const centralSize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);        // entries on this disk
+  end.setUint16(10, files.length, true);       // total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);             // central directory offset
+
+  return new Blob([...parts, ...centralDirectory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+/**
+ * Makes archive entry names unique by appending " (2)", " (3)", ... before the extension.
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+function uniqueZipEntryNames(names) {
+  const used = new Set();
+  return names.map(name => {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${base} (${n})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { crc32, createZip, uniqueZipEntryNames };
+}
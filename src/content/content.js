@@ -4,7 +4,7 @@
  * (getFileExtension, getPlatformFromUrl, wait) are loaded from src/shared/ via manifest.
  */
 
-// URL patterns for single posts (exclude homepage/main feeds)
+// URL patterns for single posts (exclude the home feeds)
 const SINGLE_POST_PATTERNS = {
   [PLATFORMS.THREADS]: [
     /^https:\/\/www\.threads\.com\/@[^/]+\/post\/[^/]+/,   // @username/post/postId
@@ -13,23 +13,40 @@ const SINGLE_POST_PATTERNS = {
   [PLATFORMS.INSTAGRAM]: [
     /^https:\/\/www\.instagram\.com\/p\/[^/]+/,            // /p/postId
     /^https:\/\/www\.instagram\.com\/[^/]+\/p\/[^/]+/,     // /accountId/p/postId
-    /^https:\/\/www\.instagram\.com\/reel\/[^/]+/          // /reel/reelId
+    /^https:\/\/www\.instagram\.com\/reel\/[^/]+/,         // /reel/reelId
+    /^https:\/\/www\.instagram\.com\/stories\/highlights\/\d+/, // /stories/highlights/highlightId
+    /^https:\/\/www\.instagram\.com\/stories\/[^/]+\/\d+/    // /stories/username/storyItemId
   ],
   [PLATFORMS.FACEBOOK]: [
     /^https:\/\/www\.facebook\.com\/photo\/\?fbid=/,        // /photo/?fbid=photoId
     /^https:\/\/www\.facebook\.com\/[^/]+\/photos\//,       // /username/photos/photoId
     /^https:\/\/www\.facebook\.com\/reel\/\d+/,             // /reel/reelId
-    /^https:\/\/www\.facebook\.com\/\d+\/videos\/pcb\.\d+\/\d+/  // /userId/videos/pcb.xxx/videoId
+    /^https:\/\/www\.facebook\.com\/\d+\/videos\/pcb\.\d+\/\d+/, // /userId/videos/pcb.xxx/videoId
+    /^https:\/\/www\.facebook\.com\/media\/set\/\?(?:.*&)?set=a\./, // /media/set/?set=a.albumId
+    /^https:\/\/www\.facebook\.com\/[^/]+\/photos_albums/      // /username/photos_albums
   ],
   [PLATFORMS.X]: [
     /^https:\/\/x\.com\/[^/]+\/status\/[^/]+\/photo\/\d+/,  // /username/status/statusId/photo/number
     /^https:\/\/x\.com\/[^/]+\/status\/[^/]+\/video\/\d+/,  // /username/status/statusId/video/number
     /^https:\/\/x\.com\/[^/]+\/status\/\d+\/?(?:\?.*)?$/    // plain tweet URL (video-only tweets)
+  ],
+  [PLATFORMS.BLUESKY]: [
+    /^https:\/\/bsky\.app\/profile\/[^/]+\/post\/[^/?#]+/    // /profile/handle/post/rkey
+  ],
+  [PLATFORMS.REDDIT]: [
+    /^https:\/\/www\.reddit\.com\/r\/[^/]+\/comments\/[^/]+/    // /r/subreddit/comments/postId
+  ],
+  [PLATFORMS.PINTEREST]: [
+    /^https:\/\/(?:[a-z]+\.)?pinterest\.com\/pin\/[^/]+/       // /pin/pinId, regional subdomains included
+  ],
+  [PLATFORMS.TUMBLR]: [
+    /^https:\/\/www\.tumblr\.com\/[\w-]+\/\d+/,                 // /blog/postId
+    /^https:\/\/(?!www\.)[\w-]+\.tumblr\.com\/post\/\d+/        // blog.tumblr.com/post/postId
   ]
 };
 
-// Homepage patterns to exclude
-const HOMEPAGE_PATTERNS = [
+// Home feeds, which feed mode reads post by post from the viewport when the popup asks
+const FEED_PATTERNS = [
   /^https:\/\/www\.threads\.com\/?$/,                       // Threads homepage
   /^https:\/\/www\.threads\.com\/\?[^/]*$/,               // Threads homepage with query params
   /^https:\/\/www\.instagram\.com\/?$/,                     // Instagram homepage
@@ -41,42 +58,90 @@ const HOMEPAGE_PATTERNS = [
   /^https:\/\/x\.com\/\?[^/]*$/                           // X homepage with query params
 ];
 
+// Profile grids that profile mode can walk; the negative lookahead skips Instagram's own top-level pages
+const PROFILE_PATTERNS = {
+  [PLATFORMS.INSTAGRAM]: [
+    /^https:\/\/www\.instagram\.com\/(?!(?:explore|accounts|direct|reels|stories|p|reel|about|legal|web)(?:[/?#]|$))[^/?#]+\/?(?:[?#].*)?$/,
+    /^https:\/\/www\.instagram\.com\/(?!(?:explore|accounts|direct|reels|stories|p|reel|about|legal|web)(?:[/?#]|$))[^/?#]+\/(?:reels|tagged)\/?(?:[?#].*)?$/
+  ],
+  [PLATFORMS.X]: [
+    /^https:\/\/x\.com\/[^/]+\/media\/?(?:\?.*)?$/                // /username/media
+  ],
+  [PLATFORMS.THREADS]: [
+    /^https:\/\/www\.threads\.com\/@[^/?#]+\/?(?:\?.*)?$/          // /@username
+  ]
+};
+
 const GENERAL_CONFIG = {
   ON_LOAD_WAIT: 1000,
-  DEBUG: true,
+  DEBUG: DEFAULT_SETTINGS.debug,
+};
+
+// In-page download buttons on post containers (see IN-PAGE DOWNLOAD BUTTONS below)
+const IN_PAGE_BUTTONS = {
+  ENABLED: DEFAULT_SETTINGS.inPageButtons,
+  VIDEO_QUALITY: DEFAULT_SETTINGS.videoQuality, // applied to videos with several variants
+  SCAN_DELAY: 500           // ms to wait for page changes to settle before adding buttons
+};
+
+const THREADS_CONFIG = {
+  INCLUDE_REPLIES: DEFAULT_SETTINGS.threadsIncludeReplies   // post pages also collect the media of the replies below the post
 };
 
+const INSTAGRAM_CONFIG = {
+  STORY_ALL_ITEMS: DEFAULT_SETTINGS.instagramStoryAllItems   // story and highlight pages step through every item, not just the one shown
+};
+
+// One platform's `carousel` setting group as a CAROUSEL entry
+function toCarouselConfig({ initialWait, waitTime, maxAttempts }) {
+  return { INITIAL_WAIT: initialWait, WAIT_TIME: waitTime, MAX_ATTEMPTS: maxAttempts };
+}
+
 const CAROUSEL = {
-  INSTAGRAM: {
-    INITIAL_WAIT: 500,
-    WAIT_TIME: 1000,
-    MAX_ATTEMPTS: 50,
-  },
-  FACEBOOK: {
-    INITIAL_WAIT: 1000,
-    WAIT_TIME: 1000,
-    MAX_ATTEMPTS: 1000,
-  },
-  X: {
-    INITIAL_WAIT: 500,
-    WAIT_TIME: 1000,
-    MAX_ATTEMPTS: 10,
-  }
+  INSTAGRAM: toCarouselConfig(DEFAULT_SETTINGS.carousel.instagram),
+  FACEBOOK: toCarouselConfig(DEFAULT_SETTINGS.carousel.facebook),
+  X: toCarouselConfig(DEFAULT_SETTINGS.carousel.x)
+};
+
+const PROFILE = {
+  SCROLL_WAIT: 1500,     // time for the grid to load more posts after a scroll
+  MAX_IDLE_SCROLLS: 3,   // scrolls without new posts before the grid counts as finished
+  POST_DELAY: 500,       // pause between post lookups, to stay clear of rate limits
+  VISIT_WAIT: 500,       // poll interval while a post opened from the grid opens or closes
+  VISIT_ATTEMPTS: 10     // polls before an opened post counts as failed to open or close
 };
 
-const IMAGE_FILTERS = {
-  MIN_WIDTH: 150,
-  MIN_HEIGHT: 150,
-  CAROUSEL_MIN_WIDTH: 50,
-  CAROUSEL_MIN_HEIGHT: 50
+/**
+ * Instagram's media info endpoint, the private web API instagram.com calls itself to load a
+ * post. It is undocumented: the path and the app ID (sent as X-IG-App-ID, without which
+ * requests are rejected) are what the web app uses today and can change without notice.
+ * Only InstagramPlatform._fetchPostInfo() reads them, and every caller falls back to the
+ * page when a request fails: profile mode opens the post from the grid, in-page buttons
+ * read the post on screen, and the context menu reads the post around the link.
+ */
+const INSTAGRAM_MEDIA_INFO_API = {
+  PATH: '/api/v1/media/{mediaId}/info/',
+  APP_ID: '936619743392459'
 };
 
+// Bluesky's public AppView; reads posts without signing in
+const BLUESKY_API_URL = 'https://public.api.bsky.app/xrpc';
+
+// The `imageFilters` setting group as IMAGE_FILTERS
+function toImageFilters({ minWidth, minHeight, carouselMinWidth, carouselMinHeight }) {
+  return { MIN_WIDTH: minWidth, MIN_HEIGHT: minHeight, CAROUSEL_MIN_WIDTH: carouselMinWidth, CAROUSEL_MIN_HEIGHT: carouselMinHeight };
+}
+
+const IMAGE_FILTERS = toImageFilters(DEFAULT_SETTINGS.imageFilters);
+
 const SELECTORS = {
   THREADS: {
     CONTAINER: 'div[data-pressable-container="true"]',
     IMAGES: 'img',
     PICTURE_IMAGES: 'picture img',
-    VIDEOS: 'video'
+    VIDEOS: 'video',
+    POST_LINK: 'a[href*="/post/"]',
+    PINNED_ICON: 'svg[aria-label="Pinned"]'
   },
 
   INSTAGRAM: {
@@ -87,7 +152,16 @@ const SELECTORS = {
     MAIN_ELEMENT: 'main',
     CAROUSEL_INDICATOR: 'ul li',
     UL_ELEMENT: 'ul',
-    BOUNDARY_ELEMENTS: 'div, h2, span'
+    BOUNDARY_ELEMENTS: 'div, h2, span',
+    AUTHOR_LINK: 'header a[href^="/"]',
+    CAPTION: 'h1',
+    POST_ARTICLE: 'article',
+    POST_PERMALINK: 'a[href*="/p/"], a[href*="/reel/"]',
+    PROFILE_POST_LINKS: 'main a[href*="/p/"], main a[href*="/reel/"]',
+    PINNED_ICON: 'svg[aria-label="Pinned post icon"]',
+    POST_DIALOG: 'div[role="dialog"] article',
+    STORY_VIEWER: 'section',
+    STORY_NEXT_BUTTON: 'button[aria-label="Next"], [role="button"] svg[aria-label="Next"]'
   },
 
   FACEBOOK: {
@@ -96,7 +170,17 @@ const SELECTORS = {
     ],
     POST_IMAGES: [
       'div[role="main"] img',
-    ]
+    ],
+    MAIN: 'div[role="main"]',
+    PHOTO_LINKS: 'a[href*="/photo/?fbid="], a[href*="/photo.php?fbid="]',
+    ALBUM_LINKS: 'a[href*="/media/set/?set=a."]',
+    VIDEO_LINKS: 'a[href*="/videos/"], a[href*="/reel/"], a[href*="/watch/?v="]',
+    FEED_POST: 'div[aria-posinset]',
+    FEED_CAPTION: 'div[data-ad-rendering-role="story_message"], div[data-ad-preview="message"]',
+    POST_PERMALINK: 'a[href*="/posts/"]',
+    SIDEBAR: 'div[role="complementary"]',
+    AUTHOR_NAME: 'h2 a, strong a',
+    CAPTION: 'div[dir="auto"], span[dir="auto"]'
   },
 
   X: {
@@ -116,23 +200,46 @@ const SELECTORS = {
     MAIN_DIALOG: [
       'div[role="dialog"]'
     ],
-    BOUNDARY_INDICATOR: 'div[aria-expanded="true"]'
+    BOUNDARY_INDICATOR: 'div[aria-expanded="true"]',
+    TWEET_ARTICLE: 'article[data-testid="tweet"]',
+    TWEET_TEXT: '[data-testid="tweetText"]',
+    TWEET_PHOTOS: '[data-testid="tweetPhoto"] img',
+    TWEET_MEDIA: '[data-testid="tweetPhoto"], video'
+  },
+
+  BLUESKY: {
+    POST_CONTAINER: '[data-testid^="feedItem-by-"], [data-testid^="postThreadItem-by-"]',
+    POST_PERMALINK: 'a[href^="/profile/"][href*="/post/"]',
+    POST_MEDIA: 'img[src*="/img/feed_thumbnail/"], img[src*="/img/feed_fullsize/"], video'
+  },
+
+  PINTEREST: {
+    CLOSEUP: '[data-test-id="pin-closeup-image"]',
+    IMAGES: 'img[src*="pinimg.com"]',
+    AUTHOR_LINK: '[data-test-id="creator-avatar-link"], [data-test-id="official-user-attribution"] a[href^="/"]',
+    TITLE: 'h1'
   }
 };
 
 // === X.COM VIDEO CACHE ===
 // Populated by x-fetch-interceptor.js (MAIN world) via CustomEvents on document.
-const X_VIDEO_CACHE = new Map(); // videoId -> { fullSizeUrl, thumbnailUrl }
+const X_VIDEO_CACHE = new Map(); // videoId -> { fullSizeUrl, thumbnailUrl, isHLS, variants }
+// Tweets of the UserMedia timeline (profile mode): tweetId -> { tweetId, author, caption, postedAt, media }
+const X_MEDIA_TWEETS = new Map();
 
 if (window.location.hostname.includes('x.com')) {
   document.addEventListener('__socialSnapXVideo', (e) => {
-    const { videoId, fullSizeUrl, thumbnailUrl, isHLS } = e.detail;
-    if (videoId) X_VIDEO_CACHE.set(videoId, { fullSizeUrl, thumbnailUrl, isHLS: isHLS || false });
+    const { videoId, fullSizeUrl, thumbnailUrl, isHLS, variants } = e.detail;
+    if (videoId) X_VIDEO_CACHE.set(videoId, { fullSizeUrl, thumbnailUrl, isHLS: isHLS || false, variants: variants || [] });
   });
 
   document.addEventListener('__socialSnapXVideoCache', (e) => {
     Object.entries(e.detail).forEach(([id, data]) => X_VIDEO_CACHE.set(id, data));
   });
+
+  document.addEventListener('__socialSnapXMediaTweets', (e) => {
+    e.detail.forEach(tweet => X_MEDIA_TWEETS.set(tweet.tweetId, tweet));
+  });
 }
 
 
@@ -154,9 +261,34 @@ function logWarn(...message) {
   }
 }
 
+// === USER SETTINGS ===
+// GENERAL_CONFIG, IN_PAGE_BUTTONS, THREADS_CONFIG, INSTAGRAM_CONFIG, CAROUSEL and IMAGE_FILTERS start from DEFAULT_SETTINGS; the options page
+// can override them through chrome.storage.sync (see src/shared/settings.js).
+function applySettings(settings) {
+  GENERAL_CONFIG.DEBUG = settings.debug;
+  IN_PAGE_BUTTONS.ENABLED = settings.inPageButtons;
+  IN_PAGE_BUTTONS.VIDEO_QUALITY = settings.videoQuality;
+  THREADS_CONFIG.INCLUDE_REPLIES = settings.threadsIncludeReplies;
+  INSTAGRAM_CONFIG.STORY_ALL_ITEMS = settings.instagramStoryAllItems;
+
+  Object.entries(CAROUSEL).forEach(([platformKey, config]) => {
+    const custom = settings.carousel[platformKey.toLowerCase()];
+    if (!custom) return;
+    Object.assign(config, toCarouselConfig(custom));
+  });
+
+  Object.assign(IMAGE_FILTERS, toImageFilters(settings.imageFilters));
+}
+
+const settingsReady = loadSettings()
+  .then(applySettings)
+  .catch(error => logError('Failed to load settings, using defaults:', error));
+
+onSettingsChanged(applySettings);
+
 // === URL VALIDATION UTILS ===
-function isHomepage(url) {
-  return HOMEPAGE_PATTERNS.some(pattern => pattern.test(url));
+function isFeedPage(url) {
+  return FEED_PATTERNS.some(pattern => pattern.test(url));
 }
 
 function isSinglePost(url) {
@@ -165,8 +297,12 @@ function isSinglePost(url) {
 }
 
 function isValidPostUrl(url) {
-  // Must be a single post and NOT a homepage
-  return isSinglePost(url) && !isHomepage(url);
+  // Must be a single post and NOT a feed
+  return isSinglePost(url) && !isFeedPage(url);
+}
+
+function isProfilePage(url) {
+  return Object.values(PROFILE_PATTERNS).flat().some(pattern => pattern.test(url));
 }
 
 // getPlatformFromUrl, getFileExtension, wait: provided by src/shared/utils.js
@@ -174,6 +310,10 @@ function isValidPostUrl(url) {
 
 let stopFbExtractionRequested = false;
 let fbCarouselActive = false;
+let stopProfileExtractionRequested = false;
+let profileExtractionActive = false;
+let stopFeedExtractionRequested = false;
+let feedExtractionActive = false;
 
 // === BASE PLATFORM CLASS ===
 class BasePlatform {
@@ -189,6 +329,206 @@ class BasePlatform {
     return [];
   }
 
+  /**
+   * Post-level details attached to every extracted media item. The background uses
+   * them for filename template tokens ({author}, {postId}, {caption}) and the JSON sidecar.
+   * `postedAt` is the post's ISO timestamp when the page shows one, otherwise ''.
+   * @returns {{ author: string, postId: string, caption: string, postUrl: string, postedAt: string }}
+   */
+  getPostMetadata() {
+    return { author: '', postId: '', caption: '', postUrl: this._getPostUrl(), postedAt: '' };
+  }
+
+  /**
+   * Profile mode: the profile shown on a profile grid page, for the popup, or null.
+   * `tab` names the grid when it is not the profile's main one (e.g. 'Reels').
+   * @returns {{ platform: string, username: string, tab?: string }|null}
+   */
+  getProfileInfo() {
+    return null;
+  }
+
+  /**
+   * Profile mode: walks the profile grid and reports each post's media through
+   * `onPost(items)` as soon as it is read. Items already carry their post metadata.
+   * @param {{ limit: number, since: string|null, until: string|null }} options Maximum number
+   *   of posts, and the first and last day (YYYY-MM-DD, local time) of posts to include
+   * @returns {Promise<number>} Number of posts read
+   */
+  async extractProfile() {
+    return 0;
+  }
+
+  /**
+   * In-page buttons: the post containers rendered on the page, feeds included. Each one
+   * gets a download button that runs extractPostContainer() on it.
+   * @returns {Element[]}
+   */
+  getPostContainers() {
+    return [];
+  }
+
+  /**
+   * In-page buttons: the media of one post container. Items carry the post metadata.
+   * @returns {Promise<object[]>}
+   */
+  async extractPostContainer() {
+    return [];
+  }
+
+  /**
+   * Feed mode: what the popup lists for a post container, read without extracting its media.
+   * @returns {{ author: string, caption: string }}
+   */
+  describePostContainer() {
+    return { author: '', caption: '' };
+  }
+
+  /**
+   * Context menu: the media of the post a link points to, read without opening it, or []
+   * when the platform can only read posts rendered on the page (see getPostContainers()).
+   * @returns {Promise<object[]>}
+   */
+  async extractPostUrl() {
+    return [];
+  }
+
+  /**
+   * Context menu: the right-clicked <img> or <video> at full size, or null when it cannot
+   * be resolved. Streamed videos (blob: sources) are looked up through their post container.
+   * @returns {Promise<object|null>}
+   */
+  async extractMediaElement(element) {
+    if (element.tagName === 'IMG') {
+      return { ...this.createImageData(element, 0), mediaType: 'image' };
+    }
+
+    const src = element.currentSrc || element.src;
+    if (src && !src.startsWith('blob:')) {
+      return { index: 1, alt: '', thumbnailUrl: element.poster || '', fullSizeUrl: src, mediaType: 'video' };
+    }
+
+    const container = this.getPostContainers().find(candidate => candidate.contains(element));
+    const videos = container
+      ? (await this.extractPostContainer(container)).filter(item => item.mediaType === 'video')
+      : [];
+    if (videos.length !== 1) {
+      log(`Cannot tell the clicked video apart (${videos.length} videos in its post)`);
+      return null;
+    }
+    return { ...videos[0], index: 1 };
+  }
+
+  /**
+   * Shared profile mode loop. `readPosts()` returns the posts rendered since the last call,
+   * newest first; when there are none the page is scrolled for more, until
+   * PROFILE.MAX_IDLE_SCROLLS scrolls bring nothing. `resolvePost(post)` resolves to
+   * { time, pinned, items } or null when the post cannot be read. Posts newer than `until`
+   * are skipped, and the first post older than `since` ends the walk unless it is pinned.
+   * Grids that are not sorted by post time (`ordered: false`) skip older posts instead.
+   * Item indices run across the whole walk.
+   */
+  async _walkProfile({ limit, since, until }, onPost, { readPosts, resolvePost, postDelay = 0, ordered = true }) {
+    const start = since ? new Date(`${since}T00:00:00`).getTime() : -Infinity;
+    const end = until ? new Date(`${until}T23:59:59.999`).getTime() : Infinity;
+    let postCount = 0;
+    let nextIndex = 1;
+    let idleScrolls = 0;
+    let reachedStart = false;
+
+    while (!stopProfileExtractionRequested && !reachedStart && postCount < limit) {
+      const posts = readPosts();
+      if (posts.length === 0) {
+        if (idleScrolls >= PROFILE.MAX_IDLE_SCROLLS) {
+          log('No more posts on the page.');
+          break;
+        }
+        idleScrolls++;
+        window.scrollTo(0, document.documentElement.scrollHeight);
+        await wait(PROFILE.SCROLL_WAIT);
+        continue;
+      }
+      idleScrolls = 0;
+
+      for (const post of posts) {
+        if (stopProfileExtractionRequested || postCount >= limit) break;
+
+        const resolved = await resolvePost(post);
+        if (!resolved) continue;
+
+        if (resolved.time < start) {
+          if (resolved.pinned || !ordered) {
+            log(`Skipping a ${resolved.pinned ? 'pinned ' : ''}post from before the date range`);
+            continue;
+          }
+          log(`Reached a post from before ${since}, stopping.`);
+          reachedStart = true;
+          break;
+        }
+        if (resolved.time > end) continue;
+
+        const items = resolved.items.map((item, i) => ({ ...item, index: nextIndex + i }));
+        nextIndex += items.length;
+        postCount++;
+        log(`Post ${postCount}/${limit}: ${items.length} media`);
+        if (items.length > 0) onPost(items);
+
+        await wait(postDelay);
+      }
+    }
+
+    if (stopProfileExtractionRequested) {
+      log('Profile extraction stopped by user');
+    }
+    return postCount;
+  }
+
+  // Polls until `check` returns something truthy; null after PROFILE.VISIT_ATTEMPTS polls
+  async _waitFor(check) {
+    for (let attempt = 0; attempt < PROFILE.VISIT_ATTEMPTS; attempt++) {
+      const result = check();
+      if (result) return result;
+      await wait(PROFILE.VISIT_WAIT);
+    }
+    return null;
+  }
+
+  // Current page without query string or hash
+  _getPostUrl() {
+    return `${window.location.origin}${window.location.pathname}`;
+  }
+
+  _getPostedAt(root) {
+    const time = root ? root.querySelector('time[datetime]') : null;
+    return time ? time.getAttribute('datetime') : '';
+  }
+
+  _getText(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  // DASH manifests (Facebook reels, Reddit videos): the representations of one AdaptationSet as
+  // { url, bitrate, width, height }; regex because XML parsing fails on unescaped & in URLs
+  _readDashRepresentations(manifest, contentType) {
+    const setMatch = manifest.match(new RegExp(`<AdaptationSet[^>]*contentType="${contentType}"[^>]*>([\\s\\S]*?)<\\/AdaptationSet>`));
+    if (!setMatch) return [];
+
+    const repRegex = /<Representation([^>]*)>[\s\S]*?<BaseURL>([^<]+)<\/BaseURL>/g;
+    const representations = [];
+    let match;
+    while ((match = repRegex.exec(setMatch[1])) !== null) {
+      const attributes = match[1];
+      const number = name => parseInt((attributes.match(new RegExp(`\\s${name}="(\\d+)"`)) || [])[1]) || 0;
+      representations.push({
+        url: match[2].replace(/&amp;/g, '&'),
+        bitrate: number('bandwidth'),
+        width: number('width'),
+        height: number('height')
+      });
+    }
+    return representations;
+  }
+
   createImageData(img, index) {
     const src = img.src;
     const alt = img.alt;
@@ -303,6 +643,120 @@ class ThreadsPlatform extends BasePlatform {
     return allContainers[0];
   }
 
+  getPostMetadata() {
+    const pathname = window.location.pathname;
+    const match = pathname.match(/\/@([^/]+)\/post\/([^/?#]+)/);
+    const container = this._findTargetContainer();
+
+    let author = match ? match[1] : '';
+    if (!author && container) {
+      const profileLink = container.querySelector('a[href^="/@"]');
+      author = profileLink ? profileLink.getAttribute('href').slice(2).split('/')[0] : '';
+    }
+
+    return {
+      author,
+      postId: match ? match[2] : (pathname.match(/\/t\/([^/?#]+)/)?.[1] || ''),
+      caption: this._getCaption(container),
+      postUrl: this._getPostUrl(),
+      postedAt: this._getPostedAt(container)
+    };
+  }
+
+  // Post text is the first auto-direction span that is not part of a link (username, timestamp)
+  _getCaption(container) {
+    const captionSpan = container
+      ? Array.from(container.querySelectorAll('span[dir="auto"]')).find(span => !span.closest('a'))
+      : null;
+    return this._getText(captionSpan);
+  }
+
+  // Author and post ID from the container's permalink (the timestamp link); null if it has none
+  _getContainerPost(container) {
+    const link = container.querySelector(SELECTORS.THREADS.POST_LINK);
+    const match = link ? link.getAttribute('href').match(/\/@([^/]+)\/post\/([^/?#]+)/) : null;
+    return match ? { author: match[1], postId: match[2] } : null;
+  }
+
+  // Metadata of any post on the page, for replies and profile posts
+  _getContainerMetadata(container) {
+    const post = this._getContainerPost(container);
+    return {
+      author: post ? post.author : '',
+      postId: post ? post.postId : '',
+      caption: this._getCaption(container),
+      postUrl: post ? `${window.location.origin}/@${post.author}/post/${post.postId}` : '',
+      postedAt: this._getPostedAt(container)
+    };
+  }
+
+  // Top-level post containers in page order; a quoted post renders a container inside its post's
+  getPostContainers() {
+    return Array.from(document.querySelectorAll(SELECTORS.THREADS.CONTAINER))
+      .filter(container => !container.parentElement || !container.parentElement.closest(SELECTORS.THREADS.CONTAINER));
+  }
+
+  describePostContainer(container) {
+    const { author, caption } = this._getContainerMetadata(container);
+    return { author, caption };
+  }
+
+  getProfileInfo() {
+    const username = window.location.pathname.match(/^\/@([^/?#]+)/)?.[1] || '';
+    return { platform: this.platformName, username };
+  }
+
+  /**
+   * Walks the profile's post containers as the feed loads more, one post per post ID.
+   * Reposts of other accounts' posts are left out.
+   */
+  async extractProfile(options, onPost) {
+    log(`=== Starting Threads profile extraction (${JSON.stringify(options)}) ===`);
+    const { username } = this.getProfileInfo();
+    const seen = new Set();
+
+    return this._walkProfile(options, onPost, {
+      readPosts: () => this.getPostContainers().filter(container => {
+        const post = this._getContainerPost(container);
+        if (!post || seen.has(post.postId) || post.author.toLowerCase() !== username.toLowerCase()) return false;
+        seen.add(post.postId);
+        return true;
+      }),
+      resolvePost: async container => ({
+        time: Date.parse(this._getPostedAt(container)),
+        pinned: !!container.querySelector(SELECTORS.THREADS.PINNED_ICON),
+        items: await this.extractPostContainer(container)
+      })
+    });
+  }
+
+  async extractPostContainer(container) {
+    const metadata = this._getContainerMetadata(container);
+    return this._extractContainerMedia(container).map(item => ({ ...metadata, ...item }));
+  }
+
+  /**
+   * Media of the replies below the target post, each reply's items attributed to the
+   * reply's own author and post ID. Indices continue after the post's own media.
+   */
+  _extractReplies(targetContainer, firstIndex) {
+    const replies = this.getPostContainers().filter(container =>
+      container !== targetContainer
+      && !targetContainer.contains(container)
+      && targetContainer.compareDocumentPosition(container) & Node.DOCUMENT_POSITION_FOLLOWING
+    );
+    log(`Including ${replies.length} replies`);
+
+    const mediaData = [];
+    replies.forEach(reply => {
+      const metadata = this._getContainerMetadata(reply);
+      this._extractContainerMedia(reply).forEach(item => {
+        mediaData.push({ ...metadata, ...item, index: firstIndex + mediaData.length + 1 });
+      });
+    });
+    return mediaData;
+  }
+
   extractImages() {
     log('=== Starting Threads image extraction ===');
 
@@ -314,9 +768,20 @@ class ThreadsPlatform extends BasePlatform {
       return [];
     }
 
-    const allImgs = firstContainer.querySelectorAll(SELECTORS.THREADS.IMAGES);
-    const pictureImgs = firstContainer.querySelectorAll(SELECTORS.THREADS.PICTURE_IMAGES);
-    const videos = firstContainer.querySelectorAll(SELECTORS.THREADS.VIDEOS);
+    const mediaData = this._extractContainerMedia(firstContainer);
+    if (THREADS_CONFIG.INCLUDE_REPLIES) {
+      mediaData.push(...this._extractReplies(firstContainer, mediaData.length));
+    }
+
+    log('Extracted media information:', mediaData);
+    return mediaData;
+  }
+
+  // Images and videos of one post container
+  _extractContainerMedia(container) {
+    const allImgs = container.querySelectorAll(SELECTORS.THREADS.IMAGES);
+    const pictureImgs = container.querySelectorAll(SELECTORS.THREADS.PICTURE_IMAGES);
+    const videos = container.querySelectorAll(SELECTORS.THREADS.VIDEOS);
 
     log(`Found ${allImgs.length} total imgs (${pictureImgs.length} in <picture>), ${videos.length} videos`);
 
@@ -363,7 +828,6 @@ class ThreadsPlatform extends BasePlatform {
       });
     }
 
-    log('Extracted media information:', mediaData);
     return mediaData;
   }
 }
@@ -383,17 +847,30 @@ class InstagramPlatform extends BasePlatform {
     log('=== Starting Instagram image extraction ===');
     await wait(CAROUSEL.INSTAGRAM.INITIAL_WAIT);
 
+    if (this._getStoryInfo()) {
+      return this._extractStory();
+    }
+
     const mainElement = document.querySelector(SELECTORS.INSTAGRAM.MAIN_ELEMENT);
     if (!mainElement) {
       log('No <main> element found. Cannot extract images.');
       return [];
     }
 
-    const isCarousel = !!mainElement.querySelector(SELECTORS.INSTAGRAM.CAROUSEL_INDICATOR);
+    return this._extractFromPostElement(mainElement);
+  }
+
+  /**
+   * Reads the post rendered in `root` (the page's <main>, a feed article or the post dialog
+   * of a profile grid): clicks through carousels, finds videos in the performance entries.
+   * `collectedStreams` holds videos already taken by earlier posts, which are skipped.
+   */
+  async _extractFromPostElement(root, collectedStreams = { urls: new Set(), assetIds: new Set() }) {
+    const isCarousel = !!root.querySelector(SELECTORS.INSTAGRAM.CAROUSEL_INDICATOR);
 
     if (isCarousel) {
       log('Carousel post detected (<ul> found).');
-      const postMedia = await this._navigateCarousel(mainElement);
+      const postMedia = await this._navigateCarousel(root, collectedStreams);
 
       const mediaData = [];
       postMedia.forEach((item, index) => {
@@ -404,6 +881,7 @@ class InstagramPlatform extends BasePlatform {
             alt: 'Video',
             thumbnailUrl: item.thumbnailUrl || '',
             fullSizeUrl: item.src,
+            audioUrl: item.audioUrl,
             maxWidth: 0,
             mediaType: 'video'
           });
@@ -418,17 +896,21 @@ class InstagramPlatform extends BasePlatform {
 
     log('Single media post detected (no <ul> found).');
 
-    const singleVideo = mainElement.querySelector('video');
+    const singleVideo = root.querySelector('video');
     if (singleVideo) {
       log('Single video post detected.');
-      const videoUrl = await this._extractSingleVideoUrl(singleVideo);
-      if (videoUrl) {
+      const streams = await this._extractSingleVideo(singleVideo, collectedStreams);
+      if (streams) {
+        collectedStreams.urls.add(streams.videoUrl);
+        if (streams.audioUrl) collectedStreams.urls.add(streams.audioUrl);
+        if (streams.assetId) collectedStreams.assetIds.add(streams.assetId);
         const thumbnailUrl = singleVideo.closest('[data-instancekey]')?.querySelector('img[referrerpolicy]')?.src || '';
         return [{
           index: 1,
           alt: 'Video',
           thumbnailUrl,
-          fullSizeUrl: videoUrl,
+          fullSizeUrl: streams.videoUrl,
+          audioUrl: streams.audioUrl,
           maxWidth: 0,
           mediaType: 'video'
         }];
@@ -437,7 +919,7 @@ class InstagramPlatform extends BasePlatform {
       return [];
     }
 
-    let mainPostImages = this._extractSingleImage(mainElement);
+    let mainPostImages = this._extractSingleImage(root);
 
     log('filter before:', mainPostImages.length);
     log(mainPostImages);
@@ -465,97 +947,456 @@ class InstagramPlatform extends BasePlatform {
     return imageData;
   }
 
-  _findBoundaryElement() {
-    const allDivs = document.querySelectorAll(SELECTORS.INSTAGRAM.BOUNDARY_ELEMENTS);
-    for (const el of allDivs) {
-      if (el.textContent.trim().startsWith('More posts from')) {
-        log('Found boundary element:', el);
-        return el;
-      }
+  getPostMetadata() {
+    const story = this._getStoryInfo();
+    if (story) {
+      const viewer = document.querySelector(SELECTORS.INSTAGRAM.STORY_VIEWER);
+      return {
+        author: story.author || this._getStoryAuthor(viewer),
+        postId: story.postId,
+        caption: '',
+        postUrl: this._getPostUrl(),
+        postedAt: this._getPostedAt(viewer)
+      };
     }
-    return null;
+
+    const pathname = window.location.pathname;
+    const match = pathname.match(/^\/(?:([^/]+)\/)?(?:p|reel)\/([^/?#]+)/);
+    const mainElement = document.querySelector(SELECTORS.INSTAGRAM.MAIN_ELEMENT);
+
+    let author = match && match[1] ? match[1] : '';
+    if (!author && mainElement) {
+      const profileLink = mainElement.querySelector(SELECTORS.INSTAGRAM.AUTHOR_LINK);
+      author = profileLink ? profileLink.getAttribute('href').split('/').filter(Boolean)[0] || '' : '';
+    }
+
+    return {
+      author,
+      postId: match ? match[2] : '',
+      caption: this._getText(mainElement?.querySelector(SELECTORS.INSTAGRAM.CAPTION)),
+      postUrl: this._getPostUrl(),
+      postedAt: this._getPostedAt(mainElement)
+    };
   }
 
-  _extractSingleImage(container) {
-    log('Extracting single image...');
-    const postImages = container.querySelectorAll(SELECTORS.INSTAGRAM.POST_IMAGES);
-    return Array.from(postImages).filter(img =>
-      img.naturalWidth > IMAGE_FILTERS.MIN_WIDTH && img.naturalHeight > IMAGE_FILTERS.MIN_HEIGHT
-    );
+  getProfileInfo() {
+    const [username = '', tab] = window.location.pathname.split('/').filter(Boolean);
+    const info = { platform: this.platformName, username };
+    if (tab) info.tab = tab === 'reels' ? 'Reels' : 'Tagged';
+    return info;
   }
 
-  async _navigateCarousel(container) {
-    log('Starting carousel navigation with user-defined rule-based logic and fixed wait...');
-    const mediaMap = new Map();
-    const collectedVideoUrls = new Set();
-    const collectedVideoAssetIds = new Set();
-    const processedVideoBlobUrls = new Set();
+  /**
+   * Story and highlight pages: `reelId` names the reel being watched (the username, or the
+   * highlight ID), `postId` the item shown. Highlight URLs do not change from item to item,
+   * so their items share the highlight ID. Returns null on other pages.
+   * @returns {{ reelId: string, author: string, postId: string }|null}
+   */
+  _getStoryInfo() {
+    const pathname = window.location.pathname;
+    const highlight = pathname.match(/^\/stories\/highlights\/(\d+)/);
+    if (highlight) {
+      return { reelId: `highlight:${highlight[1]}`, author: '', postId: highlight[1] };
+    }
+    const story = pathname.match(/^\/stories\/([^/]+)\/(\d+)/);
+    return story ? { reelId: story[1], author: story[1], postId: story[2] } : null;
+  }
+
+  // First link in the viewer that points at a profile (highlight URLs carry no username)
+  _getStoryAuthor(viewer) {
+    const links = viewer ? Array.from(viewer.querySelectorAll('a[href^="/"]')) : [];
+    for (const link of links) {
+      const segments = link.getAttribute('href').split('/').filter(Boolean);
+      if (segments.length === 1 && segments[0] !== 'stories') return segments[0];
+    }
+    return '';
+  }
+
+  /**
+   * Story and highlight pages: the item on screen, or with INSTAGRAM_CONFIG.STORY_ALL_ITEMS
+   * every item of the reel, clicking Next until the viewer moves on to another reel, leaves
+   * the stories, shows an item twice or CAROUSEL.INSTAGRAM.MAX_ATTEMPTS is reached. Items
+   * carry their own postedAt, which the {postedDate} and {postedTimestamp} tokens use.
+   */
+  async _extractStory() {
+    const { reelId } = this._getStoryInfo();
+    const collectedStreams = { urls: new Set(), assetIds: new Set() };
+    const seen = new Set();
+    const items = [];
     let navigationCount = 0;
 
-    const getTranslateXFromString = (element) => {
-      if (!element || !element.style || !element.style.transform) return null;
-      const transform = element.style.transform;
-      const match = transform.match(/translateX\(([^p]+)px\)/);
-      if (match && match[1]) {
-        return parseFloat(match[1]);
+    log(`Story page detected (${reelId}), ${INSTAGRAM_CONFIG.STORY_ALL_ITEMS ? 'all items' : 'current item only'}.`);
+
+    while (navigationCount <= CAROUSEL.INSTAGRAM.MAX_ATTEMPTS) {
+      const item = await this._readStoryItem(collectedStreams);
+      if (!item) {
+        log('No story media found on screen.');
+        break;
       }
-      return null;
-    };
+      if (seen.has(item.fullSizeUrl)) {
+        log('Story item already collected, stopping.');
+        break;
+      }
+      seen.add(item.fullSizeUrl);
+      items.push({ ...item, index: items.length + 1 });
 
-    const getVideoMeta = (url) => {
-      try {
-        const efg = new URL(url).searchParams.get('efg');
-        if (!efg) return null;
-        // efg uses URL-safe base64 (- and _ instead of + and /)
-        const standardBase64 = efg.replace(/-/g, '+').replace(/_/g, '/');
-        const decoded = JSON.parse(atob(standardBase64));
-        return {
-          assetId: decoded.xpv_asset_id ? String(decoded.xpv_asset_id) : null,
-          isCarouselItem: typeof decoded.vencodeTag === 'string' && decoded.vencodeTag.includes('carousel_item')
-        };
-      } catch {
-        return null;
+      if (!INSTAGRAM_CONFIG.STORY_ALL_ITEMS) break;
+
+      const nextButton = this._findStoryNextButton();
+      if (!nextButton) {
+        log('Story navigation finished: No "Next" button found.');
+        break;
       }
-    };
+      nextButton.click();
+      navigationCount++;
+      await wait(CAROUSEL.INSTAGRAM.WAIT_TIME);
 
-    const getNewVideoUrl = () => {
-      const entries = performance.getEntriesByType('resource');
-      for (const entry of entries) {
-        if (!entry.name.includes('.mp4')) continue;
-        const isCdnUrl = entry.name.includes('fbcdn.net') || entry.name.includes('cdninstagram.com');
-        if (!isCdnUrl) continue;
-        const cleanUrl = this._cleanVideoUrl(entry.name);
-        if (collectedVideoUrls.has(cleanUrl)) continue;
-        const meta = getVideoMeta(entry.name);
-        if (meta?.assetId && collectedVideoAssetIds.has(meta.assetId)) continue;
-        return cleanUrl;
+      const current = this._getStoryInfo();
+      if (!current || current.reelId !== reelId) {
+        log('Story navigation finished: the viewer moved past the reel.');
+        break;
       }
-      return null;
-    };
+    }
 
-    const collectCurrentlyVisibleMedia = async () => {
-      const ul = container.querySelector(SELECTORS.INSTAGRAM.UL_ELEMENT);
-      if (!ul) return;
+    log(`Story extraction complete. Found ${items.length} items.`);
+    return items;
+  }
 
-      const listItems = Array.from(ul.children).filter(li => li instanceof HTMLLIElement);
-      log('listItems: ', listItems);
+  // The story item on screen with its metadata; videos are found like carousel videos
+  async _readStoryItem(collectedStreams) {
+    const viewer = document.querySelector(SELECTORS.INSTAGRAM.STORY_VIEWER);
+    if (!viewer) return null;
+    const metadata = this.getPostMetadata();
+
+    const video = viewer.querySelector('video');
+    if (video) {
+      let streams = this._findVideoInPerformance(collectedStreams);
+      if (!streams) {
+        log('Story video: no URL found, triggering load and retrying...');
+        try {
+          const playPromise = video.play();
+          if (playPromise) playPromise.catch(() => {});
+        } catch {
+          // ignore autoplay restrictions
+        }
+        await wait(800);
+        streams = this._findVideoInPerformance(collectedStreams);
+      }
+      if (!streams) {
+        log('Story video detected but no video URL found in performance entries');
+        return null;
+      }
+      collectedStreams.urls.add(streams.videoUrl);
+      if (streams.audioUrl) collectedStreams.urls.add(streams.audioUrl);
+      if (streams.assetId) collectedStreams.assetIds.add(streams.assetId);
+      return {
+        ...metadata,
+        index: 1,
+        alt: 'Video',
+        thumbnailUrl: video.poster || '',
+        fullSizeUrl: streams.videoUrl,
+        audioUrl: streams.audioUrl,
+        maxWidth: 0,
+        mediaType: 'video'
+      };
+    }
 
-      if (listItems.length === 0) return;
+    // The story image is the widest one; the header also holds small profile pictures
+    const img = this._extractSingleImage(viewer)
+      .reduce((best, candidate) => (!best || candidate.naturalWidth > best.naturalWidth ? candidate : best), null);
+    return img ? { ...metadata, ...this.createImageData(img, 0), mediaType: 'image' } : null;
+  }
 
-      const zeroPxLi = listItems.find(li => getTranslateXFromString(li) === 0);
+  _findStoryNextButton() {
+    const match = document.querySelector(SELECTORS.INSTAGRAM.STORY_NEXT_BUTTON);
+    return match ? match.closest('button, [role="button"]') : null;
+  }
 
-      const insertMediaFromLi = async (_visibleLi) => {
-        const video = _visibleLi.querySelector('video');
-        if (video) {
-          if (video.src && processedVideoBlobUrls.has(video.src)) {
-            log('Video element already processed, skipping');
-            return;
+  /**
+   * Reads the grid's post links and looks each post up in the media info API, which
+   * returns every carousel slide with its timestamp. When the API fails, the post is
+   * opened from the grid and read from the page instead (see _visitPost()). Pinned posts
+   * sit at the top of the grid whatever their age. The Reels and Tagged tabs are walked
+   * the same way, except that reels and other video posts are opened and their MP4s read
+   * from the page's requests, like carousel videos and stories. Tagged posts, listed in the
+   * order they were tagged rather than posted, do not end the walk at the first post
+   * before `since`.
+   */
+  async extractProfile(options, onPost) {
+    log(`=== Starting Instagram profile extraction (${JSON.stringify(options)}) ===`);
+    const seen = new Set();
+    const { tab } = this.getProfileInfo();
+    const visitsVideos = tab === 'Reels' || tab === 'Tagged';
+    const collectedStreams = { urls: new Set(), assetIds: new Set() };
+
+    return this._walkProfile(options, onPost, {
+      readPosts: () => this._getGridLinks().filter(link => {
+        const shortcode = this._getShortcode(link.getAttribute('href'));
+        if (seen.has(shortcode)) return false;
+        seen.add(shortcode);
+        return true;
+      }),
+      resolvePost: async link => {
+        const shortcode = this._getShortcode(link.getAttribute('href'));
+        if (visitsVideos && link.getAttribute('href').includes('/reel/')) {
+          return this._visitPost(link, collectedStreams);
+        }
+        try {
+          const post = await this._fetchPostInfo(shortcode);
+          const items = this._parsePostInfo(post);
+          if (visitsVideos && items.some(item => item.mediaType === 'video')) {
+            return this._visitPost(link, collectedStreams);
           }
-          if (video.src) processedVideoBlobUrls.add(video.src);
+          return { time: post.taken_at * 1000, pinned: !!post.timeline_pinned_user_ids?.length, items };
+        } catch (error) {
+          logWarn(`Media info API failed for ${shortcode}, opening the post instead:`, error);
+          return this._visitPost(link, collectedStreams);
+        }
+      },
+      postDelay: PROFILE.POST_DELAY,
+      ordered: tab !== 'Tagged'
+    });
+  }
 
-          let videoUrl = getNewVideoUrl();
-          if (!videoUrl) {
-            log('Video detected but no URL found, triggering load and retrying...');
+  // Links of the posts and reels currently rendered in the grid, one per shortcode, in grid order
+  _getGridLinks() {
+    const links = new Map();
+    document.querySelectorAll(SELECTORS.INSTAGRAM.PROFILE_POST_LINKS).forEach(link => {
+      const shortcode = this._getShortcode(link.getAttribute('href'));
+      if (shortcode && !links.has(shortcode)) links.set(shortcode, link);
+    });
+    return Array.from(links.values());
+  }
+
+  /**
+   * Opens a grid post in the post dialog, reads it the way extractImages() reads a post
+   * page and closes the dialog again. `collectedStreams` holds the videos of the posts
+   * opened before, so only the streams this post loaded are taken. Resolves with null when
+   * the dialog does not open.
+   */
+  async _visitPost(link, collectedStreams) {
+    const shortcode = this._getShortcode(link.getAttribute('href'));
+    const gridUrl = window.location.href;
+    link.click();
+
+    const dialog = await this._waitFor(() => document.querySelector(SELECTORS.INSTAGRAM.POST_DIALOG));
+    if (!dialog) {
+      logError(`Post ${shortcode} did not open`);
+      if (window.location.href !== gridUrl) history.back();
+      return null;
+    }
+
+    try {
+      const metadata = this._readPostElementMetadata(dialog, shortcode);
+      const items = await this._extractFromPostElement(dialog, collectedStreams);
+      return {
+        time: Date.parse(metadata.postedAt),
+        pinned: !!link.querySelector(SELECTORS.INSTAGRAM.PINNED_ICON),
+        items: items.map((item, i) => ({ mediaType: 'image', ...metadata, ...item, index: i + 1 }))
+      };
+    } finally {
+      if (window.location.href !== gridUrl) history.back();
+      await this._waitFor(() => !document.querySelector(SELECTORS.INSTAGRAM.POST_DIALOG));
+    }
+  }
+
+  // Details of a post rendered in `root` (a feed article or the post dialog)
+  _readPostElementMetadata(root, shortcode) {
+    return {
+      ...this.describePostContainer(root),
+      postId: shortcode,
+      postUrl: `${window.location.origin}/p/${shortcode}/`,
+      postedAt: this._getPostedAt(root)
+    };
+  }
+
+  getPostContainers() {
+    return Array.from(document.querySelectorAll(SELECTORS.INSTAGRAM.POST_ARTICLE));
+  }
+
+  /**
+   * Reads the whole post through the media info API like profile mode, so carousels are
+   * not clicked through; when the API fails, the post is read from the container itself.
+   */
+  async extractPostContainer(container) {
+    const link = container.querySelector(SELECTORS.INSTAGRAM.POST_PERMALINK);
+    const shortcode = (link && this._getShortcode(link.getAttribute('href'))) || this._getShortcode(window.location.pathname);
+    if (!shortcode) {
+      log('No post permalink in the container');
+      return [];
+    }
+    try {
+      return this._parsePostInfo(await this._fetchPostInfo(shortcode));
+    } catch (error) {
+      logWarn(`Media info API failed for ${shortcode}, reading the post on the page instead:`, error);
+      const metadata = this._readPostElementMetadata(container, shortcode);
+      const items = await this._extractFromPostElement(container);
+      return items.map((item, i) => ({ mediaType: 'image', ...metadata, ...item, index: i + 1 }));
+    }
+  }
+
+  describePostContainer(article) {
+    const authorLink = article.querySelector(SELECTORS.INSTAGRAM.AUTHOR_LINK);
+    return {
+      author: authorLink ? authorLink.getAttribute('href').split('/').filter(Boolean)[0] || '' : '',
+      caption: this._getText(article.querySelector(SELECTORS.INSTAGRAM.CAPTION))
+    };
+  }
+
+  // Post and reel links, profile grids included. Without the media info API nothing is
+  // returned, and the context menu reads the post rendered around the link instead.
+  async extractPostUrl(url) {
+    const shortcode = this._getShortcode(new URL(url, window.location.origin).pathname);
+    if (!shortcode) return [];
+    try {
+      return this._parsePostInfo(await this._fetchPostInfo(shortcode));
+    } catch (error) {
+      logWarn(`Media info API failed for ${shortcode}:`, error);
+      return [];
+    }
+  }
+
+  _getShortcode(path) {
+    return path.match(/\/(?:p|reel)\/([^/?#]+)/)?.[1] || null;
+  }
+
+  // Shortcodes are the media ID in base64url; longer ones (private posts) carry a suffix
+  _shortcodeToMediaId(shortcode) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    return Array.from(shortcode.slice(0, 11))
+      .reduce((id, char) => id * 64n + BigInt(alphabet.indexOf(char)), 0n)
+      .toString();
+  }
+
+  // The only caller of the media info API (see INSTAGRAM_MEDIA_INFO_API)
+  async _fetchPostInfo(shortcode) {
+    const path = INSTAGRAM_MEDIA_INFO_API.PATH.replace('{mediaId}', this._shortcodeToMediaId(shortcode));
+    const response = await fetch(`${window.location.origin}${path}`, {
+      credentials: 'include',
+      headers: { 'X-IG-App-ID': INSTAGRAM_MEDIA_INFO_API.APP_ID }
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    if (!data.items || !data.items[0]) {
+      throw new Error('Media info response has no items');
+    }
+    return data.items[0];
+  }
+
+  /**
+   * Media items for one media info API post: every carousel slide, images at their largest
+   * candidate. API videos are progressive MP4s with sound, so they have no audioUrl; each
+   * offered size is kept as a variant.
+   */
+  _parsePostInfo(post) {
+    const metadata = {
+      author: post.user?.username || '',
+      postId: post.code,
+      caption: post.caption?.text ? post.caption.text.replace(/\s+/g, ' ').trim() : '',
+      postUrl: `${window.location.origin}/p/${post.code}/`,
+      postedAt: post.taken_at ? new Date(post.taken_at * 1000).toISOString() : ''
+    };
+
+    const items = [];
+    (post.carousel_media || [post]).forEach(media => {
+      const candidates = media.image_versions2?.candidates || [];
+      const largest = candidates.reduce((best, candidate) => (!best || candidate.width > best.width ? candidate : best), null);
+      const smallest = candidates.reduce((best, candidate) => (!best || candidate.width < best.width ? candidate : best), null);
+      const index = items.length + 1;
+
+      if (media.video_versions && media.video_versions.length > 0) {
+        const variants = [];
+        media.video_versions.forEach(version => {
+          if (!variants.some(variant => variant.url === version.url)) {
+            variants.push({ url: version.url, bitrate: 0, width: version.width || 0, height: version.height || 0 });
+          }
+        });
+        items.push({
+          ...metadata,
+          index,
+          alt: 'Video',
+          thumbnailUrl: smallest ? smallest.url : '',
+          fullSizeUrl: selectVideoVariant(variants, 'highest').url,
+          audioUrl: null,
+          variants,
+          maxWidth: 0,
+          mediaType: 'video'
+        });
+      } else if (largest) {
+        items.push({
+          ...metadata,
+          index,
+          alt: media.accessibility_caption || 'Image',
+          thumbnailUrl: smallest.url,
+          fullSizeUrl: largest.url,
+          maxWidth: largest.width,
+          mediaType: 'image'
+        });
+      }
+    });
+    return items;
+  }
+
+  _findBoundaryElement() {
+    const allDivs = document.querySelectorAll(SELECTORS.INSTAGRAM.BOUNDARY_ELEMENTS);
+    for (const el of allDivs) {
+      if (el.textContent.trim().startsWith('More posts from')) {
+        log('Found boundary element:', el);
+        return el;
+      }
+    }
+    return null;
+  }
+
+  _extractSingleImage(container) {
+    log('Extracting single image...');
+    const postImages = container.querySelectorAll(SELECTORS.INSTAGRAM.POST_IMAGES);
+    return Array.from(postImages).filter(img =>
+      img.naturalWidth > IMAGE_FILTERS.MIN_WIDTH && img.naturalHeight > IMAGE_FILTERS.MIN_HEIGHT
+    );
+  }
+
+  async _navigateCarousel(container, collectedStreams = { urls: new Set(), assetIds: new Set() }) {
+    log('Starting carousel navigation with user-defined rule-based logic and fixed wait...');
+    const mediaMap = new Map();
+    const processedVideoBlobUrls = new Set();
+    let navigationCount = 0;
+
+    const getTranslateXFromString = (element) => {
+      if (!element || !element.style || !element.style.transform) return null;
+      const transform = element.style.transform;
+      const match = transform.match(/translateX\(([^p]+)px\)/);
+      if (match && match[1]) {
+        return parseFloat(match[1]);
+      }
+      return null;
+    };
+
+    const collectCurrentlyVisibleMedia = async () => {
+      const ul = container.querySelector(SELECTORS.INSTAGRAM.UL_ELEMENT);
+      if (!ul) return;
+
+      const listItems = Array.from(ul.children).filter(li => li instanceof HTMLLIElement);
+      log('listItems: ', listItems);
+
+      if (listItems.length === 0) return;
+
+      const zeroPxLi = listItems.find(li => getTranslateXFromString(li) === 0);
+
+      const insertMediaFromLi = async (_visibleLi) => {
+        const video = _visibleLi.querySelector('video');
+        if (video) {
+          if (video.src && processedVideoBlobUrls.has(video.src)) {
+            log('Video element already processed, skipping');
+            return;
+          }
+          if (video.src) processedVideoBlobUrls.add(video.src);
+
+          let streams = this._findVideoInPerformance(collectedStreams);
+          if (!streams) {
+            log('Video detected but no URL found, triggering load and retrying...');
             try {
               const playPromise = video.play();
               if (playPromise) playPromise.catch(() => {});
@@ -563,18 +1404,19 @@ class InstagramPlatform extends BasePlatform {
               // ignore autoplay restrictions
             }
             await wait(800);
-            videoUrl = getNewVideoUrl();
+            streams = this._findVideoInPerformance(collectedStreams);
           }
 
-          if (videoUrl) {
-            collectedVideoUrls.add(videoUrl);
-            const meta = getVideoMeta(videoUrl);
-            if (meta?.assetId) collectedVideoAssetIds.add(meta.assetId);
+          if (streams) {
+            const { videoUrl, audioUrl, assetId } = streams;
+            collectedStreams.urls.add(videoUrl);
+            if (audioUrl) collectedStreams.urls.add(audioUrl);
+            if (assetId) collectedStreams.assetIds.add(assetId);
             if (!mediaMap.has(videoUrl)) {
               const thumbnailImg = _visibleLi.querySelector('img[referrerpolicy]');
               const thumbnailUrl = thumbnailImg?.src || '';
-              log(`Found new video via performance API. Total: ${mediaMap.size + 1}`);
-              mediaMap.set(videoUrl, { mediaType: 'video', src: videoUrl, thumbnailUrl });
+              log(`Found new video via performance API${audioUrl ? ' with separate audio' : ''}. Total: ${mediaMap.size + 1}`);
+              mediaMap.set(videoUrl, { mediaType: 'video', src: videoUrl, audioUrl, thumbnailUrl });
             }
           } else {
             log('Video detected but no new video URL found in performance entries');
@@ -627,20 +1469,55 @@ class InstagramPlatform extends BasePlatform {
     return Array.from(mediaMap.values());
   }
 
-  _findVideoUrlInPerformance() {
-    const entries = performance.getEntriesByType('resource');
-    for (const entry of entries) {
-      if (!entry.name.includes('.mp4')) continue;
-      const isCdnUrl = entry.name.includes('fbcdn.net') || entry.name.includes('cdninstagram.com');
-      if (!isCdnUrl) continue;
-      return this._cleanVideoUrl(entry.name);
-    }
-    return null;
+  // Reads Meta's efg param: the asset ID, bitrate and whether this is a DASH (not progressive) or audio rendition
+  _getVideoMeta(url) {
+    const param = url.match(/[?&]efg=([^&#]+)/);
+    const efg = param ? decodeEfgParam(decodeURIComponent(param[1])) : null;
+    const tag = typeof efg?.vencode_tag === 'string' ? efg.vencode_tag : '';
+    return {
+      assetId: efg?.xpv_asset_id ? String(efg.xpv_asset_id) : null,
+      bitrate: efg?.bitrate || 0,
+      isDash: tag.includes('dash') && !tag.includes('progressive'),
+      isAudio: tag.includes('audio')
+    };
+  }
+
+  /**
+   * Finds the next video in the page's resource timing entries. DASH renditions are
+   * video-only or audio-only MP4s, so a DASH video is paired with the audio entry fetched
+   * closest to it (audio efg carries no asset ID); progressive MP4s already contain audio.
+   * @param {{ urls: Set<string>, assetIds: Set<string> }} [collected] Streams to skip
+   * @returns {{ videoUrl: string, audioUrl: string|null, assetId: string|null }|null}
+   */
+  _findVideoInPerformance(collected = { urls: new Set(), assetIds: new Set() }) {
+    const entries = performance.getEntriesByType('resource')
+      .filter(entry => entry.name.includes('.mp4') &&
+        (entry.name.includes('fbcdn.net') || entry.name.includes('cdninstagram.com')))
+      .map(entry => ({ url: this._cleanVideoUrl(entry.name), startTime: entry.startTime || 0, ...this._getVideoMeta(entry.name) }))
+      .filter(entry => !collected.urls.has(entry.url));
+
+    const first = entries.find(entry => !entry.isAudio && !(entry.assetId && collected.assetIds.has(entry.assetId)));
+    if (!first) return null;
+
+    // Adaptive playback may have fetched several qualities of the same asset
+    const video = first.assetId
+      ? entries
+        .filter(entry => !entry.isAudio && entry.assetId === first.assetId)
+        .reduce((best, entry) => (entry.bitrate > best.bitrate ? entry : best))
+      : first;
+
+    const audio = video.isDash
+      ? entries
+        .filter(entry => entry.isAudio)
+        .reduce((best, entry) => (!best || Math.abs(entry.startTime - first.startTime) < Math.abs(best.startTime - first.startTime) ? entry : best), null)
+      : null;
+
+    return { videoUrl: video.url, audioUrl: audio ? audio.url : null, assetId: video.assetId };
   }
 
-  async _extractSingleVideoUrl(videoElement) {
-    let videoUrl = this._findVideoUrlInPerformance();
-    if (!videoUrl) {
+  async _extractSingleVideo(videoElement, collectedStreams) {
+    let streams = this._findVideoInPerformance(collectedStreams);
+    if (!streams) {
       log('Single video: no URL found, triggering load and retrying...');
       try {
         const playPromise = videoElement.play();
@@ -649,9 +1526,9 @@ class InstagramPlatform extends BasePlatform {
         // ignore autoplay restrictions
       }
       await wait(800);
-      videoUrl = this._findVideoUrlInPerformance();
+      streams = this._findVideoInPerformance(collectedStreams);
     }
-    return videoUrl;
+    return streams;
   }
 
   _cleanVideoUrl(url) {
@@ -703,7 +1580,7 @@ class FacebookPlatform extends BasePlatform {
     const sendIncremental = () => {
       chrome.runtime.sendMessage({
         action: CONTENT_MESSAGES.IMAGES_APPEND,
-        images: [collectedMedia[collectedMedia.length - 1]]
+        images: [{ ...this.getPostMetadata(), ...collectedMedia[collectedMedia.length - 1] }]
       });
     };
 
@@ -784,13 +1661,15 @@ class FacebookPlatform extends BasePlatform {
       }
 
       try {
-        const videoUrl = await this._fetchVideoUrlFromBackground(videoId);
+        const { videoUrl, audioUrl, variants } = await this._fetchVideoFromBackground(videoId);
         collectedVideoIds.add(videoId);
         collectedMedia.push({
           index: collectedMedia.length + 1,
           alt: 'Video',
           thumbnailUrl: '',
           fullSizeUrl: videoUrl,
+          audioUrl,
+          variants,
           maxWidth: 0,
           mediaType: 'video'
         });
@@ -859,6 +1738,310 @@ class FacebookPlatform extends BasePlatform {
     return collectedMedia;
   }
 
+  getPostMetadata() {
+    const { pathname, search } = window.location;
+    const params = new URLSearchParams(search);
+
+    // Album photos share the `set` param (pcb.<postId> / a.<albumId>); fall back to the item's own ID
+    const setId = params.get('set')?.replace(/^[a-z]+\./, '');
+    const videoMatch = pathname.match(/^\/([^/]+)\/videos\/pcb\.(\d+)\//);
+    const ownId = params.get('fbid')
+      || pathname.match(/\/(?:photos|reel)\/(?:[^/]+\/)?(\d+)/)?.[1]
+      || '';
+
+    const pathAuthor = pathname.match(/^\/([^/]+)\/(?:photos|videos)\//)?.[1]
+      || pathname.match(/^\/([^/]+)\/photos_albums/)?.[1]
+      || '';
+    const sidebar = document.querySelector(SELECTORS.FACEBOOK.SIDEBAR);
+
+    return {
+      author: pathAuthor || this._getText(sidebar?.querySelector(SELECTORS.FACEBOOK.AUTHOR_NAME)),
+      postId: setId || videoMatch?.[2] || ownId,
+      caption: this._getText(sidebar?.querySelector(SELECTORS.FACEBOOK.CAPTION)),
+      postUrl: this._getPostUrl(),
+      // Facebook rarely renders <time>; the sidebar timestamp is a plain link
+      postedAt: this._getPostedAt(sidebar)
+    };
+  }
+
+  // Photo pages are identified by query params (/photo/?fbid=...&set=...)
+  _getPostUrl() {
+    const { origin, pathname, search } = window.location;
+    const params = new URLSearchParams(search);
+    const kept = new URLSearchParams();
+    ['fbid', 'set', 'v'].forEach(name => {
+      if (params.has(name)) kept.set(name, params.get(name));
+    });
+    const query = kept.toString();
+    return `${origin}${pathname}${query ? `?${query}` : ''}`;
+  }
+
+  _isAlbumPage() {
+    const { pathname, search } = window.location;
+    return (pathname.startsWith('/media/set') && /(?:^\?|&)set=a\./.test(search))
+      || this._isAlbumListPage();
+  }
+
+  _isAlbumListPage() {
+    return /^\/[^/]+\/photos_albums/.test(window.location.pathname);
+  }
+
+  /**
+   * Walks an album grid: reads the photo links rendered so far, scrolling for more, and
+   * fetches each photo's page for its full-size image. Photos are streamed to the popup
+   * like carousel slides, so the stop button ends the walk early. The carousel settings
+   * pace the walk (wait per slide) and cap it (max slides). A page's album list is walked
+   * album by album (see _walkAlbumList()).
+   */
+  async _extractAlbum() {
+    stopFbExtractionRequested = false;
+    fbCarouselActive = true;
+    chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.EXTRACTION_STARTED });
+
+    const collectedMedia = [];
+    const seen = new Set();
+
+    try {
+      if (this._isAlbumListPage()) {
+        await this._walkAlbumList(collectedMedia, seen);
+      } else {
+        await this._walkAlbumGrid(this.getPostMetadata(), collectedMedia, seen);
+      }
+
+      if (stopFbExtractionRequested) {
+        log('Extraction stopped by user');
+      }
+    } finally {
+      log(`Facebook album completed. Total photos collected: ${collectedMedia.length}`);
+      chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.EXTRACTION_COMPLETE });
+    }
+
+    return collectedMedia;
+  }
+
+  // Adds the photos of the album grid on the page to `collectedMedia`, skipping the fbids in `seen`
+  async _walkAlbumGrid(metadata, collectedMedia, seen) {
+    const maxPhotos = CAROUSEL.FACEBOOK.MAX_ATTEMPTS;
+    let idleScrolls = 0;
+
+    while (!stopFbExtractionRequested && collectedMedia.length < maxPhotos) {
+      const photos = this._getPhotoLinks(document.querySelector(SELECTORS.FACEBOOK.MAIN) || document).filter(photo => {
+        if (seen.has(photo.fbid)) return false;
+        seen.add(photo.fbid);
+        return true;
+      });
+
+      if (photos.length === 0) {
+        if (idleScrolls >= PROFILE.MAX_IDLE_SCROLLS) {
+          log('No more album photos load, stopping');
+          break;
+        }
+        idleScrolls++;
+        window.scrollTo(0, document.documentElement.scrollHeight);
+        await wait(PROFILE.SCROLL_WAIT);
+        continue;
+      }
+      idleScrolls = 0;
+
+      for (const photo of photos) {
+        if (stopFbExtractionRequested || collectedMedia.length >= maxPhotos) break;
+
+        const item = await this._fetchPhoto(photo, collectedMedia.length);
+        collectedMedia.push(item);
+        log(`✓ Collected album photo ${collectedMedia.length}: fbid=${photo.fbid}`);
+        chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.IMAGES_APPEND, images: [{ ...metadata, ...item }] });
+
+        await wait(CAROUSEL.FACEBOOK.WAIT_TIME);
+      }
+    }
+  }
+
+  /**
+   * A page's album list (/<page>/photos_albums) links to albums rather than photos. Each
+   * album is opened from the list, which Facebook does in place so the content script keeps
+   * running, its grid is walked like an album page, and history.back() returns to the list.
+   * Albums the list loads on scroll are opened the same way.
+   */
+  async _walkAlbumList(collectedMedia, seen) {
+    const listUrl = window.location.href;
+    const { author } = this.getPostMetadata();
+    const visited = new Set();
+    let idleScrolls = 0;
+
+    while (!stopFbExtractionRequested && collectedMedia.length < CAROUSEL.FACEBOOK.MAX_ATTEMPTS) {
+      const album = this._getAlbumLinks().find(candidate => !visited.has(candidate.albumId));
+      if (!album) {
+        if (idleScrolls >= PROFILE.MAX_IDLE_SCROLLS) {
+          log('No more albums load, stopping');
+          break;
+        }
+        idleScrolls++;
+        window.scrollTo(0, document.documentElement.scrollHeight);
+        await wait(PROFILE.SCROLL_WAIT);
+        continue;
+      }
+      idleScrolls = 0;
+      visited.add(album.albumId);
+
+      log(`Opening album ${album.albumId}`);
+      album.link.click();
+      const opened = await this._waitFor(() => new URLSearchParams(window.location.search).get('set') === `a.${album.albumId}`);
+      if (!opened) {
+        logError(`Album ${album.albumId} did not open`);
+        continue;
+      }
+
+      try {
+        const metadata = this.getPostMetadata();
+        await this._walkAlbumGrid({ ...metadata, author: metadata.author || author }, collectedMedia, seen);
+      } finally {
+        history.back();
+        await this._waitFor(() => window.location.href === listUrl);
+      }
+    }
+  }
+
+  // Album links of a page's album list, one per album, in page order
+  _getAlbumLinks() {
+    const albums = new Map();
+    (document.querySelector(SELECTORS.FACEBOOK.MAIN) || document).querySelectorAll(SELECTORS.FACEBOOK.ALBUM_LINKS).forEach(link => {
+      const albumId = new URL(link.getAttribute('href'), window.location.origin).searchParams.get('set')?.replace(/^a\./, '');
+      if (albumId && !albums.has(albumId)) albums.set(albumId, { albumId, link });
+    });
+    return Array.from(albums.values());
+  }
+
+  // Photo links under `root` in page order, as { fbid, url, alt, thumbnailUrl }
+  _getPhotoLinks(root) {
+    return Array.from(root.querySelectorAll(SELECTORS.FACEBOOK.PHOTO_LINKS))
+      .map(link => {
+        const url = new URL(link.getAttribute('href'), window.location.origin);
+        const img = link.querySelector('img');
+        return {
+          fbid: url.searchParams.get('fbid'),
+          url: url.href,
+          alt: img ? img.alt : '',
+          thumbnailUrl: img ? img.src : ''
+        };
+      })
+      .filter(photo => photo.fbid);
+  }
+
+  // Photo item with the full-size image from the photo's page, or the linked thumbnail if it has none
+  async _fetchPhoto(photo, index) {
+    let image = null;
+    try {
+      const response = await fetch(photo.url, { credentials: 'include' });
+      if (!response.ok) {
+        throw new Error(`Photo page request failed: ${response.status}`);
+      }
+      image = this._readViewerImage(await response.text(), photo.fbid);
+    } catch (error) {
+      logError(`Failed to read photo ${photo.fbid}:`, error);
+    }
+
+    if (!image) {
+      logWarn(`No full-size image for photo ${photo.fbid}, using the thumbnail`);
+    }
+
+    return {
+      index: index + 1,
+      alt: photo.alt,
+      thumbnailUrl: photo.thumbnailUrl,
+      fullSizeUrl: image ? image.uri : photo.thumbnailUrl,
+      maxWidth: image ? image.width || 0 : 0,
+      mediaType: 'image'
+    };
+  }
+
+  /**
+   * Photo pages embed the viewer's full-size image in their Relay data as
+   * "viewer_image":{"height":..,"width":..,"uri":".."}. Neighbouring photos are prefetched
+   * too, so the entry closest to the photo's own "id" wins.
+   * @returns {{ uri: string, width: number, height: number }|null}
+   */
+  _readViewerImage(html, fbid) {
+    const idPosition = html.indexOf(`"id":"${fbid}"`);
+    const pattern = /"viewer_image":(\{[^{}]*\})/g;
+    let best = null;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      const distance = idPosition === -1 ? 0 : Math.abs(match.index - idPosition);
+      if (best && distance >= best.distance) continue;
+      try {
+        const image = JSON.parse(match[1]);
+        if (image.uri) best = { image, distance };
+      } catch {
+        // Not plain JSON; try the next entry
+      }
+    }
+    return best ? best.image : null;
+  }
+
+  // Feed posts with photos or a linked video
+  getPostContainers() {
+    return Array.from(document.querySelectorAll(SELECTORS.FACEBOOK.FEED_POST))
+      .filter(post => post.querySelector(SELECTORS.FACEBOOK.PHOTO_LINKS) || this._getVideoIds(post).length > 0);
+  }
+
+  // Video IDs of the /videos/<id>, /reel/<id> and /watch/?v=<id> links in a post, deduplicated
+  _getVideoIds(root) {
+    const ids = Array.from(root.querySelectorAll(SELECTORS.FACEBOOK.VIDEO_LINKS)).map(link => {
+      const url = new URL(link.getAttribute('href'), window.location.origin);
+      const match = url.pathname.match(/\/(?:videos\/(?:pcb\.\d+\/)?|reel\/)(\d+)/);
+      return match ? match[1] : url.searchParams.get('v');
+    });
+    return [...new Set(ids.filter(id => id && /^\d+$/.test(id)))];
+  }
+
+  describePostContainer(post) {
+    return {
+      author: this._getText(post.querySelector(SELECTORS.FACEBOOK.AUTHOR_NAME)),
+      caption: this._getText(post.querySelector(SELECTORS.FACEBOOK.FEED_CAPTION))
+    };
+  }
+
+  // Each linked photo is read from its photo page like an album photo. Linked videos are
+  // looked up in the streams the background collected while they played in the feed.
+  async extractPostContainer(post) {
+    const photos = [...new Map(this._getPhotoLinks(post).map(photo => [photo.fbid, photo])).values()];
+    const videoIds = this._getVideoIds(post);
+    const setId = photos.length > 0 ? new URL(photos[0].url).searchParams.get('set')?.replace(/^[a-z]+\./, '') : '';
+    const permalink = post.querySelector(SELECTORS.FACEBOOK.POST_PERMALINK);
+    const { author, caption } = this.describePostContainer(post);
+    const metadata = {
+      author,
+      postId: setId || (photos.length > 0 ? photos[0].fbid : videoIds[0] || ''),
+      caption,
+      postUrl: permalink ? new URL(permalink.getAttribute('href'), window.location.origin).href.split('?')[0] : '',
+      postedAt: ''
+    };
+
+    const items = [];
+    for (const photo of photos) {
+      items.push({ ...metadata, ...await this._fetchPhoto(photo, items.length) });
+    }
+    for (const videoId of videoIds) {
+      try {
+        const { videoUrl, audioUrl, variants } = await this._fetchVideoFromBackground(videoId);
+        items.push({
+          ...metadata,
+          index: items.length + 1,
+          alt: 'Video',
+          thumbnailUrl: post.querySelector('video')?.poster || '',
+          fullSizeUrl: videoUrl,
+          audioUrl,
+          variants,
+          maxWidth: 0,
+          mediaType: 'video'
+        });
+      } catch (error) {
+        logError(`Failed to fetch feed video ${videoId}:`, error);
+      }
+    }
+    return items;
+  }
+
   _isFbVideoPage() {
     return /\/videos\/pcb\.\d+\/\d+/.test(window.location.pathname);
   }
@@ -868,7 +2051,8 @@ class FacebookPlatform extends BasePlatform {
     return match ? match[1] : null;
   }
 
-  async _fetchVideoUrlFromBackground(videoId) {
+  // Resolves with { videoUrl, audioUrl, variants } collected by the background's webRequest listener
+  async _fetchVideoFromBackground(videoId) {
     const query = () => new Promise((resolve) => {
       chrome.runtime.sendMessage(
         { action: 'fetchFbVideoUrl', videoId },
@@ -876,7 +2060,7 @@ class FacebookPlatform extends BasePlatform {
           if (chrome.runtime.lastError || !response?.success) {
             resolve(null);
           } else {
-            resolve(response.videoUrl);
+            resolve({ videoUrl: response.videoUrl, audioUrl: response.audioUrl || null, variants: response.variants || [] });
           }
         }
       );
@@ -884,8 +2068,8 @@ class FacebookPlatform extends BasePlatform {
 
     // The video MP4 request may not have been made yet. Retry up to 5 times.
     for (let attempt = 0; attempt < 5; attempt++) {
-      const url = await query();
-      if (url) return url;
+      const streams = await query();
+      if (streams) return streams;
       log(`Video URL not yet available for ${videoId}, waiting... (attempt ${attempt + 1}/5)`);
       await wait(1000);
     }
@@ -917,6 +2101,11 @@ class FacebookPlatform extends BasePlatform {
 
     await wait(CAROUSEL.FACEBOOK.INITIAL_WAIT);
 
+    if (this._isAlbumPage()) {
+      log('Facebook album page detected');
+      return this._extractAlbum();
+    }
+
     const isReelPage = window.location.pathname.includes('/reel/');
     if (isReelPage) {
       log('Facebook Reel page detected');
@@ -929,12 +2118,14 @@ class FacebookPlatform extends BasePlatform {
       const videoId = this._extractVideoIdFromUrl();
       if (videoId) {
         try {
-          const videoUrl = await this._fetchVideoUrlFromBackground(videoId);
+          const { videoUrl, audioUrl, variants } = await this._fetchVideoFromBackground(videoId);
           return [{
             index: 1,
             alt: 'Video',
             thumbnailUrl: '',
             fullSizeUrl: videoUrl,
+            audioUrl,
+            variants,
             maxWidth: 0,
             mediaType: 'video'
           }];
@@ -1015,14 +2206,16 @@ class FacebookPlatform extends BasePlatform {
       || document.querySelector('video[playsinline]');
     const poster = video ? (video.getAttribute('poster') || '') : '';
 
-    const videoUrl = this._extractVideoUrlFromDashManifest();
-    if (videoUrl) {
-      log(`✓ Found Reel video URL from DASH manifest: ${videoUrl.substring(0, 80)}`);
+    const streams = this._extractStreamsFromDashManifest();
+    if (streams) {
+      log(`✓ Found Reel video URL from DASH manifest: ${streams.videoUrl.substring(0, 80)}`);
       return [{
         index: 1,
         alt: 'Video',
         thumbnailUrl: poster,
-        fullSizeUrl: videoUrl,
+        fullSizeUrl: streams.videoUrl,
+        audioUrl: streams.audioUrl,
+        variants: streams.variants,
         maxWidth: 0,
         mediaType: 'video'
       }];
@@ -1032,7 +2225,13 @@ class FacebookPlatform extends BasePlatform {
     return [];
   }
 
-  _extractVideoUrlFromDashManifest() {
+  /**
+   * Reads the embedded DASH manifest. Its video representations carry no audio, so the
+   * best audio representation is returned alongside the best video one. All video
+   * representations are returned as `variants` for the popup's quality picker.
+   * @returns {{ videoUrl: string, audioUrl: string|null, variants: object[] }|null}
+   */
+  _extractStreamsFromDashManifest() {
     const scripts = document.querySelectorAll('script');
     for (const script of scripts) {
       const text = script.textContent || '';
@@ -1062,25 +2261,12 @@ class FacebookPlatform extends BasePlatform {
         .replace(/\\n/g, '\n')
         .replace(/\\u00253D/g, '%3D');
 
-      // Extract video BaseURLs using regex (XML parsing fails on unescaped & in URLs)
-      const videoSetMatch = raw.match(/<AdaptationSet[^>]*contentType="video"[^>]*>([\s\S]*?)<\/AdaptationSet>/);
-      if (!videoSetMatch) continue;
-
-      const videoSet = videoSetMatch[1];
-      const repRegex = /<Representation[^>]*bandwidth="(\d+)"[^>]*>[\s\S]*?<BaseURL>([^<]+)<\/BaseURL>/g;
-      let best = null;
-      let match;
-      while ((match = repRegex.exec(videoSet)) !== null) {
-        const bandwidth = parseInt(match[1]);
-        const url = match[2].replace(/&amp;/g, '&');
-        if (!best || bandwidth > best.bandwidth) {
-          best = { bandwidth, url };
-        }
-      }
-
-      if (best) {
-        log(`DASH manifest: found ${videoSet.match(/<Representation/g)?.length || 0} representations, picked bandwidth=${best.bandwidth}`);
-        return best.url;
+      const variants = this._readDashRepresentations(raw, 'video');
+      if (variants.length > 0) {
+        const video = selectVideoVariant(variants, 'highest');
+        const audio = selectVideoVariant(this._readDashRepresentations(raw, 'audio'), 'highest');
+        log(`DASH manifest: ${variants.length} video representations, picked bandwidth=${video.bitrate}${audio ? `, audio bandwidth=${audio.bitrate}` : ', no audio'}`);
+        return { videoUrl: video.url, audioUrl: audio ? audio.url : null, variants };
       }
     }
     return null;
@@ -1098,6 +2284,94 @@ class XPlatform extends BasePlatform {
     return window.location.hostname.includes(PLATFORM_HOSTNAMES[PLATFORMS.X]);
   }
 
+  getPostMetadata() {
+    const match = window.location.pathname.match(/^\/([^/]+)\/status\/(\d+)/);
+    const postId = match ? match[2] : '';
+
+    // The focal tweet is the article whose permalink matches the status ID
+    const articles = Array.from(document.querySelectorAll(SELECTORS.X.TWEET_ARTICLE));
+    const article = articles.find(a => postId && a.querySelector(`a[href*="/status/${postId}"]`)) || articles[0];
+
+    return {
+      author: match ? match[1] : '',
+      postId,
+      caption: this._getText(article?.querySelector(SELECTORS.X.TWEET_TEXT)),
+      // Drop the /photo/N and /video/N viewer suffixes
+      postUrl: match ? `${window.location.origin}/${match[1]}/status/${postId}` : this._getPostUrl(),
+      postedAt: this._getPostedAt(article)
+    };
+  }
+
+  getProfileInfo() {
+    const username = window.location.pathname.split('/').filter(Boolean)[0] || '';
+    return { platform: this.platformName, username };
+  }
+
+  /**
+   * Walks the media tab with the tweets x-fetch-interceptor.js read from the UserMedia
+   * responses; scrolling makes the page fetch the next page of the timeline.
+   */
+  async extractProfile(options, onPost) {
+    log(`=== Starting X media tab extraction (${JSON.stringify(options)}) ===`);
+    const { username } = this.getProfileInfo();
+    const reported = new Set();
+
+    // Tweets of the responses that arrived before the walk started; dispatchEvent is synchronous
+    document.dispatchEvent(new CustomEvent('__socialSnapRequestMediaTweets'));
+
+    return this._walkProfile(options, onPost, {
+      // Tweet IDs grow with time, so the longest and then largest ID is the newest
+      readPosts: () => Array.from(X_MEDIA_TWEETS.values())
+        .filter(tweet => !reported.has(tweet.tweetId) && tweet.author.toLowerCase() === username.toLowerCase())
+        .sort((a, b) => b.tweetId.length - a.tweetId.length || b.tweetId.localeCompare(a.tweetId))
+        .map(tweet => {
+          reported.add(tweet.tweetId);
+          return tweet;
+        }),
+      resolvePost: async tweet => ({ time: Date.parse(tweet.postedAt), pinned: false, items: this._toProfileItems(tweet) })
+    });
+  }
+
+  // Media items of one UserMedia tweet; photos are requested at the largest size
+  _toProfileItems(tweet) {
+    const metadata = {
+      author: tweet.author,
+      postId: tweet.tweetId,
+      caption: tweet.caption.replace(/\s+/g, ' ').trim(),
+      postUrl: `${window.location.origin}/${tweet.author}/status/${tweet.tweetId}`,
+      postedAt: tweet.postedAt
+    };
+
+    return tweet.media.map((media, i) => {
+      if (media.type === 'photo') {
+        const base = media.url.replace(/\.(\w+)$/, '');
+        const format = media.url.match(/\.(\w+)$/)?.[1] || 'jpg';
+        return {
+          ...metadata,
+          index: i + 1,
+          alt: media.alt || 'Image',
+          thumbnailUrl: `${base}?format=${format}&name=small`,
+          fullSizeUrl: `${base}?format=${format}&name=4096x4096`,
+          isHLS: false,
+          variants: [],
+          maxWidth: media.width,
+          mediaType: 'image'
+        };
+      }
+      return {
+        ...metadata,
+        index: i + 1,
+        alt: media.type === 'animated_gif' ? 'GIF' : 'Video',
+        thumbnailUrl: media.thumbnailUrl,
+        fullSizeUrl: media.fullSizeUrl,
+        isHLS: media.isHLS,
+        variants: media.variants,
+        maxWidth: 0,
+        mediaType: 'video'
+      };
+    });
+  }
+
   async extractImages() {
     log('=== Starting X.com image extraction ===');
 
@@ -1212,6 +2486,7 @@ class XPlatform extends BasePlatform {
           thumbnailUrl: item.thumbnailUrl,
           fullSizeUrl: item.fullSizeUrl,
           isHLS: item.isHLS || false,
+          variants: item.variants || [],
           maxWidth: 0,
           mediaType: 'video'
         });
@@ -1350,6 +2625,7 @@ class XPlatform extends BasePlatform {
             thumbnailUrl: poster || '',
             fullSizeUrl: intercepted.fullSizeUrl,
             isHLS: intercepted.isHLS || false,
+            variants: intercepted.variants,
             videoId,
             videoElement: video
           });
@@ -1364,6 +2640,7 @@ class XPlatform extends BasePlatform {
               thumbnailUrl: poster,
               fullSizeUrl: thumbMatch.fullSizeUrl,
               isHLS: thumbMatch.isHLS || false,
+              variants: thumbMatch.variants,
               videoId: thumbMatch.videoId,
               videoElement: video
             });
@@ -1483,7 +2760,68 @@ class XPlatform extends BasePlatform {
     return orderedMedia;
   }
 
-  _findCachedVideoByThumbnail(posterUrl) {
+  // Tweets with photos or a video, timelines included
+  getPostContainers() {
+    return Array.from(document.querySelectorAll(SELECTORS.X.TWEET_ARTICLE))
+      .filter(article => article.querySelector(SELECTORS.X.TWEET_MEDIA));
+  }
+
+  async extractPostContainer(article) {
+    const permalink = this._getTweetPermalink(article);
+    if (!permalink) {
+      log('No tweet permalink in the article');
+      return [];
+    }
+
+    const { author, postId, postUrl } = permalink;
+    const metadata = {
+      author,
+      postId,
+      caption: this._getText(article.querySelector(SELECTORS.X.TWEET_TEXT)),
+      postUrl,
+      postedAt: this._getPostedAt(article)
+    };
+
+    // dispatchEvent is synchronous, so X_VIDEO_CACHE holds every stream seen so far
+    document.dispatchEvent(new CustomEvent('__socialSnapRequestVideos'));
+
+    const items = [];
+    article.querySelectorAll(SELECTORS.X.TWEET_PHOTOS).forEach(img => {
+      items.push({ ...this.createImageData(img, items.length), mediaType: 'image' });
+    });
+    article.querySelectorAll('video').forEach(video => {
+      items.push({ ...this._resolveTweetVideo(video, postUrl), index: items.length + 1 });
+    });
+    return items.map(item => ({ ...metadata, ...item }));
+  }
+
+  describePostContainer(article) {
+    const permalink = this._getTweetPermalink(article);
+    return {
+      author: permalink ? permalink.author : '',
+      caption: this._getText(article.querySelector(SELECTORS.X.TWEET_TEXT))
+    };
+  }
+
+  // Videos are resolved like the ones of their tweet; images use the shared twimg upgrade
+  async extractMediaElement(element) {
+    if (element.tagName !== 'VIDEO') {
+      return super.extractMediaElement(element);
+    }
+
+    const permalink = this._getTweetPermalink(element.closest(SELECTORS.X.TWEET_ARTICLE));
+    document.dispatchEvent(new CustomEvent('__socialSnapRequestVideos'));
+    return { ...this._resolveTweetVideo(element, permalink ? permalink.postUrl : this._getTweetUrl()), index: 1 };
+  }
+
+  // The permalink wraps the tweet's <time>
+  _getTweetPermalink(article) {
+    const match = article?.querySelector('time')?.closest('a')?.getAttribute('href').match(/^\/([^/]+)\/status\/(\d+)/);
+    if (!match) return null;
+    return { author: match[1], postId: match[2], postUrl: `${window.location.origin}/${match[1]}/status/${match[2]}` };
+  }
+
+  _findCachedVideoByThumbnail(posterUrl) {
     if (!posterUrl) return null;
     for (const [id, data] of X_VIDEO_CACHE) {
       if (data.thumbnailUrl === posterUrl) {
@@ -1545,89 +2883,98 @@ class XPlatform extends BasePlatform {
     for (const article of articles) {
       const video = article.querySelector('video[poster]');
       if (!video) continue;
+      return [this._resolveTweetVideo(video, this._getTweetUrl())];
+    }
 
-      const poster = video.getAttribute('poster');
-      const idMatch = (poster || '').match(/(?:amplify_video_thumb|ext_tw_video_thumb|tweet_video_thumb)\/([^/]+)\//);
-      const videoId = idMatch ? idMatch[1] : null;
-
-      log(`Tweet page video found: videoId=${videoId}, poster=${poster?.substring(0, 80)}`);
-
-      // GIF detection: video elements with direct src containing tweet_video are GIFs
-      const videoSrc = video.getAttribute('src') || '';
-      const isGif = videoSrc.includes('tweet_video/');
-      if (isGif) {
-        log(`✓ Detected GIF with direct MP4 src: ${videoSrc}`);
-        return [{
-          index: 1,
-          alt: 'GIF',
-          thumbnailUrl: poster || '',
-          fullSizeUrl: videoSrc,
-          isHLS: false,
-          maxWidth: 0,
-          mediaType: 'video'
-        }];
-      }
+    log('No video found in tweet articles');
+    return [];
+  }
 
-      const intercepted = videoId ? X_VIDEO_CACHE.get(videoId) : null;
-      if (intercepted) {
-        log(`✓ Got video URL from cache: isHLS=${intercepted.isHLS}`);
-        return [{
-          index: 1,
-          alt: 'Video',
-          thumbnailUrl: poster || '',
-          fullSizeUrl: intercepted.fullSizeUrl,
-          isHLS: intercepted.isHLS || false,
-          maxWidth: 0,
-          mediaType: 'video'
-        }];
-      }
+  /**
+   * Video item for a tweet's <video>: the GIF's direct MP4, the intercepted stream, or the
+   * playlist seen in performance entries. Falls back to `tweetUrl` (for yt-dlp) when the
+   * stream is unknown.
+   */
+  _resolveTweetVideo(video, tweetUrl) {
+    const poster = video.getAttribute('poster');
+    const idMatch = (poster || '').match(/(?:amplify_video_thumb|ext_tw_video_thumb|tweet_video_thumb)\/([^/]+)\//);
+    const videoId = idMatch ? idMatch[1] : null;
+
+    log(`Tweet video found: videoId=${videoId}, poster=${poster?.substring(0, 80)}`);
+
+    // GIF detection: video elements with direct src containing tweet_video are GIFs
+    const videoSrc = video.getAttribute('src') || '';
+    const isGif = videoSrc.includes('tweet_video/');
+    if (isGif) {
+      log(`✓ Detected GIF with direct MP4 src: ${videoSrc}`);
+      return {
+        index: 1,
+        alt: 'GIF',
+        thumbnailUrl: poster || '',
+        fullSizeUrl: videoSrc,
+        isHLS: false,
+        maxWidth: 0,
+        mediaType: 'video'
+      };
+    }
 
-      // Fallback: poster uses /media/ path without video ID. Match by thumbnail URL.
-      if (!videoId && poster) {
-        const thumbMatch = this._findCachedVideoByThumbnail(poster);
-        if (thumbMatch) {
-          log(`✓ Got video URL from cache via thumbnail match: videoId=${thumbMatch.videoId}, isHLS=${thumbMatch.isHLS}`);
-          return [{
-            index: 1,
-            alt: 'Video',
-            thumbnailUrl: poster,
-            fullSizeUrl: thumbMatch.fullSizeUrl,
-            isHLS: thumbMatch.isHLS || false,
-            maxWidth: 0,
-            mediaType: 'video'
-          }];
-        }
-      }
+    const intercepted = videoId ? X_VIDEO_CACHE.get(videoId) : null;
+    if (intercepted) {
+      log(`✓ Got video URL from cache: isHLS=${intercepted.isHLS}`);
+      return {
+        index: 1,
+        alt: 'Video',
+        thumbnailUrl: poster || '',
+        fullSizeUrl: intercepted.fullSizeUrl,
+        isHLS: intercepted.isHLS || false,
+        variants: intercepted.variants || [],
+        maxWidth: 0,
+        mediaType: 'video'
+      };
+    }
 
-      const perfFallback = videoId ? this._findXVideoUrlFromPerformance(videoId) : null;
-      if (perfFallback) {
-        log('Got video URL from performance entries');
-        return [{
+    // Fallback: poster uses /media/ path without video ID. Match by thumbnail URL.
+    if (!videoId && poster) {
+      const thumbMatch = this._findCachedVideoByThumbnail(poster);
+      if (thumbMatch) {
+        log(`✓ Got video URL from cache via thumbnail match: videoId=${thumbMatch.videoId}, isHLS=${thumbMatch.isHLS}`);
+        return {
           index: 1,
           alt: 'Video',
-          thumbnailUrl: poster || '',
-          fullSizeUrl: perfFallback.fullSizeUrl,
-          isHLS: true,
+          thumbnailUrl: poster,
+          fullSizeUrl: thumbMatch.fullSizeUrl,
+          isHLS: thumbMatch.isHLS || false,
+          variants: thumbMatch.variants || [],
           maxWidth: 0,
           mediaType: 'video'
-        }];
+        };
       }
+    }
 
-      const tweetUrl = this._getTweetUrl();
-      log(`Video URL not found, using tweet URL fallback: ${tweetUrl}`);
-      return [{
+    const perfFallback = videoId ? this._findXVideoUrlFromPerformance(videoId) : null;
+    if (perfFallback) {
+      log('Got video URL from performance entries');
+      return {
         index: 1,
         alt: 'Video',
         thumbnailUrl: poster || '',
-        fullSizeUrl: tweetUrl,
+        fullSizeUrl: perfFallback.fullSizeUrl,
         isHLS: true,
         maxWidth: 0,
         mediaType: 'video'
-      }];
+      };
     }
 
-    log('No video found in tweet articles');
-    return [];
+    log(`Video URL not found, using tweet URL fallback: ${tweetUrl}`);
+    return {
+      index: 1,
+      alt: 'Video',
+      thumbnailUrl: poster || '',
+      fullSizeUrl: tweetUrl,
+      isHLS: true,
+      maxWidth: 0,
+      mediaType: 'video'
+    };
   }
 
   _findBoundaryElement() {
@@ -1655,16 +3002,576 @@ class XPlatform extends BasePlatform {
   }
 }
 
+// === BLUESKY PLATFORM ===
+class BlueskyPlatform extends BasePlatform {
+  constructor() {
+    super();
+    this.platformName = PLATFORMS.BLUESKY;
+  }
+
+  isCurrentPlatform() {
+    return window.location.hostname.includes(PLATFORM_HOSTNAMES[PLATFORMS.BLUESKY]);
+  }
+
+  /**
+   * Reads the post from the public API rather than the page, which only shows the
+   * feed_thumbnail image variants and plays videos from blob: URLs. The API returns the
+   * feed_fullsize images and the video's HLS playlist, which the background remuxes to MP4.
+   */
+  async extractImages() {
+    log('=== Starting Bluesky extraction ===');
+    const ref = this._getPostRef(window.location.pathname);
+    if (!ref) {
+      log('No post reference in the URL');
+      return [];
+    }
+    const items = this._parsePost(await this._fetchPost(ref));
+    log('Extracted Bluesky media information:', items);
+    return items;
+  }
+
+  getPostMetadata() {
+    const ref = this._getPostRef(window.location.pathname);
+    return {
+      author: ref ? ref.actor : '',
+      postId: ref ? ref.rkey : '',
+      caption: '',
+      postUrl: this._getPostUrl(),
+      postedAt: ''
+    };
+  }
+
+  // Feed and thread posts with images or a video
+  getPostContainers() {
+    return Array.from(document.querySelectorAll(SELECTORS.BLUESKY.POST_CONTAINER))
+      .filter(post => post.querySelector(SELECTORS.BLUESKY.POST_MEDIA));
+  }
+
+  // The post shown on a post page has no link to itself, so it falls back to the page URL
+  async extractPostContainer(post) {
+    const link = post.querySelector(SELECTORS.BLUESKY.POST_PERMALINK);
+    const ref = (link && this._getPostRef(link.getAttribute('href'))) || this._getPostRef(window.location.pathname);
+    if (!ref) {
+      log('No post permalink in the container');
+      return [];
+    }
+    return this._parsePost(await this._fetchPost(ref));
+  }
+
+  async extractPostUrl(url) {
+    const ref = this._getPostRef(new URL(url, window.location.origin).pathname);
+    return ref ? this._parsePost(await this._fetchPost(ref)) : [];
+  }
+
+  // Images on the page are the feed_thumbnail variant; feed_fullsize is the uploaded size
+  createImageData(img, index) {
+    const data = super.createImageData(img, index);
+    return { ...data, fullSizeUrl: this._toFullsizeUrl(data.fullSizeUrl) };
+  }
+
+  _toFullsizeUrl(url) {
+    return url.replace('/img/feed_thumbnail/', '/img/feed_fullsize/');
+  }
+
+  // `actor` is the handle or DID of /profile/<actor>/post/<rkey> URLs
+  _getPostRef(path) {
+    const match = path.match(/\/profile\/([^/?#]+)\/post\/([^/?#]+)/);
+    return match ? { actor: decodeURIComponent(match[1]), rkey: match[2] } : null;
+  }
+
+  async _fetchApi(method, params) {
+    const response = await fetch(`${BLUESKY_API_URL}/${method}?${new URLSearchParams(params)}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Post URIs name the author by DID, so handles are resolved first
+  async _fetchPost({ actor, rkey }) {
+    const did = actor.startsWith('did:')
+      ? actor
+      : (await this._fetchApi('com.atproto.identity.resolveHandle', { handle: actor })).did;
+    const data = await this._fetchApi('app.bsky.feed.getPosts', { uris: `at://${did}/app.bsky.feed.post/${rkey}` });
+    if (!data.posts || !data.posts[0]) {
+      throw new Error('Post not found');
+    }
+    return data.posts[0];
+  }
+
+  /**
+   * Media items for one API post view. Posts quoting another post with media of their
+   * own (recordWithMedia embeds) keep only their own media; the quoted post's is left out.
+   */
+  _parsePost(post) {
+    const handle = post.author?.handle || '';
+    const rkey = post.uri.split('/').pop();
+    const metadata = {
+      author: handle,
+      postId: rkey,
+      caption: post.record?.text ? post.record.text.replace(/\s+/g, ' ').trim() : '',
+      postUrl: `${window.location.origin}/profile/${handle || post.author?.did}/post/${rkey}`,
+      postedAt: post.record?.createdAt || ''
+    };
+
+    const embed = post.embed?.media || post.embed;
+    const items = [];
+    (embed?.images || []).forEach(image => {
+      items.push({
+        ...metadata,
+        index: items.length + 1,
+        alt: image.alt || 'Image',
+        thumbnailUrl: image.thumb,
+        fullSizeUrl: image.fullsize,
+        maxWidth: 0,
+        mediaType: 'image'
+      });
+    });
+    if (embed?.playlist) {
+      items.push({
+        ...metadata,
+        index: items.length + 1,
+        alt: embed.alt || 'Video',
+        thumbnailUrl: embed.thumbnail || '',
+        fullSizeUrl: embed.playlist,
+        isHLS: true,
+        maxWidth: 0,
+        mediaType: 'video'
+      });
+    }
+    return items;
+  }
+}
+
+// === REDDIT PLATFORM ===
+class RedditPlatform extends BasePlatform {
+  constructor() {
+    super();
+    this.platformName = PLATFORMS.REDDIT;
+  }
+
+  isCurrentPlatform() {
+    return window.location.hostname.includes(PLATFORM_HOSTNAMES[PLATFORMS.REDDIT]);
+  }
+
+  /**
+   * Reads the post from its .json listing, which has the gallery order and the original
+   * media, rather than from the page's resized previews.
+   */
+  async extractImages() {
+    log('=== Starting Reddit extraction ===');
+    const postId = this._getPostId(window.location.pathname);
+    if (!postId) {
+      log('No post ID in the URL');
+      return [];
+    }
+    const items = await this._parsePost(await this._fetchPost(postId));
+    log('Extracted Reddit media information:', items);
+    return items;
+  }
+
+  getPostMetadata() {
+    return {
+      author: '',
+      postId: this._getPostId(window.location.pathname) || '',
+      caption: '',
+      postUrl: this._getPostUrl(),
+      postedAt: ''
+    };
+  }
+
+  async extractPostUrl(url) {
+    const postId = this._getPostId(new URL(url, window.location.origin).pathname);
+    return postId ? this._parsePost(await this._fetchPost(postId)) : [];
+  }
+
+  // Images on the page are preview.redd.it resizes of the i.redd.it original
+  createImageData(img, index) {
+    const data = super.createImageData(img, index);
+    return { ...data, fullSizeUrl: this._toOriginalUrl(data.fullSizeUrl) };
+  }
+
+  _toOriginalUrl(url) {
+    const match = url.match(/^https:\/\/preview\.redd\.it\/([^?#]+)/);
+    return match ? `https://i.redd.it/${match[1]}` : url;
+  }
+
+  // The listing HTML-escapes URLs, so query params arrive as &amp;
+  _decodeUrl(url) {
+    return url ? url.replace(/&amp;/g, '&') : '';
+  }
+
+  _getPostId(path) {
+    return path.match(/\/comments\/([a-z0-9]+)/i)?.[1] || null;
+  }
+
+  async _fetchPost(postId) {
+    const response = await fetch(`${window.location.origin}/comments/${postId}/.json`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    const post = data?.[0]?.data?.children?.[0]?.data;
+    if (!post) {
+      throw new Error('Post listing has no post');
+    }
+    return post;
+  }
+
+  /**
+   * Media items for one listing post: gallery images in gallery order, a single image, or
+   * a v.redd.it video. Crossposts take the media of the original post and keep their own
+   * details.
+   */
+  async _parsePost(post) {
+    const source = post.crosspost_parent_list?.[0] || post;
+    const metadata = {
+      author: post.author || '',
+      postId: post.id,
+      caption: post.title ? post.title.replace(/\s+/g, ' ').trim() : '',
+      postUrl: `${window.location.origin}${post.permalink}`,
+      postedAt: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : ''
+    };
+    const preview = source.preview?.images?.[0];
+    const previewUrl = this._decodeUrl((preview?.resolutions?.[0] || preview?.source)?.url);
+
+    let media = [];
+    if (source.is_gallery && source.gallery_data) {
+      media = this._readGallery(source);
+    } else if (source.is_video && source.media?.reddit_video) {
+      media = [await this._readVideo(source.media.reddit_video, previewUrl)];
+    } else if (source.post_hint === 'image' || /^https:\/\/i\.redd\.it\//.test(source.url_overridden_by_dest || '')) {
+      const fullSizeUrl = this._toOriginalUrl(this._decodeUrl(source.url_overridden_by_dest || source.url));
+      media = [{ alt: 'Image', thumbnailUrl: previewUrl || fullSizeUrl, fullSizeUrl, maxWidth: preview?.source?.width || 0, mediaType: 'image' }];
+    }
+    return media.map((item, i) => ({ ...metadata, ...item, index: i + 1 }));
+  }
+
+  // Originals are i.redd.it/<media_id>.<ext>; media_metadata only lists resized previews
+  _readGallery(post) {
+    const items = [];
+    post.gallery_data.items.forEach(entry => {
+      const media = post.media_metadata?.[entry.media_id];
+      if (!media || media.status !== 'valid') return;
+      const ext = (media.m || 'image/jpg').split('/')[1].replace('jpeg', 'jpg');
+      const fullSizeUrl = `https://i.redd.it/${entry.media_id}.${ext}`;
+      const smallest = media.p?.[0] || media.s;
+      items.push({
+        alt: entry.caption || 'Image',
+        thumbnailUrl: this._decodeUrl(smallest?.u) || fullSizeUrl,
+        fullSizeUrl,
+        maxWidth: media.s?.x || 0,
+        mediaType: 'image'
+      });
+    });
+    return items;
+  }
+
+  /**
+   * v.redd.it videos are DASH: every video representation is video-only and the sound is
+   * its own representation, muxed in by the background like Instagram and Facebook DASH
+   * videos. Without a readable manifest the fallback MP4 is used, which has no sound.
+   */
+  async _readVideo(video, thumbnailUrl) {
+    let variants = [];
+    let audio = null;
+    const manifestUrl = this._decodeUrl(video.dash_url);
+    if (manifestUrl) {
+      try {
+        const response = await fetch(manifestUrl);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const manifest = await response.text();
+        const resolve = representation => ({ ...representation, url: new URL(representation.url, manifestUrl).href });
+        variants = this._readDashRepresentations(manifest, 'video').map(resolve);
+        audio = selectVideoVariant(this._readDashRepresentations(manifest, 'audio').map(resolve), 'highest');
+      } catch (error) {
+        logWarn('Could not read the DASH manifest, using the fallback MP4 without sound:', error);
+      }
+    }
+
+    const item = { alt: 'Video', thumbnailUrl, maxWidth: 0, mediaType: 'video' };
+    if (variants.length === 0) {
+      return { ...item, fullSizeUrl: this._decodeUrl(video.fallback_url), audioUrl: null };
+    }
+    log(`DASH manifest: ${variants.length} video representations${audio ? `, audio bandwidth=${audio.bitrate}` : ', no audio'}`);
+    return { ...item, fullSizeUrl: selectVideoVariant(variants, 'highest').url, audioUrl: audio ? audio.url : null, variants };
+  }
+}
+
+// === PINTEREST PLATFORM ===
+class PinterestPlatform extends BasePlatform {
+  constructor() {
+    super();
+    this.platformName = PLATFORMS.PINTEREST;
+  }
+
+  isCurrentPlatform() {
+    return window.location.hostname.includes(PLATFORM_HOSTNAMES[PLATFORMS.PINTEREST]);
+  }
+
+  /**
+   * Reads the pin closeup. Carousel pins render every slide in the closeup at once, so no
+   * clicking is needed. Images are upgraded to /originals/; video pins give their HLS
+   * playlist, or the MP4 when the player was handed one.
+   */
+  async extractImages() {
+    log('=== Starting Pinterest extraction ===');
+    const closeup = document.querySelector(SELECTORS.PINTEREST.CLOSEUP);
+    if (!closeup) {
+      log('No pin closeup found.');
+      return [];
+    }
+
+    const items = [];
+    const video = closeup.querySelector('video');
+    if (video) {
+      const item = this._readVideo(video);
+      if (item) {
+        items.push(item);
+      } else {
+        log('Video pin detected but no stream URL found.');
+      }
+    } else {
+      const seen = new Set();
+      closeup.querySelectorAll(SELECTORS.PINTEREST.IMAGES).forEach(img => {
+        const data = this.createImageData(img, items.length);
+        if (seen.has(data.fullSizeUrl)) return;
+        seen.add(data.fullSizeUrl);
+        items.push({ ...data, mediaType: 'image' });
+      });
+    }
+
+    const metadata = this.getPostMetadata();
+    const mediaData = items.map((item, i) => ({ ...metadata, ...item, index: i + 1 }));
+    log('Extracted Pinterest media information:', mediaData);
+    return mediaData;
+  }
+
+  getPostMetadata() {
+    const postId = window.location.pathname.match(/^\/pin\/([^/?#]+)/)?.[1] || '';
+    const authorLink = document.querySelector(SELECTORS.PINTEREST.AUTHOR_LINK);
+    return {
+      author: authorLink ? authorLink.getAttribute('href').split('/').filter(Boolean)[0] || '' : '',
+      postId,
+      caption: this._getText(document.querySelector(SELECTORS.PINTEREST.TITLE)),
+      postUrl: postId ? `${window.location.origin}/pin/${postId}/` : this._getPostUrl(),
+      postedAt: ''
+    };
+  }
+
+  // Pin srcsets use density descriptors (1x-4x), which the base class does not read, and top
+  // out at /originals/ on most pins; the src alone is a resized size folder
+  createImageData(img, index) {
+    const data = super.createImageData(img, index);
+    const densest = data.maxWidth ? null : this._getDensestSource(img.srcset);
+    return { ...data, fullSizeUrl: this._toOriginalsUrl(densest || data.fullSizeUrl) };
+  }
+
+  // URL of the srcset candidate with the highest density descriptor, or null
+  _getDensestSource(srcset) {
+    let best = null;
+    (srcset || '').split(',').forEach(source => {
+      const [url, descriptor] = source.trim().split(' ');
+      if (!url || !descriptor || !descriptor.endsWith('x')) return;
+      const density = parseFloat(descriptor);
+      if (!best || density > best.density) best = { url, density };
+    });
+    return best ? best.url : null;
+  }
+
+  // i.pinimg.com/<size>/ab/cd/ef/<hash>.jpg -> i.pinimg.com/originals/ab/cd/ef/<hash>.jpg
+  _toOriginalsUrl(url) {
+    return url.replace(/^(https:\/\/i\.pinimg\.com\/)[^/]+\//, '$1originals/');
+  }
+
+  // Players streaming with Media Source show a blob: URL; the playlist is then found among the loaded resources
+  _readVideo(video) {
+    let url = video.currentSrc || video.src || video.querySelector('source')?.src || '';
+    if (!url || url.startsWith('blob:')) {
+      url = this._findPlaylistInPerformance();
+    }
+    if (!url) return null;
+    return {
+      alt: 'Video',
+      thumbnailUrl: video.poster || '',
+      fullSizeUrl: url,
+      isHLS: isHlsPlaylistUrl(url),
+      maxWidth: 0,
+      mediaType: 'video'
+    };
+  }
+
+  // Variant playlists end in _<width>w.m3u8; the master playlist lists them all
+  _findPlaylistInPerformance() {
+    const playlists = performance.getEntriesByType('resource')
+      .map(entry => entry.name)
+      .filter(name => name.includes('pinimg.com') && isHlsPlaylistUrl(name));
+    return playlists.find(name => !/_\d+w\.m3u8$/.test(new URL(name).pathname)) || playlists[0] || '';
+  }
+}
+
+// === TUMBLR PLATFORM ===
+class TumblrPlatform extends BasePlatform {
+  constructor() {
+    super();
+    this.platformName = PLATFORMS.TUMBLR;
+  }
+
+  isCurrentPlatform() {
+    return window.location.hostname.includes(PLATFORM_HOSTNAMES[PLATFORMS.TUMBLR]);
+  }
+
+  /**
+   * Reads the post's NPF (Neue Post Format) blocks. Reblogs carry every earlier post of the
+   * chain in `trail`, so the media of each entry is credited to the blog that posted it.
+   */
+  async extractImages() {
+    log('=== Starting Tumblr extraction ===');
+    const info = this._getPostInfo(window.location.href);
+    if (!info) {
+      log('No blog name and post ID in the URL');
+      return [];
+    }
+    const items = this._parsePost(await this._fetchPost(info.blog, info.postId));
+    log('Extracted Tumblr media information:', items);
+    return items;
+  }
+
+  getPostMetadata() {
+    const info = this._getPostInfo(window.location.href);
+    return {
+      author: info ? info.blog : '',
+      postId: info ? info.postId : '',
+      caption: '',
+      postUrl: info ? this._getPermalink(info.blog, info.postId) : this._getPostUrl(),
+      postedAt: ''
+    };
+  }
+
+  async extractPostUrl(url) {
+    const info = this._getPostInfo(new URL(url, window.location.origin).href);
+    return info ? this._parsePost(await this._fetchPost(info.blog, info.postId)) : [];
+  }
+
+  // www.tumblr.com/<blog>/<postId> or <blog>.tumblr.com/post/<postId>
+  _getPostInfo(url) {
+    const { hostname, pathname } = new URL(url);
+    if (hostname === 'www.tumblr.com') {
+      const match = pathname.match(/^\/([\w-]+)\/(\d+)/);
+      return match ? { blog: match[1], postId: match[2] } : null;
+    }
+    const blog = hostname.match(/^([\w-]+)\.tumblr\.com$/)?.[1];
+    const postId = pathname.match(/^\/post\/(\d+)/)?.[1];
+    return blog && postId ? { blog, postId } : null;
+  }
+
+  _getPermalink(blog, postId) {
+    return `https://www.tumblr.com/${blog}/${postId}`;
+  }
+
+  // Blog subdomains are a different origin from www.tumblr.com, so the service worker fetches the post's page and reads its embedded state
+  async _fetchPost(blog, postId) {
+    const response = await chrome.runtime.sendMessage({ action: BACKGROUND_MESSAGES.FETCH_TUMBLR_POST, blog, postId });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from the background');
+    }
+    return response.post;
+  }
+
+  /**
+   * Media items for one post: the trail entries oldest first, then the blocks the post
+   * itself added. Each entry's items carry its own blog, post ID and text.
+   */
+  _parsePost(post) {
+    const entries = (post.trail || []).map(entry => ({
+      blog: entry.blog?.name || entry.brokenBlogName || '',
+      postId: entry.post?.id || '',
+      content: entry.content || [],
+      postedAt: ''
+    }));
+    entries.push({
+      blog: post.blog?.name || post.blogName || '',
+      postId: post.idString || String(post.id || ''),
+      content: post.content || [],
+      postedAt: post.timestamp ? new Date(post.timestamp * 1000).toISOString() : ''
+    });
+
+    const items = [];
+    entries.forEach(entry => {
+      const metadata = {
+        author: entry.blog,
+        postId: entry.postId,
+        caption: this._readCaption(entry.content),
+        postUrl: entry.blog && entry.postId ? this._getPermalink(entry.blog, entry.postId) : '',
+        postedAt: entry.postedAt
+      };
+      entry.content.forEach(block => {
+        let media = null;
+        if (block.type === 'image') {
+          media = this._readImageBlock(block);
+        } else if (block.type === 'video') {
+          media = this._readVideoBlock(block);
+        }
+        if (media) items.push({ ...metadata, ...media });
+      });
+    });
+    return items.map((item, i) => ({ ...item, index: i + 1 }));
+  }
+
+  // Image blocks list the same picture at several widths, like a srcset
+  _readImageBlock(block) {
+    const sizes = (block.media || []).filter(size => size.url);
+    if (sizes.length === 0) return null;
+    const bySize = [...sizes].sort((a, b) => (b.width || 0) - (a.width || 0));
+    return {
+      alt: block.altText || block.alt_text || 'Image',
+      thumbnailUrl: bySize[bySize.length - 1].url,
+      fullSizeUrl: bySize[0].url,
+      maxWidth: bySize[0].width || 0,
+      mediaType: 'image'
+    };
+  }
+
+  // Only videos hosted by Tumblr have a file; YouTube and other embeds are skipped
+  _readVideoBlock(block) {
+    const url = block.media?.url || (block.provider === 'tumblr' ? block.url : '');
+    if (!url) {
+      log(`Skipping ${block.provider || 'external'} video embed:`, block.url);
+      return null;
+    }
+    const posters = [...(block.poster || [])].sort((a, b) => (a.width || 0) - (b.width || 0));
+    return {
+      alt: 'Video',
+      thumbnailUrl: posters[0]?.url || '',
+      fullSizeUrl: url,
+      maxWidth: block.media?.width || 0,
+      isHLS: isHlsPlaylistUrl(url),
+      mediaType: 'video'
+    };
+  }
+
+  _readCaption(blocks) {
+    return blocks
+      .filter(block => block.type === 'text' && block.text)
+      .map(block => block.text)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
 // === PLATFORM FACTORY ===
 class PlatformFactory {
   static createPlatform() {
     const currentUrl = window.location.href;
 
-    // First check if this is a valid post URL (not homepage)
+    // First check if this is a valid post URL (not a feed)
     if (!isValidPostUrl(currentUrl)) {
       log('URL validation failed:', {
         url: currentUrl,
-        isHomepage: isHomepage(currentUrl),
+        isFeedPage: isFeedPage(currentUrl),
         isSinglePost: isSinglePost(currentUrl),
         isValid: isValidPostUrl(currentUrl)
       });
@@ -1681,11 +3588,69 @@ class PlatformFactory {
       return new FacebookPlatform();
     } else if (platform === PLATFORMS.X) {
       return new XPlatform();
+    } else if (platform === PLATFORMS.BLUESKY) {
+      return new BlueskyPlatform();
+    } else if (platform === PLATFORMS.REDDIT) {
+      return new RedditPlatform();
+    } else if (platform === PLATFORMS.PINTEREST) {
+      return new PinterestPlatform();
+    } else if (platform === PLATFORMS.TUMBLR) {
+      return new TumblrPlatform();
     }
 
     return null;
   }
 
+  // Handler for a profile grid (profile mode), or null when the page is not one
+  static createProfilePlatform() {
+    const currentUrl = window.location.href;
+    if (!isProfilePage(currentUrl)) {
+      return null;
+    }
+
+    const platform = getPlatformFromUrl(currentUrl);
+
+    if (platform === PLATFORMS.INSTAGRAM) {
+      return new InstagramPlatform();
+    } else if (platform === PLATFORMS.X) {
+      return new XPlatform();
+    } else if (platform === PLATFORMS.THREADS) {
+      return new ThreadsPlatform();
+    }
+
+    return null;
+  }
+
+  // Handler for in-page buttons, which go on any page of a supported site, feeds included
+  static createButtonPlatform() {
+    const platform = getPlatformFromUrl(window.location.href);
+
+    if (platform === PLATFORMS.THREADS) {
+      return new ThreadsPlatform();
+    } else if (platform === PLATFORMS.INSTAGRAM) {
+      return new InstagramPlatform();
+    } else if (platform === PLATFORMS.FACEBOOK) {
+      return new FacebookPlatform();
+    } else if (platform === PLATFORMS.X) {
+      return new XPlatform();
+    } else if (platform === PLATFORMS.BLUESKY) {
+      return new BlueskyPlatform();
+    } else if (platform === PLATFORMS.REDDIT) {
+      return new RedditPlatform();
+    } else if (platform === PLATFORMS.PINTEREST) {
+      return new PinterestPlatform();
+    } else if (platform === PLATFORMS.TUMBLR) {
+      return new TumblrPlatform();
+    }
+
+    return null;
+  }
+
+  // Handler for a home feed (feed mode), or null when the page is not one
+  static createFeedPlatform() {
+    return isFeedPage(window.location.href) ? PlatformFactory.createButtonPlatform() : null;
+  }
+
   static getSupportedPlatforms() {
     return Object.values(PLATFORM_HOSTNAMES);
   }
@@ -1702,11 +3667,11 @@ async function extractImages() {
 
   const currentUrl = window.location.href;
 
-  // Check if URL is valid (single post, not homepage)
+  // Check if URL is valid (single post, not a feed)
   if (!PlatformFactory.isValidUrl(currentUrl)) {
     let error = '';
-    if (isHomepage(currentUrl)) {
-      error = 'Homepage detected. This extension only works on individual posts, not on the main feed.';
+    if (isFeedPage(currentUrl)) {
+      error = 'Feed page detected. Pick the posts to download in the popup\'s feed mode.';
     } else if (!isSinglePost(currentUrl)) {
       error = 'Unsupported page type. This extension works on individual posts only.';
     } else {
@@ -1716,7 +3681,7 @@ async function extractImages() {
     logWarn(error);
     log('URL validation details:', {
       url: currentUrl,
-      isHomepage: isHomepage(currentUrl),
+      isFeedPage: isFeedPage(currentUrl),
       isSinglePost: isSinglePost(currentUrl),
       supportedPlatforms: PlatformFactory.getSupportedPlatforms()
     });
@@ -1736,25 +3701,351 @@ async function extractImages() {
   try {
     const images = await platform.extractImages();
     log(`Successfully extracted ${images.length} images`);
-    return images;
+
+    // Item-level values win so extractors can attribute individual items differently
+    const metadata = platform.getPostMetadata();
+    return images.map(image => ({ ...metadata, ...image }));
   } catch (error) {
     logError('Image extraction failed:', error);
     throw error;
   }
 }
 
-// === STOP SIGNAL LISTENER ===
-chrome.runtime.onMessage.addListener((request) => {
-  if (request.action === 'stopExtraction') {
+// === PROFILE MODE ===
+/**
+ * Runs a profile walk started from the popup. EXTRACTION_STARTED clears the tab's stored
+ * media, each post is sent as an IMAGES_APPEND batch, and EXTRACTION_COMPLETE always ends
+ * the run, also when it was stopped or failed.
+ */
+async function extractProfile(options) {
+  const platform = PlatformFactory.createProfilePlatform();
+  if (!platform || profileExtractionActive) return;
+
+  profileExtractionActive = true;
+  stopProfileExtractionRequested = false;
+  chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.EXTRACTION_STARTED });
+
+  try {
+    const postCount = await platform.extractProfile(options, images => {
+      chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.IMAGES_APPEND, images });
+    });
+    log(`Profile extraction completed: ${postCount} posts`);
+  } catch (error) {
+    logError('Profile extraction failed:', error);
+  } finally {
+    profileExtractionActive = false;
+    chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.EXTRACTION_COMPLETE });
+  }
+}
+
+// === FEED MODE ===
+// Posts listed in the popup are tagged with an ID, so the posts picked there can be found again
+const FEED_POST_ATTRIBUTE = 'data-socialsnap-feed-post';
+let nextFeedPostId = 1;
+
+/**
+ * The feed's posts that are at least partly in the viewport, in page order, for the popup
+ * to list. Null when the page is not a feed.
+ * @returns {Array<{ id: string, author: string, caption: string }>|null}
+ */
+function getFeedPosts() {
+  const platform = PlatformFactory.createFeedPlatform();
+  if (!platform) return null;
+
+  return platform.getPostContainers()
+    .filter(container => {
+      const rect = container.getBoundingClientRect();
+      return rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+    })
+    .map(container => {
+      if (!container.hasAttribute(FEED_POST_ATTRIBUTE)) {
+        container.setAttribute(FEED_POST_ATTRIBUTE, String(nextFeedPostId++));
+      }
+      return { id: container.getAttribute(FEED_POST_ATTRIBUTE), ...platform.describePostContainer(container) };
+    });
+}
+
+/**
+ * Extracts the feed posts picked in the popup and streams them like a profile walk: one
+ * IMAGES_APPEND batch per post, with item indices running across the selection. Posts the
+ * feed has removed from the page since they were listed are skipped.
+ */
+async function extractFeedPosts(postIds) {
+  const platform = PlatformFactory.createFeedPlatform();
+  if (!platform || feedExtractionActive) return;
+
+  feedExtractionActive = true;
+  stopFeedExtractionRequested = false;
+  chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.EXTRACTION_STARTED });
+
+  try {
+    let nextIndex = 1;
+    for (const id of postIds) {
+      if (stopFeedExtractionRequested) {
+        log('Feed extraction stopped by user');
+        break;
+      }
+
+      const container = document.querySelector(`[${FEED_POST_ATTRIBUTE}="${id}"]`);
+      if (!container) {
+        log(`Feed post ${id} is no longer on the page, skipping`);
+        continue;
+      }
+
+      try {
+        const items = (await platform.extractPostContainer(container)).map((item, i) => ({ ...item, index: nextIndex + i }));
+        nextIndex += items.length;
+        log(`Feed post ${id}: ${items.length} media`);
+        if (items.length > 0) {
+          chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.IMAGES_APPEND, images: items });
+        }
+      } catch (error) {
+        logError(`Feed post ${id} failed:`, error);
+      }
+    }
+  } finally {
+    feedExtractionActive = false;
+    chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.EXTRACTION_COMPLETE });
+  }
+}
+
+// === IN-PAGE DOWNLOAD BUTTONS ===
+const IN_PAGE_BUTTON_CLASS = 'socialsnap-download-btn';
+const IN_PAGE_BUTTON_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M12 4v11"/><path d="m7 10 5 5 5-5"/><path d="M5 20h14"/></svg>';
+
+/**
+ * Adds a download button to every post container the platform finds, feeds included, and
+ * keeps adding them as the page renders more posts. Turning the inPageButtons setting off
+ * removes them on the next scan.
+ */
+function setupInPageButtons() {
+  const platform = PlatformFactory.createButtonPlatform();
+  if (!platform) return;
+
+  let scanTimer = null;
+  const scan = () => {
+    scanTimer = null;
+    if (!IN_PAGE_BUTTONS.ENABLED) {
+      document.querySelectorAll(`.${IN_PAGE_BUTTON_CLASS}`).forEach(button => button.remove());
+      return;
+    }
+    platform.getPostContainers().forEach(container => {
+      if (!container.querySelector(`:scope > .${IN_PAGE_BUTTON_CLASS}`)) {
+        container.appendChild(createInPageButton(platform, container));
+      }
+    });
+  };
+
+  addInPageButtonStyles();
+  scan();
+  new MutationObserver(() => {
+    if (!scanTimer) scanTimer = setTimeout(scan, IN_PAGE_BUTTONS.SCAN_DELAY);
+  }).observe(document.body, { childList: true, subtree: true });
+}
+
+function createInPageButton(platform, container) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = IN_PAGE_BUTTON_CLASS;
+  button.title = 'Download this post';
+  button.setAttribute('aria-label', 'Download this post');
+  button.innerHTML = IN_PAGE_BUTTON_ICON;
+  button.addEventListener('click', event => {
+    // Feed posts are links; the click must not open the post
+    event.preventDefault();
+    event.stopPropagation();
+    downloadPostContainer(platform, container, button);
+  });
+
+  if (getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+  return button;
+}
+
+// Extracts one post's media and downloads it, reporting the outcome on the button
+async function downloadPostContainer(platform, container, button) {
+  if (button.dataset.state === 'working') return;
+  setInPageButtonState(button, 'working', 'Collecting media...');
+
+  try {
+    const response = await sendMediaToDownload(await platform.extractPostContainer(container));
+    if (!response) {
+      setInPageButtonState(button, 'failed', 'No downloadable media found in this post');
+      return;
+    }
+
+    const summary = response.summary;
+    if (response.success) {
+      const skipped = summary.skipped > 0 ? `, ${summary.skipped} already downloaded` : '';
+      setInPageButtonState(button, 'done', `Saved ${summary.succeeded} of ${summary.total} files${skipped}`);
+    } else {
+      setInPageButtonState(button, 'failed', summary
+        ? `${summary.failed} of ${summary.total} files failed`
+        : `Download failed: ${response.error || 'no response'}`);
+    }
+  } catch (error) {
+    logError('In-page download failed:', error);
+    setInPageButtonState(button, 'failed', `Download failed: ${error.message}`);
+  }
+}
+
+/**
+ * Hands media items to the background's DownloadManager, like Download All in the popup.
+ * Videos with several variants are saved at the videoQuality setting; videos only yt-dlp
+ * can save are left out. Resolves with the DOWNLOAD_IMAGES response, or null when none of
+ * the items can be downloaded.
+ */
+async function sendMediaToDownload(items, { redownload = false } = {}) {
+  const images = applyVideoQuality(
+    items.filter(image => image.fullSizeUrl && !needsExternalDownloader(image)),
+    IN_PAGE_BUTTONS.VIDEO_QUALITY
+  );
+  if (images.length === 0) return null;
+
+  log(`Downloading ${images.length} items from the page`);
+  const response = await chrome.runtime.sendMessage({ action: BACKGROUND_MESSAGES.DOWNLOAD_IMAGES, images, redownload });
+  return response || { success: false, error: 'no response' };
+}
+
+function setInPageButtonState(button, state, title) {
+  button.dataset.state = state;
+  button.title = title;
+}
+
+// Colors from docs/design-system.md
+function addInPageButtonStyles() {
+  if (document.getElementById('socialsnap-in-page-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'socialsnap-in-page-styles';
+  style.textContent = `
+    .${IN_PAGE_BUTTON_CLASS} {
+      position: absolute; top: 8px; right: 8px; z-index: 10;
+      display: flex; align-items: center; justify-content: center;
+      width: 32px; height: 32px; padding: 0;
+      border: 1px solid rgba(170, 161, 200, 0.45); border-radius: 50%;
+      background: rgba(25, 42, 81, 0.85); color: #f5e6e8;
+      cursor: pointer; opacity: 0.6; transition: opacity 0.15s ease;
+    }
+    .${IN_PAGE_BUTTON_CLASS}:hover, .${IN_PAGE_BUTTON_CLASS}:focus-visible { opacity: 1; }
+    .${IN_PAGE_BUTTON_CLASS}[data-state="working"] { opacity: 1; cursor: progress; }
+    .${IN_PAGE_BUTTON_CLASS}[data-state="done"] { color: #70c4a0; border-color: #70c4a0; }
+    .${IN_PAGE_BUTTON_CLASS}[data-state="failed"] { color: #d47070; border-color: #d47070; }
+  `;
+  document.head.appendChild(style);
+}
+
+// === CONTEXT MENU ===
+// Context menu clicks only report URLs; the element under the last right-click tells which post it was in
+let contextMenuTarget = null;
+
+document.addEventListener('contextmenu', event => {
+  contextMenuTarget = event.target;
+}, true);
+
+/**
+ * Downloads what a context menu entry was used on: the right-clicked image or video at
+ * full size (always, like a single thumbnail in the popup), or every item of the linked post.
+ */
+async function downloadFromContextMenu({ action, mediaType, srcUrl, linkUrl }) {
+  const platform = PlatformFactory.createButtonPlatform();
+  if (!platform) return;
+
+  try {
+    const isMedia = action === TAB_MESSAGES.DOWNLOAD_CONTEXT_MEDIA;
+    const items = isMedia
+      ? await resolveContextMedia(platform, mediaType, srcUrl, linkUrl)
+      : await resolveContextPost(platform, linkUrl);
+    const response = await sendMediaToDownload(items, { redownload: isMedia });
+    if (!response) {
+      logWarn('Context menu: no downloadable media found');
+    } else if (!response.success) {
+      logError('Context menu download failed:', response.summary || response.error);
+    }
+  } catch (error) {
+    logError('Context menu download failed:', error);
+  }
+}
+
+async function resolveContextMedia(platform, mediaType, srcUrl, linkUrl) {
+  const isSource = candidate => candidate.currentSrc === srcUrl || candidate.src === srcUrl;
+  const target = contextMenuTarget && contextMenuTarget.closest('img, video');
+  let element = target && isSource(target) ? target : Array.from(document.querySelectorAll('img, video')).find(isSource);
+  if (!element && mediaType === 'image') {
+    element = document.createElement('img');
+    element.src = srcUrl;
+  }
+
+  const item = element ? await platform.extractMediaElement(element) : null;
+  if (!item) return [];
+
+  // Outside post pages only the link around the media (a grid or feed post) names the post
+  const metadata = isValidPostUrl(window.location.href)
+    ? platform.getPostMetadata()
+    : { author: '', postId: '', caption: '', postUrl: linkUrl || '', postedAt: '' };
+  return [{ ...metadata, ...item }];
+}
+
+// Posts the platform can read from their URL, otherwise the rendered post around the link
+async function resolveContextPost(platform, linkUrl) {
+  const items = linkUrl ? await platform.extractPostUrl(linkUrl) : [];
+  if (items.length > 0) return items;
+
+  const container = contextMenuTarget && platform.getPostContainers().find(candidate => candidate.contains(contextMenuTarget));
+  return container ? platform.extractPostContainer(container) : [];
+}
+
+// === TAB MESSAGE LISTENER ===
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  switch (request.action) {
+  case TAB_MESSAGES.STOP_EXTRACTION:
     stopFbExtractionRequested = true;
+    stopProfileExtractionRequested = true;
+    stopFeedExtractionRequested = true;
+    break;
+
+  case TAB_MESSAGES.GET_PROFILE_INFO: {
+    const platform = PlatformFactory.createProfilePlatform();
+    sendResponse({ profile: platform ? platform.getProfileInfo() : null });
+    break;
+  }
+
+  case TAB_MESSAGES.START_PROFILE_EXTRACTION:
+    extractProfile(request.options);
+    sendResponse({ started: true });
+    break;
+
+  case TAB_MESSAGES.GET_FEED_POSTS:
+    sendResponse({ posts: getFeedPosts() });
+    break;
+
+  case TAB_MESSAGES.START_FEED_EXTRACTION:
+    extractFeedPosts(request.postIds);
+    sendResponse({ started: true });
+    break;
+
+  case TAB_MESSAGES.DOWNLOAD_CONTEXT_MEDIA:
+  case TAB_MESSAGES.DOWNLOAD_CONTEXT_POST:
+    downloadFromContextMenu(request);
+    break;
   }
 });
 
 // === AUTO EXTRACTION ===
 window.addEventListener('load', () => {
   setTimeout(async () => {
+    await settingsReady;
     fbCarouselActive = false;
     const isFacebook = window.location.hostname.includes(PLATFORM_HOSTNAMES[PLATFORMS.FACEBOOK]);
+
+    // Profile grids and feeds are only read when the popup asks; clear what an earlier page stored
+    if (isProfilePage(window.location.href) || isFeedPage(window.location.href)) {
+      log('Profile or feed page detected, waiting for the popup to pick what to collect');
+      chrome.runtime.sendMessage({ action: CONTENT_MESSAGES.IMAGES_EXTRACTED, images: [], count: 0 });
+      return;
+    }
+
     try {
       log('=== Social Media Image Downloader Auto-Extraction ===');
       log('Current URL:', window.location.href);
@@ -1788,6 +4079,8 @@ window.addEventListener('load', () => {
 
   // Setup SPA carousel detection for X.com
   setupSpaCarouselDetection();
+
+  settingsReady.then(setupInPageButtons);
 });
 
 // === SPA CAROUSEL DETECTION ===
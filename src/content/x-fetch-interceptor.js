@@ -1,40 +1,47 @@
 /**
  * X.com fetch interceptor (MAIN world)
- * Intercepts Twitter GraphQL API responses to extract direct video MP4 URLs.
+ * Intercepts Twitter GraphQL API responses to extract direct video MP4 URLs, and the
+ * media tweets of UserMedia timelines for profile mode.
  * Communicates with the isolated-world content script via CustomEvent on document.
  */
 (function () {
-  const videoCache = new Map(); // videoId -> { fullSizeUrl, thumbnailUrl }
+  const videoCache = new Map(); // videoId -> { fullSizeUrl, thumbnailUrl, isHLS, variants }
+
+  // Download source of a video_info: its MP4 renditions, or the HLS playlist when there are none
+  function pickVideoSource(videoInfo) {
+    const mp4Variants = videoInfo.variants
+      .filter(v => v.content_type === 'video/mp4' && v.bitrate != null)
+      .sort((a, b) => b.bitrate - a.bitrate);
+
+    // Every MP4 rendition, highest bitrate first, for the popup's quality picker.
+    // The resolution is only in the URL (/vid/avc1/1280x720/).
+    const variants = mp4Variants.map(v => {
+      const size = v.url.match(/\/(\d+)x(\d+)\//);
+      return { url: v.url, bitrate: v.bitrate, width: size ? Number(size[1]) : 0, height: size ? Number(size[2]) : 0 };
+    });
+
+    if (mp4Variants.length > 0) {
+      return { fullSizeUrl: mp4Variants[0].url, isHLS: false, variants };
+    }
+
+    // Fallback: Twitter amplify_video uses HLS-only with no direct MP4 variant.
+    // Pick the highest-bitrate m3u8, or master.m3u8, or the first available.
+    const m3u8Variants = videoInfo.variants
+      .filter(v => v.content_type === 'application/x-mpegURL');
+    const sorted = m3u8Variants
+      .filter(v => v.bitrate != null)
+      .sort((a, b) => b.bitrate - a.bitrate);
+    const best = sorted[0]
+      || m3u8Variants.find(v => v.url.includes('master'))
+      || m3u8Variants[0];
+    return { fullSizeUrl: best ? best.url : null, isHLS: !!best, variants };
+  }
 
   function traverseForVideoInfo(obj) {
     if (!obj || typeof obj !== 'object') return;
 
     if (obj.video_info && Array.isArray(obj.video_info.variants)) {
-      const mp4Variants = obj.video_info.variants
-        .filter(v => v.content_type === 'video/mp4' && v.bitrate != null)
-        .sort((a, b) => b.bitrate - a.bitrate);
-
-      let fullSizeUrl = null;
-      let isHLS = false;
-
-      if (mp4Variants.length > 0) {
-        fullSizeUrl = mp4Variants[0].url;
-      } else {
-        // Fallback: Twitter amplify_video uses HLS-only with no direct MP4 variant.
-        // Pick the highest-bitrate m3u8, or master.m3u8, or the first available.
-        const m3u8Variants = obj.video_info.variants
-          .filter(v => v.content_type === 'application/x-mpegURL');
-        const sorted = m3u8Variants
-          .filter(v => v.bitrate != null)
-          .sort((a, b) => b.bitrate - a.bitrate);
-        const best = sorted[0]
-          || m3u8Variants.find(v => v.url.includes('master'))
-          || m3u8Variants[0];
-        if (best) {
-          fullSizeUrl = best.url;
-          isHLS = true;
-        }
-      }
+      const { fullSizeUrl, isHLS, variants } = pickVideoSource(obj.video_info);
 
       if (fullSizeUrl) {
         const thumbnailUrl = obj.media_url_https || '';
@@ -50,9 +57,9 @@
         }
 
         if (videoId && !videoCache.has(videoId)) {
-          videoCache.set(videoId, { fullSizeUrl, thumbnailUrl, isHLS });
+          videoCache.set(videoId, { fullSizeUrl, thumbnailUrl, isHLS, variants });
           document.dispatchEvent(new CustomEvent('__socialSnapXVideo', {
-            detail: { videoId, fullSizeUrl, thumbnailUrl, isHLS }
+            detail: { videoId, fullSizeUrl, thumbnailUrl, isHLS, variants }
           }));
         }
       }
@@ -67,6 +74,70 @@
     }
   }
 
+  // === USER MEDIA TIMELINE ===
+  // Tweets of the GraphQL UserMedia timeline (x.com/<user>/media), read by profile mode
+  const mediaTweets = new Map(); // tweetId -> { tweetId, author, caption, postedAt, media }
+
+  function toMediaEntry(media) {
+    if (media.type === 'photo') {
+      return { type: 'photo', url: media.media_url_https, width: media.original_info?.width || 0, alt: media.ext_alt_text || '' };
+    }
+    if (!media.video_info || !Array.isArray(media.video_info.variants)) return null;
+
+    const source = pickVideoSource(media.video_info);
+    if (!source.fullSizeUrl) return null;
+    // type is 'video' or 'animated_gif'
+    return { type: media.type, thumbnailUrl: media.media_url_https || '', ...source };
+  }
+
+  function collectMediaTweets(obj, found) {
+    if (!obj || typeof obj !== 'object') return found;
+
+    const media = obj.legacy?.extended_entities?.media;
+    if (obj.rest_id && Array.isArray(media)) {
+      // Newer responses moved screen_name from user.legacy to user.core
+      const user = obj.core?.user_results?.result;
+      found.push({
+        tweetId: obj.rest_id,
+        author: user?.core?.screen_name || user?.legacy?.screen_name || '',
+        // full_text ends with the t.co link of the attached media
+        caption: (obj.legacy.full_text || '').replace(/\s*https:\/\/t\.co\/\w+$/, ''),
+        postedAt: obj.legacy.created_at ? new Date(obj.legacy.created_at).toISOString() : '',
+        media: media.map(toMediaEntry).filter(Boolean)
+      });
+      return found;
+    }
+
+    Object.keys(obj).forEach(key => {
+      // Quoted and retweeted tweets belong to other accounts
+      if (key !== 'quoted_status_result' && key !== 'retweeted_status_result') {
+        collectMediaTweets(obj[key], found);
+      }
+    });
+    return found;
+  }
+
+  function handleUserMedia(data) {
+    const tweets = collectMediaTweets(data, []).filter(tweet => !mediaTweets.has(tweet.tweetId));
+    if (tweets.length === 0) return;
+
+    tweets.forEach(tweet => mediaTweets.set(tweet.tweetId, tweet));
+    document.dispatchEvent(new CustomEvent('__socialSnapXMediaTweets', { detail: tweets }));
+  }
+
+  document.addEventListener('__socialSnapRequestMediaTweets', () => {
+    document.dispatchEvent(new CustomEvent('__socialSnapXMediaTweets', {
+      detail: Array.from(mediaTweets.values())
+    }));
+  });
+
+  function handleApiResponse(url, data) {
+    traverseForVideoInfo(data);
+    if (url.includes('/UserMedia')) {
+      try { handleUserMedia(data); } catch (_) {}
+    }
+  }
+
   // Respond to cache dump requests from the isolated world content script
   document.addEventListener('__socialSnapRequestVideos', () => {
     const cache = {};
@@ -96,7 +167,7 @@
       if (!isApiCall) return;
       try {
         const data = JSON.parse(xhr.responseText);
-        traverseForVideoInfo(data);
+        handleApiResponse(xhrUrl, data);
       } catch (_) {}
     });
 
@@ -120,7 +191,7 @@
 
     if (isApiCall) {
       try {
-        response.clone().json().then(traverseForVideoInfo).catch(() => {});
+        response.clone().json().then(data => handleApiResponse(url, data)).catch(() => {});
       } catch (_) {}
     }
 
@@ -0,0 +1,191 @@
+/**
+ * Download history page for Social Snap
+ * Lists the service worker's download history (src/background/background.js, DownloadHistory)
+ * and opens, reveals or re-downloads the saved files through chrome.downloads.
+ */
+
+const PLACEHOLDER_THUMBNAIL = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCIgdmlld0JveD0iMCAwIDEwMCAxMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+PHJlY3Qgd2lkdGg9IjEwMCIgaGVpZ2h0PSIxMDAiIGZpbGw9IiNGMEYyRjUiLz48dGV4dCB4PSI1MCIgeT0iNTQiIGZvbnQtZmFtaWx5PSJzYW5zLXNlcmlmIiBmb250LXNpemU9IjEwIiBmaWxsPSIjOUJBNUIwIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIj5ObyBwcmV2aWV3PC90ZXh0Pjwvc3ZnPg==';
+
+function formatPlatformName(platform) {
+  return platform ? platform.charAt(0).toUpperCase() + platform.slice(1) : 'Unknown';
+}
+
+// Case-insensitive match against the fields shown in a row
+function matchesQuery(entry, query) {
+  if (!query) return true;
+  return [entry.filename, entry.author, entry.postUrl, entry.caption]
+    .some(field => (field || '').toLowerCase().includes(query));
+}
+
+// === HISTORY CONTROLLER ===
+class HistoryController {
+  constructor() {
+    this.listEl = document.getElementById('history-list');
+    this.searchEl = document.getElementById('search');
+    this.platformEl = document.getElementById('platform-filter');
+    this.countEl = document.getElementById('history-count');
+    this.emptyEl = document.getElementById('empty');
+    this.entries = [];
+
+    this._populatePlatformFilter();
+    this.searchEl.addEventListener('input', () => this.render());
+    this.platformEl.addEventListener('change', () => this.render());
+
+    this.init();
+  }
+
+  async init() {
+    const response = await chrome.runtime.sendMessage({ action: BACKGROUND_MESSAGES.GET_DOWNLOAD_HISTORY });
+    if (!response || !response.success) {
+      this._showEmpty(`Could not load the download history${response && response.error ? `: ${response.error}` : '.'}`);
+      return;
+    }
+
+    this.entries = response.entries;
+    this.render();
+  }
+
+  _populatePlatformFilter() {
+    Object.values(PLATFORMS).forEach(platform => {
+      const option = document.createElement('option');
+      option.value = platform;
+      option.textContent = formatPlatformName(platform);
+      this.platformEl.appendChild(option);
+    });
+  }
+
+  render() {
+    const query = this.searchEl.value.trim().toLowerCase();
+    const platform = this.platformEl.value;
+    const visible = this.entries.filter(entry =>
+      (!platform || entry.platform === platform) && matchesQuery(entry, query)
+    );
+
+    this.countEl.textContent = `${visible.length} of ${this.entries.length} download${this.entries.length !== 1 ? 's' : ''}`;
+    this.listEl.innerHTML = '';
+
+    if (this.entries.length === 0) {
+      this._showEmpty('Nothing downloaded yet. Files you save from a post will appear here.');
+      return;
+    }
+    if (visible.length === 0) {
+      this._showEmpty('No downloads match your search.');
+      return;
+    }
+
+    this.emptyEl.style.display = 'none';
+    visible.forEach(entry => this.listEl.appendChild(this._createRow(entry)));
+  }
+
+  _showEmpty(message) {
+    this.emptyEl.textContent = message;
+    this.emptyEl.style.display = 'block';
+  }
+
+  _createRow(entry) {
+    const row = document.createElement('li');
+    row.className = 'history-row';
+    if (entry.fileExists === false) row.classList.add('missing');
+
+    const thumb = document.createElement('img');
+    thumb.className = 'thumb';
+    thumb.src = entry.thumbnailUrl || PLACEHOLDER_THUMBNAIL;
+    thumb.alt = '';
+    // Signed CDN thumbnails expire after a while
+    thumb.onerror = () => {
+      thumb.onerror = null;
+      thumb.src = PLACEHOLDER_THUMBNAIL;
+    };
+
+    const info = document.createElement('div');
+    info.className = 'info';
+
+    const filenameEl = document.createElement('div');
+    filenameEl.className = 'filename';
+    // Items saved in a ZIP show the archive and their name inside it
+    const filename = entry.archived ? `${entry.filename} › ${entry.entry}` : entry.filename;
+    filenameEl.textContent = filename;
+    filenameEl.title = filename;
+
+    const metaEl = document.createElement('div');
+    metaEl.className = 'meta';
+    const metaParts = [
+      formatPlatformName(entry.platform),
+      entry.author ? `@${entry.author}` : '',
+      entry.mediaType === 'video' ? 'Video' : 'Image',
+      new Date(entry.downloadedAt).toLocaleString()
+    ];
+    metaEl.textContent = metaParts.filter(Boolean).join('  ·  ');
+
+    info.appendChild(filenameEl);
+    info.appendChild(metaEl);
+
+    if (entry.postUrl) {
+      const link = document.createElement('a');
+      link.className = 'post-link';
+      link.href = entry.postUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = entry.postUrl;
+      info.appendChild(link);
+    }
+
+    if (entry.fileExists === false) {
+      const status = document.createElement('div');
+      status.className = 'file-status';
+      status.textContent = 'File was deleted or moved';
+      info.appendChild(status);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+
+    if (entry.fileExists) {
+      actions.appendChild(this._createButton('Open', () => chrome.downloads.open(entry.downloadId)));
+      actions.appendChild(this._createButton('Show in folder', () => chrome.downloads.show(entry.downloadId)));
+    } else {
+      const redownloadBtn = this._createButton('Re-download', () => this._redownload(entry, redownloadBtn));
+      actions.appendChild(redownloadBtn);
+    }
+
+    row.appendChild(thumb);
+    row.appendChild(info);
+    row.appendChild(actions);
+    return row;
+  }
+
+  _createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  async _redownload(entry, button) {
+    button.disabled = true;
+    button.textContent = 'Downloading...';
+
+    const response = await chrome.runtime.sendMessage({
+      action: BACKGROUND_MESSAGES.REDOWNLOAD_HISTORY_ITEM,
+      mediaKey: entry.mediaKey
+    });
+
+    if (response && response.success) {
+      // Reload so the row picks up the new download ID and file state
+      await this.init();
+      return;
+    }
+
+    // Old CDN links expire; the post itself has to be opened again in that case
+    button.disabled = false;
+    button.textContent = 'Failed — retry';
+    button.title = (response && response.error) || '';
+  }
+}
+
+// === INITIALIZE HISTORY PAGE ===
+document.addEventListener('DOMContentLoaded', () => {
+  new HistoryController();
+});
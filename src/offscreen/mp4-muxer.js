@@ -0,0 +1,536 @@
+/**
+ * MP4 remuxer for the offscreen document. Rewrites segmented streams (fragmented MP4 from
+ * HLS or DASH, MPEG-TS via src/offscreen/mpeg-ts.js) into one progressive MP4 with the moov
+ * box in front, so the file plays and seeks in any player. Sample data is copied as is;
+ * nothing is re-encoded.
+ */
+
+const MP4_MOVIE_TIMESCALE = 1000;
+const MP4_MAX_32BIT = 0xFFFFFFFF;
+const MP4_IDENTITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+const MP4_LANGUAGE_UNDETERMINED = 0x55c4; // 'und' packed as ISO-639-2/T
+
+// tfhd / trun flags (ISO/IEC 14496-12 8.8.7, 8.8.8)
+const TFHD_BASE_DATA_OFFSET = 0x000001;
+const TFHD_SAMPLE_DESCRIPTION_INDEX = 0x000002;
+const TFHD_DEFAULT_DURATION = 0x000008;
+const TFHD_DEFAULT_SIZE = 0x000010;
+const TFHD_DEFAULT_FLAGS = 0x000020;
+const TRUN_DATA_OFFSET = 0x000001;
+const TRUN_FIRST_SAMPLE_FLAGS = 0x000004;
+const TRUN_DURATION = 0x000100;
+const TRUN_SIZE = 0x000200;
+const TRUN_FLAGS = 0x000400;
+const TRUN_CTS_OFFSET = 0x000800;
+const SAMPLE_IS_NON_SYNC = 0x00010000;
+
+// === BOX READING ===
+function readFourCC(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function getView(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Lists the boxes between `start` and `end`.
+ * @returns {Array<{ type: string, start: number, dataStart: number, end: number }>}
+ */
+function readBoxes(bytes, start = 0, end = bytes.length) {
+  const view = getView(bytes);
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = readFourCC(bytes, offset + 4);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      throw new Error(`Malformed MP4 box '${type}'`);
+    }
+    boxes.push({ type, start: offset, dataStart: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+function findChildBox(bytes, parent, type) {
+  return readBoxes(bytes, parent.dataStart, parent.end).find(box => box.type === type) || null;
+}
+
+function findBoxPath(bytes, parent, path) {
+  return path.reduce((box, type) => box && findChildBox(bytes, box, type), parent);
+}
+
+// === BOX WRITING ===
+function mp4Box(type, ...payloads) {
+  const size = 8 + payloads.reduce((sum, payload) => sum + payload.length, 0);
+  const bytes = new Uint8Array(size);
+  const view = getView(bytes);
+  view.setUint32(0, size);
+  for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+  let offset = 8;
+  payloads.forEach(payload => {
+    bytes.set(payload, offset);
+    offset += payload.length;
+  });
+  return bytes;
+}
+
+function mp4FullBox(type, version, flags, ...payloads) {
+  return mp4Box(type, new Uint8Array([version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff]), ...payloads);
+}
+
+// Packs big-endian integers: fields are [bits, value] pairs with bits 8, 16, 32 or 64
+function mp4Fields(...fields) {
+  const bytes = new Uint8Array(fields.reduce((sum, [bits]) => sum + bits / 8, 0));
+  const view = getView(bytes);
+  let offset = 0;
+  fields.forEach(([bits, value]) => {
+    if (bits === 8) view.setUint8(offset, value);
+    else if (bits === 16) view.setUint16(offset, value);
+    else if (bits === 32) view.setUint32(offset, value >>> 0);
+    else view.setBigUint64(offset, BigInt(value));
+    offset += bits / 8;
+  });
+  return bytes;
+}
+
+function mp4Matrix() {
+  return mp4Fields(...MP4_IDENTITY_MATRIX.map(value => [32, value]));
+}
+
+// === SAMPLE ENTRIES ===
+/**
+ * stsd box for H.264 video.
+ * @param {Uint8Array} sps Sequence parameter set NAL unit
+ * @param {Uint8Array} pps Picture parameter set NAL unit
+ */
+function createAvcSampleDescription(sps, pps, width, height) {
+  const avcC = mp4Box('avcC',
+    mp4Fields([8, 1], [8, sps[1]], [8, sps[2]], [8, sps[3]], [8, 0xff], [8, 0xe1], [16, sps.length]), sps,
+    mp4Fields([8, 1], [16, pps.length]), pps
+  );
+  const avc1 = mp4Box('avc1',
+    new Uint8Array(6), mp4Fields([16, 1]), // reserved, data_reference_index
+    new Uint8Array(16), // pre_defined, reserved
+    mp4Fields([16, width], [16, height], [32, 0x00480000], [32, 0x00480000], [32, 0], [16, 1]),
+    new Uint8Array(32), // compressorname
+    mp4Fields([16, 0x0018], [16, 0xffff]),
+    avcC
+  );
+  return mp4FullBox('stsd', 0, 0, mp4Fields([32, 1]), avc1);
+}
+
+/**
+ * stsd box for AAC audio.
+ * @param {Uint8Array} config AudioSpecificConfig
+ */
+function createAacSampleDescription(config, sampleRate, channels) {
+  // MPEG-4 descriptors: ES_Descriptor > DecoderConfigDescriptor > DecoderSpecificInfo, SLConfigDescriptor
+  const descriptor = (tag, ...payloads) => {
+    const payload = payloads.reduce((all, part) => [...all, ...part], []);
+    return new Uint8Array([tag, payload.length, ...payload]);
+  };
+  const esds = mp4FullBox('esds', 0, 0, descriptor(0x03,
+    mp4Fields([16, 0], [8, 0]), // ES_ID, flags
+    descriptor(0x04,
+      mp4Fields([8, 0x40], [8, 0x15], [16, 0], [8, 0], [32, 0], [32, 0]), // AAC, audio stream, buffer size, bitrates
+      descriptor(0x05, config)
+    ),
+    descriptor(0x06, [0x02])
+  ));
+  const mp4a = mp4Box('mp4a',
+    new Uint8Array(6), mp4Fields([16, 1]),
+    new Uint8Array(8),
+    mp4Fields([16, channels], [16, 16], [16, 0], [16, 0], [32, sampleRate * 0x10000]),
+    esds
+  );
+  return mp4FullBox('stsd', 0, 0, mp4Fields([32, 1]), mp4a);
+}
+
+// === FRAGMENTED MP4 READING ===
+/**
+ * Reads the track description from a fragmented MP4's moov box.
+ * @returns {object} Track with `handler`, `timescale`, `width`, `height`, `language`,
+ *   `sampleDescription` (stsd bytes), `mediaTime` (from the edit list) and `trex` defaults
+ */
+function parseInitSegment(bytes) {
+  const moov = readBoxes(bytes).find(box => box.type === 'moov');
+  const trak = moov && findChildBox(bytes, moov, 'trak');
+  if (!trak) {
+    throw new Error('MP4 init segment has no track');
+  }
+  const view = getView(bytes);
+
+  const tkhd = findChildBox(bytes, trak, 'tkhd');
+  const mdhd = findBoxPath(bytes, trak, ['mdia', 'mdhd']);
+  const hdlr = findBoxPath(bytes, trak, ['mdia', 'hdlr']);
+  const stsd = findBoxPath(bytes, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+  if (!tkhd || !mdhd || !hdlr || !stsd) {
+    throw new Error('MP4 init segment track is incomplete');
+  }
+  const trackId = view.getUint32(tkhd.dataStart + (bytes[tkhd.dataStart] === 1 ? 20 : 12));
+  const mdhdV1 = bytes[mdhd.dataStart] === 1;
+
+  let mediaTime = 0;
+  const elst = findBoxPath(bytes, trak, ['edts', 'elst']);
+  if (elst) {
+    const v1 = bytes[elst.dataStart] === 1;
+    const entryCount = view.getUint32(elst.dataStart + 4);
+    for (let i = 0, offset = elst.dataStart + 8; i < entryCount; i++, offset += v1 ? 20 : 12) {
+      const time = v1 ? Number(view.getBigInt64(offset + 8)) : view.getInt32(offset + 4);
+      if (time >= 0) {
+        mediaTime = time;
+        break;
+      }
+    }
+  }
+
+  const mvex = findChildBox(bytes, moov, 'mvex');
+  const trex = mvex && readBoxes(bytes, mvex.dataStart, mvex.end)
+    .filter(box => box.type === 'trex')
+    .map(box => ({
+      trackId: view.getUint32(box.dataStart + 4),
+      duration: view.getUint32(box.dataStart + 12),
+      size: view.getUint32(box.dataStart + 16),
+      flags: view.getUint32(box.dataStart + 20)
+    }))
+    .find(defaults => defaults.trackId === trackId);
+
+  return {
+    trackId,
+    handler: readFourCC(bytes, hdlr.dataStart + 8),
+    timescale: view.getUint32(mdhd.dataStart + (mdhdV1 ? 20 : 12)),
+    language: view.getUint16(mdhd.dataStart + (mdhdV1 ? 32 : 20)),
+    width: view.getUint32(tkhd.end - 8) / 0x10000,
+    height: view.getUint32(tkhd.end - 4) / 0x10000,
+    sampleDescription: bytes.slice(stsd.start, stsd.end),
+    mediaTime,
+    trex: trex || { duration: 0, size: 0, flags: 0 }
+  };
+}
+
+/**
+ * Collects the samples of `track` from the moof/mdat pairs in one segment (or a whole
+ * fragmented file). Each track fragment becomes one chunk.
+ * @returns {Array<{ decodeTime: number, samples: Array }>}
+ */
+function parseFragments(bytes, track, startTime = 0) {
+  const view = getView(bytes);
+  const chunks = [];
+  let nextDecodeTime = startTime;
+
+  readBoxes(bytes).filter(box => box.type === 'moof').forEach(moof => {
+    readBoxes(bytes, moof.dataStart, moof.end).filter(box => box.type === 'traf').forEach(traf => {
+      const children = readBoxes(bytes, traf.dataStart, traf.end);
+      const tfhd = children.find(box => box.type === 'tfhd');
+      if (!tfhd || view.getUint32(tfhd.dataStart + 4) !== track.trackId) return;
+
+      const tfhdFlags = view.getUint32(tfhd.dataStart) & 0xffffff;
+      let offset = tfhd.dataStart + 8;
+      let baseOffset = moof.start;
+      if (tfhdFlags & TFHD_BASE_DATA_OFFSET) {
+        baseOffset = Number(view.getBigUint64(offset));
+        offset += 8;
+      }
+      if (tfhdFlags & TFHD_SAMPLE_DESCRIPTION_INDEX) offset += 4;
+      const defaults = { ...track.trex };
+      if (tfhdFlags & TFHD_DEFAULT_DURATION) { defaults.duration = view.getUint32(offset); offset += 4; }
+      if (tfhdFlags & TFHD_DEFAULT_SIZE) { defaults.size = view.getUint32(offset); offset += 4; }
+      if (tfhdFlags & TFHD_DEFAULT_FLAGS) { defaults.flags = view.getUint32(offset); }
+
+      const tfdt = children.find(box => box.type === 'tfdt');
+      const chunk = {
+        decodeTime: tfdt
+          ? (bytes[tfdt.dataStart] === 1 ? Number(view.getBigUint64(tfdt.dataStart + 4)) : view.getUint32(tfdt.dataStart + 4))
+          : nextDecodeTime,
+        samples: []
+      };
+
+      let dataOffset = baseOffset;
+      children.filter(box => box.type === 'trun').forEach(trun => {
+        const version = bytes[trun.dataStart];
+        const flags = view.getUint32(trun.dataStart) & 0xffffff;
+        const sampleCount = view.getUint32(trun.dataStart + 4);
+        let position = trun.dataStart + 8;
+        if (flags & TRUN_DATA_OFFSET) {
+          dataOffset = baseOffset + view.getInt32(position);
+          position += 4;
+        }
+        let firstSampleFlags = null;
+        if (flags & TRUN_FIRST_SAMPLE_FLAGS) {
+          firstSampleFlags = view.getUint32(position);
+          position += 4;
+        }
+
+        for (let i = 0; i < sampleCount; i++) {
+          const sample = { duration: defaults.duration, size: defaults.size, flags: defaults.flags, ctsOffset: 0 };
+          if (flags & TRUN_DURATION) { sample.duration = view.getUint32(position); position += 4; }
+          if (flags & TRUN_SIZE) { sample.size = view.getUint32(position); position += 4; }
+          if (flags & TRUN_FLAGS) { sample.flags = view.getUint32(position); position += 4; }
+          if (flags & TRUN_CTS_OFFSET) {
+            sample.ctsOffset = version === 0 ? view.getUint32(position) : view.getInt32(position);
+            position += 4;
+          }
+          if (i === 0 && firstSampleFlags !== null) sample.flags = firstSampleFlags;
+
+          if (dataOffset + sample.size > bytes.length) {
+            throw new Error('MP4 fragment data is truncated');
+          }
+          chunk.samples.push({
+            data: bytes.subarray(dataOffset, dataOffset + sample.size),
+            duration: sample.duration,
+            ctsOffset: sample.ctsOffset,
+            isSync: track.handler !== 'vide' || !(sample.flags & SAMPLE_IS_NON_SYNC)
+          });
+          dataOffset += sample.size;
+        }
+      });
+
+      if (chunk.samples.length > 0) {
+        chunks.push(chunk);
+        nextDecodeTime = chunk.decodeTime + chunk.samples.reduce((sum, sample) => sum + sample.duration, 0);
+      }
+    });
+  });
+
+  return chunks;
+}
+
+// === PROGRESSIVE MP4 WRITING ===
+// Run-length encodes values as [count, value] pairs
+function runLengths(values) {
+  const runs = [];
+  values.forEach(value => {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === value) last[0]++;
+    else runs.push([1, value]);
+  });
+  return runs;
+}
+
+function buildSampleTable(track, chunkOffsets, use64BitOffsets) {
+  const samples = track.chunks.flatMap(chunk => chunk.samples);
+
+  const boxes = [track.sampleDescription];
+  const durations = runLengths(samples.map(sample => sample.duration));
+  boxes.push(mp4FullBox('stts', 0, 0, mp4Fields([32, durations.length], ...durations.flatMap(([count, value]) => [[32, count], [32, value]]))));
+
+  if (samples.some(sample => sample.ctsOffset !== 0)) {
+    const offsets = runLengths(samples.map(sample => sample.ctsOffset));
+    const version = offsets.some(([, value]) => value < 0) ? 1 : 0;
+    boxes.push(mp4FullBox('ctts', version, 0, mp4Fields([32, offsets.length], ...offsets.flatMap(([count, value]) => [[32, count], [32, value]]))));
+  }
+
+  if (samples.some(sample => !sample.isSync)) {
+    const syncSamples = samples.map((sample, i) => (sample.isSync ? i + 1 : 0)).filter(Boolean);
+    boxes.push(mp4FullBox('stss', 0, 0, mp4Fields([32, syncSamples.length], ...syncSamples.map(n => [32, n]))));
+  }
+
+  const chunkSizes = runLengths(track.chunks.map(chunk => chunk.samples.length));
+  const sampleToChunk = [];
+  let firstChunk = 1;
+  chunkSizes.forEach(([count, samplesPerChunk]) => {
+    sampleToChunk.push([32, firstChunk], [32, samplesPerChunk], [32, 1]);
+    firstChunk += count;
+  });
+  boxes.push(mp4FullBox('stsc', 0, 0, mp4Fields([32, chunkSizes.length], ...sampleToChunk)));
+
+  boxes.push(mp4FullBox('stsz', 0, 0, mp4Fields([32, 0], [32, samples.length], ...samples.map(sample => [32, sample.data.length]))));
+  boxes.push(use64BitOffsets
+    ? mp4FullBox('co64', 0, 0, mp4Fields([32, chunkOffsets.length], ...chunkOffsets.map(offset => [64, offset])))
+    : mp4FullBox('stco', 0, 0, mp4Fields([32, chunkOffsets.length], ...chunkOffsets.map(offset => [32, offset]))));
+
+  return mp4Box('stbl', ...boxes);
+}
+
+function buildTrack(track, trackId, chunkOffsets, use64BitOffsets) {
+  const isVideo = track.handler === 'vide';
+  const movieDuration = Math.round(track.duration * MP4_MOVIE_TIMESCALE / track.timescale);
+
+  const tkhd = mp4FullBox('tkhd', 0, 0x000003, // enabled, in movie
+    mp4Fields([32, 0], [32, 0], [32, trackId], [32, 0], [32, track.delay + movieDuration], [32, 0], [32, 0],
+      [16, 0], [16, 0], [16, isVideo ? 0 : 0x0100], [16, 0]),
+    mp4Matrix(),
+    mp4Fields([32, Math.round(track.width * 0x10000)], [32, Math.round(track.height * 0x10000)])
+  );
+
+  // Edit list: an empty edit delays a track that starts later, media_time skips a composition offset
+  const edits = [];
+  if (track.delay > 0) edits.push([[32, track.delay], [32, 0xffffffff], [32, 0x00010000]]);
+  if (track.delay > 0 || track.mediaTime > 0) edits.push([[32, movieDuration], [32, track.mediaTime], [32, 0x00010000]]);
+  const edts = edits.length > 0 ? [mp4Box('edts', mp4FullBox('elst', 0, 0, mp4Fields([32, edits.length], ...edits.flat())))] : [];
+
+  const handlerName = isVideo ? 'VideoHandler' : 'SoundHandler';
+  const mdia = mp4Box('mdia',
+    mp4FullBox('mdhd', 0, 0, mp4Fields([32, 0], [32, 0], [32, track.timescale], [32, track.duration], [16, track.language || MP4_LANGUAGE_UNDETERMINED], [16, 0])),
+    mp4FullBox('hdlr', 0, 0, mp4Fields([32, 0]), new TextEncoder().encode(track.handler), new Uint8Array(12), new TextEncoder().encode(`${handlerName}\0`)),
+    mp4Box('minf',
+      isVideo ? mp4FullBox('vmhd', 0, 1, new Uint8Array(8)) : mp4FullBox('smhd', 0, 0, new Uint8Array(4)),
+      mp4Box('dinf', mp4FullBox('dref', 0, 0, mp4Fields([32, 1]), mp4FullBox('url ', 0, 1))),
+      buildSampleTable(track, chunkOffsets, use64BitOffsets)
+    )
+  );
+
+  return mp4Box('trak', tkhd, ...edts, mdia);
+}
+
+/**
+ * Writes tracks into a progressive MP4. Chunks of all tracks are interleaved by time.
+ *
+ * @param {object[]} tracks From parseInitSegment/parseFragments or the TS demuxer: `handler`,
+ *   `timescale`, `width`, `height`, `sampleDescription`, `mediaTime`, `chunks`
+ * @returns {Blob} video/mp4
+ */
+function writeMp4(tracks) {
+  tracks = tracks.filter(track => track.chunks.length > 0);
+  if (tracks.length === 0) {
+    throw new Error('Stream contains no audio or video samples');
+  }
+
+  // Rebase decode times so every track's media starts at 0, remembering where each one starts
+  const startSeconds = tracks.map(track => (track.chunks[0].decodeTime + track.mediaTime) / track.timescale);
+  const movieStart = Math.min(...startSeconds);
+  tracks = tracks.map((track, i) => ({
+    ...track,
+    delay: Math.round((startSeconds[i] - movieStart) * MP4_MOVIE_TIMESCALE),
+    duration: track.chunks.reduce((sum, chunk) => sum + chunk.samples.reduce((total, sample) => total + sample.duration, 0), 0)
+  }));
+
+  const layout = tracks
+    .flatMap((track, trackIndex) => track.chunks.map((chunk, chunkIndex) => ({
+      trackIndex,
+      chunkIndex,
+      time: (chunk.decodeTime - track.chunks[0].decodeTime) / track.timescale + tracks[trackIndex].delay / MP4_MOVIE_TIMESCALE,
+      size: chunk.samples.reduce((sum, sample) => sum + sample.data.length, 0)
+    })))
+    .sort((a, b) => a.time - b.time || a.trackIndex - b.trackIndex);
+
+  const dataSize = layout.reduce((sum, chunk) => sum + chunk.size, 0);
+  const mdatHeaderSize = dataSize + 8 > MP4_MAX_32BIT ? 16 : 8;
+
+  const ftyp = mp4Box('ftyp', new TextEncoder().encode('isom'), mp4Fields([32, 0x200]), new TextEncoder().encode('isomiso2avc1mp41'));
+  const buildMoov = (dataStart, use64BitOffsets) => {
+    const offsets = tracks.map(() => []);
+    let offset = dataStart;
+    layout.forEach(chunk => {
+      offsets[chunk.trackIndex][chunk.chunkIndex] = offset;
+      offset += chunk.size;
+    });
+    const movieDuration = Math.max(...tracks.map(track =>
+      track.delay + Math.round(track.duration * MP4_MOVIE_TIMESCALE / track.timescale)
+    ));
+    const mvhd = mp4FullBox('mvhd', 0, 0,
+      mp4Fields([32, 0], [32, 0], [32, MP4_MOVIE_TIMESCALE], [32, movieDuration], [32, 0x00010000], [16, 0x0100], [16, 0], [32, 0], [32, 0]),
+      mp4Matrix(),
+      new Uint8Array(24), // pre_defined
+      mp4Fields([32, tracks.length + 1])
+    );
+    return mp4Box('moov', mvhd, ...tracks.map((track, i) => buildTrack(track, i + 1, offsets[i], use64BitOffsets)));
+  };
+
+  // Chunk offsets depend on the moov size, which depends on the offset width: size with placeholders first
+  const placeholder = buildMoov(0, false);
+  const use64BitOffsets = ftyp.length + placeholder.length + mdatHeaderSize + dataSize > MP4_MAX_32BIT;
+  const moovSize = use64BitOffsets ? buildMoov(0, true).length : placeholder.length;
+  const moov = buildMoov(ftyp.length + moovSize + mdatHeaderSize, use64BitOffsets);
+
+  const mdatHeader = mdatHeaderSize === 16
+    ? mp4Fields([32, 1], [32, 0x6d646174], [64, dataSize + 16])
+    : mp4Fields([32, dataSize + 8], [32, 0x6d646174]);
+  const data = layout.flatMap(chunk => tracks[chunk.trackIndex].chunks[chunk.chunkIndex].samples.map(sample => sample.data));
+
+  return new Blob([ftyp, moov, mdatHeader, ...data], { type: 'video/mp4' });
+}
+
+// === REMUXING ===
+// Reads one fragmented MP4 source; the init segment may be separate or lead the first segment
+function readFragmentedSource(source) {
+  const track = parseInitSegment(source.init || source.segments[0]);
+  const chunks = [];
+  source.segments.forEach(segment => {
+    const previous = chunks[chunks.length - 1];
+    const startTime = previous ? previous.decodeTime + previous.samples.reduce((sum, sample) => sum + sample.duration, 0) : 0;
+    chunks.push(...parseFragments(segment, track, startTime));
+  });
+  return { ...track, chunks };
+}
+
+// Presentation starts at the earliest composition time, which with B-frames is past the first decode time
+function getFirstPresentationOffset(chunk) {
+  let decodeOffset = 0;
+  let earliest = Infinity;
+  chunk.samples.forEach(sample => {
+    earliest = Math.min(earliest, decodeOffset + sample.ctsOffset);
+    decodeOffset += sample.duration;
+  });
+  return Math.max(0, earliest);
+}
+
+function readTransportStreamSource(source) {
+  const { video, audio } = demuxTransportStream(source.segments);
+  const tracks = [];
+  if (video) {
+    tracks.push({
+      handler: 'vide',
+      timescale: video.timescale,
+      width: video.width,
+      height: video.height,
+      sampleDescription: createAvcSampleDescription(video.sps, video.pps, video.width, video.height),
+      mediaTime: getFirstPresentationOffset(video.chunks[0]),
+      chunks: video.chunks
+    });
+  }
+  if (audio) {
+    tracks.push({
+      handler: 'soun',
+      timescale: audio.timescale,
+      width: 0,
+      height: 0,
+      sampleDescription: createAacSampleDescription(audio.config, audio.sampleRate, audio.channels),
+      mediaTime: 0,
+      chunks: audio.chunks
+    });
+  }
+  return tracks;
+}
+
+/**
+ * Remuxes downloaded stream segments into one MP4 file.
+ *
+ * @param {Array<{ init?: Uint8Array, segments: Uint8Array[] }>} sources One per rendition,
+ *   e.g. an HLS variant plus its separate audio playlist, or DASH video and audio
+ *   representations. MPEG-TS sources may carry both audio and video.
+ * @returns {Blob} video/mp4
+ */
+function remuxToMp4(sources) {
+  const tracks = sources.flatMap(source => {
+    if (source.segments.length === 0) return [];
+    if (!source.init && isTransportStream(source.segments[0])) {
+      return readTransportStreamSource(source);
+    }
+    return [readFragmentedSource(source)];
+  });
+  return writeMp4(tracks);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    readBoxes,
+    mp4Box,
+    mp4FullBox,
+    createAvcSampleDescription,
+    createAacSampleDescription,
+    parseInitSegment,
+    parseFragments,
+    writeMp4,
+    remuxToMp4
+  };
+}
@@ -0,0 +1,373 @@
+/**
+ * MPEG-TS demuxer for HLS segments (loaded by the offscreen document before mp4-muxer.js).
+ * Extracts H.264 video and ADTS AAC audio samples so they can be written into an MP4;
+ * other stream types are ignored. Timestamps are kept on the 90 kHz MPEG clock for video
+ * and converted to the sample rate for audio.
+ */
+
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+const TS_STREAM_TYPE_H264 = 0x1b;
+const TS_STREAM_TYPE_AAC = 0x0f;
+const TS_CLOCK_RATE = 90000;
+
+const AAC_SAMPLES_PER_FRAME = 1024;
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const H264_NAL_IDR = 5;
+const H264_NAL_SPS = 7;
+const H264_NAL_PPS = 8;
+const H264_NAL_AUD = 9;
+
+function isTransportStream(bytes) {
+  return bytes.length >= TS_PACKET_SIZE && bytes[0] === TS_SYNC_BYTE &&
+    (bytes.length < 2 * TS_PACKET_SIZE || bytes[TS_PACKET_SIZE] === TS_SYNC_BYTE);
+}
+
+// 33-bit PTS/DTS spread over 5 bytes with marker bits; multiplied rather than shifted to stay above 32 bits
+function readTimestamp(bytes, offset) {
+  return ((bytes[offset] >> 1) & 0x07) * 0x40000000 +
+    (bytes[offset + 1] << 22) +
+    ((bytes[offset + 2] >> 1) << 15) +
+    (bytes[offset + 3] << 7) +
+    (bytes[offset + 4] >> 1);
+}
+
+function concatBytes(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+// Reads exp-Golomb coded fields from an H.264 RBSP
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0;
+  }
+
+  readBit() {
+    const byte = this.bytes[this.position >> 3];
+    if (byte === undefined) throw new Error('Unexpected end of H.264 parameter set');
+    const bit = (byte >> (7 - (this.position & 7))) & 1;
+    this.position++;
+    return bit;
+  }
+
+  readBits(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) value = value * 2 + this.readBit();
+    return value;
+  }
+
+  readUE() {
+    let zeros = 0;
+    while (this.readBit() === 0) zeros++;
+    return (2 ** zeros - 1) + this.readBits(zeros);
+  }
+
+  readSE() {
+    const value = this.readUE();
+    return value & 1 ? (value + 1) / 2 : -value / 2;
+  }
+}
+
+// Removes emulation prevention bytes (00 00 03 -> 00 00)
+function toRbsp(nal) {
+  const result = [];
+  for (let i = 0; i < nal.length; i++) {
+    if (i >= 2 && nal[i] === 3 && nal[i - 1] === 0 && nal[i - 2] === 0) continue;
+    result.push(nal[i]);
+  }
+  return new Uint8Array(result);
+}
+
+/**
+ * Reads the coded picture size from an H.264 sequence parameter set (NAL header included).
+ * @returns {{ width: number, height: number }}
+ */
+function parseH264Sps(sps) {
+  const reader = new BitReader(toRbsp(sps.subarray(1)));
+  const profileIdc = reader.readBits(8);
+  reader.readBits(16); // constraint flags, level_idc
+  reader.readUE(); // seq_parameter_set_id
+
+  let chromaFormatIdc = 1;
+  if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profileIdc)) {
+    chromaFormatIdc = reader.readUE();
+    if (chromaFormatIdc === 3) reader.readBit(); // separate_colour_plane_flag
+    reader.readUE(); // bit_depth_luma_minus8
+    reader.readUE(); // bit_depth_chroma_minus8
+    reader.readBit(); // qpprime_y_zero_transform_bypass_flag
+    if (reader.readBit()) { // seq_scaling_matrix_present_flag
+      const listCount = chromaFormatIdc !== 3 ? 8 : 12;
+      for (let i = 0; i < listCount; i++) {
+        if (!reader.readBit()) continue;
+        let lastScale = 8;
+        let nextScale = 8;
+        for (let j = 0; j < (i < 6 ? 16 : 64); j++) {
+          if (nextScale !== 0) nextScale = (lastScale + reader.readSE() + 256) % 256;
+          lastScale = nextScale === 0 ? lastScale : nextScale;
+        }
+      }
+    }
+  }
+
+  reader.readUE(); // log2_max_frame_num_minus4
+  const picOrderCntType = reader.readUE();
+  if (picOrderCntType === 0) {
+    reader.readUE(); // log2_max_pic_order_cnt_lsb_minus4
+  } else if (picOrderCntType === 1) {
+    reader.readBit(); // delta_pic_order_always_zero_flag
+    reader.readSE(); // offset_for_non_ref_pic
+    reader.readSE(); // offset_for_top_to_bottom_field
+    const cycleLength = reader.readUE();
+    for (let i = 0; i < cycleLength; i++) reader.readSE();
+  }
+
+  reader.readUE(); // max_num_ref_frames
+  reader.readBit(); // gaps_in_frame_num_value_allowed_flag
+  const widthInMbs = reader.readUE() + 1;
+  const heightInMapUnits = reader.readUE() + 1;
+  const frameMbsOnly = reader.readBit();
+  if (!frameMbsOnly) reader.readBit(); // mb_adaptive_frame_field_flag
+  reader.readBit(); // direct_8x8_inference_flag
+
+  let width = widthInMbs * 16;
+  let height = (2 - frameMbsOnly) * heightInMapUnits * 16;
+  if (reader.readBit()) { // frame_cropping_flag
+    const [left, right, top, bottom] = [reader.readUE(), reader.readUE(), reader.readUE(), reader.readUE()];
+    const cropUnitX = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+    const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+    width -= (left + right) * cropUnitX;
+    height -= (top + bottom) * cropUnitY;
+  }
+  return { width, height };
+}
+
+// Splits an Annex B byte stream into NAL units (start codes removed)
+function splitNalUnits(bytes) {
+  const units = [];
+  let start = -1;
+  let i = 0;
+  while (i + 2 < bytes.length) {
+    if (bytes[i] === 0 && bytes[i + 1] === 0 && bytes[i + 2] === 1) {
+      if (start >= 0) {
+        // A 4-byte start code leaves a trailing zero on the previous unit
+        let end = i;
+        while (end > start && bytes[end - 1] === 0) end--;
+        units.push(bytes.subarray(start, end));
+      }
+      i += 3;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+  if (start >= 0 && start < bytes.length) units.push(bytes.subarray(start));
+  return units;
+}
+
+// Reassembles PES packets per PID from a segment's TS packets
+function readPesPackets(bytes, onPes) {
+  let pmtPid = -1;
+  const streams = new Map(); // pid -> stream_type
+  const buffers = new Map(); // pid -> payload parts of the current PES packet
+
+  const flush = (pid) => {
+    const parts = buffers.get(pid);
+    if (parts && parts.length > 0) onPes(streams.get(pid), concatBytes(parts));
+    buffers.set(pid, []);
+  };
+
+  for (let offset = 0; offset + TS_PACKET_SIZE <= bytes.length; offset += TS_PACKET_SIZE) {
+    if (bytes[offset] !== TS_SYNC_BYTE) {
+      throw new Error('Lost MPEG-TS sync');
+    }
+    const payloadUnitStart = (bytes[offset + 1] & 0x40) !== 0;
+    const pid = ((bytes[offset + 1] & 0x1f) << 8) | bytes[offset + 2];
+    const adaptationField = (bytes[offset + 3] >> 4) & 0x03;
+    if (!(adaptationField & 0x01)) continue; // no payload
+
+    let payloadStart = offset + 4;
+    if (adaptationField & 0x02) payloadStart += 1 + bytes[offset + 4];
+    if (payloadStart >= offset + TS_PACKET_SIZE) continue;
+    const payload = bytes.subarray(payloadStart, offset + TS_PACKET_SIZE);
+
+    if (pid === 0 || pid === pmtPid) {
+      if (!payloadUnitStart) continue;
+      const section = payload.subarray(1 + payload[0]); // skip pointer_field
+      const sectionEnd = Math.min(section.length, 3 + (((section[1] & 0x0f) << 8) | section[2]) - 4); // minus CRC
+      if (pid === 0) {
+        for (let i = 8; i + 4 <= sectionEnd; i += 4) {
+          const programNumber = (section[i] << 8) | section[i + 1];
+          if (programNumber !== 0) {
+            pmtPid = ((section[i + 2] & 0x1f) << 8) | section[i + 3];
+            break;
+          }
+        }
+      } else {
+        const programInfoLength = ((section[10] & 0x0f) << 8) | section[11];
+        for (let i = 12 + programInfoLength; i + 5 <= sectionEnd;) {
+          const streamPid = ((section[i + 1] & 0x1f) << 8) | section[i + 2];
+          if (!streams.has(streamPid)) {
+            streams.set(streamPid, section[i]);
+            buffers.set(streamPid, []);
+          }
+          i += 5 + (((section[i + 3] & 0x0f) << 8) | section[i + 4]);
+        }
+      }
+      continue;
+    }
+
+    if (!streams.has(pid)) continue;
+    if (payloadUnitStart) flush(pid);
+    buffers.get(pid).push(payload);
+  }
+
+  streams.forEach((_, pid) => flush(pid));
+}
+
+function parsePes(pes) {
+  if (pes[0] !== 0 || pes[1] !== 0 || pes[2] !== 1) return null;
+  const flags = pes[7];
+  const headerLength = pes[8];
+  const pts = flags & 0x80 ? readTimestamp(pes, 9) : null;
+  const dts = flags & 0x40 ? readTimestamp(pes, 14) : pts;
+  return { pts, dts, data: pes.subarray(9 + headerLength) };
+}
+
+/**
+ * Demuxes the segments of one HLS rendition.
+ *
+ * @param {Uint8Array[]} segments MPEG-TS segments in playlist order
+ * @returns {{ video: object|null, audio: object|null }} Each track has `timescale`, codec
+ *   configuration (`sps`/`pps`/`width`/`height` or `config`/`sampleRate`/`channels`) and
+ *   `chunks`: one per segment, `{ decodeTime, samples: [{ data, duration, ctsOffset, isSync }] }`
+ *   with times in the track's timescale.
+ */
+function demuxTransportStream(segments) {
+  let video = null;
+  let audio = null;
+  let pendingAudio = new Uint8Array(0); // ADTS frames may be split across PES packets
+
+  const videoFrames = []; // { dts, pts, data, isSync, segment }
+  const audioFrames = []; // { pts, data, segment }
+
+  segments.forEach((bytes, segment) => {
+    readPesPackets(bytes, (streamType, pesBytes) => {
+      const pes = parsePes(pesBytes);
+      if (!pes) return;
+
+      if (streamType === TS_STREAM_TYPE_H264) {
+        const units = [];
+        let isSync = false;
+        splitNalUnits(pes.data).forEach(nal => {
+          const type = nal[0] & 0x1f;
+          if (type === H264_NAL_SPS || type === H264_NAL_PPS) {
+            if (!video) video = { sps: null, pps: null };
+            if (type === H264_NAL_SPS && !video.sps) video.sps = nal.slice();
+            if (type === H264_NAL_PPS && !video.pps) video.pps = nal.slice();
+            return;
+          }
+          if (type === H264_NAL_AUD) return;
+          if (type === H264_NAL_IDR) isSync = true;
+          units.push(nal);
+        });
+        if (units.length === 0 || pes.dts === null) return;
+
+        // MP4 stores NAL units with 4-byte length prefixes instead of start codes
+        const data = new Uint8Array(units.reduce((sum, nal) => sum + 4 + nal.length, 0));
+        const view = new DataView(data.buffer);
+        let offset = 0;
+        units.forEach(nal => {
+          view.setUint32(offset, nal.length);
+          data.set(nal, offset + 4);
+          offset += 4 + nal.length;
+        });
+        videoFrames.push({ dts: pes.dts, pts: pes.pts, data, isSync, segment });
+      } else if (streamType === TS_STREAM_TYPE_AAC) {
+        const buffer = concatBytes([pendingAudio, pes.data]);
+        let offset = 0;
+        let frameIndex = 0;
+        while (offset + 7 <= buffer.length && buffer[offset] === 0xff && (buffer[offset + 1] & 0xf0) === 0xf0) {
+          const frameLength = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+          if (frameLength < 7 || offset + frameLength > buffer.length) break;
+          const headerLength = buffer[offset + 1] & 0x01 ? 7 : 9;
+
+          if (!audio) {
+            const objectType = ((buffer[offset + 2] >> 6) & 0x03) + 1;
+            const rateIndex = (buffer[offset + 2] >> 2) & 0x0f;
+            const channels = ((buffer[offset + 2] & 0x01) << 2) | (buffer[offset + 3] >> 6);
+            audio = {
+              sampleRate: AAC_SAMPLE_RATES[rateIndex],
+              channels,
+              // AudioSpecificConfig: object type, sampling frequency index, channel configuration
+              config: new Uint8Array([(objectType << 3) | (rateIndex >> 1), ((rateIndex & 1) << 7) | (channels << 3)])
+            };
+          }
+
+          // Frames after the first in a PES packet have no PTS of their own
+          const pts = pes.pts === null ? null : pes.pts + frameIndex * AAC_SAMPLES_PER_FRAME * TS_CLOCK_RATE / audio.sampleRate;
+          audioFrames.push({ pts, data: buffer.slice(offset + headerLength, offset + frameLength), segment });
+          offset += frameLength;
+          frameIndex++;
+        }
+        pendingAudio = buffer.slice(offset);
+      }
+    });
+  });
+
+  if (video && video.sps && video.pps && videoFrames.length > 0) {
+    Object.assign(video, parseH264Sps(video.sps), {
+      timescale: TS_CLOCK_RATE,
+      chunks: buildChunks(videoFrames, (frame, next, previous) => ({
+        data: frame.data,
+        duration: next ? next.dts - frame.dts : (previous ? frame.dts - previous.dts : 0),
+        ctsOffset: frame.pts - frame.dts,
+        isSync: frame.isSync
+      }), frame => frame.dts)
+    });
+  } else {
+    video = null;
+  }
+
+  if (audio && audioFrames.length > 0) {
+    const firstPts = audioFrames[0].pts || 0;
+    audio.timescale = audio.sampleRate;
+    audio.chunks = buildChunks(audioFrames, frame => ({
+      data: frame.data,
+      duration: AAC_SAMPLES_PER_FRAME,
+      ctsOffset: 0,
+      isSync: true
+    }), (frame, index) => Math.round(firstPts * audio.sampleRate / TS_CLOCK_RATE) + index * AAC_SAMPLES_PER_FRAME);
+  } else {
+    audio = null;
+  }
+
+  return { video, audio };
+}
+
+// Groups frames into one chunk per segment
+function buildChunks(frames, toSample, getDecodeTime) {
+  const chunks = [];
+  frames.forEach((frame, index) => {
+    const last = chunks[chunks.length - 1];
+    const sample = toSample(frame, frames[index + 1], frames[index - 1]);
+    if (last && last.segment === frame.segment) {
+      last.samples.push(sample);
+    } else {
+      chunks.push({ segment: frame.segment, decodeTime: getDecodeTime(frame, index), samples: [sample] });
+    }
+  });
+  return chunks.map(({ decodeTime, samples }) => ({ decodeTime, samples }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { isTransportStream, parseH264Sps, splitNalUnits, demuxTransportStream };
+}
@@ -0,0 +1,39 @@
+/**
+ * Offscreen document for Social Snap
+ * Service workers cannot call URL.createObjectURL, so the background posts Blobs here over
+ * the service worker message channel (chrome.runtime messaging cannot carry binary data)
+ * and downloads the blob: URLs this page hands back. Stream segments the background has
+ * fetched are remuxed into MP4 files here as well (src/offscreen/mp4-muxer.js).
+ *
+ * Requests look like { id, type, ...payload }; replies echo the id with { result } or { error }.
+ */
+
+navigator.serviceWorker.addEventListener('message', (event) => {
+  const { id, type } = event.data || {};
+  const reply = (message) => event.source.postMessage({ id, ...message });
+
+  try {
+    switch (type) {
+    case OFFSCREEN_MESSAGES.CREATE_BLOB_URL:
+      reply({ result: URL.createObjectURL(event.data.blob) });
+      break;
+
+    case OFFSCREEN_MESSAGES.REMUX_MP4:
+      reply({ result: remuxToMp4(event.data.sources) });
+      break;
+
+    case OFFSCREEN_MESSAGES.REVOKE_BLOB_URL:
+      URL.revokeObjectURL(event.data.url);
+      reply({ result: true });
+      break;
+
+    default:
+      reply({ error: `Unknown offscreen request: ${type}` });
+    }
+  } catch (error) {
+    reply({ error: error.message });
+  }
+});
+
+// Messages posted before this point are queued until the listener is ready
+navigator.serviceWorker.startMessages();
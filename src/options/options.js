@@ -0,0 +1,125 @@
+/**
+ * Options page script for Social Snap
+ * Reads and writes user settings (src/shared/settings.js) in chrome.storage.sync.
+ * Form fields name their setting with a dotted path, e.g. data-setting="carousel.x.waitTime".
+ */
+
+// Sample values used to preview the filename template
+const PREVIEW_VALUES = {
+  platform: 'instagram',
+  author: 'natgeo',
+  postId: 'DNYNXb4z8J0',
+  caption: 'Sunrise over the Dolomites, shot on a cold morning',
+  date: '2025-08-16',
+  timestamp: '20250816T093000',
+  postedDate: '2025-08-15',
+  postedTimestamp: '20250815T184512',
+  index: 1,
+  mediaType: 'image',
+  ext: 'jpg'
+};
+
+function getSettingAtPath(settings, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), settings);
+}
+
+// Builds a nested change object ({ carousel: { x: { waitTime: 1 } } }) from a dotted path
+function setSettingAtPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+// === OPTIONS CONTROLLER ===
+class OptionsController {
+  constructor() {
+    this.formEl = document.getElementById('options-form');
+    this.statusEl = document.getElementById('status');
+    this.filenamePreviewEl = document.getElementById('filename-preview');
+    this.folderPreviewEl = document.getElementById('folder-preview');
+    this.fieldEls = Array.from(this.formEl.querySelectorAll('[data-setting]'));
+
+    this.formEl.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+    this.formEl.addEventListener('input', () => this._updatePreview());
+    document.getElementById('reset-btn').addEventListener('click', () => this.reset());
+
+    // Keep the form in sync with changes made elsewhere (another device, a reset)
+    onSettingsChanged(settings => this._fillForm(settings));
+
+    this.init();
+  }
+
+  async init() {
+    this._fillForm(await loadSettings());
+  }
+
+  async save() {
+    const changes = {};
+    this.fieldEls.forEach(el => {
+      setSettingAtPath(changes, el.dataset.setting, this._readField(el));
+    });
+
+    // Nested groups are stored whole, so merge edits over the current values
+    const current = await loadSettings();
+    await saveSettings(mergeSettings(current, changes));
+    this._showStatus('Saved');
+  }
+
+  async reset() {
+    await resetSettings();
+    this._fillForm(DEFAULT_SETTINGS);
+    this._showStatus('Defaults restored');
+  }
+
+  _fillForm(settings) {
+    this.fieldEls.forEach(el => {
+      const value = getSettingAtPath(settings, el.dataset.setting);
+      if (el.type === 'checkbox') {
+        el.checked = value;
+      } else {
+        el.value = value;
+      }
+    });
+    this._updatePreview();
+  }
+
+  _readField(el) {
+    const fallback = getSettingAtPath(DEFAULT_SETTINGS, el.dataset.setting);
+    if (el.type === 'checkbox') return el.checked;
+    if (el.type === 'number') {
+      const number = parseInt(el.value, 10);
+      return Number.isNaN(number) || number < Number(el.min || 0) ? fallback : number;
+    }
+    return el.value.trim() || fallback;
+  }
+
+  _updatePreview() {
+    const filenameTemplate = this._readField(document.getElementById('filenameTemplate'));
+    const folderTemplate = this._readField(document.getElementById('folderTemplate'));
+    const useSubfolders = this._readField(document.getElementById('useSubfolders'));
+
+    const filename = renderFilenameTemplate(filenameTemplate, PREVIEW_VALUES);
+    const folder = renderFolderTemplate(folderTemplate, PREVIEW_VALUES);
+    this.filenamePreviewEl.textContent = filename;
+    this.folderPreviewEl.textContent = useSubfolders ? `${folder}/${filename}` : 'Disabled — files are saved to the Downloads root';
+  }
+
+  _showStatus(message) {
+    this.statusEl.textContent = message;
+    setTimeout(() => {
+      this.statusEl.textContent = '';
+    }, 2000);
+  }
+}
+
+// === INITIALIZE OPTIONS PAGE ===
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
@@ -1,15 +1,41 @@
 /**
  * Bundled popup script for Social Media Image Downloader
- * Shared constants (POPUP_MESSAGES, BACKGROUND_MESSAGES, CONTENT_MESSAGES) and utilities
- * are loaded from src/shared/ via script tags in popup.html.
+ * Shared constants (POPUP_MESSAGES, BACKGROUND_MESSAGES, CONTENT_MESSAGES, DOWNLOAD_EVENTS), utilities and
+ * settings are loaded from src/shared/ via script tags in popup.html.
  */
 
+// === USER SETTINGS ===
+let debugLogging = DEFAULT_SETTINGS.debug;
+
+loadSettings().then(settings => {
+  debugLogging = settings.debug;
+});
+
+onSettingsChanged(settings => {
+  debugLogging = settings.debug;
+});
+
+function log(...message) {
+  if (debugLogging) {
+    console.log(...message);
+  }
+}
+
+// "720p · 2.2 Mbps"; the shorter side names the quality, so portrait 720x1280 is 720p
+function formatVideoVariant(variant) {
+  const parts = [];
+  if (variant.height) parts.push(`${variant.width ? Math.min(variant.width, variant.height) : variant.height}p`);
+  if (variant.bitrate) parts.push(`${(variant.bitrate / 1000000).toFixed(1)} Mbps`);
+  return parts.join(' · ') || 'Unknown quality';
+}
+
 // === STATUS DISPLAY COMPONENT ===
 class StatusDisplay {
   constructor() {
     this.loadingEl = document.getElementById('loading');
     this.errorEl = document.getElementById('error');
     this.successEl = document.getElementById('success');
+    this.redownloadBtnEl = document.getElementById('redownload-btn');
     this.contentEl = document.getElementById('content');
   }
 
@@ -20,7 +46,7 @@ class StatusDisplay {
     this.contentEl.style.display = 'none';
   }
 
-  showError(message = 'Open a specific post on Instagram, Threads, Facebook, or X to get started.') {
+  showError(message = 'Open a specific post on Instagram, Threads, Facebook, X, Bluesky, Reddit, Pinterest or Tumblr to get started.') {
     this.loadingEl.style.display = 'none';
     this.errorEl.style.display = 'flex';
     this.contentEl.style.display = 'none';
@@ -39,6 +65,8 @@ class StatusDisplay {
 
   showSuccess(message = 'Download started. Check your downloads folder.') {
     this.successEl.style.display = 'flex';
+    this.successEl.classList.remove('partial');
+    this.redownloadBtnEl.style.display = 'none';
 
     const successTextEl = this.successEl.querySelector('p');
     if (successTextEl && message) {
@@ -50,6 +78,43 @@ class StatusDisplay {
     }, 3000);
   }
 
+  /**
+   * Summarises a finished batch. Failures and skipped duplicates stay on screen so the
+   * user can act on them; `onRedownload` re-sends the skipped items.
+   */
+  showDownloadSummary(summary, onRedownload) {
+    let message = `Saved ${summary.succeeded} file${summary.succeeded !== 1 ? 's' : ''}.`;
+    if (summary.failed > 0) {
+      message += ` ${summary.failed} failed — click a red thumbnail to retry.`;
+    }
+    if (summary.skipped > 0) {
+      message += ` ${summary.skipped} already downloaded.`;
+    }
+
+    if (summary.failed === 0 && summary.skipped === 0) {
+      this.showSuccess(message);
+      return;
+    }
+
+    this.successEl.style.display = 'flex';
+    this.successEl.classList.toggle('partial', summary.failed > 0);
+    this.successEl.querySelector('p').textContent = message;
+
+    this.redownloadBtnEl.style.display = summary.skipped > 0 ? '' : 'none';
+    this.redownloadBtnEl.onclick = () => {
+      this.successEl.style.display = 'none';
+      onRedownload();
+    };
+  }
+
+  // Nothing extracted yet and nothing wrong: used while profile mode waits to be started
+  showIdle() {
+    this.loadingEl.style.display = 'none';
+    this.errorEl.style.display = 'none';
+    this.contentEl.style.display = 'none';
+    this.updateImageCount([]);
+  }
+
   showContent() {
     this.loadingEl.style.display = 'none';
     this.errorEl.style.display = 'none';
@@ -74,6 +139,9 @@ class ImageGrid {
     this.downloadImagesBtnEl = document.getElementById('download-images-btn');
     this.downloadVideosBtnEl = document.getElementById('download-videos-btn');
     this.currentImages = [];
+    this.itemEls = new Map(); // fullSizeUrl -> .image-item element
+    // Default pick for videos with several variants; set from settings before the first render
+    this.videoQuality = DEFAULT_SETTINGS.videoQuality;
 
     this._initializeDownloadButtons();
   }
@@ -81,6 +149,7 @@ class ImageGrid {
   displayImages(images) {
     this.currentImages = images;
     this.imagesGridEl.innerHTML = '';
+    this.itemEls.clear();
 
     images.forEach((image, index) => {
       const imageItem = this._createImageItem(image, index);
@@ -88,9 +157,9 @@ class ImageGrid {
     });
 
     this._updateDownloadButtons();
+    this._markDownloaded(images);
 
-    const hlsVideos = images.filter(i => i.mediaType === 'video' && i.isHLS);
-    this._renderHlsSection(hlsVideos);
+    this._renderHlsSection(images.filter(needsExternalDownloader));
   }
 
   appendImages(newImages) {
@@ -103,15 +172,33 @@ class ImageGrid {
     });
 
     this._updateDownloadButtons();
+    this._markDownloaded(newImages);
+  }
+
+  // Flags thumbnails whose media is already in the download history
+  async _markDownloaded(images) {
+    if (images.length === 0) return;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: BACKGROUND_MESSAGES.CHECK_DOWNLOADED,
+        images
+      });
+      (response && response.downloadedUrls || []).forEach(url => {
+        const imageItem = this.itemEls.get(url);
+        if (imageItem) imageItem.classList.add('saved');
+      });
+    } catch (error) {
+      log('Checking download history failed:', error);
+    }
   }
 
   _updateDownloadButtons() {
     const images = this.currentImages;
     const imageCount = images.filter(i => i.mediaType !== 'video').length;
-    const directVideoCount = images.filter(i => i.mediaType === 'video' && !i.isHLS).length;
-    const hlsVideos = images.filter(i => i.mediaType === 'video' && i.isHLS);
+    const videoCount = images.filter(i => i.mediaType === 'video' && !needsExternalDownloader(i)).length;
+    const externalVideos = images.filter(needsExternalDownloader);
 
-    const downloadableCount = imageCount + directVideoCount;
+    const downloadableCount = imageCount + videoCount;
     if (downloadableCount > 0) {
       this.downloadAllBtnEl.style.display = '';
       this.downloadAllBtnEl.textContent = `Download All  ·  ${downloadableCount}`;
@@ -126,15 +213,15 @@ class ImageGrid {
       this.downloadImagesBtnEl.style.display = 'none';
     }
 
-    if (directVideoCount > 0) {
+    if (videoCount > 0) {
       this.downloadVideosBtnEl.style.display = '';
-      this.downloadVideosBtnEl.textContent = `Videos  ·  ${directVideoCount}`;
+      this.downloadVideosBtnEl.textContent = `Videos  ·  ${videoCount}`;
     } else {
       this.downloadVideosBtnEl.style.display = 'none';
     }
 
-    if (hlsVideos.length > 0) {
-      this._renderHlsSection(hlsVideos);
+    if (externalVideos.length > 0) {
+      this._renderHlsSection(externalVideos);
     }
   }
 
@@ -214,10 +301,10 @@ class ImageGrid {
     </svg>`;
     downloadOverlay.appendChild(dlCircle);
 
-    console.log(`Loading thumbnail ${index + 1}:`, image.thumbnailUrl);
+    log(`Loading thumbnail ${index + 1}:`, image.thumbnailUrl);
 
     img.onerror = () => {
-      console.log(`Thumbnail loading failed ${index + 1}:`, image.thumbnailUrl);
+      log(`Thumbnail loading failed ${index + 1}:`, image.thumbnailUrl);
       img.src = this._getDefaultImageDataUrl();
     };
 
@@ -228,7 +315,11 @@ class ImageGrid {
       imageItem.appendChild(videoBadge);
     }
 
-    if (image.isHLS) {
+    if (image.mediaType === 'video' && image.variants && image.variants.length > 1) {
+      imageItem.appendChild(this._createQualitySelect(image, imageItem));
+    }
+
+    if (needsExternalDownloader(image)) {
       const command = `yt-dlp "${image.fullSizeUrl}"`;
       dlCircle.innerHTML = `<svg width="13" height="13" viewBox="0 0 16 16" fill="none">
         <path d="M10.5 8H5.5M8 5.5L5.5 8 8 10.5" stroke="#192a51" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"/>
@@ -250,17 +341,57 @@ class ImageGrid {
       });
     } else {
       imageItem.addEventListener('click', async () => {
-        await this._downloadSingleImage(image, index + 1, imageItem);
+        await this._downloadSingleImage(image, index + 1);
       });
     }
 
     imageItem.appendChild(img);
     imageItem.appendChild(downloadOverlay);
+    this.itemEls.set(image.fullSizeUrl, imageItem);
 
     return imageItem;
   }
 
-  async _downloadSingleImage(image, index, imageItem) {
+  /**
+   * Quality dropdown for a video with several variants. The item starts on the variant the
+   * videoQuality setting picks; choosing another one points `image.fullSizeUrl` at it, so
+   * single and batch downloads both use it.
+   */
+  _createQualitySelect(image, imageItem) {
+    const variants = [...image.variants].sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+    image.fullSizeUrl = selectVideoVariant(variants, this.videoQuality).url;
+
+    const select = document.createElement('select');
+    select.className = 'quality-select';
+    select.title = 'Video quality';
+    variants.forEach(variant => {
+      const option = document.createElement('option');
+      option.value = variant.url;
+      option.textContent = formatVideoVariant(variant);
+      select.appendChild(option);
+    });
+    select.value = image.fullSizeUrl;
+
+    // Picking a quality must not start a download
+    select.addEventListener('click', event => event.stopPropagation());
+    select.addEventListener('change', () => {
+      // Progress events are matched by URL
+      this.itemEls.delete(image.fullSizeUrl);
+      image.fullSizeUrl = select.value;
+      this.itemEls.set(image.fullSizeUrl, imageItem);
+      log(`Video ${image.index} quality: ${select.options[select.selectedIndex].textContent}`);
+    });
+
+    return select;
+  }
+
+  /**
+   * Mirrors download queue progress onto a thumbnail. `status` is one of the
+   * DOWNLOAD_EVENTS.ITEM_STATUS states: queued, downloading, retrying, complete, failed, skipped.
+   */
+  setItemStatus(url, status, error) {
+    const imageItem = this.itemEls.get(url);
+    if (!imageItem) return;
     const circle = imageItem.querySelector('.dl-circle');
 
     const checkSVG = `<svg width="13" height="13" viewBox="0 0 16 16" fill="none">
@@ -269,17 +400,25 @@ class ImageGrid {
     const dlSVG = `<svg width="13" height="13" viewBox="0 0 16 16" fill="none">
       <path d="M8 4v8m0 0L5.5 9.5M8 12l2.5-2.5" stroke="#192a51" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"/>
     </svg>`;
+    const failedSVG = `<svg width="13" height="13" viewBox="0 0 16 16" fill="none">
+      <path d="M4.5 4.5l7 7m0-7l-7 7" stroke="#f5e6e8" stroke-width="2" stroke-linecap="round"/>
+    </svg>`;
 
-    try {
-      imageItem.classList.add('downloading');
-
-      await chrome.runtime.sendMessage({
-        action: BACKGROUND_MESSAGES.DOWNLOAD_SINGLE_IMAGE,
-        image,
-        index
-      });
+    const inProgress = ['queued', 'downloading', 'retrying'].includes(status);
+    imageItem.classList.toggle('downloading', inProgress);
+    imageItem.classList.toggle('failed', status === 'failed');
+    imageItem.classList.remove('downloaded');
+    if (status === 'complete' || status === 'skipped') {
+      imageItem.classList.add('saved');
+    }
 
-      imageItem.classList.remove('downloading');
+    if (status === 'retrying') {
+      imageItem.title = `Interrupted (${error}), retrying...`;
+    } else if (status === 'failed') {
+      imageItem.title = `Download failed${error ? ` (${error})` : ''}. Click to retry.`;
+      if (circle) circle.innerHTML = failedSVG;
+    } else if (status === 'complete') {
+      imageItem.title = '';
       imageItem.classList.add('downloaded');
       if (circle) circle.innerHTML = checkSVG;
 
@@ -287,16 +426,39 @@ class ImageGrid {
         imageItem.classList.remove('downloaded');
         if (circle) circle.innerHTML = dlSVG;
       }, 2000);
+    } else if (status === 'skipped') {
+      imageItem.title = 'Already downloaded';
+      if (circle) circle.innerHTML = dlSVG;
+    } else if (circle) {
+      circle.innerHTML = dlSVG;
+    }
+  }
+
+  async _downloadSingleImage(image, index) {
+    this.setItemStatus(image.fullSizeUrl, 'queued');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: BACKGROUND_MESSAGES.DOWNLOAD_SINGLE_IMAGE,
+        image,
+        index
+      });
+
+      if (response && response.success) {
+        this.setItemStatus(image.fullSizeUrl, 'complete');
+      } else {
+        this.setItemStatus(image.fullSizeUrl, 'failed', response && response.error);
+      }
     } catch (error) {
       console.error('Single download failed:', error);
-      imageItem.classList.remove('downloading');
-      if (circle) circle.innerHTML = dlSVG;
+      this.setItemStatus(image.fullSizeUrl, 'failed', error.message);
     }
   }
 
   _initializeDownloadButtons() {
     this.downloadAllBtnEl.addEventListener('click', async () => {
-      await this._downloadBatch(this.currentImages, this.downloadAllBtnEl, 'Download All');
+      const items = this.currentImages.filter(i => !needsExternalDownloader(i));
+      await this._downloadBatch(items, this.downloadAllBtnEl, 'Download All');
     });
 
     this.downloadImagesBtnEl.addEventListener('click', async () => {
@@ -305,12 +467,12 @@ class ImageGrid {
     });
 
     this.downloadVideosBtnEl.addEventListener('click', async () => {
-      const videos = this.currentImages.filter(i => i.mediaType === 'video');
+      const videos = this.currentImages.filter(i => i.mediaType === 'video' && !needsExternalDownloader(i));
       await this._downloadBatch(videos, this.downloadVideosBtnEl, 'Download Videos');
     });
   }
 
-  async _downloadBatch(items, btn, defaultLabel) {
+  async _downloadBatch(items, btn, defaultLabel, redownload = false) {
     if (items.length === 0) return;
 
     const originalLabel = btn.textContent;
@@ -319,12 +481,23 @@ class ImageGrid {
       btn.disabled = true;
       btn.textContent = defaultLabel;
 
-      await chrome.runtime.sendMessage({
+      const response = await chrome.runtime.sendMessage({
         action: BACKGROUND_MESSAGES.DOWNLOAD_IMAGES,
-        images: items
+        images: items,
+        redownload
       });
 
-      this._notifyDownloadSuccess();
+      if (!response || !response.summary) {
+        throw new Error((response && response.error) || 'No response from background script');
+      }
+
+      const skippedItems = response.summary.items
+        .filter(item => item.status === 'skipped')
+        .map(item => items[item.index - 1]);
+      this._notifyDownloadComplete(response.summary, () => this._downloadBatch(skippedItems, btn, defaultLabel, true));
+      if (response.summary.failed > 0) {
+        btn.textContent = `${response.summary.failed} failed`;
+      }
 
       setTimeout(() => {
         btn.disabled = false;
@@ -341,8 +514,8 @@ class ImageGrid {
     }
   }
 
-  _notifyDownloadSuccess() {
-    const event = new CustomEvent('downloadSuccess');
+  _notifyDownloadComplete(summary, redownloadSkipped) {
+    const event = new CustomEvent('downloadComplete', { detail: { summary, redownloadSkipped } });
     document.dispatchEvent(event);
   }
 
@@ -368,6 +541,11 @@ class PopupController {
     chrome.runtime.onMessage.addListener((request) => {
       if (!this.currentTab) return;
 
+      if (request.action === DOWNLOAD_EVENTS.ITEM_STATUS) {
+        this.imageGrid.setItemStatus(request.url, request.status, request.error);
+        return;
+      }
+
       if (request.action === CONTENT_MESSAGES.IMAGES_APPEND && request.tabId === this.currentTab.id) {
         this._onImagesAppend(request.images);
       } else if (request.action === CONTENT_MESSAGES.EXTRACTION_COMPLETE && request.tabId === this.currentTab.id) {
@@ -411,7 +589,7 @@ class PopupController {
       stopBtn.onclick = async () => {
         stopBtn.disabled = true;
         stopBtn.textContent = 'Stopping...';
-        await chrome.tabs.sendMessage(this.currentTab.id, { action: 'stopExtraction' }).catch(() => {});
+        await chrome.tabs.sendMessage(this.currentTab.id, { action: TAB_MESSAGES.STOP_EXTRACTION }).catch(() => {});
       };
     }
   }
@@ -430,6 +608,7 @@ class PopupController {
 
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       this.currentTab = tab;
+      this.imageGrid.videoQuality = (await loadSettings()).videoQuality;
 
       const response = await chrome.runtime.sendMessage({
         action: POPUP_MESSAGES.GET_CURRENT_IMAGES,
@@ -438,6 +617,8 @@ class PopupController {
 
       if (response && Array.isArray(response.images)) {
         this._extracting = response.extracting || false;
+        const profile = this._extracting ? null : await this._getProfileInfo();
+        const feedPosts = this._extracting || profile ? null : await this._getFeedPosts();
 
         if (response.images.length > 0) {
           this._displayImages(response.images);
@@ -447,10 +628,16 @@ class PopupController {
         } else if (this._extracting) {
           // Extraction started but no images yet — keep loading skeleton, wait for first imagesAppend
           const loadingTextEl = document.querySelector('.loading-text');
-          if (loadingTextEl) loadingTextEl.textContent = 'Extracting Facebook post...';
-        } else {
+          if (loadingTextEl) loadingTextEl.textContent = 'Extracting media...';
+        } else if (!profile && !feedPosts) {
           this.statusDisplay.showError();
         }
+
+        if (profile) {
+          this._showProfileMode(profile, response.images.length === 0);
+        } else if (feedPosts) {
+          this._showFeedMode(feedPosts, response.images.length === 0);
+        }
       } else {
         console.error('Invalid response from background script.');
         this.statusDisplay.showError('Failed to get images. Please reload the page and try again.');
@@ -465,6 +652,138 @@ class PopupController {
     }
   }
 
+  // Asks the content script whether the tab is a profile grid that profile mode can walk
+  async _getProfileInfo() {
+    const response = await chrome.tabs.sendMessage(this.currentTab.id, { action: TAB_MESSAGES.GET_PROFILE_INFO })
+      .catch(() => null);
+    return response ? response.profile : null;
+  }
+
+  _showProfileMode(profile, isEmpty) {
+    const panelEl = document.getElementById('profile-mode');
+    document.getElementById('profile-title').textContent = profile.tab ? `@${profile.username} · ${profile.tab}` : `@${profile.username}`;
+    panelEl.style.display = 'block';
+    if (isEmpty) this.statusDisplay.showIdle();
+
+    document.getElementById('profile-start-btn').onclick = () => this._startProfileExtraction(profile);
+  }
+
+  /**
+   * Starts a profile walk in the content script. Its posts then arrive like a Facebook
+   * album's slides: IMAGES_APPEND batches, ended by EXTRACTION_COMPLETE.
+   */
+  async _startProfileExtraction(profile) {
+    const limitEl = document.getElementById('profile-limit');
+    const limit = Math.max(1, parseInt(limitEl.value, 10) || parseInt(limitEl.defaultValue, 10));
+    const since = document.getElementById('profile-since').value || null;
+    const until = document.getElementById('profile-until').value || null;
+
+    document.getElementById('profile-mode').style.display = 'none';
+    this.imageGrid.displayImages([]);
+    this.statusDisplay.showLoading();
+    const loadingTextEl = document.querySelector('.loading-text');
+    if (loadingTextEl) loadingTextEl.textContent = `Collecting posts from @${profile.username}...`;
+    this._extracting = true;
+
+    log(`Starting profile mode for @${profile.username}`, { limit, since, until });
+    await chrome.tabs.sendMessage(this.currentTab.id, {
+      action: TAB_MESSAGES.START_PROFILE_EXTRACTION,
+      options: { limit, since, until }
+    }).catch(error => {
+      console.error('Starting profile mode failed:', error);
+      this.statusDisplay.showError('This page needs to be reloaded before its posts can be collected.');
+    });
+  }
+
+  // Asks the content script for the posts in view on a home feed; null when the tab is not a feed
+  async _getFeedPosts() {
+    const response = await chrome.tabs.sendMessage(this.currentTab.id, { action: TAB_MESSAGES.GET_FEED_POSTS })
+      .catch(() => null);
+    return response ? response.posts : null;
+  }
+
+  _showFeedMode(posts, isEmpty) {
+    document.getElementById('feed-mode').style.display = 'block';
+    if (isEmpty) this.statusDisplay.showIdle();
+    this._renderFeedPosts(posts);
+
+    document.getElementById('feed-refresh-btn').onclick = async () => {
+      this._renderFeedPosts(await this._getFeedPosts() || []);
+    };
+    document.getElementById('feed-select-all').onchange = (event) => {
+      document.querySelectorAll('#feed-posts input').forEach(input => {
+        input.checked = event.target.checked;
+      });
+      this._updateFeedStartButton();
+    };
+    document.getElementById('feed-start-btn').onclick = () => this._startFeedExtraction();
+  }
+
+  // One row per post, all ticked: author and the start of the caption
+  _renderFeedPosts(posts) {
+    const listEl = document.getElementById('feed-posts');
+    listEl.innerHTML = '';
+
+    posts.forEach(post => {
+      const row = document.createElement('label');
+      row.className = 'feed-post';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = post.id;
+      checkbox.checked = true;
+      checkbox.addEventListener('change', () => this._updateFeedStartButton());
+
+      const textEl = document.createElement('span');
+      textEl.className = 'feed-post-text';
+      const authorEl = document.createElement('span');
+      authorEl.className = 'feed-post-author';
+      authorEl.textContent = post.author || 'Unknown author';
+      const captionEl = document.createElement('span');
+      captionEl.className = 'feed-post-caption';
+      captionEl.textContent = post.caption || 'No caption';
+      textEl.append(authorEl, captionEl);
+
+      row.append(checkbox, textEl);
+      listEl.appendChild(row);
+    });
+
+    document.getElementById('feed-note').textContent = posts.length > 0
+      ? 'Pick the posts in view to collect. Scroll the feed and refresh to list others.'
+      : 'No posts with media in view. Scroll the feed, then refresh.';
+    document.getElementById('feed-select-all').checked = posts.length > 0;
+    this._updateFeedStartButton();
+  }
+
+  _updateFeedStartButton() {
+    const count = document.querySelectorAll('#feed-posts input:checked').length;
+    const startBtn = document.getElementById('feed-start-btn');
+    startBtn.disabled = count === 0;
+    startBtn.textContent = count > 0 ? `Collect ${count} post${count !== 1 ? 's' : ''}` : 'Collect posts';
+  }
+
+  // The picked posts arrive like a profile walk's: IMAGES_APPEND batches, ended by EXTRACTION_COMPLETE
+  async _startFeedExtraction() {
+    const postIds = Array.from(document.querySelectorAll('#feed-posts input:checked')).map(input => input.value);
+    if (postIds.length === 0) return;
+
+    document.getElementById('feed-mode').style.display = 'none';
+    this.imageGrid.displayImages([]);
+    this.statusDisplay.showLoading();
+    const loadingTextEl = document.querySelector('.loading-text');
+    if (loadingTextEl) loadingTextEl.textContent = `Collecting ${postIds.length} post${postIds.length !== 1 ? 's' : ''} from the feed...`;
+    this._extracting = true;
+
+    log('Starting feed mode', postIds);
+    await chrome.tabs.sendMessage(this.currentTab.id, {
+      action: TAB_MESSAGES.START_FEED_EXTRACTION,
+      postIds
+    }).catch(error => {
+      console.error('Starting feed mode failed:', error);
+      this.statusDisplay.showError('This page needs to be reloaded before its posts can be collected.');
+    });
+  }
+
   _displayImages(images) {
     this.statusDisplay.showContent();
     this.statusDisplay.updateImageCount(images);
@@ -472,9 +791,21 @@ class PopupController {
   }
 
   _initializeEventListeners() {
-    document.addEventListener('downloadSuccess', () => {
-      this.statusDisplay.showSuccess();
+    document.addEventListener('downloadComplete', (event) => {
+      this.statusDisplay.showDownloadSummary(event.detail.summary, event.detail.redownloadSkipped);
     });
+
+    const optionsBtn = document.getElementById('options-btn');
+    if (optionsBtn) {
+      optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    }
+
+    const historyBtn = document.getElementById('history-btn');
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('src/history/history.html') });
+      });
+    }
   }
 }
 
@@ -2,19 +2,28 @@ const PLATFORMS = {
   THREADS: 'threads',
   INSTAGRAM: 'instagram',
   FACEBOOK: 'facebook',
-  X: 'x'
+  X: 'x',
+  BLUESKY: 'bluesky',
+  REDDIT: 'reddit',
+  PINTEREST: 'pinterest',
+  TUMBLR: 'tumblr'
 };
 
 const PLATFORM_HOSTNAMES = {
   [PLATFORMS.THREADS]: 'threads.com',
   [PLATFORMS.INSTAGRAM]: 'instagram.com',
   [PLATFORMS.FACEBOOK]: 'facebook.com',
-  [PLATFORMS.X]: 'x.com'
+  [PLATFORMS.X]: 'x.com',
+  [PLATFORMS.BLUESKY]: 'bsky.app',
+  [PLATFORMS.REDDIT]: 'reddit.com',
+  [PLATFORMS.PINTEREST]: 'pinterest.com',
+  [PLATFORMS.TUMBLR]: 'tumblr.com'
 };
 
 const CONTENT_MESSAGES = {
   IMAGES_EXTRACTED: 'imagesExtracted',
   IMAGES_APPEND: 'imagesAppend',
+  EXTRACTION_STARTED: 'extractionStarted',
   EXTRACTION_COMPLETE: 'extractionComplete',
   EXTRACTION_ERROR: 'extractionError'
 };
@@ -23,12 +32,42 @@ const POPUP_MESSAGES = {
   GET_CURRENT_IMAGES: 'getCurrentImages'
 };
 
+// Sent by the popup and the background's context menu to the tab's content script (chrome.tabs.sendMessage)
+const TAB_MESSAGES = {
+  STOP_EXTRACTION: 'stopExtraction',
+  GET_PROFILE_INFO: 'getProfileInfo',
+  START_PROFILE_EXTRACTION: 'startProfileExtraction',
+  GET_FEED_POSTS: 'getFeedPosts',
+  START_FEED_EXTRACTION: 'startFeedExtraction',
+  DOWNLOAD_CONTEXT_MEDIA: 'downloadContextMedia',
+  DOWNLOAD_CONTEXT_POST: 'downloadContextPost'
+};
+
 const BACKGROUND_MESSAGES = {
   DOWNLOAD_IMAGES: 'downloadImages',
   DOWNLOAD_SINGLE_IMAGE: 'downloadSingleImage',
-  FETCH_FB_VIDEO_URL: 'fetchFbVideoUrl'
+  CHECK_DOWNLOADED: 'checkDownloaded',
+  GET_DOWNLOAD_HISTORY: 'getDownloadHistory',
+  REDOWNLOAD_HISTORY_ITEM: 'redownloadHistoryItem',
+  FETCH_FB_VIDEO_URL: 'fetchFbVideoUrl',
+  FETCH_TUMBLR_POST: 'fetchTumblrPost'
+};
+
+// Requests from the service worker to the offscreen document (sent with client.postMessage)
+const OFFSCREEN_MESSAGES = {
+  CREATE_BLOB_URL: 'createBlobUrl',
+  REVOKE_BLOB_URL: 'revokeBlobUrl',
+  REMUX_MP4: 'remuxMp4'
+};
+
+// Broadcast by the background download queue to any open popup
+const DOWNLOAD_EVENTS = {
+  ITEM_STATUS: 'downloadItemStatus'
 };
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { PLATFORMS, PLATFORM_HOSTNAMES, CONTENT_MESSAGES, POPUP_MESSAGES, BACKGROUND_MESSAGES };
+  module.exports = {
+    PLATFORMS, PLATFORM_HOSTNAMES, CONTENT_MESSAGES, POPUP_MESSAGES, TAB_MESSAGES, BACKGROUND_MESSAGES,
+    DOWNLOAD_EVENTS, OFFSCREEN_MESSAGES
+  };
 }
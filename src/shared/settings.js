@@ -0,0 +1,83 @@
+// User-editable settings persisted in chrome.storage.sync.
+// DEFAULT_SETTINGS lists every key with its fallback value. content.js builds its
+// CAROUSEL, IMAGE_FILTERS and other config objects from it.
+const DEFAULT_SETTINGS = {
+  filenameTemplate: '{platform}_{mediaType}_{timestamp}_{index}.{ext}',
+  useSubfolders: false,
+  folderTemplate: 'SocialSnap/{platform}/{author}/{postId}',
+  // chrome.downloads conflictAction: 'uniquify' | 'overwrite' | 'prompt'
+  conflictAction: 'uniquify',
+  // Save <platform>_<author>_<postId>.json with post metadata next to batch downloads
+  writeSidecar: false,
+  // Save each post as one ZIP (fetched in the service worker) instead of separate files
+  downloadAsZip: false,
+  zipManifest: true,
+  // Pause before a download slot picks up its next file (ms)
+  downloadDelay: 500,
+  maxConcurrentDownloads: 3,
+  // Retries for downloads interrupted by network/server errors; the wait doubles each time
+  maxRetries: 3,
+  retryDelay: 1000,
+  // Batch downloads leave out media already in the download history
+  skipDownloaded: true,
+  // Default video variant: 'highest' | '720p' (largest up to 720p) | 'smallest'
+  videoQuality: 'highest',
+  // Download button on each post in the page, feeds included
+  inPageButtons: true,
+  // Threads post pages also collect the media of the replies below the post
+  threadsIncludeReplies: false,
+  // Instagram story and highlight pages step through every item instead of the one on screen
+  instagramStoryAllItems: false,
+  debug: true,
+  carousel: {
+    instagram: { initialWait: 500, waitTime: 1000, maxAttempts: 50 },
+    facebook: { initialWait: 1000, waitTime: 1000, maxAttempts: 1000 },
+    x: { initialWait: 500, waitTime: 1000, maxAttempts: 10 }
+  },
+  imageFilters: {
+    minWidth: 150,
+    minHeight: 150,
+    carouselMinWidth: 50,
+    carouselMinHeight: 50
+  }
+};
+
+// Deep-merges stored values over defaults so nested groups keep keys added in later versions
+function mergeSettings(defaults, stored) {
+  const result = { ...defaults };
+  Object.entries(stored || {}).forEach(([key, value]) => {
+    const fallback = defaults[key];
+    const isGroup = fallback && typeof fallback === 'object' && !Array.isArray(fallback);
+    result[key] = isGroup && value && typeof value === 'object' ? mergeSettings(fallback, value) : value;
+  });
+  return result;
+}
+
+async function loadSettings() {
+  const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  return mergeSettings(DEFAULT_SETTINGS, stored);
+}
+
+async function saveSettings(changes) {
+  await chrome.storage.sync.set(changes);
+}
+
+async function resetSettings() {
+  await chrome.storage.sync.set(DEFAULT_SETTINGS);
+}
+
+/**
+ * Calls `callback` with the full, merged settings whenever any synced setting changes.
+ */
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    loadSettings().then(callback);
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_SETTINGS, mergeSettings, loadSettings, saveSettings, resetSettings, onSettingsChanged
+  };
+}
@@ -6,6 +6,8 @@ function getFileExtension(url) {
     if (match) {
       return match[1].toLowerCase();
     }
+    // HLS streams are saved remuxed to MP4
+    if (/\.m3u8$/i.test(pathname)) return 'mp4';
 
     const searchParams = urlObj.searchParams;
     if (searchParams.has('format')) {
@@ -25,17 +27,181 @@ function getFileExtension(url) {
   }
 }
 
+// True for HLS playlists, which are downloaded segment by segment rather than by chrome.downloads
+function isHlsPlaylistUrl(url) {
+  try {
+    return /\.m3u8$/i.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+// X videos whose stream was not found carry the tweet URL instead of a playlist; only yt-dlp can save those
+function needsExternalDownloader(image) {
+  return image.mediaType === 'video' && image.isHLS && !isHlsPlaylistUrl(image.fullSizeUrl);
+}
+
+/**
+ * Picks one of a video's variants ({ url, width, height, bitrate }) for the videoQuality
+ * setting: 'highest', '720p' (the best variant whose shorter side is at most 720 px,
+ * else the smallest) or 'smallest'. Variants of unknown size never count as 720p.
+ */
+function selectVideoVariant(variants, quality) {
+  if (!variants || variants.length === 0) return null;
+
+  // Highest bitrate first; resolution breaks ties
+  const sorted = [...variants].sort((a, b) =>
+    (b.bitrate || 0) - (a.bitrate || 0) || (b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0)
+  );
+  const smallest = sorted[sorted.length - 1];
+  // Portrait videos are 720p at 720x1280; variants with only a quality label carry just `height`
+  const shortSide = variant => (variant.width ? Math.min(variant.width, variant.height) : variant.height);
+
+  if (quality === 'smallest') return smallest;
+  if (quality === '720p') {
+    return sorted.find(variant => variant.height && shortSide(variant) <= 720) || smallest;
+  }
+  return sorted[0];
+}
+
+// Points videos offered in several variants at the one the videoQuality setting picks, for downloads made without the popup
+function applyVideoQuality(images, quality) {
+  return images.map(image => (image.mediaType === 'video' && image.variants && image.variants.length > 1
+    ? { ...image, fullSizeUrl: selectVideoVariant(image.variants, quality).url }
+    : image));
+}
+
+// Matched on the host name, the site's or a subdomain of it, so a domain in the path
+// (a Bluesky handle such as netflix.com) does not count. Instagram media also comes from cdninstagram.com.
 function getPlatformFromUrl(url) {
-  if (url.includes(PLATFORM_HOSTNAMES[PLATFORMS.THREADS])) {
-    return PLATFORMS.THREADS;
-  } else if (url.includes(PLATFORM_HOSTNAMES[PLATFORMS.INSTAGRAM])) {
-    return PLATFORMS.INSTAGRAM;
-  } else if (url.includes(PLATFORM_HOSTNAMES[PLATFORMS.FACEBOOK])) {
-    return PLATFORMS.FACEBOOK;
-  } else if (url.includes(PLATFORM_HOSTNAMES[PLATFORMS.X])) {
-    return PLATFORMS.X;
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  if (/(^|\.)cdninstagram\.com$/.test(hostname)) return PLATFORMS.INSTAGRAM;
+  const platform = Object.values(PLATFORMS).find(name =>
+    hostname === PLATFORM_HOSTNAMES[name] || hostname.endsWith(`.${PLATFORM_HOSTNAMES[name]}`));
+  return platform || null;
+}
+
+// Characters rejected by Windows/macOS file systems or by chrome.downloads. The control
+// characters (U+0000-U+001F and U+007F) are added from their code points.
+const ILLEGAL_FILENAME_CHARS = new RegExp(
+  `[<>:"/\\\\|?*${String.fromCharCode(0x00)}-${String.fromCharCode(0x1f)}${String.fromCharCode(0x7f)}]`,
+  'g'
+);
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+const MAX_FILENAME_LENGTH = 200;
+
+function sanitizeFilename(name) {
+  let result = String(name)
+    .replace(/\s+/g, ' ')
+    .replace(ILLEGAL_FILENAME_CHARS, '_')
+    .trim()
+    .replace(/^\.+/, '')
+    .replace(/[. ]+$/, '');
+
+  if (RESERVED_FILENAMES.test(result)) {
+    result = `_${result}`;
+  }
+
+  if (result.length > MAX_FILENAME_LENGTH) {
+    const dot = result.lastIndexOf('.');
+    const extension = dot > 0 && result.length - dot <= 6 ? result.slice(dot) : '';
+    result = result.slice(0, MAX_FILENAME_LENGTH - extension.length).trim() + extension;
   }
-  return null;
+
+  return result || 'download';
+}
+
+/**
+ * Fills a filename template such as "{platform}_{author}_{index}.{ext}".
+ * Tokens accept an optional max length ("{caption:30}"). Unknown tokens are left
+ * untouched; missing values render as an empty string.
+ *
+ * @param {string} template
+ * @param {Object<string, string|number>} values
+ * @returns {string} Sanitised filename (never contains path separators)
+ */
+function renderFilenameTemplate(template, values) {
+  const rendered = template.replace(/\{(\w+)(?::(\d+))?\}/g, (token, name, maxLength) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) return token;
+    let value = values[name] == null ? '' : String(values[name]);
+    if (maxLength) value = value.slice(0, Number(maxLength));
+    return value.replace(/\s+/g, ' ').replace(ILLEGAL_FILENAME_CHARS, '_');
+  });
+  return sanitizeFilename(rendered);
+}
+
+/**
+ * Fills a folder template such as "SocialSnap/{platform}/{author}". Each path
+ * segment is rendered and sanitised on its own; empty segments are dropped.
+ *
+ * @returns {string} Relative path without leading or trailing slashes
+ */
+function renderFolderTemplate(template, values) {
+  return template
+    .split(/[\\/]+/)
+    .filter(segment => segment.trim())
+    .map(segment => renderFilenameTemplate(segment, values))
+    .join('/');
+}
+
+// Decodes Meta's `efg` query param (URL-safe base64 JSON) carrying video_id / xpv_asset_id
+function decodeEfgParam(efg) {
+  if (!efg) return null;
+  try {
+    return JSON.parse(atob(efg.replace(/-/g, '+').replace(/_/g, '/')));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns a stable identity for a media URL, so the same asset matches across
+ * resolutions, CDN hosts and re-signed URLs:
+ * - `twimg:<key>`   pbs.twimg.com media key or video.twimg.com video ID
+ * - `asset:<id>`    efg xpv_asset_id / video_id on fbcdn.net and cdninstagram.com videos
+ * - `fbid:<id>`     photo ID from Meta CDN filenames (<n>_<fbid>_<n>_n.jpg)
+ * - `cdn:<name>`    any other Meta CDN filename
+ * Other URLs fall back to origin + path.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function getMediaKey(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return url;
+  }
+  const { hostname, pathname, searchParams } = urlObj;
+
+  if (hostname === 'pbs.twimg.com') {
+    const mediaMatch = pathname.match(/^\/media\/([^/.]+)/);
+    if (mediaMatch) return `twimg:${mediaMatch[1]}`;
+  }
+
+  if (hostname === 'video.twimg.com') {
+    const videoMatch = pathname.match(/\/(?:ext_tw_video|amplify_video|tweet_video)\/([^/.]+)/);
+    if (videoMatch) return `twimg:${videoMatch[1]}`;
+  }
+
+  if (/(^|\.)(fbcdn\.net|cdninstagram\.com)$/.test(hostname)) {
+    const efg = decodeEfgParam(searchParams.get('efg'));
+    const assetId = efg && (efg.xpv_asset_id || efg.video_id);
+    if (assetId) return `asset:${assetId}`;
+
+    const filename = pathname.split('/').pop();
+    const fbidMatch = filename.match(/^\d+_(\d+)_\d+_[a-z]\.\w+$/);
+    if (fbidMatch) return `fbid:${fbidMatch[1]}`;
+    return `cdn:${filename}`;
+  }
+
+  return `${urlObj.origin}${pathname}`;
 }
 
 function wait(ms) {
@@ -43,5 +209,8 @@ function wait(ms) {
 }
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { getFileExtension, getPlatformFromUrl, wait };
+  module.exports = {
+    getFileExtension, isHlsPlaylistUrl, needsExternalDownloader, selectVideoVariant, applyVideoQuality, getPlatformFromUrl, sanitizeFilename, renderFilenameTemplate, renderFolderTemplate,
+    decodeEfgParam, getMediaKey, wait
+  };
 }
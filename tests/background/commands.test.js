@@ -0,0 +1,88 @@
+const { loadBackgroundScript } = require('./helpers.js');
+loadBackgroundScript();
+
+const [handleCommand] = chrome.commands.onCommand.addListener.mock.calls[0];
+
+const stored = [
+  { mediaType: 'image', fullSizeUrl: 'https://cdn/photo.jpg' },
+  {
+    mediaType: 'video',
+    fullSizeUrl: 'https://cdn/1080.mp4',
+    variants: [
+      { url: 'https://cdn/1080.mp4', bitrate: 5000000, width: 1920, height: 1080 },
+      { url: 'https://cdn/360.mp4', bitrate: 600000, width: 640, height: 360 }
+    ]
+  },
+  // Stream never seen: only yt-dlp can save it
+  { mediaType: 'video', isHLS: true, fullSizeUrl: 'https://x.com/someone/status/1' }
+];
+
+describe('keyboard shortcuts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chrome.storage.session.get.mockResolvedValue({ 7: stored });
+    chrome.storage.sync.get.mockResolvedValue({ videoQuality: 'smallest' });
+    jest.spyOn(global.downloadManager, 'downloadAllImages').mockResolvedValue({ total: 2, succeeded: 2, failed: 0, skipped: 0, items: [] });
+  });
+
+  const downloadedUrls = () => global.downloadManager.downloadAllImages.mock.calls[0][0].map(image => image.fullSizeUrl);
+
+  test('download all of the tab\'s media at the video quality setting', async () => {
+    await global.downloadForCommand('download-all', { id: 7 });
+
+    expect(chrome.storage.session.get).toHaveBeenCalledWith('7');
+    expect(downloadedUrls()).toEqual(['https://cdn/photo.jpg', 'https://cdn/360.mp4']);
+  });
+
+  test('download only images or only videos', async () => {
+    await global.downloadForCommand('download-images', { id: 7 });
+    await global.downloadForCommand('download-videos', { id: 7 });
+
+    const [[images], [videos]] = global.downloadManager.downloadAllImages.mock.calls;
+    expect(images.map(image => image.fullSizeUrl)).toEqual(['https://cdn/photo.jpg']);
+    expect(videos.map(image => image.fullSizeUrl)).toEqual(['https://cdn/360.mp4']);
+  });
+
+  test('fall back to the active tab and skip empty tabs', async () => {
+    chrome.tabs.query.mockResolvedValue([{ id: 8 }]);
+    chrome.storage.session.get.mockResolvedValue({});
+
+    const summary = await global.downloadForCommand('download-all', undefined);
+
+    expect(chrome.tabs.query).toHaveBeenCalledWith({ active: true, currentWindow: true });
+    expect(chrome.storage.session.get).toHaveBeenCalledWith('8');
+    expect(summary).toBeNull();
+    expect(global.downloadManager.downloadAllImages).not.toHaveBeenCalled();
+  });
+
+  test('mark the toolbar icon when the tab has nothing to download', async () => {
+    chrome.storage.session.get.mockResolvedValue({});
+
+    await global.downloadForCommand('download-all', { id: 7 });
+
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 7, text: '!' });
+    expect(chrome.action.setTitle).toHaveBeenCalledWith({ tabId: 7, title: 'Nothing to download yet: open the popup on this page first' });
+  });
+
+  test('say when the tab has media but none of the shortcut\'s kind', async () => {
+    chrome.storage.session.get.mockResolvedValue({ 7: [stored[0]] });
+
+    await global.downloadForCommand('download-videos', { id: 7 });
+
+    expect(chrome.action.setTitle).toHaveBeenCalledWith({ tabId: 7, title: 'No matching media on this page' });
+  });
+
+  test('clear the mark once something is downloaded', async () => {
+    await global.downloadForCommand('download-all', { id: 7 });
+
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 7, text: '' });
+    expect(chrome.action.setTitle).toHaveBeenCalledWith({ tabId: 7, title: 'Social Snap - Download Images' });
+  });
+
+  test('are registered with the commands API', async () => {
+    handleCommand('download-videos', { id: 7 });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(downloadedUrls()).toEqual(['https://cdn/360.mp4']);
+  });
+});
@@ -0,0 +1,39 @@
+const { loadBackgroundScript } = require('./helpers.js');
+loadBackgroundScript();
+
+const [createMenus] = chrome.runtime.onInstalled.addListener.mock.calls[0];
+const [handleClick] = chrome.contextMenus.onClicked.addListener.mock.calls[0];
+
+describe('context menus', () => {
+  beforeEach(() => {
+    chrome.contextMenus.create.mockClear();
+    chrome.tabs.sendMessage.mockReset();
+  });
+
+  test('are created on install for the supported sites only', () => {
+    createMenus();
+
+    const [media, post] = chrome.contextMenus.create.mock.calls.map(([options]) => options);
+    expect(media).toMatchObject({ id: 'downloadMedia', title: 'Download this media at full size', contexts: ['image', 'video'] });
+    expect(post).toMatchObject({ id: 'downloadPost', title: 'Download all media from this post', contexts: ['link'] });
+    expect(post.targetUrlPatterns).toEqual(expect.arrayContaining(['https://www.instagram.com/p/*', 'https://x.com/*/status/*']));
+    [media, post].forEach(options => {
+      expect(options.documentUrlPatterns).toEqual([
+        'https://*.threads.com/*', 'https://*.instagram.com/*', 'https://*.facebook.com/*', 'https://*.x.com/*', 'https://*.bsky.app/*',
+        'https://*.reddit.com/*', 'https://*.pinterest.com/*', 'https://*.tumblr.com/*'
+      ]);
+    });
+  });
+
+  test('forward clicks to the content script of the clicked frame', () => {
+    chrome.tabs.sendMessage.mockResolvedValue(undefined);
+
+    handleClick({ menuItemId: 'downloadMedia', mediaType: 'image', srcUrl: 'https://pbs.twimg.com/media/A?name=small', frameId: 0 }, { id: 7 });
+    handleClick({ menuItemId: 'downloadPost', linkUrl: 'https://x.com/someone/status/1', frameId: 0 }, { id: 7 });
+
+    expect(chrome.tabs.sendMessage.mock.calls).toEqual([
+      [7, { action: 'downloadContextMedia', mediaType: 'image', srcUrl: 'https://pbs.twimg.com/media/A?name=small', linkUrl: undefined }, { frameId: 0 }],
+      [7, { action: 'downloadContextPost', mediaType: undefined, srcUrl: undefined, linkUrl: 'https://x.com/someone/status/1' }, { frameId: 0 }]
+    ]);
+  });
+});
@@ -1,33 +1,44 @@
 const { loadBackgroundScript } = require('./helpers.js');
 loadBackgroundScript();
 
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
 describe('DownloadManager', () => {
+  let nextDownloadId;
+
   beforeEach(() => {
     jest.clearAllMocks();
+    nextDownloadId = 0;
+    chrome.downloads.download.mockImplementation(async () => ++nextDownloadId);
+    // Downloads report complete as soon as the queue checks on them
+    chrome.downloads.search.mockImplementation(async ({ id }) => [{ id, state: 'complete' }]);
+    chrome.runtime.sendMessage.mockResolvedValue(undefined);
+    // IndexedDB is not available under Jest; stub the history store
+    jest.spyOn(global.downloadHistory, 'record').mockResolvedValue();
+    jest.spyOn(global.downloadHistory, 'findDownloaded').mockResolvedValue(new Set());
   });
 
-  describe('_detectPlatform', () => {
-    test('returns platform name from tab URL', async () => {
+  describe('_detectSource', () => {
+    test('returns platform name and page URL from the active tab', async () => {
       chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/p/abc123' }]);
 
-      const platform = await global.downloadManager._detectPlatform();
+      const source = await global.downloadManager._detectSource();
 
-      expect(platform).toBe('instagram');
+      expect(source).toEqual({ platformName: 'instagram', pageUrl: 'https://www.instagram.com/p/abc123' });
     });
 
     test('returns unknown for unrecognized URL', async () => {
       chrome.tabs.query.mockResolvedValue([{ url: 'https://www.youtube.com/watch?v=123' }]);
 
-      const platform = await global.downloadManager._detectPlatform();
+      const source = await global.downloadManager._detectSource();
 
-      expect(platform).toBe('unknown');
+      expect(source.platformName).toBe('unknown');
     });
   });
 
   describe('downloadSingleImage', () => {
     test('calls chrome.downloads.download with correct filename format', async () => {
       chrome.tabs.query.mockResolvedValue([{ url: 'https://www.facebook.com/photo/?fbid=123' }]);
-      chrome.downloads.download.mockResolvedValue(1);
 
       const image = { fullSizeUrl: 'https://cdn.fbcdn.net/photo.jpg', mediaType: 'image' };
       await global.downloadManager.downloadSingleImage(image, 1);
@@ -40,7 +51,6 @@ describe('DownloadManager', () => {
 
     test('uses video mediaType in filename for video items', async () => {
       chrome.tabs.query.mockResolvedValue([{ url: 'https://x.com/user/status/123/video/1' }]);
-      chrome.downloads.download.mockResolvedValue(1);
 
       const image = { fullSizeUrl: 'https://video.twimg.com/clip.mp4', mediaType: 'video' };
       await global.downloadManager.downloadSingleImage(image, 2);
@@ -49,6 +59,82 @@ describe('DownloadManager', () => {
       expect(call.filename).toMatch(/^x_video_\d{8}T\d{6}_2\.mp4$/);
     });
 
+    test('fills the stored filename template with post metadata', async () => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://x.com/someone/status/123' }]);
+      chrome.storage.sync.get.mockResolvedValueOnce({ filenameTemplate: '{author}/{postId}_{caption:5}_{index}.{ext}' });
+
+      const image = {
+        fullSizeUrl: 'https://pbs.twimg.com/media/abc.jpg',
+        mediaType: 'image',
+        author: 'someone',
+        postId: '123',
+        caption: 'Hello world',
+      };
+      await global.downloadManager.downloadSingleImage(image, 3);
+
+      const call = chrome.downloads.download.mock.calls[0][0];
+      expect(call.filename).toBe('someone_123_Hello_3.jpg');
+    });
+
+    test('fills the posted-time tokens from postedAt, falling back to the download time', async () => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/stories/someone/1/' }]);
+      const settings = { filenameTemplate: '{author}_{postedTimestamp}_{postedDate}.{ext}' };
+      chrome.storage.sync.get.mockResolvedValueOnce(settings).mockResolvedValueOnce(settings);
+
+      await global.downloadManager.downloadSingleImage({
+        fullSizeUrl: 'https://scontent.cdninstagram.com/v/story.jpg',
+        mediaType: 'image',
+        author: 'someone',
+        postedAt: '2024-05-01T10:15:30.000Z'
+      }, 1);
+      await global.downloadManager.downloadSingleImage({
+        fullSizeUrl: 'https://scontent.cdninstagram.com/v/story.jpg',
+        mediaType: 'image',
+        author: 'someone'
+      }, 1);
+
+      const [posted, undated] = chrome.downloads.download.mock.calls.map(([options]) => options.filename);
+      expect(posted).toBe('someone_20240501T101530_2024-05-01.jpg');
+      expect(undated).toMatch(/^someone_\d{8}T\d{6}_\d{4}-\d{2}-\d{2}\.jpg$/);
+    });
+
+    test('prefixes the rendered folder template when subfolders are enabled', async () => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://x.com/someone/status/123' }]);
+      chrome.storage.sync.get.mockResolvedValueOnce({
+        filenameTemplate: '{index}.{ext}',
+        useSubfolders: true,
+        folderTemplate: 'SocialSnap/{platform}/{author}/{postId}',
+        conflictAction: 'overwrite',
+      });
+
+      const image = { fullSizeUrl: 'https://pbs.twimg.com/media/abc.jpg', author: 'someone', postId: '123' };
+      await global.downloadManager.downloadSingleImage(image, 1);
+
+      const call = chrome.downloads.download.mock.calls[0][0];
+      expect(call.filename).toBe('SocialSnap/x/someone/123/1.jpg');
+      expect(call.conflictAction).toBe('overwrite');
+    });
+
+    test('ignores the folder template when subfolders are disabled', async () => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://x.com/someone/status/123' }]);
+      chrome.storage.sync.get.mockResolvedValueOnce({ filenameTemplate: '{index}.{ext}', useSubfolders: false });
+
+      await global.downloadManager.downloadSingleImage({ fullSizeUrl: 'https://pbs.twimg.com/media/abc.jpg' }, 1);
+
+      const call = chrome.downloads.download.mock.calls[0][0];
+      expect(call.filename).toBe('1.jpg');
+      expect(call.conflictAction).toBe('uniquify');
+    });
+
+    test('uses "unknown" for missing author and post ID', async () => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/p/abc' }]);
+      chrome.storage.sync.get.mockResolvedValueOnce({ filenameTemplate: '{author}_{postId}.{ext}' });
+
+      await global.downloadManager.downloadSingleImage({ fullSizeUrl: 'https://cdn.example.com/1.jpg' }, 1);
+
+      expect(chrome.downloads.download.mock.calls[0][0].filename).toBe('unknown_unknown.jpg');
+    });
+
     test('throws error when download fails', async () => {
       chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/p/abc' }]);
       chrome.downloads.download.mockRejectedValue(new Error('Download failed'));
@@ -62,7 +148,6 @@ describe('DownloadManager', () => {
   describe('downloadAllImages', () => {
     test('downloads all images with sequential index in filename', async () => {
       chrome.tabs.query.mockResolvedValue([{ url: 'https://www.threads.com/@user/post/abc' }]);
-      chrome.downloads.download.mockResolvedValue(1);
 
       const images = [
         { fullSizeUrl: 'https://cdn.example.com/1.jpg', mediaType: 'image' },
@@ -81,7 +166,6 @@ describe('DownloadManager', () => {
 
     test('uses same timestamp for all files in batch', async () => {
       chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/p/abc' }]);
-      chrome.downloads.download.mockResolvedValue(1);
 
       const images = [
         { fullSizeUrl: 'https://cdn.example.com/1.jpg', mediaType: 'image' },
@@ -97,9 +181,7 @@ describe('DownloadManager', () => {
 
     test('continues downloading when one image fails', async () => {
       chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/p/abc' }]);
-      chrome.downloads.download
-        .mockRejectedValueOnce(new Error('Network error'))
-        .mockResolvedValueOnce(1);
+      chrome.downloads.download.mockRejectedValueOnce(new Error('Network error'));
 
       const images = [
         { fullSizeUrl: 'https://cdn.example.com/1.jpg', mediaType: 'image' },
@@ -110,5 +192,710 @@ describe('DownloadManager', () => {
 
       expect(chrome.downloads.download).toHaveBeenCalledTimes(2);
     });
+
+    test('resolves with a succeeded/failed summary', async () => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/p/abc' }]);
+      chrome.downloads.download.mockRejectedValueOnce(new Error('Invalid URL'));
+
+      const summary = await global.downloadManager.downloadAllImages([
+        { fullSizeUrl: 'https://cdn.example.com/1.jpg' },
+        { fullSizeUrl: 'https://cdn.example.com/2.jpg' },
+      ]);
+
+      expect(summary).toMatchObject({ total: 2, succeeded: 1, failed: 1 });
+      expect(summary.items[0]).toMatchObject({ index: 1, status: 'failed', error: 'Invalid URL', attempts: 1 });
+      expect(summary.items[1]).toMatchObject({ index: 2, status: 'complete', attempts: 1 });
+    });
+
+    test('broadcasts per-item status to the popup', async () => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/p/abc' }]);
+
+      await global.downloadManager.downloadAllImages([{ fullSizeUrl: 'https://cdn.example.com/1.jpg' }]);
+
+      const statuses = chrome.runtime.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.action === global.DOWNLOAD_EVENTS.ITEM_STATUS)
+        .map(message => message.status);
+      expect(statuses).toEqual(['queued', 'downloading', 'complete']);
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'https://cdn.example.com/1.jpg', status: 'complete' })
+      );
+    });
+  });
+
+  describe('download queue', () => {
+    beforeEach(() => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/p/abc' }]);
+    });
+
+    test('retries downloads interrupted by network errors', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ retryDelay: 1, downloadDelay: 0 });
+      chrome.downloads.search
+        .mockResolvedValueOnce([{ id: 1, state: 'interrupted', error: 'NETWORK_FAILED' }]);
+
+      const summary = await global.downloadManager.downloadAllImages([{ fullSizeUrl: 'https://cdn.example.com/1.jpg' }]);
+
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(2);
+      expect(summary.items[0]).toMatchObject({ status: 'complete', attempts: 2 });
+    });
+
+    test('gives up after maxRetries', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ maxRetries: 2, retryDelay: 1, downloadDelay: 0 });
+      chrome.downloads.search.mockImplementation(async ({ id }) => [{ id, state: 'interrupted', error: 'SERVER_FAILED' }]);
+
+      const summary = await global.downloadManager.downloadAllImages([{ fullSizeUrl: 'https://cdn.example.com/1.jpg' }]);
+
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(3);
+      expect(summary).toMatchObject({ succeeded: 0, failed: 1 });
+      expect(summary.items[0]).toMatchObject({ status: 'failed', error: 'SERVER_FAILED', attempts: 3 });
+    });
+
+    test('does not retry downloads the user cancelled', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ retryDelay: 1, downloadDelay: 0 });
+      chrome.downloads.search.mockImplementation(async ({ id }) => [{ id, state: 'interrupted', error: 'USER_CANCELED' }]);
+
+      const summary = await global.downloadManager.downloadAllImages([{ fullSizeUrl: 'https://cdn.example.com/1.jpg' }]);
+
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(1);
+      expect(summary.items[0]).toMatchObject({ status: 'failed', error: 'USER_CANCELED' });
+    });
+
+    test('keeps at most maxConcurrentDownloads in flight', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ maxConcurrentDownloads: 2, downloadDelay: 0 });
+      // Downloads stay in progress until onChanged reports them
+      chrome.downloads.search.mockResolvedValue([]);
+
+      const batch = global.downloadManager.downloadAllImages([
+        { fullSizeUrl: 'https://cdn.example.com/1.jpg' },
+        { fullSizeUrl: 'https://cdn.example.com/2.jpg' },
+        { fullSizeUrl: 'https://cdn.example.com/3.jpg' },
+      ]);
+      await flushPromises();
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(2);
+
+      global.downloadQueue.handleDownloadChanged({ id: 1, state: { previous: 'in_progress', current: 'complete' } });
+      await flushPromises();
+      await flushPromises();
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(3);
+
+      global.downloadQueue.handleDownloadChanged({ id: 2, state: { current: 'complete' } });
+      global.downloadQueue.handleDownloadChanged({ id: 3, state: { current: 'complete' } });
+      const summary = await batch;
+      expect(summary.succeeded).toBe(3);
+    });
+
+    test('ignores onChanged deltas without a state change', () => {
+      expect(() => global.downloadQueue.handleDownloadChanged({ id: 99, filename: { current: 'a.jpg' } })).not.toThrow();
+    });
+  });
+
+  describe('download history', () => {
+    beforeEach(() => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://x.com/someone/status/123' }]);
+    });
+
+    test('records completed downloads keyed by media identity', async () => {
+      const image = {
+        fullSizeUrl: 'https://pbs.twimg.com/media/GabcDEF?format=jpg&name=4096x4096',
+        thumbnailUrl: 'https://pbs.twimg.com/media/GabcDEF?format=jpg&name=small',
+        author: 'someone',
+        postId: '123',
+      };
+
+      await global.downloadManager.downloadSingleImage(image, 1);
+
+      expect(global.downloadHistory.record).toHaveBeenCalledWith(expect.objectContaining({
+        mediaKey: 'twimg:GabcDEF',
+        platform: 'x',
+        postUrl: 'https://x.com/someone/status/123',
+        author: 'someone',
+        downloadId: 1,
+        thumbnailUrl: image.thumbnailUrl,
+      }));
+    });
+
+    test('does not record failed downloads', async () => {
+      chrome.downloads.download.mockRejectedValueOnce(new Error('Invalid URL'));
+
+      await global.downloadManager.downloadAllImages([{ fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' }]);
+
+      expect(global.downloadHistory.record).not.toHaveBeenCalled();
+    });
+
+    test('skips items that were downloaded before', async () => {
+      global.downloadHistory.findDownloaded.mockResolvedValue(new Set(['twimg:A']));
+
+      const summary = await global.downloadManager.downloadAllImages([
+        { fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg&name=large' },
+        { fullSizeUrl: 'https://pbs.twimg.com/media/B?format=jpg&name=large' },
+      ]);
+
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(1);
+      expect(chrome.downloads.download.mock.calls[0][0].url).toContain('/media/B');
+      expect(summary).toMatchObject({ total: 2, succeeded: 1, failed: 0, skipped: 1 });
+      expect(summary.items[0]).toMatchObject({ index: 1, status: 'skipped' });
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'https://pbs.twimg.com/media/A?format=jpg&name=large', status: 'skipped' })
+      );
+    });
+
+    test('re-downloads history items on request', async () => {
+      global.downloadHistory.findDownloaded.mockResolvedValue(new Set(['twimg:A']));
+
+      const summary = await global.downloadManager.downloadAllImages(
+        [{ fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' }],
+        { redownload: true }
+      );
+
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(1);
+      expect(summary).toMatchObject({ succeeded: 1, skipped: 0 });
+    });
+
+    test('does not skip when skipDownloaded is off', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ skipDownloaded: false });
+      global.downloadHistory.findDownloaded.mockResolvedValue(new Set(['twimg:A']));
+
+      await global.downloadManager.downloadAllImages([{ fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' }]);
+
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(1);
+    });
+
+    test('still downloads when the history cannot be read', async () => {
+      global.downloadHistory.findDownloaded.mockRejectedValue(new Error('IndexedDB unavailable'));
+
+      const summary = await global.downloadManager.downloadAllImages([{ fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' }]);
+
+      expect(summary.succeeded).toBe(1);
+    });
+
+    test('findDownloadedUrls maps history keys back to item URLs', async () => {
+      global.downloadHistory.findDownloaded.mockResolvedValue(new Set(['twimg:B']));
+
+      const urls = await global.downloadManager.findDownloadedUrls([
+        { fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' },
+        { fullSizeUrl: 'https://pbs.twimg.com/media/B?format=png&name=orig' },
+      ]);
+
+      expect(urls).toEqual(['https://pbs.twimg.com/media/B?format=png&name=orig']);
+    });
+  });
+
+  describe('history page support', () => {
+    const entry = {
+      mediaKey: 'twimg:A',
+      url: 'https://pbs.twimg.com/media/A?format=jpg&name=4096x4096',
+      thumbnailUrl: 'https://pbs.twimg.com/media/A?format=jpg&name=small',
+      mediaType: 'image',
+      platform: 'x',
+      postUrl: 'https://x.com/someone/status/123',
+      author: 'someone',
+      postId: '123',
+      caption: '',
+      filename: 'SocialSnap/x/someone/123/1.jpg',
+      downloadId: 7,
+      downloadedAt: 1700000000000,
+    };
+
+    test('getHistory reports whether each file still exists', async () => {
+      jest.spyOn(global.downloadHistory, 'getAll').mockResolvedValue([
+        entry,
+        { ...entry, mediaKey: 'twimg:B', downloadId: 8 },
+        { ...entry, mediaKey: 'twimg:C', downloadId: 9 },
+      ]);
+      chrome.downloads.search.mockImplementation(async ({ id }) => {
+        if (id === 7) return [{ id, state: 'complete', exists: true }];
+        if (id === 8) return [{ id, state: 'complete', exists: false }];
+        return [];
+      });
+
+      const history = await global.downloadManager.getHistory();
+
+      expect(history.map(item => item.fileExists)).toEqual([true, false, null]);
+      expect(history[0]).toMatchObject({ mediaKey: 'twimg:A', filename: entry.filename });
+    });
+
+    test('redownloadFromHistory saves to the original path and updates the entry', async () => {
+      jest.spyOn(global.downloadHistory, 'get').mockResolvedValue(entry);
+
+      const downloadId = await global.downloadManager.redownloadFromHistory('twimg:A');
+
+      expect(downloadId).toBe(1);
+      expect(chrome.downloads.download).toHaveBeenCalledWith(expect.objectContaining({
+        url: entry.url,
+        filename: entry.filename,
+      }));
+      expect(global.downloadHistory.record).toHaveBeenCalledWith(expect.objectContaining({
+        mediaKey: 'twimg:A',
+        postUrl: entry.postUrl,
+        downloadId: 1,
+      }));
+    });
+
+    test('redownloadFromHistory saves an archived item on its own, next to the archive', async () => {
+      jest.spyOn(global.downloadHistory, 'get').mockResolvedValue({
+        ...entry,
+        filename: 'SocialSnap/x/x_someone_123.zip',
+        archived: true,
+        entry: '1.jpg',
+      });
+
+      await global.downloadManager.redownloadFromHistory('twimg:A');
+
+      expect(chrome.downloads.download).toHaveBeenCalledWith(expect.objectContaining({
+        url: entry.url,
+        filename: 'SocialSnap/x/1.jpg',
+      }));
+      expect(global.downloadHistory.record).toHaveBeenCalledWith(expect.objectContaining({
+        filename: 'SocialSnap/x/1.jpg',
+        archived: false,
+        entry: null,
+      }));
+    });
+
+    test('redownloadFromHistory rejects unknown entries', async () => {
+      jest.spyOn(global.downloadHistory, 'get').mockResolvedValue(undefined);
+
+      await expect(global.downloadManager.redownloadFromHistory('twimg:missing')).rejects.toThrow('No download history entry');
+    });
+
+    test('redownloadFromHistory rejects when the download fails', async () => {
+      jest.spyOn(global.downloadHistory, 'get').mockResolvedValue(entry);
+      chrome.downloads.download.mockRejectedValueOnce(new Error('Forbidden'));
+
+      await expect(global.downloadManager.redownloadFromHistory('twimg:A')).rejects.toThrow('Forbidden');
+    });
+  });
+
+  describe('JSON sidecar', () => {
+    const decodeSidecar = (call) => JSON.parse(decodeURIComponent(call.url.replace('data:application/json;charset=utf-8,', '')));
+    const post = {
+      author: 'someone',
+      postId: '123',
+      caption: 'Sunset',
+      postUrl: 'https://x.com/someone/status/123',
+      postedAt: '2024-07-04T12:00:00.000Z',
+    };
+
+    beforeEach(() => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://x.com/someone/status/123/photo/1' }]);
+    });
+
+    test('is not written by default', async () => {
+      await global.downloadManager.downloadAllImages([{ ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' }]);
+
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(1);
+    });
+
+    test('writes post metadata and per-item alt text after the media', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ writeSidecar: true, useSubfolders: true, downloadDelay: 0 });
+
+      await global.downloadManager.downloadAllImages([
+        { ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg', alt: 'A dog' },
+        { ...post, fullSizeUrl: 'https://video.twimg.com/ext_tw_video/9/a.mp4', mediaType: 'video' },
+      ]);
+
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(3);
+      const call = chrome.downloads.download.mock.calls[2][0];
+      expect(call.filename).toBe('SocialSnap/x/someone/123/x_someone_123.json');
+      expect(call.url).toMatch(/^data:application\/json/);
+
+      const sidecar = decodeSidecar(call);
+      expect(sidecar).toMatchObject({
+        platform: 'x',
+        postUrl: 'https://x.com/someone/status/123',
+        postId: '123',
+        author: 'someone',
+        caption: 'Sunset',
+        postedAt: '2024-07-04T12:00:00.000Z',
+      });
+      expect(sidecar.items).toEqual([
+        expect.objectContaining({ index: 1, mediaType: 'image', alt: 'A dog', status: 'complete' }),
+        expect.objectContaining({ index: 2, mediaType: 'video', alt: '', status: 'complete' }),
+      ]);
+      expect(global.downloadHistory.record).toHaveBeenCalledTimes(2);
+    });
+
+    test('writes one sidecar per post', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ writeSidecar: true, downloadDelay: 0 });
+
+      await global.downloadManager.downloadAllImages([
+        { ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' },
+        { ...post, postId: '456', fullSizeUrl: 'https://pbs.twimg.com/media/B?format=jpg' },
+      ]);
+
+      const sidecarNames = chrome.downloads.download.mock.calls
+        .map(([options]) => options.filename)
+        .filter(name => name.endsWith('.json'));
+      expect(sidecarNames).toEqual(['x_someone_123.json', 'x_someone_456.json']);
+    });
+
+    test('is skipped when nothing from the post was downloaded', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ writeSidecar: true });
+      global.downloadHistory.findDownloaded.mockResolvedValue(new Set(['twimg:A']));
+
+      await global.downloadManager.downloadAllImages([{ ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' }]);
+
+      expect(chrome.downloads.download).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ZIP archives', () => {
+    const post = { author: 'someone', postId: '123', postUrl: 'https://x.com/someone/status/123' };
+    const okResponse = (bytes) => ({ ok: true, status: 200, arrayBuffer: async () => new Uint8Array(bytes).buffer });
+
+    beforeEach(() => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://x.com/someone/status/123' }]);
+      global.fetch = jest.fn(async () => okResponse([1, 2, 3]));
+      jest.spyOn(global.offscreenClient, 'createBlobUrl').mockResolvedValue('blob:chrome-extension://test/zip');
+      jest.spyOn(global.offscreenClient, 'revokeBlobUrl').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+      global.offscreenClient.createBlobUrl.mockRestore();
+      global.offscreenClient.revokeBlobUrl.mockRestore();
+    });
+
+    test('saves one archive per post instead of separate files', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ downloadAsZip: true, downloadDelay: 0 });
+
+      const summary = await global.downloadManager.downloadAllImages([
+        { ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg', alt: 'first' },
+        { ...post, fullSizeUrl: 'https://pbs.twimg.com/media/B?format=png' },
+      ]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(1);
+      expect(chrome.downloads.download).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'blob:chrome-extension://test/zip',
+        filename: 'x_someone_123.zip',
+      }));
+      expect(global.offscreenClient.revokeBlobUrl).toHaveBeenCalledWith('blob:chrome-extension://test/zip');
+      expect(summary).toMatchObject({ succeeded: 2, failed: 0 });
+      expect(summary.items[0]).toMatchObject({ filename: 'x_someone_123.zip', status: 'complete', downloadId: 1 });
+      expect(summary.items[0].entry).toMatch(/^x_image_\d{8}T\d{6}_1\.jpg$/);
+      expect(global.downloadHistory.record).toHaveBeenCalledTimes(2);
+      expect(global.downloadHistory.record).toHaveBeenCalledWith(expect.objectContaining({
+        filename: 'x_someone_123.zip',
+        archived: true,
+        entry: summary.items[0].entry,
+      }));
+    });
+
+    test('includes manifest.json with the archive entry names', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ downloadAsZip: true, filenameTemplate: '{index}.{ext}' });
+
+      await global.downloadManager.downloadAllImages([
+        { ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg', alt: 'first' },
+      ]);
+
+      const blob = global.offscreenClient.createBlobUrl.mock.calls[0][0];
+      const text = new TextDecoder().decode(new Uint8Array(await blob.arrayBuffer()));
+      expect(text).toContain('manifest.json');
+      expect(text).toContain('"filename": "1.jpg"');
+      expect(text).toContain('"alt": "first"');
+    });
+
+    test('omits manifest.json when zipManifest is off', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ downloadAsZip: true, zipManifest: false });
+
+      await global.downloadManager.downloadAllImages([{ ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' }]);
+
+      const blob = global.offscreenClient.createBlobUrl.mock.calls[0][0];
+      const text = new TextDecoder().decode(new Uint8Array(await blob.arrayBuffer()));
+      expect(text).not.toContain('manifest.json');
+    });
+
+    test('archives the items that could be fetched and reports the rest as failed', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ downloadAsZip: true, retryDelay: 1 });
+      global.fetch = jest.fn(async (url) => (url.includes('/B') ? { ok: false, status: 404 } : okResponse([1])));
+
+      const summary = await global.downloadManager.downloadAllImages([
+        { ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' },
+        { ...post, fullSizeUrl: 'https://pbs.twimg.com/media/B?format=jpg' },
+      ]);
+
+      // 404 is not retried
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(summary).toMatchObject({ succeeded: 1, failed: 1 });
+      expect(summary.items[1]).toMatchObject({ status: 'failed', error: 'HTTP 404' });
+    });
+
+    test('retries server errors while fetching', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ downloadAsZip: true, retryDelay: 1 });
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce({ ok: false, status: 503 })
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(okResponse([1]));
+
+      const summary = await global.downloadManager.downloadAllImages([{ ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' }]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(summary.items[0]).toMatchObject({ status: 'complete', attempts: 3 });
+    });
+
+    test('fails every item when the archive cannot be saved', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ downloadAsZip: true });
+      global.offscreenClient.createBlobUrl.mockRejectedValue(new Error('Offscreen document is not available'));
+
+      const summary = await global.downloadManager.downloadAllImages([{ ...post, fullSizeUrl: 'https://pbs.twimg.com/media/A?format=jpg' }]);
+
+      expect(summary).toMatchObject({ succeeded: 0, failed: 1 });
+      expect(summary.items[0].error).toBe('Offscreen document is not available');
+      expect(global.downloadHistory.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('HLS streams', () => {
+    const MASTER_URL = 'https://video.twimg.com/amplify_video/123/pl/master.m3u8?tag=16';
+    const video = { fullSizeUrl: MASTER_URL, mediaType: 'video', isHLS: true, author: 'someone', postId: '123' };
+    const files = {
+      [MASTER_URL]: `#EXTM3U
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",DEFAULT=YES,URI="/amplify_video/123/pl/mp4a/128000/a.m3u8"
+#EXT-X-STREAM-INF:BANDWIDTH=500000,RESOLUTION=640x360,AUDIO="aud"
+/amplify_video/123/pl/avc1/640x360/v360.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=2000000,RESOLUTION=1280x720,AUDIO="aud"
+/amplify_video/123/pl/avc1/1280x720/v720.m3u8`,
+      'https://video.twimg.com/amplify_video/123/pl/avc1/1280x720/v720.m3u8': '#EXTM3U\n#EXT-X-MAP:URI="v-init.mp4"\n#EXTINF:3,\nv1.m4s\n#EXTINF:3,\nv2.m4s\n#EXT-X-ENDLIST',
+      'https://video.twimg.com/amplify_video/123/pl/mp4a/128000/a.m3u8': '#EXTM3U\n#EXT-X-MAP:URI="a-init.mp4"\n#EXTINF:6,\na1.m4s\n#EXT-X-ENDLIST',
+    };
+    const respond = (body) => ({ ok: true, status: 200, arrayBuffer: async () => new TextEncoder().encode(body).buffer });
+
+    beforeEach(() => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://x.com/someone/status/123' }]);
+      global.fetch = jest.fn(async (url) => {
+        if (files[url]) return respond(files[url]);
+        if (/\.(mp4|m4s)$/.test(url)) return respond(url.split('/').pop());
+        return { ok: false, status: 404 };
+      });
+      jest.spyOn(global.offscreenClient, 'remuxToMp4').mockResolvedValue(new Blob(['mp4'], { type: 'video/mp4' }));
+      jest.spyOn(global.offscreenClient, 'createBlobUrl').mockResolvedValue('blob:chrome-extension://test/video');
+      jest.spyOn(global.offscreenClient, 'revokeBlobUrl').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+      global.offscreenClient.remuxToMp4.mockRestore();
+      global.offscreenClient.createBlobUrl.mockRestore();
+      global.offscreenClient.revokeBlobUrl.mockRestore();
+    });
+
+    test('downloads the highest-bandwidth variant with its audio as one MP4', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ filenameTemplate: '{author}_{index}.{ext}' });
+
+      const summary = await global.downloadManager.downloadAllImages([video]);
+
+      expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('640x360'));
+      const sources = global.offscreenClient.remuxToMp4.mock.calls[0][0];
+      const text = (bytes) => new TextDecoder().decode(bytes);
+      expect(sources).toHaveLength(2);
+      expect(text(sources[0].init)).toBe('v-init.mp4');
+      expect(sources[0].segments.map(text)).toEqual(['v1.m4s', 'v2.m4s']);
+      expect(text(sources[1].init)).toBe('a-init.mp4');
+      expect(sources[1].segments.map(text)).toEqual(['a1.m4s']);
+
+      expect(chrome.downloads.download).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'blob:chrome-extension://test/video',
+        filename: 'someone_1.mp4',
+      }));
+      expect(global.offscreenClient.revokeBlobUrl).toHaveBeenCalledWith('blob:chrome-extension://test/video');
+      expect(summary.items[0]).toMatchObject({ status: 'complete', filename: 'someone_1.mp4' });
+      expect(global.downloadHistory.record).toHaveBeenCalledWith(expect.objectContaining({ url: MASTER_URL, mediaKey: 'twimg:123' }));
+    });
+
+    test('picks the master variant for the video quality setting', async () => {
+      files['https://video.twimg.com/amplify_video/123/pl/avc1/640x360/v360.m3u8'] = '#EXTM3U\n#EXT-X-MAP:URI="s-init.mp4"\n#EXTINF:6,\ns1.m4s\n#EXT-X-ENDLIST';
+      chrome.storage.sync.get.mockResolvedValueOnce({ videoQuality: 'smallest' });
+
+      await global.downloadManager.downloadAllImages([video]);
+
+      const sources = global.offscreenClient.remuxToMp4.mock.calls[0][0];
+      expect(new TextDecoder().decode(sources[0].init)).toBe('s-init.mp4');
+      expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('1280x720'));
+    });
+
+    test('uses a media playlist directly when given one', async () => {
+      const variantUrl = 'https://video.twimg.com/amplify_video/123/pl/avc1/1280x720/v720.m3u8';
+
+      await global.downloadManager.downloadSingleImage({ ...video, fullSizeUrl: variantUrl }, 1);
+
+      const sources = global.offscreenClient.remuxToMp4.mock.calls[0][0];
+      expect(sources).toHaveLength(1);
+      expect(sources[0].segments).toHaveLength(2);
+    });
+
+    test('fails the item when a segment cannot be fetched', async () => {
+      const fetchFile = global.fetch.getMockImplementation();
+      global.fetch.mockImplementation(async (url) => (url.endsWith('/a1.m4s') ? { ok: false, status: 404 } : fetchFile(url)));
+
+      const summary = await global.downloadManager.downloadAllImages([video]);
+
+      expect(summary).toMatchObject({ succeeded: 0, failed: 1 });
+      expect(summary.items[0].error).toBe('HTTP 404');
+      expect(chrome.downloads.download).not.toHaveBeenCalled();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        action: global.DOWNLOAD_EVENTS.ITEM_STATUS,
+        url: MASTER_URL,
+        status: 'failed',
+      }));
+    });
+
+    test('fails items that only carry the tweet URL', async () => {
+      const summary = await global.downloadManager.downloadAllImages([{ ...video, fullSizeUrl: 'https://x.com/someone/status/123' }]);
+
+      expect(summary.items[0]).toMatchObject({ status: 'failed', error: 'No stream playlist was found for this video' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('adds the remuxed MP4 to ZIP archives', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ downloadAsZip: true, zipManifest: false, filenameTemplate: '{index}.{ext}' });
+
+      const summary = await global.downloadManager.downloadAllImages([video]);
+
+      expect(summary.items[0]).toMatchObject({ status: 'complete', entry: '1.mp4', filename: 'x_someone_123.zip' });
+      const zip = global.offscreenClient.createBlobUrl.mock.calls[0][0];
+      const text = new TextDecoder().decode(new Uint8Array(await zip.arrayBuffer()));
+      expect(text).toContain('1.mp4mp4');
+    });
+  });
+
+  describe('separate DASH audio', () => {
+    const VIDEO_URL = 'https://scontent.cdninstagram.com/o1/v/t2/video.mp4?oh=1';
+    const AUDIO_URL = 'https://scontent.cdninstagram.com/o1/v/t2/audio.mp4?oh=2';
+    const video = { fullSizeUrl: VIDEO_URL, audioUrl: AUDIO_URL, mediaType: 'video', author: 'someone', postId: 'ABC' };
+    const respond = (body) => ({ ok: true, status: 200, arrayBuffer: async () => new TextEncoder().encode(body).buffer });
+
+    beforeEach(() => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://www.instagram.com/p/ABC/' }]);
+      global.fetch = jest.fn(async (url) => respond(url === VIDEO_URL ? 'video' : 'audio'));
+      jest.spyOn(global.offscreenClient, 'remuxToMp4').mockResolvedValue(new Blob(['mp4'], { type: 'video/mp4' }));
+      jest.spyOn(global.offscreenClient, 'createBlobUrl').mockResolvedValue('blob:chrome-extension://test/video');
+      jest.spyOn(global.offscreenClient, 'revokeBlobUrl').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+      global.offscreenClient.remuxToMp4.mockRestore();
+      global.offscreenClient.createBlobUrl.mockRestore();
+      global.offscreenClient.revokeBlobUrl.mockRestore();
+    });
+
+    test('muxes the video and audio renditions into one MP4', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ filenameTemplate: '{author}_{index}.{ext}' });
+
+      const summary = await global.downloadManager.downloadAllImages([video]);
+
+      const text = (bytes) => new TextDecoder().decode(bytes);
+      const sources = global.offscreenClient.remuxToMp4.mock.calls[0][0];
+      expect(sources.map(source => source.segments.map(text))).toEqual([['video'], ['audio']]);
+      expect(chrome.downloads.download).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'blob:chrome-extension://test/video',
+        filename: 'someone_1.mp4',
+      }));
+      expect(summary.items[0]).toMatchObject({ status: 'complete' });
+      expect(global.downloadHistory.record).toHaveBeenCalledWith(expect.objectContaining({ url: VIDEO_URL, audioUrl: AUDIO_URL }));
+    });
+
+    test('counts remuxed videos against maxConcurrentDownloads', async () => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ maxConcurrentDownloads: 1, downloadDelay: 0 });
+      // Downloads stay in progress until onChanged reports them
+      chrome.downloads.search.mockResolvedValue([]);
+
+      const batch = global.downloadManager.downloadAllImages([video, { ...video, fullSizeUrl: `${VIDEO_URL}&second` }]);
+      for (let i = 0; i < 10; i++) await flushPromises();
+      expect(global.offscreenClient.remuxToMp4).toHaveBeenCalledTimes(1);
+      expect(chrome.downloads.download).toHaveBeenCalledTimes(1);
+
+      global.downloadQueue.handleDownloadChanged({ id: 1, state: { current: 'complete' } });
+      for (let i = 0; i < 10; i++) await flushPromises();
+      expect(global.offscreenClient.remuxToMp4).toHaveBeenCalledTimes(2);
+
+      global.downloadQueue.handleDownloadChanged({ id: 2, state: { current: 'complete' } });
+      expect((await batch).succeeded).toBe(2);
+      expect(global.offscreenClient.revokeBlobUrl).toHaveBeenCalledTimes(2);
+    });
+
+    test('fails the item when the audio cannot be fetched', async () => {
+      global.fetch.mockImplementation(async (url) => (url === AUDIO_URL ? { ok: false, status: 403 } : respond('video')));
+
+      const summary = await global.downloadManager.downloadAllImages([video]);
+
+      expect(summary.items[0]).toMatchObject({ status: 'failed', error: 'HTTP 403' });
+      expect(global.offscreenClient.remuxToMp4).not.toHaveBeenCalled();
+      expect(chrome.downloads.download).not.toHaveBeenCalled();
+    });
+
+    test('keeps the audio when re-downloading from history', async () => {
+      jest.spyOn(global.downloadHistory, 'get').mockResolvedValue({
+        mediaKey: 'cdn:video.mp4', url: VIDEO_URL, audioUrl: AUDIO_URL, mediaType: 'video',
+        platform: 'instagram', postUrl: 'https://www.instagram.com/p/ABC/', filename: 'someone_1.mp4'
+      });
+
+      await global.downloadManager.redownloadFromHistory('cdn:video.mp4');
+
+      expect(global.offscreenClient.remuxToMp4).toHaveBeenCalled();
+      expect(chrome.downloads.download).toHaveBeenCalledWith(expect.objectContaining({ url: 'blob:chrome-extension://test/video' }));
+    });
+  });
+});
+
+describe('OffscreenClient', () => {
+  const documentUrl = 'chrome-extension://test-extension-id/src/offscreen/offscreen.html';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('creates the offscreen document on first use and resolves with its reply', async () => {
+    const client = { url: documentUrl, postMessage: jest.fn() };
+    chrome.runtime.getContexts.mockResolvedValue([]);
+    global.self.clients.matchAll.mockResolvedValue([client]);
+
+    const blob = new Blob(['zip']);
+    const pending = global.offscreenClient.createBlobUrl(blob);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(chrome.offscreen.createDocument).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'src/offscreen/offscreen.html',
+      reasons: ['BLOBS'],
+    }));
+    const request = client.postMessage.mock.calls[0][0];
+    expect(request).toMatchObject({ type: global.OFFSCREEN_MESSAGES.CREATE_BLOB_URL, blob });
+
+    global.offscreenClient.handleMessage({ id: request.id, result: 'blob:abc' });
+    await expect(pending).resolves.toBe('blob:abc');
+  });
+
+  test('reuses an existing document and rejects on error replies', async () => {
+    const client = { url: documentUrl, postMessage: jest.fn() };
+    chrome.runtime.getContexts.mockResolvedValue([{ documentUrl }]);
+    global.self.clients.matchAll.mockResolvedValue([client]);
+
+    const pending = global.offscreenClient.revokeBlobUrl('blob:abc');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(chrome.offscreen.createDocument).not.toHaveBeenCalled();
+    const request = client.postMessage.mock.calls[0][0];
+    global.offscreenClient.handleMessage({ id: request.id, error: 'boom' });
+    await expect(pending).rejects.toThrow('boom');
+  });
+
+  test('transfers segment buffers to the offscreen document for remuxing', async () => {
+    const client = { url: documentUrl, postMessage: jest.fn() };
+    chrome.runtime.getContexts.mockResolvedValue([{ documentUrl }]);
+    global.self.clients.matchAll.mockResolvedValue([client]);
+    const sources = [{ init: new Uint8Array([1]), segments: [new Uint8Array([2]), new Uint8Array([3])] }, { segments: [new Uint8Array([4])] }];
+
+    global.offscreenClient.remuxToMp4(sources);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const [request, transfer] = client.postMessage.mock.calls[0];
+    expect(request).toMatchObject({ type: global.OFFSCREEN_MESSAGES.REMUX_MP4, sources });
+    expect(transfer).toEqual([sources[0].init.buffer, sources[0].segments[0].buffer, sources[0].segments[1].buffer, sources[1].segments[0].buffer]);
+  });
+
+  test('ignores unrelated service worker messages', () => {
+    expect(() => global.offscreenClient.handleMessage({ id: 999 })).not.toThrow();
+    expect(() => global.offscreenClient.handleMessage(undefined)).not.toThrow();
   });
 });
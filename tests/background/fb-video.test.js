@@ -35,7 +35,19 @@ describe('parseEfgParam', () => {
     const url = makeEfgUrl({ video_id: 123456789, bitrate: 4000000 });
     const result = global.parseEfgParam(url);
 
-    expect(result).toEqual({ videoId: '123456789', bitrate: 4000000 });
+    expect(result).toEqual({ videoId: '123456789', bitrate: 4000000, height: 0, isAudio: false });
+  });
+
+  test('reads the quality label from the vencode_tag', () => {
+    const url = makeEfgUrl({ video_id: 123, bitrate: 900000, vencode_tag: 'dash_h264-basic-gen2_720p' });
+
+    expect(global.parseEfgParam(url).height).toBe(720);
+  });
+
+  test('flags audio-only DASH renditions by their vencode_tag', () => {
+    const url = makeEfgUrl({ video_id: 123, bitrate: 128000, vencode_tag: 'dash_ln_heaac_vbr3_audio' });
+
+    expect(global.parseEfgParam(url).isAudio).toBe(true);
   });
 
   test('returns videoId as string', () => {
@@ -86,8 +98,8 @@ describe('Facebook video URL collection (webRequest listener)', () => {
     global.fbVideoUrls.clear();
   });
 
-  function makeDetailsUrl(videoId, bitrate) {
-    const efgPayload = { video_id: videoId, bitrate };
+  function makeDetailsUrl(videoId, bitrate, vencodeTag = 'dash_baseline_1_v1') {
+    const efgPayload = { video_id: videoId, bitrate, vencode_tag: vencodeTag };
     const encoded = Buffer.from(JSON.stringify(efgPayload)).toString('base64');
     return `https://video.xx.fbcdn.net/v/clip.mp4?efg=${encodeURIComponent(encoded)}&bytestart=0&byteend=1024`;
   }
@@ -115,6 +127,23 @@ describe('Facebook video URL collection (webRequest listener)', () => {
     expect(global.fbVideoUrls.get('333').bitrate).toBe(4000000);
   });
 
+  test('keeps every video variant once', () => {
+    webRequestCallback({ url: makeDetailsUrl(555, 900000, 'dash_h264-basic-gen2_360p') });
+    webRequestCallback({ url: makeDetailsUrl(555, 900000, 'dash_h264-basic-gen2_360p') });
+    webRequestCallback({ url: makeDetailsUrl(555, 2400000, 'dash_h264-basic-gen2_720p') });
+
+    expect(global.fbVideoUrls.get('555').variants.map(variant => variant.height)).toEqual([360, 720]);
+  });
+
+  test('keeps the best audio rendition next to the best video one', () => {
+    webRequestCallback({ url: makeDetailsUrl(444, 64000, 'dash_ln_heaac_vbr3_audio') });
+    webRequestCallback({ url: makeDetailsUrl(444, 2000000) });
+    webRequestCallback({ url: makeDetailsUrl(444, 128000, 'dash_ln_heaac_vbr3_audio') });
+
+    expect(global.fbVideoUrls.get('444')).toMatchObject({ bitrate: 2000000, audioBitrate: 128000 });
+    expect(global.fbVideoUrls.get('444').audioUrl).not.toContain('bytestart');
+  });
+
   test('ignores non-mp4 URLs', () => {
     webRequestCallback({ url: 'https://video.xx.fbcdn.net/v/image.jpg?efg=abc' });
 
@@ -9,6 +9,18 @@ function loadBackgroundScript() {
   global.PLATFORM_HOSTNAMES = constants.PLATFORM_HOSTNAMES;
   const utils = require('../../src/shared/utils.js');
   Object.assign(global, utils);
+  const settings = require('../../src/shared/settings.js');
+  Object.assign(global, settings);
+  const zip = require('../../src/background/zip.js');
+  Object.assign(global, zip);
+  const hls = require('../../src/background/hls.js');
+  Object.assign(global, hls);
+
+  // Service worker global scope: message events and the offscreen document client list
+  global.self = {
+    addEventListener: jest.fn(),
+    clients: { matchAll: jest.fn().mockResolvedValue([]) },
+  };
 
   // Load background.js source and wrap it so local variables become global
   let bgSource = fs.readFileSync(
@@ -19,7 +31,7 @@ function loadBackgroundScript() {
   // Replace const/let declarations at top level with global assignments
   // so they are accessible from test code
   const globalsToExpose = [
-    'dataManager', 'downloadManager', 'extractingTabs',
+    'dataManager', 'downloadManager', 'downloadQueue', 'downloadHistory', 'offscreenClient', 'extractingTabs',
     'fbVideoUrls', 'cleanFbVideoUrl', 'parseEfgParam'
   ];
 
@@ -37,6 +49,8 @@ function loadBackgroundScript() {
       `global.${name} = function(`
     );
   });
+  bgSource = bgSource.replace(/async function\s+downloadForCommand\s*\(/, 'global.downloadForCommand = async function(');
+  bgSource = bgSource.replace(/async function\s+fetchTumblrPost\s*\(/, 'global.fetchTumblrPost = async function(');
 
   eval(bgSource); // background.js has no module exports; eval is the only viable loader
 }
@@ -0,0 +1,109 @@
+global.selectVideoVariant = require('../../src/shared/utils.js').selectVideoVariant;
+const { parseHlsPlaylist, selectHlsVariant, selectHlsAudio } = require('../../src/background/hls.js');
+
+const MASTER_URL = 'https://video.twimg.com/amplify_video/123/pl/master.m3u8?tag=16';
+
+const MASTER_PLAYLIST = `#EXTM3U
+#EXT-X-VERSION:6
+#EXT-X-INDEPENDENT-SEGMENTS
+#EXT-X-MEDIA:NAME="Audio",TYPE=AUDIO,GROUP-ID="audio-64000",AUTOSELECT=YES,URI="/amplify_video/123/pl/mp4a/64000/a64.m3u8?container=cmaf"
+#EXT-X-MEDIA:NAME="Audio",TYPE=AUDIO,GROUP-ID="audio-128000",DEFAULT=YES,URI="/amplify_video/123/pl/mp4a/128000/a128.m3u8?container=cmaf"
+#EXT-X-STREAM-INF:AVERAGE-BANDWIDTH=300000,BANDWIDTH=400000,RESOLUTION=480x270,CODECS="mp4a.40.2,avc1.4d001e",AUDIO="audio-64000"
+/amplify_video/123/pl/avc1/480x270/v270.m3u8?container=cmaf
+#EXT-X-STREAM-INF:AVERAGE-BANDWIDTH=2000000,BANDWIDTH=2500000,RESOLUTION=1280x720,CODECS="mp4a.40.2,avc1.640020",AUDIO="audio-128000"
+/amplify_video/123/pl/avc1/1280x720/v720.m3u8?container=cmaf
+#EXT-X-STREAM-INF:AVERAGE-BANDWIDTH=800000,BANDWIDTH=950000,RESOLUTION=640x360,CODECS="mp4a.40.2,avc1.4d001f",AUDIO="audio-64000"
+/amplify_video/123/pl/avc1/640x360/v360.m3u8?container=cmaf
+`;
+
+const MEDIA_PLAYLIST = `#EXTM3U
+#EXT-X-VERSION:6
+#EXT-X-MEDIA-SEQUENCE:0
+#EXT-X-TARGETDURATION:4
+#EXT-X-PLAYLIST-TYPE:VOD
+#EXT-X-MAP:URI="/amplify_video/123/vid/avc1/0/0/1280x720/init.mp4"
+#EXTINF:3.000,
+/amplify_video/123/vid/avc1/0/3000/1280x720/seg1.m4s
+#EXTINF:2.500,
+/amplify_video/123/vid/avc1/3000/5500/1280x720/seg2.m4s
+#EXT-X-ENDLIST
+`;
+
+describe('parseHlsPlaylist', () => {
+  test('lists variants and audio renditions of a master playlist', () => {
+    const playlist = parseHlsPlaylist(MASTER_PLAYLIST, MASTER_URL);
+
+    expect(playlist.isMaster).toBe(true);
+    expect(playlist.segments).toEqual([]);
+    expect(playlist.variants).toHaveLength(3);
+    expect(playlist.variants[1]).toEqual({
+      url: 'https://video.twimg.com/amplify_video/123/pl/avc1/1280x720/v720.m3u8?container=cmaf',
+      bandwidth: 2500000,
+      width: 1280,
+      height: 720,
+      audioGroup: 'audio-128000'
+    });
+    expect(playlist.audio[1]).toEqual({
+      url: 'https://video.twimg.com/amplify_video/123/pl/mp4a/128000/a128.m3u8?container=cmaf',
+      groupId: 'audio-128000',
+      isDefault: true
+    });
+  });
+
+  test('reads the init segment and segments of a media playlist', () => {
+    const playlist = parseHlsPlaylist(MEDIA_PLAYLIST, 'https://video.twimg.com/amplify_video/123/pl/avc1/1280x720/v720.m3u8');
+
+    expect(playlist.isMaster).toBe(false);
+    expect(playlist.initUrl).toBe('https://video.twimg.com/amplify_video/123/vid/avc1/0/0/1280x720/init.mp4');
+    expect(playlist.segments).toEqual([
+      'https://video.twimg.com/amplify_video/123/vid/avc1/0/3000/1280x720/seg1.m4s',
+      'https://video.twimg.com/amplify_video/123/vid/avc1/3000/5500/1280x720/seg2.m4s'
+    ]);
+  });
+
+  test('resolves relative segment names against the playlist URL', () => {
+    const playlist = parseHlsPlaylist('#EXTM3U\r\n#EXTINF:2.0,\r\nseg0.ts\r\n', 'https://video.twimg.com/ext_tw_video/1/pu/pl/640x360/index.m3u8');
+
+    expect(playlist.initUrl).toBeNull();
+    expect(playlist.segments).toEqual(['https://video.twimg.com/ext_tw_video/1/pu/pl/640x360/seg0.ts']);
+  });
+
+  test('rejects encrypted and byte-range streams', () => {
+    expect(() => parseHlsPlaylist('#EXTM3U\n#EXT-X-KEY:METHOD=AES-128,URI="key"\n#EXTINF:2,\na.ts', MASTER_URL))
+      .toThrow('Encrypted HLS streams are not supported');
+    expect(() => parseHlsPlaylist('#EXTM3U\n#EXT-X-BYTERANGE:1000@0\n#EXTINF:2,\na.ts', MASTER_URL))
+      .toThrow('HLS byte-range segments are not supported');
+  });
+
+  test('rejects responses that are not playlists', () => {
+    expect(() => parseHlsPlaylist('<html></html>', MASTER_URL)).toThrow('Not an HLS playlist');
+  });
+});
+
+describe('selectHlsVariant / selectHlsAudio', () => {
+  test('picks the highest-bandwidth variant and its default audio', () => {
+    const playlist = parseHlsPlaylist(MASTER_PLAYLIST, MASTER_URL);
+
+    const variant = selectHlsVariant(playlist.variants);
+    expect(variant.height).toBe(720);
+    expect(selectHlsAudio(playlist.audio, variant.audioGroup).url).toContain('/mp4a/128000/');
+  });
+
+  test('prefers the larger resolution when bandwidths tie', () => {
+    const variants = [{ bandwidth: 1, width: 640, height: 360 }, { bandwidth: 1, width: 1280, height: 720 }];
+
+    expect(selectHlsVariant(variants).width).toBe(1280);
+    expect(selectHlsVariant([])).toBeNull();
+  });
+
+  test('applies the video quality preference', () => {
+    const { variants } = parseHlsPlaylist(MASTER_PLAYLIST, MASTER_URL);
+
+    expect(selectHlsVariant(variants, '720p').height).toBe(720);
+    expect(selectHlsVariant(variants, 'smallest').height).toBe(270);
+  });
+
+  test('returns null for a group without renditions', () => {
+    expect(selectHlsAudio([], 'audio-128000')).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+const { loadBackgroundScript } = require('./helpers.js');
+loadBackgroundScript();
+
+const POST = { objectType: 'post', idString: '745000000000000003', content: [] };
+const RELATED = { objectType: 'post', idString: '745000000000000009', content: [] };
+
+function statePage(objects) {
+  const state = { PeeprRoute: { initialTimeline: { objects } } };
+  return `<html><script>window['___INITIAL_STATE___'] = ${JSON.stringify(state)};</script></html>`;
+}
+
+function mockFetch({ page = statePage([RELATED, POST]), status = 200 } = {}) {
+  global.fetch = jest.fn(async () => (status === 200 ? { ok: true, text: async () => page } : { ok: false, status }));
+}
+
+describe('fetchTumblrPost', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('reads the post from the state embedded in its page', async () => {
+    mockFetch();
+
+    await expect(global.fetchTumblrPost('someblog', '745000000000000003')).resolves.toEqual(POST);
+    expect(global.fetch).toHaveBeenCalledWith('https://www.tumblr.com/someblog/745000000000000003', { credentials: 'include' });
+  });
+
+  test('reads the state however its assignment is written', async () => {
+    const state = JSON.stringify({ PeeprRoute: { initialTimeline: { objects: [POST] } } });
+    mockFetch({ page: `<script nonce="abc">window.___INITIAL_STATE___=${state}</script>` });
+
+    await expect(global.fetchTumblrPost('someblog', '745000000000000003')).resolves.toEqual(POST);
+  });
+
+  test('does not end the state at a closing brace or script tag inside a string', async () => {
+    const post = { ...POST, content: [{ type: 'text', text: 'a {quoted} "brace"}</script> in text' }] };
+    mockFetch({ page: statePage([post]) });
+
+    await expect(global.fetchTumblrPost('someblog', '745000000000000003')).resolves.toEqual(post);
+  });
+
+  test('reports HTTP errors', async () => {
+    mockFetch({ status: 404 });
+
+    await expect(global.fetchTumblrPost('someblog', '1')).rejects.toThrow('HTTP 404');
+  });
+
+  test('fails when the page has no post state', async () => {
+    mockFetch({ page: '<html></html>' });
+
+    await expect(global.fetchTumblrPost('someblog', '1')).rejects.toThrow('No post state');
+  });
+
+  test('fails when the state does not hold the post', async () => {
+    mockFetch({ page: statePage([RELATED]) });
+
+    await expect(global.fetchTumblrPost('someblog', '745000000000000003')).rejects.toThrow('not found');
+  });
+});
@@ -0,0 +1,83 @@
+const { crc32, createZip, uniqueZipEntryNames } = require('../../src/background/zip.js');
+
+// Reads entries back through the central directory, as unzip tools do
+async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+
+  const endOffset = bytes.length - 22;
+  expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+  const count = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const dataStart = localOffset + 30 + localNameLength;
+    const data = bytes.slice(dataStart, dataStart + size);
+
+    entries.push({ name, crc, data, flags: view.getUint16(offset + 8, true) });
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('crc32', () => {
+  test('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+  });
+
+  test('returns 0 for empty input', () => {
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  test('stores files that can be read back by name', async () => {
+    const image = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+    const blob = createZip([
+      { name: 'x_image_1.jpg', data: image },
+      { name: 'manifest.json', data: '{"author":"someone"}' },
+    ]);
+
+    expect(blob.type).toBe('application/zip');
+    const entries = await readZip(blob);
+    expect(entries.map(entry => entry.name)).toEqual(['x_image_1.jpg', 'manifest.json']);
+    expect(Array.from(entries[0].data)).toEqual(Array.from(image));
+    expect(entries[0].crc).toBe(crc32(image));
+    expect(new TextDecoder().decode(entries[1].data)).toBe('{"author":"someone"}');
+  });
+
+  test('marks names as UTF-8', async () => {
+    const entries = await readZip(createZip([{ name: '写真_1.jpg', data: new Uint8Array([1]) }]));
+
+    expect(entries[0].name).toBe('写真_1.jpg');
+    expect(entries[0].flags & 0x0800).toBe(0x0800);
+  });
+
+  test('writes an empty archive', async () => {
+    const blob = createZip([]);
+
+    expect(blob.size).toBe(22);
+    expect(await readZip(blob)).toEqual([]);
+  });
+});
+
+describe('uniqueZipEntryNames', () => {
+  test('numbers repeated names before the extension', () => {
+    expect(uniqueZipEntryNames(['a.jpg', 'a.jpg', 'b.jpg', 'A.jpg'])).toEqual(['a.jpg', 'a (2).jpg', 'b.jpg', 'A (3).jpg']);
+  });
+
+  test('handles names without an extension', () => {
+    expect(uniqueZipEntryNames(['file', 'file'])).toEqual(['file', 'file (2)']);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://bsky.app/"}
+ */
+const { loadContentScript, mockWindowLocation } = require('./helpers.js');
+
+beforeAll(() => {
+  loadContentScript();
+});
+
+const DID = 'did:plc:abc123';
+const cdnImage = (variant, cid) => `https://cdn.bsky.app/img/${variant}/plain/${DID}/${cid}@jpeg`;
+
+// Post view as returned by app.bsky.feed.getPosts
+function apiPost(rkey, embed) {
+  return {
+    uri: `at://${DID}/app.bsky.feed.post/${rkey}`,
+    author: { did: DID, handle: 'someone.bsky.social' },
+    record: { text: 'Hello\nsky', createdAt: '2024-05-01T10:00:00.000Z' },
+    embed
+  };
+}
+
+const imagesEmbed = (...cids) => ({
+  $type: 'app.bsky.embed.images#view',
+  images: cids.map(cid => ({ thumb: cdnImage('feed_thumbnail', cid), fullsize: cdnImage('feed_fullsize', cid), alt: `Alt ${cid}` }))
+});
+
+const videoEmbed = {
+  $type: 'app.bsky.embed.video#view',
+  cid: 'bafyvideo',
+  playlist: `https://video.bsky.app/watch/${encodeURIComponent(DID)}/bafyvideo/playlist.m3u8`,
+  thumbnail: `https://video.bsky.app/watch/${encodeURIComponent(DID)}/bafyvideo/thumbnail.jpg`
+};
+
+function mockApi(posts) {
+  global.fetch = jest.fn(async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname.endsWith('/com.atproto.identity.resolveHandle')) {
+      return { ok: true, json: async () => ({ did: DID }) };
+    }
+    const post = posts.find(candidate => candidate.uri === searchParams.get('uris'));
+    return { ok: true, json: async () => ({ posts: post ? [post] : [] }) };
+  });
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('BlueskyPlatform', () => {
+  test('is picked on post pages only', () => {
+    mockWindowLocation('/profile/someone.bsky.social/post/3kabc');
+    expect(global.PlatformFactory.createPlatform()).toBeInstanceOf(global.BlueskyPlatform);
+
+    mockWindowLocation('/profile/someone.bsky.social');
+    expect(global.PlatformFactory.createPlatform()).toBeNull();
+  });
+
+  test('reads the fullsize images of a post with its details', async () => {
+    mockWindowLocation('/profile/someone.bsky.social/post/3kabc');
+    mockApi([apiPost('3kabc', imagesEmbed('bafy1', 'bafy2'))]);
+
+    const result = await new global.BlueskyPlatform().extractImages();
+
+    expect(global.fetch).toHaveBeenCalledWith('https://public.api.bsky.app/xrpc/com.atproto.identity.resolveHandle?handle=someone.bsky.social');
+    expect(result).toEqual([
+      expect.objectContaining({ index: 1, mediaType: 'image', alt: 'Alt bafy1', thumbnailUrl: cdnImage('feed_thumbnail', 'bafy1'), fullSizeUrl: cdnImage('feed_fullsize', 'bafy1') }),
+      expect.objectContaining({ index: 2, mediaType: 'image', fullSizeUrl: cdnImage('feed_fullsize', 'bafy2') })
+    ]);
+    expect(result[0]).toMatchObject({
+      author: 'someone.bsky.social',
+      postId: '3kabc',
+      caption: 'Hello sky',
+      postUrl: 'https://bsky.app/profile/someone.bsky.social/post/3kabc',
+      postedAt: '2024-05-01T10:00:00.000Z'
+    });
+  });
+
+  test('returns the HLS playlist of a video post', async () => {
+    mockWindowLocation(`/profile/${DID}/post/3kvid`);
+    mockApi([apiPost('3kvid', videoEmbed)]);
+
+    const result = await new global.BlueskyPlatform().extractImages();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result).toEqual([expect.objectContaining({
+      index: 1,
+      mediaType: 'video',
+      isHLS: true,
+      fullSizeUrl: videoEmbed.playlist,
+      thumbnailUrl: videoEmbed.thumbnail
+    })]);
+  });
+
+  test('keeps the media of a quoting post and leaves out the quoted post', async () => {
+    mockWindowLocation('/profile/someone.bsky.social/post/3kquote');
+    mockApi([apiPost('3kquote', {
+      $type: 'app.bsky.embed.recordWithMedia#view',
+      record: { record: { uri: `at://${DID}/app.bsky.feed.post/other`, embeds: [imagesEmbed('quoted')] } },
+      media: imagesEmbed('own')
+    })]);
+
+    const result = await new global.BlueskyPlatform().extractImages();
+
+    expect(result.map(item => item.fullSizeUrl)).toEqual([cdnImage('feed_fullsize', 'own')]);
+  });
+
+  test('fails when the API does not return the post', async () => {
+    mockWindowLocation('/profile/someone.bsky.social/post/gone');
+    mockApi([]);
+
+    await expect(new global.BlueskyPlatform().extractImages()).rejects.toThrow('Post not found');
+  });
+
+  test('reads a feed post through its permalink, and upgrades clicked images to fullsize', async () => {
+    mockWindowLocation('/');
+    document.body.innerHTML = `
+      <div data-testid="feedItem-by-someone.bsky.social">
+        <a href="/profile/someone.bsky.social/post/3kfeed">1h</a>
+        <img src="${cdnImage('feed_thumbnail', 'bafyfeed')}" alt="A photo">
+      </div>
+      <div data-testid="feedItem-by-other.bsky.social"><a href="/profile/other.bsky.social/post/3ktext">1h</a></div>
+    `;
+    mockApi([apiPost('3kfeed', imagesEmbed('bafyfeed'))]);
+    const platform = new global.BlueskyPlatform();
+
+    const containers = platform.getPostContainers();
+    const items = await platform.extractPostContainer(containers[0]);
+    const clicked = await platform.extractMediaElement(document.querySelector('img'));
+
+    expect(containers).toHaveLength(1);
+    expect(items).toEqual([expect.objectContaining({ postId: '3kfeed', fullSizeUrl: cdnImage('feed_fullsize', 'bafyfeed') })]);
+    expect(clicked.fullSizeUrl).toBe(cdnImage('feed_fullsize', 'bafyfeed'));
+  });
+});
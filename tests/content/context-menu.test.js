@@ -0,0 +1,112 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://x.com/home"}
+ */
+const { loadContentScript } = require('./helpers.js');
+
+beforeAll(() => {
+  loadContentScript();
+});
+
+function renderTweet(tweetId) {
+  document.body.insertAdjacentHTML('beforeend', `
+    <article data-testid="tweet" id="tweet-${tweetId}">
+      <a href="/someone/status/${tweetId}"><time datetime="2024-05-01T10:00:00.000Z">1h</time></a>
+      <div data-testid="tweetText">Hello</div>
+      <div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/P${tweetId}?format=jpg&name=small" alt="Image"></div>
+      <video poster="https://pbs.twimg.com/amplify_video_thumb/${tweetId}/img/a.jpg" src="blob:https://x.com/${tweetId}"></video>
+    </article>
+  `);
+}
+
+function rightClick(element) {
+  element.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true }));
+}
+
+const sentImages = () => chrome.runtime.sendMessage.mock.calls.map(([message]) => message);
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  performance.getEntriesByType = jest.fn().mockReturnValue([]);
+  chrome.runtime.sendMessage.mockReset();
+  chrome.runtime.sendMessage.mockResolvedValue({ success: true, summary: { total: 1, succeeded: 1, failed: 0, skipped: 0 } });
+  global.IN_PAGE_BUTTONS.VIDEO_QUALITY = 'highest';
+  global.X_VIDEO_CACHE.clear();
+});
+
+describe('context menu downloads', () => {
+  test('save a right-clicked photo at full size, even when downloaded before', async () => {
+    renderTweet('1');
+    const img = document.querySelector('img');
+    rightClick(img);
+
+    await global.downloadFromContextMenu({ action: 'downloadContextMedia', mediaType: 'image', srcUrl: img.src });
+
+    const [message] = sentImages();
+    expect(message).toMatchObject({ action: 'downloadImages', redownload: true });
+    expect(message.images).toEqual([expect.objectContaining({
+      index: 1,
+      mediaType: 'image',
+      fullSizeUrl: 'https://pbs.twimg.com/media/P1?format=jpg&name=4096x4096'
+    })]);
+  });
+
+  test('save a right-clicked video from its intercepted stream', async () => {
+    renderTweet('1');
+    global.X_VIDEO_CACHE.set('1', {
+      fullSizeUrl: 'https://video.twimg.com/amplify_video/1/vid/1080.mp4',
+      thumbnailUrl: '',
+      isHLS: false,
+      variants: [
+        { url: 'https://video.twimg.com/amplify_video/1/vid/1080.mp4', bitrate: 5000000, width: 1920, height: 1080 },
+        { url: 'https://video.twimg.com/amplify_video/1/vid/360.mp4', bitrate: 600000, width: 640, height: 360 }
+      ]
+    });
+    global.IN_PAGE_BUTTONS.VIDEO_QUALITY = 'smallest';
+    const video = document.querySelector('video');
+    rightClick(video);
+
+    await global.downloadFromContextMenu({ action: 'downloadContextMedia', mediaType: 'video', srcUrl: 'blob:https://x.com/1' });
+
+    expect(sentImages()[0].images).toEqual([expect.objectContaining({
+      mediaType: 'video',
+      fullSizeUrl: 'https://video.twimg.com/amplify_video/1/vid/360.mp4'
+    })]);
+  });
+
+  test('upgrade an image that is no longer on the page from its URL', async () => {
+    await global.downloadFromContextMenu({
+      action: 'downloadContextMedia',
+      mediaType: 'image',
+      srcUrl: 'https://pbs.twimg.com/media/GONE?format=png&name=small'
+    });
+
+    expect(sentImages()[0].images[0].fullSizeUrl).toBe('https://pbs.twimg.com/media/GONE?format=png&name=4096x4096');
+  });
+
+  test('save every item of the tweet around a right-clicked post link', async () => {
+    renderTweet('1');
+    renderTweet('2');
+    global.X_VIDEO_CACHE.set('2', { fullSizeUrl: 'https://video.twimg.com/amplify_video/2/vid/720.mp4', thumbnailUrl: '', isHLS: false });
+    const link = document.querySelector('#tweet-2 a');
+    rightClick(link.querySelector('time'));
+
+    await global.downloadFromContextMenu({ action: 'downloadContextPost', linkUrl: link.href });
+
+    const [message] = sentImages();
+    expect(message.redownload).toBe(false);
+    expect(message.images.map(image => [image.mediaType, image.fullSizeUrl, image.postId])).toEqual([
+      ['image', 'https://pbs.twimg.com/media/P2?format=jpg&name=4096x4096', '2'],
+      ['video', 'https://video.twimg.com/amplify_video/2/vid/720.mp4', '2']
+    ]);
+  });
+
+  test('send nothing when the clicked video cannot be resolved', async () => {
+    renderTweet('1');
+    rightClick(document.querySelector('video'));
+
+    await global.downloadFromContextMenu({ action: 'downloadContextMedia', mediaType: 'video', srcUrl: 'blob:https://x.com/1' });
+
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -22,13 +22,18 @@ beforeEach(() => {
 // The content.js parser reads script.textContent and looks for the JSON string value of
 // manifest_xml. Inside that JSON string, all " must be escaped as \" and / as \/, so that
 // the parser can find the end of the JSON string correctly.
-function buildDashManifestScript(representations) {
-  const reps = representations
-    .map(({ bandwidth, url }) =>
-      `<Representation bandwidth=\\"${bandwidth}\\"><BaseURL>${url}<\\/BaseURL><\\/Representation>`
-    )
-    .join('');
-  const xml = `<AdaptationSet contentType=\\"video\\">${reps}<\\/AdaptationSet>`;
+function buildDashManifestScript(representations, audioRepresentations = []) {
+  const adaptationSet = (contentType, list) => {
+    const reps = list
+      .map(({ bandwidth, url, width, height }) => {
+        const size = width ? ` width=\\"${width}\\" height=\\"${height}\\"` : '';
+        return `<Representation bandwidth=\\"${bandwidth}\\"${size}><BaseURL>${url}<\\/BaseURL><\\/Representation>`;
+      })
+      .join('');
+    return `<AdaptationSet contentType=\\"${contentType}\\">${reps}<\\/AdaptationSet>`;
+  };
+  const xml = adaptationSet('video', representations) +
+    (audioRepresentations.length > 0 ? adaptationSet('audio', audioRepresentations) : '');
   const script = document.createElement('script');
   script.type = 'application/json';
   script.textContent = `"dash_manifests":[{"manifest_xml":"${xml}"}]`;
@@ -59,6 +64,23 @@ describe('FacebookPlatform.extractImages()', () => {
     expect(result).toHaveLength(1);
     expect(result[0].mediaType).toBe('video');
     expect(result[0].fullSizeUrl).toBe('https://video.facebook.com/high.mp4');
+    expect(result[0].audioUrl).toBeNull();
+  });
+
+  test('reel page: carries the separate DASH audio track', async () => {
+    mockWindowLocation('/reel/123456789');
+    buildDashManifestScript(
+      [{ bandwidth: 2000000, url: 'https://video.facebook.com/video.mp4' }],
+      [{ bandwidth: 64000, url: 'https://video.facebook.com/audio-low.mp4' }, { bandwidth: 128000, url: 'https://video.facebook.com/audio.mp4?a=1&amp;b=2' }]
+    );
+
+    const platform = new global.FacebookPlatform();
+    const result = await platform.extractImages();
+
+    expect(result[0]).toMatchObject({
+      fullSizeUrl: 'https://video.facebook.com/video.mp4',
+      audioUrl: 'https://video.facebook.com/audio.mp4?a=1&b=2'
+    });
   });
 
   test('reel page: returns empty array when no DASH manifest is present', async () => {
@@ -74,7 +96,7 @@ describe('FacebookPlatform.extractImages()', () => {
   test('carousel video page: fetches video URL from background using videoId extracted from URL', async () => {
     mockWindowLocation('/100/videos/pcb.456/789');
     chrome.runtime.sendMessage.mockImplementation((_msg, callback) => {
-      callback({ success: true, videoUrl: 'https://video.facebook.com/carousel.mp4' });
+      callback({ success: true, videoUrl: 'https://video.facebook.com/carousel.mp4', audioUrl: 'https://video.facebook.com/carousel-audio.mp4' });
     });
 
     const platform = new global.FacebookPlatform();
@@ -83,6 +105,7 @@ describe('FacebookPlatform.extractImages()', () => {
     expect(result).toHaveLength(1);
     expect(result[0].mediaType).toBe('video');
     expect(result[0].fullSizeUrl).toBe('https://video.facebook.com/carousel.mp4');
+    expect(result[0].audioUrl).toBe('https://video.facebook.com/carousel-audio.mp4');
   });
 
   test('photo page without navigation button: extracts image via static DOM detection', async () => {
@@ -122,7 +145,7 @@ describe('FacebookPlatform.extractImages()', () => {
   });
 });
 
-describe('FacebookPlatform._extractVideoUrlFromDashManifest()', () => {
+describe('FacebookPlatform._extractStreamsFromDashManifest()', () => {
   test('returns highest-bandwidth video URL from DASH manifest in script tag', () => {
     buildDashManifestScript([
       { bandwidth: 1000000, url: 'https://video.facebook.com/med.mp4' },
@@ -131,18 +154,34 @@ describe('FacebookPlatform._extractVideoUrlFromDashManifest()', () => {
     ]);
 
     const platform = new global.FacebookPlatform();
-    const url = platform._extractVideoUrlFromDashManifest();
+    const streams = platform._extractStreamsFromDashManifest();
 
-    expect(url).toBe('https://video.facebook.com/best.mp4');
+    expect(streams).toMatchObject({ videoUrl: 'https://video.facebook.com/best.mp4', audioUrl: null });
+    expect(streams.variants).toHaveLength(3);
+  });
+
+  test('reads the resolution of each video representation', () => {
+    buildDashManifestScript([
+      { bandwidth: 900000, url: 'https://video.facebook.com/sd.mp4', width: 540, height: 960 },
+      { bandwidth: 2500000, url: 'https://video.facebook.com/hd.mp4', width: 720, height: 1280 },
+    ]);
+
+    const platform = new global.FacebookPlatform();
+    const { variants } = platform._extractStreamsFromDashManifest();
+
+    expect(variants).toEqual([
+      { url: 'https://video.facebook.com/sd.mp4', bitrate: 900000, width: 540, height: 960 },
+      { url: 'https://video.facebook.com/hd.mp4', bitrate: 2500000, width: 720, height: 1280 },
+    ]);
   });
 
   test('returns null when no script contains a DASH manifest', () => {
     // Empty head — no script tags
 
     const platform = new global.FacebookPlatform();
-    const url = platform._extractVideoUrlFromDashManifest();
+    const streams = platform._extractStreamsFromDashManifest();
 
-    expect(url).toBeNull();
+    expect(streams).toBeNull();
   });
 });
 
@@ -173,3 +212,243 @@ describe('FacebookPlatform._extractVideoIdFromUrl()', () => {
     expect(platform._extractVideoIdFromUrl()).toBeNull();
   });
 });
+
+describe('FacebookPlatform.getPostMetadata()', () => {
+  test('uses the album set ID as post ID so every photo in a post shares it', () => {
+    mockWindowLocation('/photo/?fbid=111&set=pcb.999');
+    document.body.innerHTML = `
+      <div role="complementary">
+        <h2><a href="/someone">Some One</a></h2>
+        <div dir="auto">Trip photos</div>
+      </div>
+    `;
+
+    const platform = new global.FacebookPlatform();
+
+    expect(platform.getPostMetadata()).toEqual({
+      author: 'Some One',
+      postId: '999',
+      caption: 'Trip photos',
+      postUrl: 'https://www.facebook.com/photo/?fbid=111&set=pcb.999',
+      postedAt: ''
+    });
+  });
+
+  test('keeps only the identifying query params in the post URL', () => {
+    mockWindowLocation('/photo/?fbid=111&set=a.222&__cft__=tracking&__tn__=x');
+    document.body.innerHTML = '';
+
+    const platform = new global.FacebookPlatform();
+
+    expect(platform.getPostMetadata().postUrl).toBe('https://www.facebook.com/photo/?fbid=111&set=a.222');
+  });
+
+  test('falls back to the fbid for standalone photos', () => {
+    mockWindowLocation('/photo/?fbid=111');
+
+    const platform = new global.FacebookPlatform();
+
+    expect(platform.getPostMetadata().postId).toBe('111');
+  });
+
+  test('reads author and post ID from carousel video URLs', () => {
+    mockWindowLocation('/100/videos/pcb.456/789');
+
+    const platform = new global.FacebookPlatform();
+    const metadata = platform.getPostMetadata();
+
+    expect(metadata.author).toBe('100');
+    expect(metadata.postId).toBe('456');
+  });
+});
+
+describe('FacebookPlatform album pages', () => {
+  // Photo page HTML with the Relay data of the photo and a prefetched neighbour
+  function photoPage(fbid, neighbour) {
+    return `<script>{"id":"${neighbour}","viewer_image":{"height":600,"width":800,"uri":"https:\\/\\/scontent.fbcdn.net\\/${neighbour}_n.jpg"}}`
+      + `{"id":"${fbid}","viewer_image":{"height":1536,"width":2048,"uri":"https:\\/\\/scontent.fbcdn.net\\/${fbid}_n.jpg?stp=dst-jpg"}}</script>`;
+  }
+
+  function renderGrid(fbids) {
+    const main = document.querySelector('div[role="main"]') || document.body.appendChild(document.createElement('div'));
+    main.setAttribute('role', 'main');
+    main.insertAdjacentHTML('beforeend', fbids.map(fbid =>
+      `<a href="/photo/?fbid=${fbid}&set=a.500"><img src="https://scontent.fbcdn.net/${fbid}_s.jpg" alt="Photo ${fbid}"></a>`
+    ).join(''));
+  }
+
+  const sentActions = () => chrome.runtime.sendMessage.mock.calls.map(([message]) => message.action);
+  const appended = () => chrome.runtime.sendMessage.mock.calls
+    .filter(([message]) => message.action === 'imagesAppend')
+    .map(([message]) => message.images[0]);
+
+  beforeEach(() => {
+    mockWindowLocation('/media/set/?set=a.500&type=3');
+    chrome.runtime.sendMessage.mockReset();
+    window.scrollTo = jest.fn();
+    global.fetch = jest.fn(async (url) => {
+      const fbid = new URL(url).searchParams.get('fbid');
+      if (fbid === '3') return { ok: false, status: 500 };
+      return { ok: true, text: async () => photoPage(fbid, '999') };
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  test('streams every grid photo at full size, scrolling for more', async () => {
+    renderGrid(['1', '2']);
+    window.scrollTo = jest.fn(() => renderGrid(['2', '3']));
+
+    const result = await new global.FacebookPlatform().extractImages();
+
+    expect(result.map(item => [item.index, item.fullSizeUrl, item.maxWidth])).toEqual([
+      [1, 'https://scontent.fbcdn.net/1_n.jpg?stp=dst-jpg', 2048],
+      [2, 'https://scontent.fbcdn.net/2_n.jpg?stp=dst-jpg', 2048],
+      // Photo page failed to load: the grid thumbnail is kept
+      [3, 'https://scontent.fbcdn.net/3_s.jpg', 0]
+    ]);
+    expect(global.fetch).toHaveBeenCalledWith('https://www.facebook.com/photo/?fbid=1&set=a.500', { credentials: 'include' });
+    expect(sentActions()).toEqual(['extractionStarted', 'imagesAppend', 'imagesAppend', 'imagesAppend', 'extractionComplete']);
+    expect(appended()[0]).toMatchObject({ postId: '500', alt: 'Photo 1', thumbnailUrl: 'https://scontent.fbcdn.net/1_s.jpg' });
+    expect(global.fbCarouselActive).toBe(true);
+  });
+
+  test('stops when the popup asks', async () => {
+    renderGrid(['1', '2', '3']);
+    global.fetch.mockImplementationOnce(async () => {
+      global.stopFbExtractionRequested = true;
+      return { ok: true, text: async () => photoPage('1', '999') };
+    });
+
+    const result = await new global.FacebookPlatform().extractImages();
+
+    expect(result).toHaveLength(1);
+    expect(sentActions()).toEqual(['extractionStarted', 'imagesAppend', 'extractionComplete']);
+  });
+
+  test('are recognised by URL, including page album lists', () => {
+    const platform = new global.FacebookPlatform();
+    expect(platform._isAlbumPage()).toBe(true);
+
+    mockWindowLocation('/somepage/photos_albums');
+    expect(platform._isAlbumPage()).toBe(true);
+    expect(platform.getPostMetadata().author).toBe('somepage');
+
+    mockWindowLocation('/photo/?fbid=1&set=a.500');
+    expect(platform._isAlbumPage()).toBe(false);
+  });
+
+  test('walks every album of a page album list, returning to the list after each', async () => {
+    const albums = { 500: ['1', '2'], 600: ['4', '5'] };
+    const renderList = () => {
+      document.body.innerHTML = '<div role="main">'
+        + '<a href="/media/set/?set=a.500&type=3"><img src="https://scontent.fbcdn.net/cover500.jpg"></a>'
+        + '<a href="/media/set/?set=a.600&type=3"><img src="https://scontent.fbcdn.net/cover600.jpg"></a>'
+        + '</div>';
+      // Facebook opens the album in place, without reloading the page
+      document.querySelectorAll('a').forEach(link => link.addEventListener('click', event => {
+        event.preventDefault();
+        const albumId = new URL(link.href).searchParams.get('set').slice(2);
+        window.history.pushState({}, '', `/media/set/?set=a.${albumId}&type=3`);
+        document.body.innerHTML = `<div role="main">${albums[albumId].map(fbid =>
+          `<a href="/photo/?fbid=${fbid}&set=a.${albumId}"><img src="https://scontent.fbcdn.net/${fbid}_s.jpg"></a>`).join('')}</div>`;
+      }));
+    };
+    mockWindowLocation('/somepage/photos_albums');
+    renderList();
+    const back = jest.spyOn(window.history, 'back').mockImplementation(() => {
+      window.history.pushState({}, '', '/somepage/photos_albums');
+      renderList();
+    });
+
+    const result = await new global.FacebookPlatform().extractImages();
+
+    expect(result.map(item => [item.index, item.fullSizeUrl])).toEqual([
+      [1, 'https://scontent.fbcdn.net/1_n.jpg?stp=dst-jpg'],
+      [2, 'https://scontent.fbcdn.net/2_n.jpg?stp=dst-jpg'],
+      [3, 'https://scontent.fbcdn.net/4_n.jpg?stp=dst-jpg'],
+      [4, 'https://scontent.fbcdn.net/5_n.jpg?stp=dst-jpg']
+    ]);
+    expect(appended().map(item => [item.author, item.postId])).toEqual([
+      ['somepage', '500'], ['somepage', '500'], ['somepage', '600'], ['somepage', '600']
+    ]);
+    expect(sentActions()[0]).toBe('extractionStarted');
+    expect(sentActions().at(-1)).toBe('extractionComplete');
+    expect(back).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops walking a page album list when the popup asks', async () => {
+    mockWindowLocation('/somepage/photos_albums');
+    document.body.innerHTML = '<div role="main"><a href="/media/set/?set=a.500">A</a><a href="/media/set/?set=a.600">B</a></div>';
+    const platform = new global.FacebookPlatform();
+    const walkGrid = jest.spyOn(platform, '_walkAlbumGrid').mockImplementation(async () => {
+      global.stopFbExtractionRequested = true;
+    });
+    document.querySelectorAll('a').forEach(link => link.addEventListener('click', event => {
+      event.preventDefault();
+      window.history.pushState({}, '', new URL(link.href).pathname + new URL(link.href).search);
+    }));
+    jest.spyOn(window.history, 'back').mockImplementation(() => window.history.pushState({}, '', '/somepage/photos_albums'));
+
+    await platform.extractImages();
+
+    expect(walkGrid).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('FacebookPlatform feed posts', () => {
+  beforeEach(() => {
+    mockWindowLocation('/');
+    chrome.runtime.sendMessage.mockReset();
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      text: async () => '{"id":"7","viewer_image":{"height":1536,"width":2048,"uri":"https:\\/\\/scontent.fbcdn.net\\/7_n.jpg"}}'
+    }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  function renderFeedPost(inner) {
+    document.body.insertAdjacentHTML('beforeend',
+      `<div aria-posinset="1"><h2><a href="/page">Page</a></h2><a href="/page/posts/42">1h</a>${inner}</div>`);
+    return document.body.lastElementChild;
+  }
+
+  test('lists posts with photos or linked videos, skipping text-only posts', () => {
+    renderFeedPost('<a href="/photo/?fbid=7&set=a.500"><img src="https://scontent.fbcdn.net/7_s.jpg"></a>');
+    renderFeedPost('<video poster="https://scontent.fbcdn.net/poster.jpg"></video><a href="/page/videos/123456/">Video</a>');
+    renderFeedPost('<p>Just text</p>');
+
+    expect(new global.FacebookPlatform().getPostContainers()).toHaveLength(2);
+  });
+
+  test('resolves linked videos through the streams the background collected', async () => {
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      callback(message.videoId === '123456'
+        ? { success: true, videoUrl: 'https://video.fbcdn.net/123456.mp4', audioUrl: 'https://video.fbcdn.net/123456-audio.mp4', variants: [] }
+        : { success: false });
+    });
+    const post = renderFeedPost(
+      '<a href="/photo/?fbid=7&set=a.500"><img src="https://scontent.fbcdn.net/7_s.jpg" alt="Photo"></a>' +
+      '<video poster="https://scontent.fbcdn.net/poster.jpg"></video>' +
+      '<a href="/page/videos/123456/">Video</a><a href="/reel/999/">Unplayed reel</a>'
+    );
+
+    const items = await new global.FacebookPlatform().extractPostContainer(post);
+
+    expect(items.map(item => item.mediaType)).toEqual(['image', 'video']);
+    expect(items[1]).toMatchObject({
+      index: 2,
+      fullSizeUrl: 'https://video.fbcdn.net/123456.mp4',
+      audioUrl: 'https://video.fbcdn.net/123456-audio.mp4',
+      thumbnailUrl: 'https://scontent.fbcdn.net/poster.jpg',
+      postId: '500',
+      postUrl: 'https://www.facebook.com/page/posts/42'
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://x.com/home"}
+ */
+const { loadContentScript, mockWindowLocation, mockRect } = require('./helpers.js');
+
+beforeAll(() => {
+  loadContentScript();
+});
+
+// Timeline tweet with one photo, laid out `top` px down the page
+function renderTweet(tweetId, top, text = `Tweet ${tweetId}`) {
+  document.body.insertAdjacentHTML('beforeend', `
+    <article data-testid="tweet" id="tweet-${tweetId}">
+      <a href="/author${tweetId}/status/${tweetId}"><time datetime="2024-05-01T10:00:00.000Z">1h</time></a>
+      <div data-testid="tweetText">${text}</div>
+      <div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/P${tweetId}?format=jpg&name=small" alt="Image"></div>
+    </article>
+  `);
+  const article = document.getElementById(`tweet-${tweetId}`);
+  mockRect(article, 600, 400);
+  article.getBoundingClientRect.mockReturnValue({ width: 600, height: 400, top, bottom: top + 400, left: 0, right: 600 });
+}
+
+const sentMessages = () => chrome.runtime.sendMessage.mock.calls.map(([message]) => message);
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  mockWindowLocation('/home');
+  window.innerHeight = 800;
+  chrome.runtime.sendMessage.mockReset();
+  global.stopFeedExtractionRequested = false;
+});
+
+describe('feed mode', () => {
+  test('home feeds are feed pages, not posts', () => {
+    ['https://x.com/home', 'https://www.instagram.com/', 'https://www.threads.com/', 'https://www.facebook.com/?sk=h_chr'].forEach(url => {
+      expect(global.FEED_PATTERNS.some(pattern => pattern.test(url))).toBe(true);
+    });
+    expect(global.PlatformFactory.createFeedPlatform()).toBeInstanceOf(global.XPlatform);
+
+    mockWindowLocation('/someone/status/1');
+    expect(global.PlatformFactory.createFeedPlatform()).toBeNull();
+    expect(global.getFeedPosts()).toBeNull();
+  });
+
+  test('lists the media posts in the viewport with author and caption', () => {
+    renderTweet('1', -300, 'Partly scrolled past');
+    renderTweet('2', 200, 'In  view\nfully');
+    renderTweet('3', 900, 'Below the fold');
+
+    const posts = global.getFeedPosts();
+
+    expect(posts).toEqual([
+      { id: expect.any(String), author: 'author1', caption: 'Partly scrolled past' },
+      { id: expect.any(String), author: 'author2', caption: 'In view fully' }
+    ]);
+    // Listing again keeps the IDs the popup already has
+    expect(global.getFeedPosts().map(post => post.id)).toEqual(posts.map(post => post.id));
+  });
+
+  test('streams the picked posts with indices running across them', async () => {
+    renderTweet('1', 0);
+    renderTweet('2', 400);
+    renderTweet('3', 600);
+    const [first, , third] = global.getFeedPosts();
+
+    await global.extractFeedPosts([first.id, third.id]);
+
+    const messages = sentMessages();
+    expect(messages.map(message => message.action)).toEqual(['extractionStarted', 'imagesAppend', 'imagesAppend', 'extractionComplete']);
+    expect(messages[1].images).toEqual([expect.objectContaining({ index: 1, postId: '1', author: 'author1' })]);
+    expect(messages[2].images).toEqual([expect.objectContaining({
+      index: 2,
+      postId: '3',
+      fullSizeUrl: 'https://pbs.twimg.com/media/P3?format=jpg&name=4096x4096'
+    })]);
+  });
+
+  test('skips posts that left the page and stops when asked', async () => {
+    renderTweet('1', 0);
+    renderTweet('2', 400);
+    const [first, second] = global.getFeedPosts();
+    document.getElementById('tweet-1').remove();
+    chrome.runtime.sendMessage.mockImplementation(message => {
+      if (message.action === 'imagesAppend') global.stopFeedExtractionRequested = true;
+    });
+
+    await global.extractFeedPosts([first.id, second.id, first.id]);
+
+    expect(sentMessages().map(message => message.action)).toEqual(['extractionStarted', 'imagesAppend', 'extractionComplete']);
+    expect(sentMessages()[1].images[0].postId).toBe('2');
+  });
+});
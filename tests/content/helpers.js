@@ -4,12 +4,23 @@ const path = require('path');
 function loadContentScript() {
   const constants = require('../../src/shared/constants.js');
   const utils = require('../../src/shared/utils.js');
+  const settings = require('../../src/shared/settings.js');
 
   global.PLATFORMS = constants.PLATFORMS;
   global.PLATFORM_HOSTNAMES = constants.PLATFORM_HOSTNAMES;
   global.CONTENT_MESSAGES = constants.CONTENT_MESSAGES;
+  global.TAB_MESSAGES = constants.TAB_MESSAGES;
+  global.BACKGROUND_MESSAGES = constants.BACKGROUND_MESSAGES;
   global.getFileExtension = utils.getFileExtension;
   global.getPlatformFromUrl = utils.getPlatformFromUrl;
+  global.decodeEfgParam = utils.decodeEfgParam;
+  global.isHlsPlaylistUrl = utils.isHlsPlaylistUrl;
+  global.needsExternalDownloader = utils.needsExternalDownloader;
+  global.selectVideoVariant = utils.selectVideoVariant;
+  global.applyVideoQuality = utils.applyVideoQuality;
+  global.DEFAULT_SETTINGS = settings.DEFAULT_SETTINGS;
+  global.loadSettings = settings.loadSettings;
+  global.onSettingsChanged = settings.onSettingsChanged;
   // Replace wait with a no-op so async extractions don't actually sleep
   global.wait = jest.fn().mockResolvedValue(undefined);
 
@@ -20,8 +31,8 @@ function loadContentScript() {
 
   // Expose module-level constants so tests can read them and class methods can find them as globals
   [
-    'SINGLE_POST_PATTERNS', 'HOMEPAGE_PATTERNS', 'GENERAL_CONFIG',
-    'CAROUSEL', 'IMAGE_FILTERS', 'SELECTORS',
+    'SINGLE_POST_PATTERNS', 'FEED_PATTERNS', 'PROFILE_PATTERNS', 'GENERAL_CONFIG', 'IN_PAGE_BUTTONS', 'THREADS_CONFIG', 'INSTAGRAM_CONFIG',
+    'CAROUSEL', 'PROFILE', 'IMAGE_FILTERS', 'SELECTORS',
   ].forEach(name => {
     source = source.replace(
       new RegExp(`(?:const|let|var)\\s+${name}\\s*=`),
@@ -29,17 +40,26 @@ function loadContentScript() {
     );
   });
 
+  source = source.replace(/function\s+applySettings\s*\(/, 'global.applySettings = function(');
+  source = source.replace(/function\s+setupInPageButtons\s*\(/, 'global.setupInPageButtons = function(');
+  source = source.replace(/async function\s+downloadFromContextMenu\s*\(/, 'global.downloadFromContextMenu = async function(');
+  source = source.replace(/function\s+getFeedPosts\s*\(/, 'global.getFeedPosts = function(');
+  source = source.replace(/async function\s+extractFeedPosts\s*\(/, 'global.extractFeedPosts = async function(');
+
   // Expose mutable flags
   source = source.replace(/let\s+stopFbExtractionRequested\s*=/, 'global.stopFbExtractionRequested =');
   source = source.replace(/let\s+fbCarouselActive\s*=/, 'global.fbCarouselActive =');
+  source = source.replace(/let\s+stopProfileExtractionRequested\s*=/, 'global.stopProfileExtractionRequested =');
+  source = source.replace(/let\s+stopFeedExtractionRequested\s*=/, 'global.stopFeedExtractionRequested =');
 
   // Expose X video cache Map so tests can seed / inspect it
   source = source.replace('const X_VIDEO_CACHE = new Map()', 'global.X_VIDEO_CACHE = new Map()');
+  source = source.replace('const X_MEDIA_TWEETS = new Map()', 'global.X_MEDIA_TWEETS = new Map()');
 
   // Expose platform classes
   [
-    'BasePlatform', 'ThreadsPlatform', 'InstagramPlatform',
-    'FacebookPlatform', 'XPlatform', 'PlatformFactory',
+    'BasePlatform', 'ThreadsPlatform', 'InstagramPlatform', 'FacebookPlatform', 'XPlatform',
+    'BlueskyPlatform', 'RedditPlatform', 'PinterestPlatform', 'TumblrPlatform', 'PlatformFactory',
   ].forEach(name => {
     source = source.replace(
       new RegExp(`class\\s+${name}\\b`),
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://x.com/home"}
+ */
+const { loadContentScript } = require('./helpers.js');
+
+beforeAll(() => {
+  loadContentScript();
+});
+
+// Timeline tweet with a photo, a video whose stream was intercepted, and one nobody saw
+function renderTweet(tweetId, { video = false } = {}) {
+  document.body.insertAdjacentHTML('beforeend', `
+    <article data-testid="tweet" id="tweet-${tweetId}">
+      <a href="/someone/status/${tweetId}"><time datetime="2024-05-01T10:00:00.000Z">1h</time></a>
+      <div data-testid="tweetText">Hello</div>
+      <div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/P${tweetId}?format=jpg&name=small" alt="Image"></div>
+      ${video ? `
+        <video poster="https://pbs.twimg.com/amplify_video_thumb/111/img/a.jpg"></video>
+        <video poster="https://pbs.twimg.com/amplify_video_thumb/222/img/b.jpg"></video>
+      ` : ''}
+    </article>
+  `);
+}
+
+// Button scans run on timers; fake ones keep them from firing after the test environment is gone
+beforeEach(() => {
+  jest.useFakeTimers();
+  performance.getEntriesByType = jest.fn().mockReturnValue([]);
+  document.body.innerHTML = '';
+  jest.clearAllMocks();
+  global.IN_PAGE_BUTTONS.ENABLED = true;
+  global.IN_PAGE_BUTTONS.VIDEO_QUALITY = 'highest';
+  global.X_VIDEO_CACHE.clear();
+});
+
+afterEach(async () => {
+  document.body.innerHTML = '';
+  await jest.runAllTimersAsync();
+  jest.useRealTimers();
+});
+
+describe('in-page download buttons', () => {
+  test('go on every media tweet of a timeline once', () => {
+    renderTweet('1');
+    renderTweet('2');
+    document.body.insertAdjacentHTML('beforeend', '<article data-testid="tweet"><div data-testid="tweetText">Text only</div></article>');
+
+    global.setupInPageButtons();
+    global.setupInPageButtons();
+
+    const buttons = document.querySelectorAll('.socialsnap-download-btn');
+    expect(Array.from(buttons).map(button => button.parentElement.id)).toEqual(['tweet-1', 'tweet-2']);
+  });
+
+  test('download that tweet through the background at the video quality setting', async () => {
+    renderTweet('1', { video: true });
+    global.X_VIDEO_CACHE.set('111', {
+      fullSizeUrl: 'https://video.twimg.com/amplify_video/111/vid/1080.mp4',
+      thumbnailUrl: '',
+      isHLS: false,
+      variants: [
+        { url: 'https://video.twimg.com/amplify_video/111/vid/1080.mp4', bitrate: 5000000, width: 1920, height: 1080 },
+        { url: 'https://video.twimg.com/amplify_video/111/vid/360.mp4', bitrate: 600000, width: 640, height: 360 }
+      ]
+    });
+    global.IN_PAGE_BUTTONS.VIDEO_QUALITY = 'smallest';
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true, summary: { total: 2, succeeded: 2, failed: 0, skipped: 0 } });
+    global.setupInPageButtons();
+
+    const button = document.querySelector('.socialsnap-download-btn');
+    button.click();
+    await jest.runAllTimersAsync();
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+    const [{ action, images }] = chrome.runtime.sendMessage.mock.calls[0];
+    expect(action).toBe('downloadImages');
+    // The second video was never intercepted, so only yt-dlp could save it
+    expect(images.map(image => [image.mediaType, image.fullSizeUrl])).toEqual([
+      ['image', 'https://pbs.twimg.com/media/P1?format=jpg&name=4096x4096'],
+      ['video', 'https://video.twimg.com/amplify_video/111/vid/360.mp4']
+    ]);
+    expect(images[0]).toMatchObject({ author: 'someone', postId: '1', postUrl: 'https://x.com/someone/status/1', caption: 'Hello' });
+    expect(button.dataset.state).toBe('done');
+    expect(button.title).toBe('Saved 2 of 2 files');
+  });
+
+  test('report failed downloads on the button', async () => {
+    renderTweet('1');
+    chrome.runtime.sendMessage.mockResolvedValue({ success: false, summary: { total: 1, succeeded: 0, failed: 1, skipped: 0 } });
+    global.setupInPageButtons();
+
+    const button = document.querySelector('.socialsnap-download-btn');
+    button.click();
+    await jest.runAllTimersAsync();
+
+    expect(button.dataset.state).toBe('failed');
+    expect(button.title).toBe('1 of 1 files failed');
+  });
+
+  test('are removed when the setting is turned off', async () => {
+    renderTweet('1');
+    global.setupInPageButtons();
+    expect(document.querySelectorAll('.socialsnap-download-btn')).toHaveLength(1);
+
+    global.IN_PAGE_BUTTONS.ENABLED = false;
+    renderTweet('2');
+    await jest.runAllTimersAsync();
+
+    expect(document.querySelectorAll('.socialsnap-download-btn')).toHaveLength(0);
+  });
+});
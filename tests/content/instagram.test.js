@@ -8,6 +8,12 @@ beforeAll(() => {
   loadContentScript();
 });
 
+// CDN URL with Meta's efg param (URL-safe base64 JSON), as in performance entries
+function cdnVideoUrl(name, efg) {
+  const encoded = Buffer.from(JSON.stringify(efg)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+  return `https://scontent.cdninstagram.com/o1/v/t2/${name}.mp4?efg=${encoded}&bytestart=0&byteend=999`;
+}
+
 beforeEach(() => {
   document.body.innerHTML = '';
   jest.clearAllMocks();
@@ -82,6 +88,50 @@ describe('InstagramPlatform.extractImages()', () => {
     expect(result[0].fullSizeUrl).toContain('clip.mp4');
   });
 
+  test('single video post: pairs the best DASH video rendition with its audio', async () => {
+    mockWindowLocation('/p/ABC123');
+
+    performance.getEntriesByType = jest.fn().mockReturnValue([
+      { name: cdnVideoUrl('low', { xpv_asset_id: 42, vencode_tag: 'dash_baseline_3_v1', bitrate: 300000 }), startTime: 100 },
+      { name: cdnVideoUrl('audio', { vencode_tag: 'dash_ln_heaac_vbr3_audio', video_id: null }), startTime: 110 },
+      { name: cdnVideoUrl('high', { xpv_asset_id: 42, vencode_tag: 'dash_baseline_1_v1', bitrate: 1500000 }), startTime: 900 },
+    ]);
+
+    const main = document.createElement('main');
+    const video = document.createElement('video');
+    video.play = jest.fn().mockResolvedValue(undefined);
+    main.appendChild(video);
+    document.body.appendChild(main);
+
+    const platform = new global.InstagramPlatform();
+    const [item] = await platform.extractImages();
+
+    expect(item.fullSizeUrl).toContain('/high.mp4');
+    expect(item.audioUrl).toContain('/audio.mp4');
+    expect(item.audioUrl).not.toContain('bytestart');
+  });
+
+  test('single video post: progressive MP4s have no separate audio', async () => {
+    mockWindowLocation('/p/ABC123');
+
+    performance.getEntriesByType = jest.fn().mockReturnValue([
+      { name: cdnVideoUrl('progressive', { xpv_asset_id: 42, vencode_tag: 'xpv_progressive.INSTAGRAM.CLIPS.C3.720.dash_baseline_1_v1' }), startTime: 100 },
+      { name: cdnVideoUrl('audio', { vencode_tag: 'dash_ln_heaac_vbr3_audio' }), startTime: 50 },
+    ]);
+
+    const main = document.createElement('main');
+    const video = document.createElement('video');
+    video.play = jest.fn().mockResolvedValue(undefined);
+    main.appendChild(video);
+    document.body.appendChild(main);
+
+    const platform = new global.InstagramPlatform();
+    const [item] = await platform.extractImages();
+
+    expect(item.fullSizeUrl).toContain('/progressive.mp4');
+    expect(item.audioUrl).toBeNull();
+  });
+
   test('single video post: returns empty array when video URL cannot be found', async () => {
     mockWindowLocation('/p/ABC123');
     performance.getEntriesByType = jest.fn().mockReturnValue([]);
@@ -193,3 +243,472 @@ describe('InstagramPlatform._findNextButton()', () => {
     expect(button).toBeNull();
   });
 });
+
+describe('InstagramPlatform.getPostMetadata()', () => {
+  test('reads author from the header link and caption from the <h1>', () => {
+    mockWindowLocation('/p/ABC123/');
+    document.body.innerHTML = `
+      <main>
+        <header><a href="/someone/">someone</a></header>
+        <h1>Golden hour</h1>
+        <a href="/p/ABC123/"><time datetime="2024-06-01T08:30:00.000Z">June 1</time></a>
+      </main>
+    `;
+
+    const platform = new global.InstagramPlatform();
+
+    expect(platform.getPostMetadata()).toEqual({
+      author: 'someone',
+      postId: 'ABC123',
+      caption: 'Golden hour',
+      postUrl: 'https://www.instagram.com/p/ABC123/',
+      postedAt: '2024-06-01T08:30:00.000Z'
+    });
+  });
+
+  test('prefers the account segment of /username/p/ URLs', () => {
+    mockWindowLocation('/someone/p/ABC123/');
+    document.body.innerHTML = '<main></main>';
+
+    const platform = new global.InstagramPlatform();
+    const metadata = platform.getPostMetadata();
+
+    expect(metadata.author).toBe('someone');
+    expect(metadata.postId).toBe('ABC123');
+  });
+
+  test('reads reel IDs', () => {
+    mockWindowLocation('/reel/REEL1/');
+
+    const platform = new global.InstagramPlatform();
+
+    expect(platform.getPostMetadata().postId).toBe('REEL1');
+  });
+});
+
+describe('Instagram stories and highlights', () => {
+  afterEach(() => {
+    global.INSTAGRAM_CONFIG.STORY_ALL_ITEMS = false;
+  });
+
+  // Story viewer showing one item: an image at `image`, or a streamed <video> when `video` is set
+  function renderStory({ author = 'someone', postedAt, image, video = false }) {
+    document.body.innerHTML = `
+      <section>
+        <header>
+          <a href="/${author}/"><img src="https://scontent.cdninstagram.com/v/avatar.jpg" alt="avatar"></a>
+          <time datetime="${postedAt}">2h</time>
+        </header>
+        ${video ? '<video src="blob:https://www.instagram.com/story"></video>' : `<img class="story" src="${image}" alt="Story photo">`}
+        <div role="button"><svg aria-label="Next"></svg></div>
+      </section>
+    `;
+    document.querySelectorAll('img').forEach(img => {
+      const width = img.classList.contains('story') ? 1080 : 40;
+      Object.defineProperty(img, 'naturalWidth', { get: () => width, configurable: true });
+      Object.defineProperty(img, 'naturalHeight', { get: () => width, configurable: true });
+    });
+  }
+
+  test('matches story and highlight URLs as single posts', () => {
+    const patterns = global.SINGLE_POST_PATTERNS.instagram;
+    const matches = url => patterns.some(pattern => pattern.test(url));
+
+    expect(matches('https://www.instagram.com/stories/someone/3412345678901234567/')).toBe(true);
+    expect(matches('https://www.instagram.com/stories/highlights/17912345678901234/')).toBe(true);
+    expect(matches('https://www.instagram.com/stories/someone/')).toBe(false);
+  });
+
+  test('captures the story item on screen with its posting time', async () => {
+    mockWindowLocation('/stories/someone/3412345678901234567/');
+    renderStory({ postedAt: '2024-05-01T10:00:00.000Z', image: 'https://scontent.cdninstagram.com/v/story1.jpg' });
+    const next = jest.fn();
+    document.querySelector('[role="button"]').addEventListener('click', next);
+
+    const result = await new global.InstagramPlatform().extractImages();
+
+    expect(next).not.toHaveBeenCalled();
+    expect(result).toEqual([expect.objectContaining({
+      index: 1,
+      mediaType: 'image',
+      fullSizeUrl: 'https://scontent.cdninstagram.com/v/story1.jpg',
+      author: 'someone',
+      postId: '3412345678901234567',
+      postedAt: '2024-05-01T10:00:00.000Z'
+    })]);
+  });
+
+  test('steps through every item of the story when enabled, stopping at the next reel', async () => {
+    global.INSTAGRAM_CONFIG.STORY_ALL_ITEMS = true;
+    const videoUrl = cdnVideoUrl('story2', { vencode_tag: 'xpv_progressive.STORY', xpv_asset_id: 42 });
+    const steps = [
+      () => {
+        mockWindowLocation('/stories/someone/1/');
+        renderStory({ postedAt: '2024-05-01T10:00:00.000Z', image: 'https://scontent.cdninstagram.com/v/story1.jpg' });
+      },
+      () => {
+        mockWindowLocation('/stories/someone/2/');
+        renderStory({ postedAt: '2024-05-01T11:00:00.000Z', video: true });
+        performance.getEntriesByType = jest.fn().mockReturnValue([{ name: videoUrl, startTime: 10 }]);
+      },
+      () => {
+        mockWindowLocation('/stories/someone-else/3/');
+        renderStory({ author: 'someone-else', postedAt: '2024-05-01T12:00:00.000Z', image: 'https://scontent.cdninstagram.com/v/other.jpg' });
+      }
+    ];
+    let step = 0;
+    const render = () => {
+      steps[step++]();
+      document.querySelector('[role="button"]').addEventListener('click', render);
+    };
+    render();
+
+    const result = await new global.InstagramPlatform().extractImages();
+
+    expect(result.map(item => [item.index, item.mediaType, item.postId, item.postedAt])).toEqual([
+      [1, 'image', '1', '2024-05-01T10:00:00.000Z'],
+      [2, 'video', '2', '2024-05-01T11:00:00.000Z']
+    ]);
+    expect(result[1].fullSizeUrl).toBe(videoUrl.replace('&bytestart=0&byteend=999', ''));
+  });
+
+  test('reads the author of a highlight from the viewer', async () => {
+    mockWindowLocation('/stories/highlights/17912345678901234/');
+    renderStory({ postedAt: '2023-12-24T18:00:00.000Z', image: 'https://scontent.cdninstagram.com/v/highlight.jpg' });
+
+    const [item] = await new global.InstagramPlatform().extractImages();
+
+    expect(item).toMatchObject({ author: 'someone', postId: '17912345678901234', caption: '' });
+  });
+});
+
+describe('Instagram profile mode', () => {
+  // Media info API post; `media` entries become carousel slides
+  function apiPost(code, takenAt, media, extra = {}) {
+    return {
+      code,
+      taken_at: takenAt,
+      user: { username: 'someone' },
+      caption: { text: `Caption of\n${code}` },
+      ...(media.length > 1 ? { carousel_media: media } : media[0]),
+      ...extra
+    };
+  }
+  const image = name => ({
+    image_versions2: { candidates: [{ url: `https://cdn/${name}-1080.jpg`, width: 1080 }, { url: `https://cdn/${name}-150.jpg`, width: 150 }] }
+  });
+  const video = name => ({
+    ...image(name),
+    video_versions: [
+      { url: `https://cdn/${name}-720.mp4`, width: 720, height: 1280 },
+      { url: `https://cdn/${name}-720.mp4`, width: 720, height: 1280 },
+      { url: `https://cdn/${name}-480.mp4`, width: 480, height: 854 }
+    ]
+  });
+
+  function renderGrid(codes) {
+    document.body.innerHTML = `<main>${codes.map(code => `<a href="/someone/p/${code}/">post</a>`).join('')}</main>`;
+  }
+
+  // Clicking a grid link opens the post in a dialog, as on instagram.com; going back closes it
+  function openPostsInDialog(renderPost) {
+    document.querySelectorAll('main a').forEach(link => link.addEventListener('click', event => {
+      event.preventDefault();
+      const code = link.getAttribute('href').match(/\/(?:p|reel)\/([^/]+)/)[1];
+      window.history.pushState({}, '', `/p/${code}/`);
+      document.body.insertAdjacentHTML('beforeend', `<div role="dialog"><article>${renderPost(code)}</article></div>`);
+      document.querySelectorAll('div[role="dialog"] img').forEach(img => {
+        Object.defineProperty(img, 'naturalWidth', { get: () => 1080, configurable: true });
+        Object.defineProperty(img, 'naturalHeight', { get: () => 1080, configurable: true });
+      });
+    }));
+    jest.spyOn(window.history, 'back').mockImplementation(() => {
+      document.querySelector('div[role="dialog"]').remove();
+      window.history.pushState({}, '', '/someone/');
+    });
+  }
+
+  const renderDialogPost = code => `
+    <header><a href="/someone/">someone</a></header>
+    <img src="https://scontent.cdninstagram.com/v/${code}.jpg" alt="Photo">
+    <h1>Caption of ${code}</h1>
+    <time datetime="2024-05-01T10:00:00.000Z">May 1</time>`;
+
+  function mockApi(posts) {
+    global.fetch = jest.fn(async (url) => {
+      const post = posts.find(candidate => url.includes(`/media/${new global.InstagramPlatform()._shortcodeToMediaId(candidate.code)}/`));
+      return post ? { ok: true, json: async () => ({ items: [post] }) } : { ok: false, status: 404 };
+    });
+  }
+
+  beforeEach(() => {
+    mockWindowLocation('/someone/');
+    window.scrollTo = jest.fn();
+    global.stopProfileExtractionRequested = false;
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  test('recognises profile pages but not posts or Instagram pages', () => {
+    expect(global.PlatformFactory.createProfilePlatform()).toBeInstanceOf(global.InstagramPlatform);
+    expect(global.PlatformFactory.createProfilePlatform().getProfileInfo()).toEqual({ platform: 'instagram', username: 'someone' });
+
+    ['/p/ABC123/', '/explore/', '/reels/', '/reels/ABC123/', '/someone/p/ABC123/', '/someone/saved/'].forEach(pathname => {
+      mockWindowLocation(pathname);
+      expect(global.PlatformFactory.createProfilePlatform()).toBeNull();
+    });
+  });
+
+  test('recognises the Reels and Tagged tabs of a profile', () => {
+    mockWindowLocation('/someone/reels/');
+    expect(global.PlatformFactory.createProfilePlatform().getProfileInfo()).toEqual({ platform: 'instagram', username: 'someone', tab: 'Reels' });
+
+    mockWindowLocation('/someone/tagged/');
+    expect(global.PlatformFactory.createProfilePlatform().getProfileInfo()).toEqual({ platform: 'instagram', username: 'someone', tab: 'Tagged' });
+  });
+
+  // Post dialog of a reel: the played MP4 only shows up in the page's resource entries
+  const renderDialogReel = code => `
+    <header><a href="/someone/">someone</a></header>
+    <video></video>
+    <h1>Caption of ${code}</h1>
+    <time datetime="2024-05-0${code.slice(-1)}T10:00:00.000Z">May</time>`;
+
+  test('streams the reels of the Reels tab with the MP4s their post dialog plays', async () => {
+    mockWindowLocation('/someone/reels/');
+    document.body.innerHTML = '<main><a href="/someone/reel/REEL2/">reel</a><a href="/reel/REEL1/">reel</a></main>';
+    openPostsInDialog(renderDialogReel);
+    const r2 = cdnVideoUrl('r2', { vencode_tag: 'xpv_progressive.REEL', xpv_asset_id: 2 });
+    const r1 = cdnVideoUrl('r1', { vencode_tag: 'xpv_progressive.REEL', xpv_asset_id: 1 });
+    performance.getEntriesByType = jest.fn().mockReturnValue([{ name: r2, startTime: 10 }, { name: r1, startTime: 20 }]);
+    global.fetch = jest.fn();
+    const onPost = jest.fn();
+
+    const postCount = await new global.InstagramPlatform().extractProfile({ limit: 10, since: null }, onPost);
+
+    expect(postCount).toBe(2);
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(onPost.mock.calls.map(([items]) => items.map(item => [item.index, item.mediaType, item.fullSizeUrl, item.postId]))).toEqual([
+      [[1, 'video', expect.stringContaining('/r2.mp4?efg='), 'REEL2']],
+      [[2, 'video', expect.stringContaining('/r1.mp4?efg='), 'REEL1']]
+    ]);
+    expect(onPost.mock.calls[0][0][0]).toMatchObject({ author: 'someone', postedAt: '2024-05-02T10:00:00.000Z' });
+  });
+
+  test('opens tagged video posts instead of using the API video URLs', async () => {
+    mockWindowLocation('/someone/tagged/');
+    renderGrid(['PHOTO', 'CLIP1']);
+    openPostsInDialog(renderDialogReel);
+    mockApi([apiPost('PHOTO', Date.parse('2024-06-01') / 1000, [image('p')]), apiPost('CLIP1', 1700000000, [video('c')])]);
+    const clip = cdnVideoUrl('clip', { vencode_tag: 'xpv_progressive.CLIP', xpv_asset_id: 3 });
+    performance.getEntriesByType = jest.fn().mockReturnValue([{ name: clip, startTime: 10 }]);
+    const onPost = jest.fn();
+
+    await new global.InstagramPlatform().extractProfile({ limit: 10, since: null }, onPost);
+
+    expect(onPost.mock.calls.map(([items]) => items.map(item => [item.mediaType, item.fullSizeUrl]))).toEqual([
+      [['image', 'https://cdn/p-1080.jpg']],
+      [['video', expect.stringContaining('/clip.mp4?efg=')]]
+    ]);
+  });
+
+  test('skips older tagged posts instead of stopping, as the Tagged tab is sorted by tag time', async () => {
+    mockWindowLocation('/someone/tagged/');
+    renderGrid(['NEW', 'OLD', 'NEWER']);
+    mockApi([
+      apiPost('NEW', Date.parse('2024-06-01') / 1000, [image('n')]),
+      apiPost('OLD', Date.parse('2023-01-01') / 1000, [image('o')]),
+      apiPost('NEWER', Date.parse('2024-07-01') / 1000, [image('r')])
+    ]);
+    const onPost = jest.fn();
+
+    const postCount = await new global.InstagramPlatform().extractProfile({ limit: 10, since: '2024-01-01' }, onPost);
+
+    expect(postCount).toBe(2);
+    expect(onPost.mock.calls.map(([items]) => items[0].postId)).toEqual(['NEW', 'NEWER']);
+  });
+
+  test('converts shortcodes to media IDs', () => {
+    expect(new global.InstagramPlatform()._shortcodeToMediaId('CuE5Bq0oJ1Q')).toBe('3135882043907415376');
+  });
+
+  test('reports each grid post with all of its media and post details', async () => {
+    renderGrid(['POST1', 'POST2']);
+    mockApi([
+      apiPost('POST1', 1700000000, [image('a'), video('b')]),
+      apiPost('POST2', 1690000000, [image('c')])
+    ]);
+    const onPost = jest.fn();
+
+    const postCount = await new global.InstagramPlatform().extractProfile({ limit: 10, since: null }, onPost);
+
+    expect(postCount).toBe(2);
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringMatching(/^https:\/\/www\.instagram\.com\/api\/v1\/media\/\d+\/info\/$/),
+      expect.objectContaining({ headers: { 'X-IG-App-ID': expect.any(String) } })
+    );
+    const [first, second] = onPost.mock.calls.map(([items]) => items);
+    expect(first).toEqual([
+      expect.objectContaining({ index: 1, mediaType: 'image', fullSizeUrl: 'https://cdn/a-1080.jpg', thumbnailUrl: 'https://cdn/a-150.jpg', maxWidth: 1080 }),
+      expect.objectContaining({
+        index: 2,
+        mediaType: 'video',
+        fullSizeUrl: 'https://cdn/b-720.mp4',
+        audioUrl: null,
+        variants: [
+          { url: 'https://cdn/b-720.mp4', bitrate: 0, width: 720, height: 1280 },
+          { url: 'https://cdn/b-480.mp4', bitrate: 0, width: 480, height: 854 }
+        ]
+      })
+    ]);
+    expect(first[0]).toMatchObject({
+      author: 'someone',
+      postId: 'POST1',
+      caption: 'Caption of POST1',
+      postUrl: 'https://www.instagram.com/p/POST1/',
+      postedAt: '2023-11-14T22:13:20.000Z'
+    });
+    expect(second).toEqual([expect.objectContaining({ index: 3, postId: 'POST2', fullSizeUrl: 'https://cdn/c-1080.jpg' })]);
+  });
+
+  test('stops at the post limit', async () => {
+    renderGrid(['POST1', 'POST2', 'POST3']);
+    mockApi(['POST1', 'POST2', 'POST3'].map(code => apiPost(code, 1700000000, [image(code)])));
+    const onPost = jest.fn();
+
+    const postCount = await new global.InstagramPlatform().extractProfile({ limit: 2, since: null }, onPost);
+
+    expect(postCount).toBe(2);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('skips old pinned posts and stops at the first older post', async () => {
+    renderGrid(['PINNED', 'NEW', 'OLD', 'OLDER']);
+    mockApi([
+      apiPost('PINNED', Date.parse('2020-01-01') / 1000, [image('p')], { timeline_pinned_user_ids: [1] }),
+      apiPost('NEW', Date.parse('2024-06-01') / 1000, [image('n')]),
+      apiPost('OLD', Date.parse('2023-12-31') / 1000, [image('o')]),
+      apiPost('OLDER', Date.parse('2023-01-01') / 1000, [image('x')])
+    ]);
+    const onPost = jest.fn();
+
+    const postCount = await new global.InstagramPlatform().extractProfile({ limit: 10, since: '2024-01-01' }, onPost);
+
+    expect(postCount).toBe(1);
+    expect(onPost.mock.calls.map(([items]) => items[0].postId)).toEqual(['NEW']);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('skips posts newer than the end of the date range', async () => {
+    renderGrid(['NEWEST', 'INSIDE']);
+    mockApi([
+      apiPost('NEWEST', Date.parse('2024-03-01T12:00:00') / 1000, [image('n')]),
+      apiPost('INSIDE', Date.parse('2024-02-29T12:00:00') / 1000, [image('i')])
+    ]);
+    const onPost = jest.fn();
+
+    await new global.InstagramPlatform().extractProfile({ limit: 10, since: null, until: '2024-02-29' }, onPost);
+
+    expect(onPost.mock.calls.map(([items]) => items[0].postId)).toEqual(['INSIDE']);
+    expect(onPost.mock.calls[0][0][0].index).toBe(1);
+  });
+
+  test('scrolls for more posts and ends when the grid stops growing', async () => {
+    renderGrid(['POST1']);
+    mockApi([apiPost('POST1', 1700000000, [image('a')]), apiPost('POST2', 1690000000, [image('b')])]);
+    // The first scroll loads a second post; later scrolls add nothing
+    window.scrollTo = jest.fn(() => {
+      if (window.scrollTo.mock.calls.length === 1) renderGrid(['POST1', 'POST2']);
+    });
+    const onPost = jest.fn();
+
+    const postCount = await new global.InstagramPlatform().extractProfile({ limit: 10, since: null }, onPost);
+
+    expect(postCount).toBe(2);
+    expect(window.scrollTo).toHaveBeenCalledTimes(1 + global.PROFILE.MAX_IDLE_SCROLLS);
+  });
+
+  test('opens posts from the grid when the media info API fails', async () => {
+    renderGrid(['POST1', 'POST2']);
+    openPostsInDialog(renderDialogPost);
+    mockApi([]);
+    const onPost = jest.fn();
+
+    const postCount = await new global.InstagramPlatform().extractProfile({ limit: 10, since: null }, onPost);
+
+    expect(postCount).toBe(2);
+    expect(onPost.mock.calls.map(([items]) => items)).toEqual([
+      [expect.objectContaining({ index: 1, mediaType: 'image', fullSizeUrl: 'https://scontent.cdninstagram.com/v/POST1.jpg' })],
+      [expect.objectContaining({ index: 2, mediaType: 'image', fullSizeUrl: 'https://scontent.cdninstagram.com/v/POST2.jpg' })]
+    ]);
+    expect(onPost.mock.calls[0][0][0]).toMatchObject({
+      author: 'someone',
+      postId: 'POST1',
+      caption: 'Caption of POST1',
+      postUrl: 'https://www.instagram.com/p/POST1/',
+      postedAt: '2024-05-01T10:00:00.000Z'
+    });
+    expect(window.history.back).toHaveBeenCalledTimes(2);
+    expect(window.location.pathname).toBe('/someone/');
+    expect(document.querySelector('div[role="dialog"]')).toBeNull();
+  });
+
+  test('reads the post on the page for in-page buttons when the media info API fails', async () => {
+    mockWindowLocation('/');
+    document.body.innerHTML = `<article><a href="/p/POST1/">1h</a>${renderDialogPost('POST1')}</article>`;
+    const img = document.querySelector('article img');
+    Object.defineProperty(img, 'naturalWidth', { get: () => 1080, configurable: true });
+    Object.defineProperty(img, 'naturalHeight', { get: () => 1080, configurable: true });
+    mockApi([]);
+
+    const items = await new global.InstagramPlatform().extractPostContainer(document.querySelector('article'));
+
+    expect(items).toEqual([expect.objectContaining({
+      index: 1,
+      mediaType: 'image',
+      fullSizeUrl: 'https://scontent.cdninstagram.com/v/POST1.jpg',
+      author: 'someone',
+      postId: 'POST1'
+    })]);
+  });
+
+  test('leaves linked posts to the rendered post when the media info API fails', async () => {
+    mockApi([]);
+
+    await expect(new global.InstagramPlatform().extractPostUrl('https://www.instagram.com/p/POST1/')).resolves.toEqual([]);
+  });
+
+  test('skips posts that neither the API nor the post dialog return, and stops when asked', async () => {
+    renderGrid(['GONE', 'POST1', 'POST2']);
+    document.querySelector('main a').addEventListener('click', event => event.preventDefault());
+    mockApi([apiPost('POST1', 1700000000, [image('a')]), apiPost('POST2', 1690000000, [image('b')])]);
+    const onPost = jest.fn(() => {
+      global.stopProfileExtractionRequested = true;
+    });
+
+    const postCount = await new global.InstagramPlatform().extractProfile({ limit: 10, since: null }, onPost);
+
+    expect(postCount).toBe(1);
+    expect(onPost.mock.calls[0][0][0].postId).toBe('POST1');
+    expect(window.scrollTo).not.toHaveBeenCalled();
+  });
+
+  test('downloads a grid post from the context menu without opening it', async () => {
+    renderGrid(['POST1']);
+    mockApi([apiPost('POST1', 1700000000, [image('a'), image('b')])]);
+    chrome.runtime.sendMessage.mockReset();
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true, summary: { total: 2, succeeded: 2, failed: 0, skipped: 0 } });
+
+    await global.downloadFromContextMenu({ action: 'downloadContextPost', linkUrl: 'https://www.instagram.com/someone/p/POST1/' });
+
+    const [{ action, images }] = chrome.runtime.sendMessage.mock.calls[0];
+    expect(action).toBe('downloadImages');
+    expect(images.map(item => [item.postId, item.fullSizeUrl])).toEqual([
+      ['POST1', 'https://cdn/a-1080.jpg'],
+      ['POST1', 'https://cdn/b-1080.jpg']
+    ]);
+  });
+});
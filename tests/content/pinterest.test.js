@@ -0,0 +1,100 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://www.pinterest.com/"}
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadContentScript, mockWindowLocation } = require('./helpers.js');
+
+beforeAll(() => {
+  loadContentScript();
+});
+
+// The Pinterest samples are hand-written until real pin pages are captured (see their .md
+// notes); these tests need re-running against the captured pages once they replace them.
+function loadSample(name) {
+  document.body.innerHTML = fs.readFileSync(path.join(__dirname, '../../platform-samples/pinterest', name), 'utf8');
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  jest.clearAllMocks();
+  performance.getEntriesByType = jest.fn().mockReturnValue([]);
+  mockWindowLocation('/pin/123456789012345678/');
+});
+
+describe('PinterestPlatform', () => {
+  test('is picked on pin pages, regional subdomains included', () => {
+    const patterns = global.SINGLE_POST_PATTERNS.pinterest;
+    const matches = url => patterns.some(pattern => pattern.test(url));
+
+    expect(global.PlatformFactory.createPlatform()).toBeInstanceOf(global.PinterestPlatform);
+    expect(matches('https://jp.pinterest.com/pin/123/')).toBe(true);
+    expect(matches('https://www.pinterest.com/sunnyinteriors/')).toBe(false);
+  });
+
+  test('reads every carousel slide once, at its original size', async () => {
+    loadSample('carousel-pin.html');
+
+    const result = await new global.PinterestPlatform().extractImages();
+
+    expect(result.map(item => [item.index, item.mediaType, item.fullSizeUrl])).toEqual([
+      [1, 'image', 'https://i.pinimg.com/originals/1a/2b/3c/1a2b3c4d5e6f708192a3b4c5d6e7f809.jpg'],
+      [2, 'image', 'https://i.pinimg.com/originals/9e/8d/7c/9e8d7c6b5a4f3e2d1c0b9a8f7e6d5c4b.jpg'],
+      [3, 'image', 'https://i.pinimg.com/originals/55/66/77/556677889900aabbccddeeff00112233.jpg']
+    ]);
+    expect(result[0]).toMatchObject({
+      alt: 'Living room with a green sofa',
+      thumbnailUrl: 'https://i.pinimg.com/736x/1a/2b/3c/1a2b3c4d5e6f708192a3b4c5d6e7f809.jpg',
+      author: 'sunnyinteriors',
+      postId: '123456789012345678',
+      caption: 'Cosy living room ideas',
+      postUrl: 'https://www.pinterest.com/pin/123456789012345678/'
+    });
+  });
+
+  test('picks the densest srcset candidate only on Pinterest', () => {
+    const img = document.createElement('img');
+    img.src = 'https://cdn.example.com/photo-small.jpg';
+    img.srcset = 'https://cdn.example.com/photo-small.jpg 1x, https://cdn.example.com/photo-large.jpg 2x';
+
+    expect(new global.PinterestPlatform().createImageData(img, 0).fullSizeUrl).toBe('https://cdn.example.com/photo-large.jpg');
+    expect(new global.BasePlatform().createImageData(img, 0).fullSizeUrl).toBe('https://cdn.example.com/photo-small.jpg');
+  });
+
+  test('finds the master HLS playlist of a video pin streamed from a blob: URL', async () => {
+    loadSample('video-pin.html');
+    performance.getEntriesByType = jest.fn().mockReturnValue([
+      { name: 'https://v1.pinimg.com/videos/iht/hls/4d/5e/6f/4d5e6f708192a3b4c5d6e7f8091a2b3c_720w.m3u8' },
+      { name: 'https://v1.pinimg.com/videos/iht/hls/4d/5e/6f/4d5e6f708192a3b4c5d6e7f8091a2b3c.m3u8' },
+      { name: 'https://i.pinimg.com/736x/4d/5e/6f/4d5e6f708192a3b4c5d6e7f8091a2b3c.jpg' }
+    ]);
+
+    const result = await new global.PinterestPlatform().extractImages();
+
+    expect(result).toEqual([expect.objectContaining({
+      index: 1,
+      mediaType: 'video',
+      isHLS: true,
+      fullSizeUrl: 'https://v1.pinimg.com/videos/iht/hls/4d/5e/6f/4d5e6f708192a3b4c5d6e7f8091a2b3c.m3u8',
+      thumbnailUrl: 'https://i.pinimg.com/videos/thumbnails/originals/4d/5e/6f/4d5e6f708192a3b4c5d6e7f8091a2b3c.0000000.jpg',
+      author: 'quickrecipes',
+      caption: 'Ten minute pasta'
+    })]);
+  });
+
+  test('uses an MP4 the player was given directly', async () => {
+    loadSample('video-pin.html');
+    document.querySelector('video').src = 'https://v1.pinimg.com/videos/mc/720p/4d/5e/6f/4d5e6f708192a3b4c5d6e7f8091a2b3c.mp4';
+
+    const [video] = await new global.PinterestPlatform().extractImages();
+
+    expect(video).toMatchObject({ fullSizeUrl: 'https://v1.pinimg.com/videos/mc/720p/4d/5e/6f/4d5e6f708192a3b4c5d6e7f8091a2b3c.mp4', isHLS: false });
+  });
+
+  test('returns nothing for a video pin whose stream was not loaded', async () => {
+    loadSample('video-pin.html');
+
+    expect(await new global.PinterestPlatform().extractImages()).toEqual([]);
+  });
+});
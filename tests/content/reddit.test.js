@@ -0,0 +1,167 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://www.reddit.com/"}
+ */
+const { loadContentScript, mockWindowLocation } = require('./helpers.js');
+
+beforeAll(() => {
+  loadContentScript();
+});
+
+const POST_PATH = '/r/pics/comments/1abcde/a_title/';
+
+// Post as it appears in the /comments/<id>/.json listing; URLs are HTML-escaped there
+function listingPost(fields) {
+  return {
+    id: '1abcde',
+    author: 'someone',
+    title: 'A   title',
+    permalink: POST_PATH,
+    created_utc: 1714557600,
+    ...fields
+  };
+}
+
+const MANIFEST = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">
+  <Period>
+    <AdaptationSet contentType="video" segmentAlignment="true">
+      <Representation id="1" bandwidth="1200000" width="1280" height="720" mimeType="video/mp4"><BaseURL>DASH_720.mp4</BaseURL></Representation>
+      <Representation id="2" bandwidth="400000" width="640" height="360" mimeType="video/mp4"><BaseURL>DASH_360.mp4</BaseURL></Representation>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" segmentAlignment="true">
+      <Representation id="3" bandwidth="64000" mimeType="audio/mp4"><BaseURL>DASH_AUDIO_64.mp4</BaseURL></Representation>
+      <Representation id="4" bandwidth="128000" mimeType="audio/mp4"><BaseURL>DASH_AUDIO_128.mp4</BaseURL></Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+function mockFetch(post, { manifest = MANIFEST } = {}) {
+  global.fetch = jest.fn(async (url) => {
+    if (url.startsWith('https://v.redd.it/')) {
+      return manifest ? { ok: true, text: async () => manifest } : { ok: false, status: 403 };
+    }
+    return { ok: true, json: async () => [{ data: { children: [{ data: post }] } }, { data: { children: [] } }] };
+  });
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  jest.clearAllMocks();
+  mockWindowLocation(POST_PATH);
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('RedditPlatform', () => {
+  test('is picked on comment pages only', () => {
+    expect(global.PlatformFactory.createPlatform()).toBeInstanceOf(global.RedditPlatform);
+
+    mockWindowLocation('/r/pics/');
+    expect(global.PlatformFactory.createPlatform()).toBeNull();
+  });
+
+  test('reads gallery images in gallery order at their original resolution', async () => {
+    mockFetch(listingPost({
+      is_gallery: true,
+      gallery_data: { items: [{ media_id: 'second', id: 2 }, { media_id: 'first', id: 1, caption: 'The first' }, { media_id: 'failed', id: 3 }] },
+      media_metadata: {
+        first: {
+          status: 'valid', e: 'Image', m: 'image/png',
+          p: [{ y: 108, x: 108, u: 'https://preview.redd.it/first.png?width=108&amp;crop=smart&amp;auto=webp&amp;s=abc' }],
+          s: { y: 2000, x: 3000, u: 'https://preview.redd.it/first.png?width=3000&amp;format=png&amp;auto=webp&amp;s=def' }
+        },
+        second: {
+          status: 'valid', e: 'Image', m: 'image/jpeg',
+          s: { y: 800, x: 1200, u: 'https://preview.redd.it/second.jpg?width=1200&amp;format=pjpg&amp;s=ghi' }
+        },
+        failed: { status: 'failed' }
+      }
+    }));
+
+    const result = await new global.RedditPlatform().extractImages();
+
+    expect(global.fetch).toHaveBeenCalledWith('https://www.reddit.com/comments/1abcde/.json', { credentials: 'include' });
+    expect(result).toEqual([
+      expect.objectContaining({
+        index: 1,
+        mediaType: 'image',
+        fullSizeUrl: 'https://i.redd.it/second.jpg',
+        thumbnailUrl: 'https://preview.redd.it/second.jpg?width=1200&format=pjpg&s=ghi',
+        maxWidth: 1200
+      }),
+      expect.objectContaining({
+        index: 2,
+        alt: 'The first',
+        fullSizeUrl: 'https://i.redd.it/first.png',
+        thumbnailUrl: 'https://preview.redd.it/first.png?width=108&crop=smart&auto=webp&s=abc'
+      })
+    ]);
+    expect(result[0]).toMatchObject({
+      author: 'someone',
+      postId: '1abcde',
+      caption: 'A title',
+      postUrl: `https://www.reddit.com${POST_PATH}`,
+      postedAt: '2024-05-01T10:00:00.000Z'
+    });
+  });
+
+  test('pairs the best v.redd.it video representation with its separate audio', async () => {
+    mockFetch(listingPost({
+      is_video: true,
+      media: {
+        reddit_video: {
+          dash_url: 'https://v.redd.it/vid123/DASHPlaylist.mpd?a=1&amp;v=1&amp;f=sd',
+          fallback_url: 'https://v.redd.it/vid123/DASH_720.mp4?source=fallback'
+        }
+      },
+      preview: { images: [{ source: { url: 'https://external-preview.redd.it/poster.jpg?format=pjpg&amp;s=1', width: 1280 } }] }
+    }));
+
+    const [video] = await new global.RedditPlatform().extractImages();
+
+    expect(global.fetch).toHaveBeenCalledWith('https://v.redd.it/vid123/DASHPlaylist.mpd?a=1&v=1&f=sd');
+    expect(video).toMatchObject({
+      index: 1,
+      mediaType: 'video',
+      fullSizeUrl: 'https://v.redd.it/vid123/DASH_720.mp4',
+      audioUrl: 'https://v.redd.it/vid123/DASH_AUDIO_128.mp4',
+      thumbnailUrl: 'https://external-preview.redd.it/poster.jpg?format=pjpg&s=1',
+      variants: [
+        { url: 'https://v.redd.it/vid123/DASH_720.mp4', bitrate: 1200000, width: 1280, height: 720 },
+        { url: 'https://v.redd.it/vid123/DASH_360.mp4', bitrate: 400000, width: 640, height: 360 }
+      ]
+    });
+  });
+
+  test('falls back to the silent MP4 when the manifest cannot be read', async () => {
+    mockFetch(listingPost({
+      is_video: true,
+      media: { reddit_video: { dash_url: 'https://v.redd.it/vid123/DASHPlaylist.mpd', fallback_url: 'https://v.redd.it/vid123/DASH_480.mp4?source=fallback' } }
+    }), { manifest: null });
+
+    const [video] = await new global.RedditPlatform().extractImages();
+
+    expect(video).toMatchObject({ fullSizeUrl: 'https://v.redd.it/vid123/DASH_480.mp4?source=fallback', audioUrl: null });
+  });
+
+  test('takes the media of a crosspost from the original post', async () => {
+    mockFetch(listingPost({
+      crosspost_parent_list: [{ post_hint: 'image', url_overridden_by_dest: 'https://i.redd.it/original.jpg' }]
+    }));
+
+    const result = await new global.RedditPlatform().extractImages();
+
+    expect(result).toEqual([expect.objectContaining({ fullSizeUrl: 'https://i.redd.it/original.jpg', postId: '1abcde', author: 'someone' })]);
+  });
+
+  test('upgrades a right-clicked preview image to the original', async () => {
+    document.body.innerHTML = '<img src="https://preview.redd.it/abc.jpg?width=640&amp;crop=smart&amp;s=1" alt="">';
+
+    const item = await new global.RedditPlatform().extractMediaElement(document.querySelector('img'));
+
+    expect(item.fullSizeUrl).toBe('https://i.redd.it/abc.jpg');
+  });
+});
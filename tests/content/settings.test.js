@@ -0,0 +1,58 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://www.instagram.com/"}
+ */
+const { loadContentScript } = require('./helpers.js');
+
+beforeAll(() => {
+  loadContentScript();
+});
+
+afterEach(() => {
+  global.applySettings(global.DEFAULT_SETTINGS);
+});
+
+describe('DEFAULT_SETTINGS', () => {
+  test('match the built-in carousel and image filter constants', () => {
+    const { carousel, imageFilters, debug } = global.DEFAULT_SETTINGS;
+
+    expect(debug).toBe(global.GENERAL_CONFIG.DEBUG);
+    expect(global.DEFAULT_SETTINGS.inPageButtons).toBe(global.IN_PAGE_BUTTONS.ENABLED);
+    expect(global.DEFAULT_SETTINGS.threadsIncludeReplies).toBe(global.THREADS_CONFIG.INCLUDE_REPLIES);
+    expect(global.DEFAULT_SETTINGS.instagramStoryAllItems).toBe(global.INSTAGRAM_CONFIG.STORY_ALL_ITEMS);
+    expect(carousel.instagram).toEqual({
+      initialWait: global.CAROUSEL.INSTAGRAM.INITIAL_WAIT,
+      waitTime: global.CAROUSEL.INSTAGRAM.WAIT_TIME,
+      maxAttempts: global.CAROUSEL.INSTAGRAM.MAX_ATTEMPTS,
+    });
+    expect(carousel.facebook.maxAttempts).toBe(global.CAROUSEL.FACEBOOK.MAX_ATTEMPTS);
+    expect(carousel.x.maxAttempts).toBe(global.CAROUSEL.X.MAX_ATTEMPTS);
+    expect(imageFilters).toEqual({
+      minWidth: global.IMAGE_FILTERS.MIN_WIDTH,
+      minHeight: global.IMAGE_FILTERS.MIN_HEIGHT,
+      carouselMinWidth: global.IMAGE_FILTERS.CAROUSEL_MIN_WIDTH,
+      carouselMinHeight: global.IMAGE_FILTERS.CAROUSEL_MIN_HEIGHT,
+    });
+  });
+});
+
+describe('applySettings()', () => {
+  test('overrides debug, carousel and image filter constants', () => {
+    global.applySettings({
+      ...global.DEFAULT_SETTINGS,
+      debug: false,
+      carousel: { ...global.DEFAULT_SETTINGS.carousel, x: { initialWait: 0, waitTime: 2500, maxAttempts: 3 } },
+      imageFilters: { minWidth: 300, minHeight: 200, carouselMinWidth: 80, carouselMinHeight: 90 },
+    });
+
+    expect(global.GENERAL_CONFIG.DEBUG).toBe(false);
+    expect(global.CAROUSEL.X).toEqual({ INITIAL_WAIT: 0, WAIT_TIME: 2500, MAX_ATTEMPTS: 3 });
+    expect(global.CAROUSEL.INSTAGRAM.WAIT_TIME).toBe(1000);
+    expect(global.IMAGE_FILTERS.MIN_WIDTH).toBe(300);
+    expect(global.IMAGE_FILTERS.CAROUSEL_MIN_HEIGHT).toBe(90);
+  });
+
+  test('is registered as a storage change listener', () => {
+    expect(chrome.storage.onChanged.addListener).toHaveBeenCalled();
+  });
+});
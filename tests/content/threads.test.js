@@ -126,3 +126,138 @@ describe('ThreadsPlatform._findTargetContainer()', () => {
     expect(container.id).toBe('first');
   });
 });
+
+describe('ThreadsPlatform.getPostMetadata()', () => {
+  test('reads author and post ID from the @username/post URL and caption from the container', () => {
+    document.body.innerHTML = `
+      <div data-pressable-container="true">
+        <a href="/@someone"><span dir="auto">someone</span></a>
+        <a href="/@someone/post/ABC123"><time datetime="2024-05-01T10:00:00.000Z">1h</time></a>
+        <span dir="auto">Morning   walk</span>
+      </div>
+    `;
+    mockWindowLocation('/@someone/post/ABC123');
+
+    const platform = new global.ThreadsPlatform();
+
+    expect(platform.getPostMetadata()).toEqual({
+      author: 'someone',
+      postId: 'ABC123',
+      caption: 'Morning walk',
+      postUrl: 'https://www.threads.com/@someone/post/ABC123',
+      postedAt: '2024-05-01T10:00:00.000Z'
+    });
+  });
+
+  test('falls back to the container profile link for /t/ URLs', () => {
+    document.body.innerHTML = `
+      <div data-pressable-container="true">
+        <a href="/@other/post/XYZ"><span>post</span></a>
+      </div>
+    `;
+    mockWindowLocation('/t/XYZ');
+
+    const platform = new global.ThreadsPlatform();
+    const metadata = platform.getPostMetadata();
+
+    expect(metadata.author).toBe('other');
+    expect(metadata.postId).toBe('XYZ');
+  });
+});
+
+// Post container as rendered in a feed: avatar, permalink with timestamp, caption, then media
+function postContainer(author, postId, postedAt, photos, { pinned = false } = {}) {
+  return `
+    <div data-pressable-container="true">
+      ${pinned ? '<svg aria-label="Pinned"></svg>' : ''}
+      <img src="https://example.com/${author}.jpg" alt="profile">
+      <a href="/@${author}/post/${postId}"><time datetime="${postedAt}">1d</time></a>
+      <span dir="auto">Post ${postId}</span>
+      ${photos.map(name => `<picture><img src="https://scontent.cdninstagram.com/v/${name}.jpg" alt="${name}"></picture>`).join('')}
+    </div>
+  `;
+}
+
+describe('ThreadsPlatform replies', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      ${postContainer('someone', 'ABC123', '2024-05-01T10:00:00.000Z', ['post'])}
+      ${postContainer('replier', 'R1', '2024-05-01T11:00:00.000Z', ['reply1', 'reply2'])}
+      ${postContainer('other', 'R2', '2024-05-01T12:00:00.000Z', [])}
+    `;
+    mockWindowLocation('/@someone/post/ABC123');
+  });
+
+  afterEach(() => {
+    global.THREADS_CONFIG.INCLUDE_REPLIES = false;
+  });
+
+  test('are left out by default', async () => {
+    const result = await new global.ThreadsPlatform().extractImages();
+
+    expect(result.map(item => item.alt)).toEqual(['post']);
+  });
+
+  test('are added after the post, attributed to the reply', async () => {
+    global.THREADS_CONFIG.INCLUDE_REPLIES = true;
+
+    const result = await new global.ThreadsPlatform().extractImages();
+
+    expect(result.map(item => [item.index, item.alt])).toEqual([[1, 'post'], [2, 'reply1'], [3, 'reply2']]);
+    // The post's own items get the page metadata; reply items carry their own, which wins
+    expect(result[0].author).toBeUndefined();
+    expect(result.slice(1).map(item => [item.author, item.postId])).toEqual([['replier', 'R1'], ['replier', 'R1']]);
+    expect(result[1]).toMatchObject({
+      caption: 'Post R1',
+      postUrl: 'https://www.threads.com/@replier/post/R1',
+      postedAt: '2024-05-01T11:00:00.000Z'
+    });
+  });
+});
+
+describe('Threads profile mode', () => {
+  beforeEach(() => {
+    mockWindowLocation('/@someone');
+    window.scrollTo = jest.fn();
+    global.stopProfileExtractionRequested = false;
+  });
+
+  test('is available on profile pages only', () => {
+    expect(global.PlatformFactory.createProfilePlatform()).toBeInstanceOf(global.ThreadsPlatform);
+    expect(global.PlatformFactory.createProfilePlatform().getProfileInfo()).toEqual({ platform: 'threads', username: 'someone' });
+
+    mockWindowLocation('/@someone/post/ABC123');
+    expect(global.PlatformFactory.createProfilePlatform()).toBeNull();
+  });
+
+  test('walks the loaded posts once each, skipping reposts and keeping to the date range', async () => {
+    document.body.innerHTML = `
+      ${postContainer('someone', 'PIN', '2023-01-01T10:00:00.000Z', ['pinned'], { pinned: true })}
+      ${postContainer('someone', 'NEW', '2024-06-01T10:00:00.000Z', ['after'])}
+      ${postContainer('reposted', 'REP', '2024-04-15T10:00:00.000Z', ['repost'])}
+      ${postContainer('someone', 'P2', '2024-04-01T10:00:00.000Z', ['a', 'b'])}
+    `;
+    // Scrolling renders the next posts below the ones already read
+    window.scrollTo = jest.fn(() => {
+      document.body.insertAdjacentHTML('beforeend', `
+        ${postContainer('someone', 'P1', '2024-03-01T10:00:00.000Z', ['c'])}
+        ${postContainer('someone', 'OLD', '2023-12-01T10:00:00.000Z', ['before'])}
+      `);
+    });
+    const onPost = jest.fn();
+
+    const postCount = await new global.ThreadsPlatform().extractProfile({ limit: 10, since: '2024-01-01', until: '2024-04-30' }, onPost);
+
+    expect(postCount).toBe(2);
+    const [second, first] = onPost.mock.calls.map(([items]) => items);
+    expect(second.map(item => [item.index, item.alt, item.postId])).toEqual([[1, 'a', 'P2'], [2, 'b', 'P2']]);
+    expect(second[0]).toMatchObject({
+      author: 'someone',
+      caption: 'Post P2',
+      postUrl: 'https://www.threads.com/@someone/post/P2',
+      postedAt: '2024-04-01T10:00:00.000Z'
+    });
+    expect(first.map(item => [item.index, item.postId])).toEqual([[3, 'P1']]);
+    expect(window.scrollTo).toHaveBeenCalledTimes(1);
+  });
+});
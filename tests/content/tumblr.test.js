@@ -0,0 +1,124 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://www.tumblr.com/"}
+ */
+const { loadContentScript, mockWindowLocation } = require('./helpers.js');
+
+beforeAll(() => {
+  loadContentScript();
+});
+
+const MEDIA = 'https://64.media.tumblr.com';
+
+// NPF image block listing the picture at several widths, as the post state embedded in the page does
+function imageBlock(hash, altText) {
+  return {
+    type: 'image',
+    altText,
+    media: [
+      { url: `${MEDIA}/${hash}/s640x960/${hash}.jpg`, width: 640, height: 480 },
+      { url: `${MEDIA}/${hash}/s2048x3072/${hash}.jpg`, width: 2048, height: 1536 },
+      { url: `${MEDIA}/${hash}/s100x200/${hash}.jpg`, width: 100, height: 75 }
+    ]
+  };
+}
+
+// Post as embedded in its page's state: a reblog of a reblog
+const REBLOG = {
+  objectType: 'post',
+  idString: '745000000000000003',
+  blog: { name: 'thirdblog' },
+  timestamp: 1714557600,
+  trail: [
+    {
+      blog: { name: 'originalartist' },
+      post: { id: '745000000000000001' },
+      content: [
+        { type: 'text', text: 'New   painting' },
+        imageBlock('aaa', 'Oil on canvas'),
+        imageBlock('bbb')
+      ]
+    },
+    {
+      blog: { name: 'secondblog' },
+      post: { id: '745000000000000002' },
+      content: [
+        {
+          type: 'video',
+          provider: 'tumblr',
+          url: 'https://va.media.tumblr.com/tumblr_ccc.mp4',
+          media: { url: 'https://va.media.tumblr.com/tumblr_ccc.mp4', type: 'video/mp4', width: 1080, height: 1920 },
+          poster: [
+            { url: `${MEDIA}/tumblr_ccc_frame1.jpg`, width: 1080 },
+            { url: `${MEDIA}/tumblr_ccc_smart1.jpg`, width: 540 }
+          ]
+        },
+        { type: 'video', provider: 'youtube', url: 'https://www.youtube.com/watch?v=abc' }
+      ]
+    }
+  ],
+  content: [{ type: 'text', text: 'so good' }, imageBlock('ddd')]
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  chrome.runtime.sendMessage.mockReset();
+  chrome.runtime.sendMessage.mockResolvedValue({ success: true, post: REBLOG });
+  mockWindowLocation('/thirdblog/745000000000000003/a-slug');
+});
+
+describe('TumblrPlatform', () => {
+  test('is picked on post permalinks of www.tumblr.com and blog subdomains', () => {
+    const patterns = global.SINGLE_POST_PATTERNS.tumblr;
+    const matches = url => patterns.some(pattern => pattern.test(url));
+
+    expect(global.PlatformFactory.createPlatform()).toBeInstanceOf(global.TumblrPlatform);
+    expect(matches('https://someblog.tumblr.com/post/745000000000000003/a-slug')).toBe(true);
+    expect(matches('https://www.tumblr.com/dashboard')).toBe(false);
+    expect(matches('https://someblog.tumblr.com/tagged/art')).toBe(false);
+  });
+
+  test('asks the background for the post of the current URL', async () => {
+    await new global.TumblrPlatform().extractImages();
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      action: 'fetchTumblrPost',
+      blog: 'thirdblog',
+      postId: '745000000000000003'
+    });
+  });
+
+  test('credits each item of a reblog chain to the blog that posted it', async () => {
+    const result = await new global.TumblrPlatform().extractImages();
+
+    expect(result.map(item => [item.index, item.mediaType, item.author, item.postId, item.fullSizeUrl])).toEqual([
+      [1, 'image', 'originalartist', '745000000000000001', `${MEDIA}/aaa/s2048x3072/aaa.jpg`],
+      [2, 'image', 'originalartist', '745000000000000001', `${MEDIA}/bbb/s2048x3072/bbb.jpg`],
+      [3, 'video', 'secondblog', '745000000000000002', 'https://va.media.tumblr.com/tumblr_ccc.mp4'],
+      [4, 'image', 'thirdblog', '745000000000000003', `${MEDIA}/ddd/s2048x3072/ddd.jpg`]
+    ]);
+    expect(result[0]).toMatchObject({
+      alt: 'Oil on canvas',
+      thumbnailUrl: `${MEDIA}/aaa/s100x200/aaa.jpg`,
+      maxWidth: 2048,
+      caption: 'New painting',
+      postUrl: 'https://www.tumblr.com/originalartist/745000000000000001',
+      postedAt: ''
+    });
+    expect(result[2]).toMatchObject({ thumbnailUrl: `${MEDIA}/tumblr_ccc_smart1.jpg`, maxWidth: 1080, isHLS: false });
+    expect(result[3]).toMatchObject({ caption: 'so good', postedAt: '2024-05-01T10:00:00.000Z' });
+  });
+
+  test('reads a post linked from a blog subdomain', async () => {
+    const items = await new global.TumblrPlatform().extractPostUrl('https://thirdblog.tumblr.com/post/745000000000000003/a-slug');
+
+    expect(items).toHaveLength(4);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ blog: 'thirdblog', postId: '745000000000000003' }));
+  });
+
+  test('surfaces a failed post request as an extraction error', async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({ success: false, error: 'Tumblr post request failed: HTTP 404' });
+
+    await expect(new global.TumblrPlatform().extractImages()).rejects.toThrow('HTTP 404');
+  });
+});
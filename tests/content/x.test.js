@@ -223,6 +223,27 @@ describe('XPlatform._extractVideoFromTweetPage()', () => {
     expect(result[0].isHLS).toBe(true);
   });
 
+  test('carries the intercepted MP4 variants for the quality picker', () => {
+    const variants = [
+      { url: 'https://video.twimg.com/ext_tw_video/vid456/pu/vid/avc1/1280x720/hd.mp4', bitrate: 2176000, width: 1280, height: 720 },
+      { url: 'https://video.twimg.com/ext_tw_video/vid456/pu/vid/avc1/640x360/sd.mp4', bitrate: 832000, width: 640, height: 360 },
+    ];
+    global.X_VIDEO_CACHE.set('vid456', { fullSizeUrl: variants[0].url, thumbnailUrl: '', isHLS: false, variants });
+
+    const article = document.createElement('article');
+    article.setAttribute('data-testid', 'tweet');
+    const video = document.createElement('video');
+    video.setAttribute('poster', 'https://pbs.twimg.com/ext_tw_video_thumb/vid456/pu/img/thumb.jpg');
+    article.appendChild(video);
+    document.body.appendChild(article);
+
+    const platform = new global.XPlatform();
+    const [item] = platform._extractVideoFromTweetPage();
+
+    expect(item.fullSizeUrl).toBe(variants[0].url);
+    expect(item.variants).toEqual(variants);
+  });
+
   test('falls back to tweet URL when video is not in cache or performance entries', () => {
     mockWindowLocation('/user/status/123/photo/1');
 
@@ -242,3 +263,107 @@ describe('XPlatform._extractVideoFromTweetPage()', () => {
     expect(result[0].isHLS).toBe(true);
   });
 });
+
+describe('XPlatform.getPostMetadata()', () => {
+  test('reads author and status ID from the URL and caption from the focal tweet', () => {
+    mockWindowLocation('/someone/status/123/photo/1');
+    document.body.innerHTML = `
+      <article data-testid="tweet"><a href="/other/status/999"></a><div data-testid="tweetText">reply</div></article>
+      <article data-testid="tweet">
+        <a href="/someone/status/123"><time datetime="2024-07-04T12:00:00.000Z">Jul 4</time></a>
+        <div data-testid="tweetText">Main tweet</div>
+      </article>
+    `;
+
+    const platform = new global.XPlatform();
+
+    expect(platform.getPostMetadata()).toEqual({
+      author: 'someone',
+      postId: '123',
+      caption: 'Main tweet',
+      postUrl: 'https://x.com/someone/status/123',
+      postedAt: '2024-07-04T12:00:00.000Z'
+    });
+  });
+});
+
+describe('X media tab profile mode', () => {
+  // Tweet as x-fetch-interceptor.js reports it from a UserMedia response
+  function mediaTweet(tweetId, postedAt, media, author = 'user') {
+    return { tweetId, author, caption: `Tweet\n${tweetId}`, postedAt, media };
+  }
+  const photo = name => ({ type: 'photo', url: `https://pbs.twimg.com/media/${name}.png`, width: 2048, alt: '' });
+  const gif = {
+    type: 'animated_gif',
+    thumbnailUrl: 'https://pbs.twimg.com/tweet_video_thumb/G.jpg',
+    fullSizeUrl: 'https://video.twimg.com/tweet_video/G.mp4',
+    isHLS: false,
+    variants: [{ url: 'https://video.twimg.com/tweet_video/G.mp4', bitrate: 0, width: 0, height: 0 }]
+  };
+
+  beforeEach(() => {
+    mockWindowLocation('/user/media');
+    window.scrollTo = jest.fn();
+    global.X_MEDIA_TWEETS.clear();
+    global.stopProfileExtractionRequested = false;
+  });
+
+  test('is available on the media tab only', () => {
+    expect(global.PlatformFactory.createProfilePlatform()).toBeInstanceOf(global.XPlatform);
+    expect(global.PlatformFactory.createProfilePlatform().getProfileInfo()).toEqual({ platform: 'x', username: 'user' });
+
+    mockWindowLocation('/user');
+    expect(global.PlatformFactory.createProfilePlatform()).toBeNull();
+  });
+
+  test('reports the intercepted tweets newest first with full-size photos', async () => {
+    global.X_MEDIA_TWEETS.set('999', mediaTweet('999', '2024-01-01T10:00:00.000Z', [photo('old')]));
+    global.X_MEDIA_TWEETS.set('1000', mediaTweet('1000', '2024-02-01T10:00:00.000Z', [photo('a'), gif]));
+    global.X_MEDIA_TWEETS.set('1001', mediaTweet('1001', '2024-03-01T10:00:00.000Z', [photo('z')], 'someone_else'));
+    const onPost = jest.fn();
+
+    const postCount = await new global.XPlatform().extractProfile({ limit: 10, since: null, until: null }, onPost);
+
+    expect(postCount).toBe(2);
+    const [newest, oldest] = onPost.mock.calls.map(([items]) => items);
+    expect(newest).toEqual([
+      expect.objectContaining({
+        index: 1,
+        mediaType: 'image',
+        thumbnailUrl: 'https://pbs.twimg.com/media/a?format=png&name=small',
+        fullSizeUrl: 'https://pbs.twimg.com/media/a?format=png&name=4096x4096',
+        maxWidth: 2048
+      }),
+      expect.objectContaining({ index: 2, mediaType: 'video', alt: 'GIF', fullSizeUrl: gif.fullSizeUrl, isHLS: false, variants: gif.variants })
+    ]);
+    expect(newest[0]).toMatchObject({
+      author: 'user',
+      postId: '1000',
+      caption: 'Tweet 1000',
+      postUrl: 'https://x.com/user/status/1000',
+      postedAt: '2024-02-01T10:00:00.000Z'
+    });
+    expect(oldest).toEqual([expect.objectContaining({ index: 3, postId: '999' })]);
+  });
+
+  test('reads tweets that arrive while scrolling and keeps to the date range', async () => {
+    global.X_MEDIA_TWEETS.set('3000', mediaTweet('3000', '2024-05-01T10:00:00.000Z', [photo('after')]));
+    global.X_MEDIA_TWEETS.set('2000', mediaTweet('2000', '2024-04-01T10:00:00.000Z', [photo('inside')]));
+    // Scrolling loads the next timeline page
+    window.scrollTo = jest.fn(() => {
+      document.dispatchEvent(new CustomEvent('__socialSnapXMediaTweets', {
+        detail: [
+          mediaTweet('1500', '2024-03-01T10:00:00.000Z', [photo('inside2')]),
+          mediaTweet('1000', '2023-12-01T10:00:00.000Z', [photo('before')])
+        ]
+      }));
+    });
+    const onPost = jest.fn();
+
+    const postCount = await new global.XPlatform().extractProfile({ limit: 10, since: '2024-01-01', until: '2024-04-30' }, onPost);
+
+    expect(postCount).toBe(2);
+    expect(onPost.mock.calls.map(([items]) => items[0].postId)).toEqual(['2000', '1500']);
+    expect(window.scrollTo).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,93 @@
+// Builders for small MPEG-TS streams, so demuxer and remuxer tests do not need binary fixtures
+
+const VIDEO_PID = 0x100;
+const AUDIO_PID = 0x101;
+const PMT_PID = 0x1000;
+
+// 640x360 High profile SPS and its PPS (from an x264 encode); the SPS contains an emulation prevention byte
+const SAMPLE_SPS = Uint8Array.from(Buffer.from('6764001eacd940a02ff970110000030001000003003c0f162d96', 'hex'));
+const SAMPLE_PPS = Uint8Array.from(Buffer.from('68ebe3cb22c0', 'hex'));
+
+function concat(parts) {
+  return Uint8Array.from(Buffer.concat(parts.map(part => Buffer.from(part))));
+}
+
+// Splits a payload into 188-byte packets, padding the last one with adaptation field stuffing
+function packetize(pid, payload) {
+  const packets = [];
+  for (let offset = 0, first = true; offset < payload.length || first; first = false) {
+    const chunk = payload.subarray(offset, offset + 184);
+    offset += chunk.length;
+    const header = [0x47, (first ? 0x40 : 0) | (pid >> 8), pid & 0xff];
+    if (chunk.length === 184) {
+      packets.push(concat([[...header, 0x10], chunk]));
+    } else {
+      const stuffing = 183 - chunk.length;
+      const adaptation = stuffing === 0 ? [0] : [stuffing, 0x00, ...new Array(stuffing - 1).fill(0xff)];
+      packets.push(concat([[...header, 0x30], adaptation, chunk]));
+    }
+  }
+  return packets;
+}
+
+function psiSection(tableId, body) {
+  const length = body.length + 4; // + CRC, which the demuxer does not check
+  return Uint8Array.from([0, tableId, 0xb0 | (length >> 8), length & 0xff, ...body, 0, 0, 0, 0]);
+}
+
+function encodeTimestamp(prefix, value) {
+  return [
+    (prefix << 4) | ((Math.floor(value / 2 ** 30) & 0x07) << 1) | 1,
+    Math.floor(value / 2 ** 22) & 0xff,
+    ((Math.floor(value / 2 ** 15) & 0x7f) << 1) | 1,
+    Math.floor(value / 2 ** 7) & 0xff,
+    ((value & 0x7f) << 1) | 1
+  ];
+}
+
+function pesPacket(streamId, pts, dts, payload) {
+  const header = dts !== undefined && dts !== pts
+    ? [0x80, 0xc0, 10, ...encodeTimestamp(3, pts), ...encodeTimestamp(1, dts)]
+    : [0x80, 0x80, 5, ...encodeTimestamp(2, pts)];
+  return concat([[0, 0, 1, streamId, 0, 0], header, payload]);
+}
+
+// ADTS frame around an AAC payload (AAC LC, 44.1 kHz, stereo by default)
+function adtsFrame(payload, { rateIndex = 4, channels = 2 } = {}) {
+  const length = payload.length + 7;
+  return concat([[
+    0xff, 0xf1,
+    (1 << 6) | (rateIndex << 2) | (channels >> 2),
+    ((channels & 3) << 6) | (length >> 11),
+    (length >> 3) & 0xff,
+    ((length & 7) << 5) | 0x1f,
+    0xfc
+  ], payload]);
+}
+
+/**
+ * @param {object} streams
+ * @param {Array<{ pts: number, dts?: number, nals: Uint8Array[] }>} [streams.video] Access units
+ * @param {Array<{ pts: number, data: Uint8Array }>} [streams.audio] PES payloads (ADTS frames)
+ * @returns {Uint8Array} One segment: PAT, PMT, then the PES packets
+ */
+function buildTransportStream({ video = [], audio = [] }) {
+  const pat = psiSection(0x00, [0, 1, 0xc1, 0, 0, 0, 1, 0xe0 | (PMT_PID >> 8), PMT_PID & 0xff]);
+  const pmt = psiSection(0x02, [
+    0, 1, 0xc1, 0, 0, 0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0,
+    0x1b, 0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0,
+    0x0f, 0xe0 | (AUDIO_PID >> 8), AUDIO_PID & 0xff, 0xf0, 0
+  ]);
+
+  const packets = [...packetize(0, pat), ...packetize(PMT_PID, pmt)];
+  video.forEach(frame => {
+    const annexB = concat(frame.nals.map(nal => concat([[0, 0, 0, 1], nal])));
+    packets.push(...packetize(VIDEO_PID, pesPacket(0xe0, frame.pts, frame.dts, annexB)));
+  });
+  audio.forEach(pes => {
+    packets.push(...packetize(AUDIO_PID, pesPacket(0xc0, pes.pts, undefined, pes.data)));
+  });
+  return concat(packets);
+}
+
+module.exports = { SAMPLE_SPS, SAMPLE_PPS, adtsFrame, buildTransportStream };
@@ -0,0 +1,210 @@
+global.demuxTransportStream = require('../../src/offscreen/mpeg-ts.js').demuxTransportStream;
+global.isTransportStream = require('../../src/offscreen/mpeg-ts.js').isTransportStream;
+const {
+  readBoxes, mp4Box, mp4FullBox, createAvcSampleDescription, createAacSampleDescription,
+  parseInitSegment, parseFragments, remuxToMp4
+} = require('../../src/offscreen/mp4-muxer.js');
+const { SAMPLE_SPS, SAMPLE_PPS, adtsFrame, buildTransportStream } = require('./helpers.js');
+
+function u32(...values) {
+  const bytes = new Uint8Array(values.length * 4);
+  values.forEach((value, i) => new DataView(bytes.buffer).setUint32(i * 4, value >>> 0));
+  return bytes;
+}
+
+function initSegment({ trackId, handler, timescale, sampleDescription, width = 0, height = 0, mediaTime }) {
+  const tkhd = mp4FullBox('tkhd', 0, 3, u32(0, 0, trackId, 0, 0, 0, 0, 0, 0), new Uint8Array(36), u32(width * 0x10000, height * 0x10000));
+  const edts = mediaTime === undefined ? [] : [mp4Box('edts', mp4FullBox('elst', 0, 0, u32(1, 0, mediaTime, 0x10000)))];
+  const trak = mp4Box('trak', tkhd, ...edts, mp4Box('mdia',
+    mp4FullBox('mdhd', 0, 0, u32(0, 0, timescale, 0), Uint8Array.from([0x15, 0xc7, 0, 0])),
+    mp4FullBox('hdlr', 0, 0, u32(0), new TextEncoder().encode(handler), new Uint8Array(13)),
+    mp4Box('minf', mp4Box('stbl', sampleDescription))
+  ));
+  const mvex = mp4Box('mvex', mp4FullBox('trex', 0, 0, u32(trackId, 1, 0, 0, 0)));
+  return Uint8Array.from(Buffer.concat([mp4Box('ftyp', new TextEncoder().encode('iso6')), mp4Box('moov', trak, mvex)]));
+}
+
+// One moof/mdat pair; samples are { data, duration, ctsOffset?, isSync? }
+function fragment(trackId, decodeTime, samples) {
+  const trunFlags = 0x001 | 0x100 | 0x200 | 0x400 | 0x800;
+  const build = dataOffset => mp4Box('moof',
+    mp4FullBox('mfhd', 0, 0, u32(1)),
+    mp4Box('traf',
+      mp4FullBox('tfhd', 0, 0x020000, u32(trackId)),
+      mp4FullBox('tfdt', 0, 0, u32(decodeTime)),
+      mp4FullBox('trun', 1, trunFlags, u32(samples.length, dataOffset),
+        ...samples.map(sample => u32(sample.duration, sample.data.length, sample.isSync === false ? 0x00010000 : 0, sample.ctsOffset || 0)))
+    )
+  );
+  const moof = build(0);
+  const mdat = mp4Box('mdat', ...samples.map(sample => sample.data));
+  return Uint8Array.from(Buffer.concat([build(moof.length + 8), mdat]));
+}
+
+// Reads an output track's sample table back into sample data and timing
+function readTrack(bytes, trak) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const child = (box, path) => path.reduce((parent, type) => readBoxes(bytes, parent.dataStart, parent.end).find(b => b.type === type), box);
+  const stbl = child(trak, ['mdia', 'minf', 'stbl']);
+  const entries = (box, width) => {
+    if (!box) return [];
+    const count = view.getUint32(box.dataStart + 4);
+    return Array.from({ length: count }, (_, i) => Array.from({ length: width }, (__, j) => view.getUint32(box.dataStart + 8 + (i * width + j) * 4)));
+  };
+
+  const stsz = child(stbl, ['stsz']);
+  const sizes = Array.from({ length: view.getUint32(stsz.dataStart + 8) }, (_, i) => view.getUint32(stsz.dataStart + 12 + i * 4));
+  const offsets = entries(child(stbl, ['stco']), 1).map(([offset]) => offset);
+  const stsc = entries(child(stbl, ['stsc']), 3);
+
+  const data = [];
+  let sample = 0;
+  offsets.forEach((offset, chunk) => {
+    const perChunk = stsc.filter(([first]) => first <= chunk + 1).pop()[1];
+    for (let i = 0; i < perChunk; i++, sample++) {
+      data.push(Array.from(bytes.subarray(offset, offset + sizes[sample])));
+      offset += sizes[sample];
+    }
+  });
+
+  const hdlr = child(trak, ['mdia', 'hdlr']);
+  const edts = child(trak, ['edts']);
+  return {
+    handler: String.fromCharCode(...bytes.subarray(hdlr.dataStart + 8, hdlr.dataStart + 12)),
+    sampleEntry: String.fromCharCode(...bytes.subarray(child(stbl, ['stsd']).dataStart + 12, child(stbl, ['stsd']).dataStart + 16)),
+    data,
+    durations: entries(child(stbl, ['stts']), 2),
+    ctts: entries(child(stbl, ['ctts']), 2),
+    syncSamples: child(stbl, ['stss']) ? entries(child(stbl, ['stss']), 1).flat() : null,
+    chunkOffsets: offsets,
+    edits: edts ? entries(child(edts, ['elst']), 3) : null
+  };
+}
+
+async function readMp4(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const top = readBoxes(bytes);
+  const moov = top.find(box => box.type === 'moov');
+  const traks = readBoxes(bytes, moov.dataStart, moov.end).filter(box => box.type === 'trak');
+  return { types: top.map(box => box.type), tracks: traks.map(trak => readTrack(bytes, trak)) };
+}
+
+const videoDescription = createAvcSampleDescription(SAMPLE_SPS, SAMPLE_PPS, 640, 360);
+const audioDescription = createAacSampleDescription(Uint8Array.from([0x12, 0x10]), 44100, 2);
+const bytes = (...values) => Uint8Array.from(values);
+
+describe('parseInitSegment / parseFragments', () => {
+  test('read track details and samples from fragmented MP4', () => {
+    const init = initSegment({ trackId: 7, handler: 'vide', timescale: 90000, sampleDescription: videoDescription, width: 640, height: 360, mediaTime: 3000 });
+    const track = parseInitSegment(init);
+
+    expect(track).toMatchObject({ trackId: 7, handler: 'vide', timescale: 90000, width: 640, height: 360, mediaTime: 3000 });
+    expect(Array.from(track.sampleDescription)).toEqual(Array.from(videoDescription));
+
+    const chunks = parseFragments(fragment(7, 9000, [
+      { data: bytes(1, 2), duration: 3000, ctsOffset: 3000 },
+      { data: bytes(3), duration: 3000, isSync: false }
+    ]), track);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].decodeTime).toBe(9000);
+    expect(chunks[0].samples.map(({ data, duration, ctsOffset, isSync }) => ({ data: Array.from(data), duration, ctsOffset, isSync }))).toEqual([
+      { data: [1, 2], duration: 3000, ctsOffset: 3000, isSync: true },
+      { data: [3], duration: 3000, ctsOffset: 0, isSync: false }
+    ]);
+  });
+
+  test('rejects an init segment without a track', () => {
+    expect(() => parseInitSegment(mp4Box('moov'))).toThrow('MP4 init segment has no track');
+  });
+});
+
+describe('remuxToMp4', () => {
+  test('merges separate video and audio renditions into one progressive MP4', async () => {
+    const video = {
+      init: initSegment({ trackId: 1, handler: 'vide', timescale: 90000, sampleDescription: videoDescription, width: 640, height: 360 }),
+      segments: [
+        fragment(1, 0, [{ data: bytes(1, 1), duration: 45000, ctsOffset: 3000 }, { data: bytes(2), duration: 45000, isSync: false }]),
+        fragment(1, 90000, [{ data: bytes(3, 3, 3), duration: 90000, ctsOffset: 3000 }])
+      ]
+    };
+    const audio = {
+      init: initSegment({ trackId: 1, handler: 'soun', timescale: 44100, sampleDescription: audioDescription }),
+      segments: [
+        fragment(1, 0, [{ data: bytes(9), duration: 44100 }]),
+        fragment(1, 44100, [{ data: bytes(8), duration: 44100 }])
+      ]
+    };
+
+    const blob = remuxToMp4([video, audio]);
+    const mp4 = await readMp4(blob);
+
+    expect(blob.type).toBe('video/mp4');
+    expect(mp4.types).toEqual(['ftyp', 'moov', 'mdat']);
+    const [videoTrack, audioTrack] = mp4.tracks;
+    expect(videoTrack).toMatchObject({
+      handler: 'vide',
+      sampleEntry: 'avc1',
+      data: [[1, 1], [2], [3, 3, 3]],
+      durations: [[2, 45000], [1, 90000]],
+      ctts: [[1, 3000], [1, 0], [1, 3000]],
+      syncSamples: [1, 3]
+    });
+    expect(audioTrack).toMatchObject({ handler: 'soun', sampleEntry: 'mp4a', data: [[9], [8]], ctts: [], syncSamples: null });
+
+    // Chunks alternate between the tracks in time order
+    const order = [...videoTrack.chunkOffsets.map(offset => ['v', offset]), ...audioTrack.chunkOffsets.map(offset => ['a', offset])]
+      .sort((a, b) => a[1] - b[1]).map(([track]) => track);
+    expect(order).toEqual(['v', 'a', 'v', 'a']);
+  });
+
+  test('delays a track that starts later with an empty edit', async () => {
+    const video = {
+      init: initSegment({ trackId: 1, handler: 'vide', timescale: 1000, sampleDescription: videoDescription }),
+      segments: [fragment(1, 0, [{ data: bytes(1), duration: 1000 }])]
+    };
+    const audio = {
+      init: initSegment({ trackId: 1, handler: 'soun', timescale: 1000, sampleDescription: audioDescription }),
+      segments: [fragment(1, 500, [{ data: bytes(2), duration: 1000 }])]
+    };
+
+    const { tracks } = await readMp4(remuxToMp4([video, audio]));
+
+    expect(tracks[0].edits).toBeNull();
+    expect(tracks[1].edits).toEqual([[500, 0xffffffff, 0x10000], [1000, 0, 0x10000]]);
+  });
+
+  test('reads a whole fragmented file when there is no separate init segment', async () => {
+    const init = initSegment({ trackId: 2, handler: 'soun', timescale: 44100, sampleDescription: audioDescription });
+    const file = Uint8Array.from(Buffer.concat([init, fragment(2, 0, [{ data: bytes(5, 6), duration: 1024 }])]));
+
+    const { tracks } = await readMp4(remuxToMp4([{ segments: [file] }]));
+
+    expect(tracks[0].data).toEqual([[5, 6]]);
+  });
+
+  test('remuxes MPEG-TS segments into H.264 and AAC tracks', async () => {
+    const idr = bytes(0x65, 0x88);
+    const segments = [
+      buildTransportStream({
+        video: [{ pts: 6000, dts: 3000, nals: [SAMPLE_SPS, SAMPLE_PPS, idr] }, { pts: 9000, dts: 6000, nals: [bytes(0x41, 1)] }],
+        audio: [{ pts: 3000, data: adtsFrame(bytes(7, 7)) }]
+      }),
+      buildTransportStream({ video: [{ pts: 12000, dts: 9000, nals: [bytes(0x41, 2)] }] })
+    ];
+
+    const { tracks } = await readMp4(remuxToMp4([{ segments }]));
+
+    expect(tracks.map(track => track.sampleEntry)).toEqual(['avc1', 'mp4a']);
+    expect(tracks[0].data).toEqual([[0, 0, 0, 2, 0x65, 0x88], [0, 0, 0, 2, 0x41, 1], [0, 0, 0, 2, 0x41, 2]]);
+    expect(tracks[0].syncSamples).toEqual([1]);
+    // Video is presented from its first composition time (PTS 6000), 33 ms after the audio starts
+    expect(tracks[0].edits).toEqual([[33, 0xffffffff, 0x10000], [100, 3000, 0x10000]]);
+    expect(tracks[1].edits).toBeNull();
+    expect(tracks[1].data).toEqual([[7, 7]]);
+  });
+
+  test('throws when the stream has no samples', () => {
+    expect(() => remuxToMp4([{ segments: [buildTransportStream({})] }])).toThrow('Stream contains no audio or video samples');
+  });
+});
@@ -0,0 +1,107 @@
+const { isTransportStream, parseH264Sps, splitNalUnits, demuxTransportStream } = require('../../src/offscreen/mpeg-ts.js');
+const { SAMPLE_SPS, SAMPLE_PPS, adtsFrame, buildTransportStream } = require('./helpers.js');
+
+const AUD = Uint8Array.from([0x09, 0xf0]);
+const IDR = Uint8Array.from([0x65, 0x88, 0x84, 0x00]);
+const SLICE = Uint8Array.from([0x41, 0x9a, 0x02]);
+
+describe('parseH264Sps', () => {
+  test('reads the cropped picture size', () => {
+    expect(parseH264Sps(SAMPLE_SPS)).toEqual({ width: 640, height: 360 });
+  });
+});
+
+describe('splitNalUnits', () => {
+  test('splits on 3- and 4-byte start codes', () => {
+    const units = splitNalUnits(Uint8Array.from([0, 0, 0, 1, 0x09, 0xf0, 0, 0, 1, 0x65, 0x88, 0, 0, 0, 1, 0x41]));
+
+    expect(units.map(unit => Array.from(unit))).toEqual([[0x09, 0xf0], [0x65, 0x88], [0x41]]);
+  });
+});
+
+describe('isTransportStream', () => {
+  test('recognises TS packets by their sync bytes', () => {
+    expect(isTransportStream(buildTransportStream({}))).toBe(true);
+    expect(isTransportStream(Uint8Array.from([0, 0, 0, 24, 0x66, 0x74, 0x79, 0x70]))).toBe(false);
+  });
+});
+
+describe('demuxTransportStream', () => {
+  test('extracts H.264 access units with length prefixes and timing', () => {
+    const segment = buildTransportStream({
+      video: [
+        { pts: 6000, dts: 0, nals: [AUD, SAMPLE_SPS, SAMPLE_PPS, IDR] },
+        { pts: 12000, dts: 3000, nals: [AUD, SLICE] },
+        { pts: 9000, dts: 6000, nals: [AUD, SLICE] }
+      ]
+    });
+
+    const { video, audio } = demuxTransportStream([segment]);
+
+    expect(audio).toBeNull();
+    expect(video).toMatchObject({ width: 640, height: 360, timescale: 90000 });
+    expect(Array.from(video.sps)).toEqual(Array.from(SAMPLE_SPS));
+    expect(Array.from(video.pps)).toEqual(Array.from(SAMPLE_PPS));
+
+    const [chunk] = video.chunks;
+    expect(chunk.decodeTime).toBe(0);
+    expect(chunk.samples.map(({ duration, ctsOffset, isSync }) => ({ duration, ctsOffset, isSync }))).toEqual([
+      { duration: 3000, ctsOffset: 6000, isSync: true },
+      { duration: 3000, ctsOffset: 9000, isSync: false },
+      { duration: 3000, ctsOffset: 3000, isSync: false }
+    ]);
+    // Parameter sets and access unit delimiters are dropped; the rest is length-prefixed
+    expect(Array.from(chunk.samples[0].data)).toEqual([0, 0, 0, 4, ...IDR]);
+  });
+
+  test('keeps one chunk per segment and 33-bit timestamps', () => {
+    const base = 2 ** 32 + 90000;
+    const first = buildTransportStream({ video: [{ pts: base, dts: base, nals: [SAMPLE_SPS, SAMPLE_PPS, IDR] }] });
+    const second = buildTransportStream({ video: [{ pts: base + 3000, dts: base + 3000, nals: [SLICE] }] });
+
+    const { video } = demuxTransportStream([first, second]);
+
+    expect(video.chunks.map(chunk => chunk.decodeTime)).toEqual([base, base + 3000]);
+    expect(video.chunks[1].samples[0].duration).toBe(3000);
+  });
+
+  test('extracts AAC frames without their ADTS headers', () => {
+    const segment = buildTransportStream({
+      audio: [
+        { pts: 90000, data: Buffer.concat([adtsFrame(Uint8Array.from([1, 2, 3])), adtsFrame(Uint8Array.from([4, 5]))]) },
+        { pts: 90000 + 2 * 1024 * 90000 / 44100, data: adtsFrame(Uint8Array.from([6])) }
+      ]
+    });
+
+    const { video, audio } = demuxTransportStream([segment]);
+
+    expect(video).toBeNull();
+    expect(audio).toMatchObject({ sampleRate: 44100, channels: 2, timescale: 44100 });
+    expect(Array.from(audio.config)).toEqual([0x12, 0x10]);
+    expect(audio.chunks).toHaveLength(1);
+    expect(audio.chunks[0].decodeTime).toBe(44100);
+    expect(audio.chunks[0].samples.map(sample => Array.from(sample.data))).toEqual([[1, 2, 3], [4, 5], [6]]);
+    expect(audio.chunks[0].samples.every(sample => sample.duration === 1024 && sample.isSync)).toBe(true);
+  });
+
+  test('reassembles ADTS frames split across PES packets', () => {
+    const frame = adtsFrame(Uint8Array.from([1, 2, 3, 4]));
+    const segment = buildTransportStream({
+      audio: [
+        { pts: 0, data: frame.subarray(0, 5) },
+        { pts: 1000, data: Buffer.concat([frame.subarray(5), adtsFrame(Uint8Array.from([5]))]) }
+      ]
+    });
+
+    const { audio } = demuxTransportStream([segment]);
+
+    expect(audio.chunks[0].samples.map(sample => Array.from(sample.data))).toEqual([[1, 2, 3, 4], [5]]);
+  });
+
+  test('throws when the stream loses sync', () => {
+    const segment = buildTransportStream({ video: [{ pts: 0, nals: [SAMPLE_SPS, SAMPLE_PPS, IDR] }] });
+    segment[188] = 0;
+
+    expect(() => demuxTransportStream([segment])).toThrow('Lost MPEG-TS sync');
+  });
+});
@@ -3,7 +3,10 @@ const {
   PLATFORM_HOSTNAMES,
   CONTENT_MESSAGES,
   POPUP_MESSAGES,
+  TAB_MESSAGES,
   BACKGROUND_MESSAGES,
+  DOWNLOAD_EVENTS,
+  OFFSCREEN_MESSAGES,
 } = require('../../src/shared/constants.js');
 
 describe('PLATFORMS', () => {
@@ -12,6 +15,7 @@ describe('PLATFORMS', () => {
     expect(PLATFORMS).toHaveProperty('INSTAGRAM');
     expect(PLATFORMS).toHaveProperty('FACEBOOK');
     expect(PLATFORMS).toHaveProperty('X');
+    expect(PLATFORMS).toHaveProperty('BLUESKY');
   });
 
   test('values are lowercase strings', () => {
@@ -31,7 +35,7 @@ describe('PLATFORM_HOSTNAMES', () => {
 
   test('hostnames end with known TLDs', () => {
     Object.values(PLATFORM_HOSTNAMES).forEach(hostname => {
-      expect(hostname).toMatch(/\.com$/);
+      expect(hostname).toMatch(/\.(com|app)$/);
     });
   });
 });
@@ -39,7 +43,7 @@ describe('PLATFORM_HOSTNAMES', () => {
 describe('Message constants', () => {
   test('CONTENT_MESSAGES has expected keys', () => {
     expect(Object.keys(CONTENT_MESSAGES)).toEqual(
-      expect.arrayContaining(['IMAGES_EXTRACTED', 'IMAGES_APPEND', 'EXTRACTION_COMPLETE', 'EXTRACTION_ERROR'])
+      expect.arrayContaining(['IMAGES_EXTRACTED', 'IMAGES_APPEND', 'EXTRACTION_STARTED', 'EXTRACTION_COMPLETE', 'EXTRACTION_ERROR'])
     );
   });
 
@@ -49,9 +53,27 @@ describe('Message constants', () => {
     );
   });
 
+  test('TAB_MESSAGES has expected keys', () => {
+    expect(Object.keys(TAB_MESSAGES)).toEqual(
+      expect.arrayContaining(['STOP_EXTRACTION', 'GET_PROFILE_INFO', 'START_PROFILE_EXTRACTION', 'GET_FEED_POSTS', 'START_FEED_EXTRACTION', 'DOWNLOAD_CONTEXT_MEDIA', 'DOWNLOAD_CONTEXT_POST'])
+    );
+  });
+
   test('BACKGROUND_MESSAGES has expected keys', () => {
     expect(Object.keys(BACKGROUND_MESSAGES)).toEqual(
-      expect.arrayContaining(['DOWNLOAD_IMAGES', 'DOWNLOAD_SINGLE_IMAGE', 'FETCH_FB_VIDEO_URL'])
+      expect.arrayContaining(['DOWNLOAD_IMAGES', 'DOWNLOAD_SINGLE_IMAGE', 'CHECK_DOWNLOADED', 'GET_DOWNLOAD_HISTORY', 'REDOWNLOAD_HISTORY_ITEM', 'FETCH_FB_VIDEO_URL'])
+    );
+  });
+
+  test('DOWNLOAD_EVENTS has expected keys', () => {
+    expect(Object.keys(DOWNLOAD_EVENTS)).toEqual(
+      expect.arrayContaining(['ITEM_STATUS'])
+    );
+  });
+
+  test('OFFSCREEN_MESSAGES has expected keys', () => {
+    expect(Object.keys(OFFSCREEN_MESSAGES)).toEqual(
+      expect.arrayContaining(['CREATE_BLOB_URL', 'REVOKE_BLOB_URL', 'REMUX_MP4'])
     );
   });
 
@@ -59,7 +81,10 @@ describe('Message constants', () => {
     const allValues = [
       ...Object.values(CONTENT_MESSAGES),
       ...Object.values(POPUP_MESSAGES),
+      ...Object.values(TAB_MESSAGES),
       ...Object.values(BACKGROUND_MESSAGES),
+      ...Object.values(DOWNLOAD_EVENTS),
+      ...Object.values(OFFSCREEN_MESSAGES),
     ];
     const uniqueValues = new Set(allValues);
     expect(uniqueValues.size).toBe(allValues.length);
@@ -0,0 +1,76 @@
+const {
+  DEFAULT_SETTINGS,
+  mergeSettings,
+  loadSettings,
+  resetSettings,
+  onSettingsChanged,
+} = require('../../src/shared/settings.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('mergeSettings', () => {
+  test('overrides top-level values', () => {
+    const result = mergeSettings(DEFAULT_SETTINGS, { downloadDelay: 0 });
+
+    expect(result.downloadDelay).toBe(0);
+    expect(result.filenameTemplate).toBe(DEFAULT_SETTINGS.filenameTemplate);
+  });
+
+  test('keeps default keys missing from stored nested groups', () => {
+    const result = mergeSettings(DEFAULT_SETTINGS, { carousel: { x: { waitTime: 2000 } } });
+
+    expect(result.carousel.x).toEqual({ initialWait: 500, waitTime: 2000, maxAttempts: 10 });
+    expect(result.carousel.instagram).toEqual(DEFAULT_SETTINGS.carousel.instagram);
+  });
+
+  test('does not mutate the defaults', () => {
+    mergeSettings(DEFAULT_SETTINGS, { carousel: { x: { waitTime: 1 } } });
+
+    expect(DEFAULT_SETTINGS.carousel.x.waitTime).toBe(1000);
+  });
+});
+
+describe('loadSettings', () => {
+  test('returns defaults when nothing is stored', async () => {
+    chrome.storage.sync.get.mockResolvedValueOnce({});
+
+    expect(await loadSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('merges stored values over defaults', async () => {
+    chrome.storage.sync.get.mockResolvedValueOnce({ debug: false, imageFilters: { minWidth: 300 } });
+
+    const settings = await loadSettings();
+
+    expect(settings.debug).toBe(false);
+    expect(settings.imageFilters.minWidth).toBe(300);
+    expect(settings.imageFilters.minHeight).toBe(150);
+  });
+});
+
+describe('resetSettings', () => {
+  test('writes every default back to sync storage', async () => {
+    await resetSettings();
+
+    expect(chrome.storage.sync.set).toHaveBeenCalledWith(DEFAULT_SETTINGS);
+  });
+});
+
+describe('onSettingsChanged', () => {
+  test('reloads settings for sync changes only', async () => {
+    const callback = jest.fn();
+    onSettingsChanged(callback);
+    const listener = chrome.storage.onChanged.addListener.mock.calls[0][0];
+
+    listener({ debug: { newValue: false } }, 'session');
+    expect(chrome.storage.sync.get).not.toHaveBeenCalled();
+
+    chrome.storage.sync.get.mockResolvedValueOnce({ debug: false });
+    listener({ debug: { newValue: false } }, 'sync');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ debug: false }));
+  });
+});
@@ -4,7 +4,18 @@ const constants = require('../../src/shared/constants.js');
 global.PLATFORMS = constants.PLATFORMS;
 global.PLATFORM_HOSTNAMES = constants.PLATFORM_HOSTNAMES;
 
-const { getFileExtension, getPlatformFromUrl } = require('../../src/shared/utils.js');
+const {
+  getFileExtension,
+  isHlsPlaylistUrl,
+  needsExternalDownloader,
+  selectVideoVariant,
+  applyVideoQuality,
+  getPlatformFromUrl,
+  sanitizeFilename,
+  renderFilenameTemplate,
+  renderFolderTemplate,
+  getMediaKey,
+} = require('../../src/shared/utils.js');
 
 describe('getFileExtension', () => {
   test('extracts .jpg from URL path', () => {
@@ -65,6 +76,76 @@ describe('getFileExtension', () => {
   test('handles X/Twitter image URLs with name param', () => {
     expect(getFileExtension('https://pbs.twimg.com/media/abc123.jpg?format=jpg&name=large')).toBe('jpg');
   });
+
+  test('returns mp4 for HLS playlists, which are saved remuxed', () => {
+    expect(getFileExtension('https://video.twimg.com/amplify_video/123/pl/abc.m3u8?tag=16')).toBe('mp4');
+  });
+});
+
+describe('isHlsPlaylistUrl', () => {
+  test('matches .m3u8 paths with or without a query', () => {
+    expect(isHlsPlaylistUrl('https://video.twimg.com/amplify_video/123/pl/abc.m3u8?tag=16&v=1')).toBe(true);
+    expect(isHlsPlaylistUrl('https://video.twimg.com/ext_tw_video/123/pu/pl/abc.m3u8')).toBe(true);
+  });
+
+  test('rejects other URLs', () => {
+    expect(isHlsPlaylistUrl('https://video.twimg.com/amplify_video/123/vid/avc1/1280x720/abc.mp4')).toBe(false);
+    expect(isHlsPlaylistUrl('https://x.com/someone/status/123')).toBe(false);
+    expect(isHlsPlaylistUrl('not a url')).toBe(false);
+  });
+});
+
+describe('needsExternalDownloader', () => {
+  test('flags HLS videos that only carry the tweet URL', () => {
+    expect(needsExternalDownloader({ mediaType: 'video', isHLS: true, fullSizeUrl: 'https://x.com/someone/status/123' })).toBe(true);
+    expect(needsExternalDownloader({ mediaType: 'video', isHLS: true, fullSizeUrl: 'https://video.twimg.com/amplify_video/123/pl/abc.m3u8' })).toBe(false);
+    expect(needsExternalDownloader({ mediaType: 'image', fullSizeUrl: 'https://pbs.twimg.com/media/a?format=jpg&name=4096x4096' })).toBe(false);
+  });
+});
+
+describe('selectVideoVariant', () => {
+  const variants = [
+    { url: 'sd', bitrate: 832000, width: 640, height: 360 },
+    { url: 'fhd', bitrate: 10368000, width: 1920, height: 1080 },
+    { url: 'hd', bitrate: 2176000, width: 1280, height: 720 },
+  ];
+
+  test('picks the highest bitrate by default', () => {
+    expect(selectVideoVariant(variants, 'highest').url).toBe('fhd');
+  });
+
+  test('picks the smallest bitrate', () => {
+    expect(selectVideoVariant(variants, 'smallest').url).toBe('sd');
+  });
+
+  test('caps at 720p by the shorter side, so portrait 720x1280 qualifies', () => {
+    expect(selectVideoVariant(variants, '720p').url).toBe('hd');
+    expect(selectVideoVariant([{ url: 'portrait', bitrate: 2, width: 720, height: 1280 }, { url: 'low', bitrate: 1, width: 360, height: 640 }], '720p').url).toBe('portrait');
+  });
+
+  test('falls back to the smallest variant when none is known to fit 720p', () => {
+    expect(selectVideoVariant([{ url: 'a', bitrate: 2 }, { url: 'b', bitrate: 1 }], '720p').url).toBe('b');
+  });
+
+  test('returns null without variants', () => {
+    expect(selectVideoVariant([], 'highest')).toBeNull();
+    expect(selectVideoVariant(undefined, 'highest')).toBeNull();
+  });
+});
+
+describe('applyVideoQuality', () => {
+  test('points videos with several variants at the picked one and leaves other items alone', () => {
+    const video = {
+      mediaType: 'video',
+      fullSizeUrl: 'hd',
+      variants: [{ url: 'hd', bitrate: 2, width: 1280, height: 720 }, { url: 'sd', bitrate: 1, width: 640, height: 360 }]
+    };
+    const single = { mediaType: 'video', fullSizeUrl: 'only', variants: [{ url: 'only', bitrate: 1 }] };
+    const image = { mediaType: 'image', fullSizeUrl: 'photo' };
+
+    expect(applyVideoQuality([video, single, image], 'smallest').map(item => item.fullSizeUrl)).toEqual(['sd', 'only', 'photo']);
+    expect(video.fullSizeUrl).toBe('hd');
+  });
 });
 
 describe('getPlatformFromUrl', () => {
@@ -84,6 +165,29 @@ describe('getPlatformFromUrl', () => {
     expect(getPlatformFromUrl('https://x.com/user/status/123/photo/1')).toBe('x');
   });
 
+  test('detects Bluesky', () => {
+    expect(getPlatformFromUrl('https://bsky.app/profile/someone.bsky.social/post/3kabc')).toBe('bluesky');
+  });
+
+  test('detects Reddit', () => {
+    expect(getPlatformFromUrl('https://www.reddit.com/r/pics/comments/1abcde/a_title/')).toBe('reddit');
+  });
+
+  test('detects Pinterest', () => {
+    expect(getPlatformFromUrl('https://www.pinterest.com/pin/123456789/')).toBe('pinterest');
+  });
+
+  test('detects Tumblr', () => {
+    expect(getPlatformFromUrl('https://www.tumblr.com/someblog/745123456789')).toBe('tumblr');
+    expect(getPlatformFromUrl('https://someblog.tumblr.com/post/745123456789/a-slug')).toBe('tumblr');
+  });
+
+  test('matches the host name, not a domain in the path', () => {
+    expect(getPlatformFromUrl('https://bsky.app/profile/netflix.com/post/3kabc')).toBe('bluesky');
+    expect(getPlatformFromUrl('https://www.reddit.com/domain/x.com/')).toBe('reddit');
+    expect(getPlatformFromUrl('https://notx.com/user/status/123')).toBeNull();
+  });
+
   test('returns null for unknown URL', () => {
     expect(getPlatformFromUrl('https://www.youtube.com/watch?v=abc')).toBeNull();
   });
@@ -97,3 +201,116 @@ describe('getPlatformFromUrl', () => {
     expect(getPlatformFromUrl('https://video.xx.fbcdn.net/v/clip.mp4')).toBeNull();
   });
 });
+
+describe('sanitizeFilename', () => {
+  test('replaces characters that are illegal in file names', () => {
+    expect(sanitizeFilename('a<b>c:d"e/f\\g|h?i*j.jpg')).toBe('a_b_c_d_e_f_g_h_i_j.jpg');
+  });
+
+  test('collapses whitespace and newlines', () => {
+    expect(sanitizeFilename('hello \n\t world.jpg')).toBe('hello world.jpg');
+  });
+
+  test('strips leading dots and trailing dots/spaces', () => {
+    expect(sanitizeFilename('..hidden.jpg. ')).toBe('hidden.jpg');
+  });
+
+  test('prefixes Windows reserved names', () => {
+    expect(sanitizeFilename('CON.jpg')).toBe('_CON.jpg');
+  });
+
+  test('truncates long names but keeps the extension', () => {
+    const result = sanitizeFilename(`${'a'.repeat(300)}.jpg`);
+    expect(result.length).toBe(200);
+    expect(result.endsWith('.jpg')).toBe(true);
+  });
+
+  test('falls back to "download" for empty results', () => {
+    expect(sanitizeFilename('...')).toBe('download');
+  });
+});
+
+describe('renderFilenameTemplate', () => {
+  const values = {
+    platform: 'x',
+    author: 'someone',
+    postId: '12345',
+    caption: 'A caption/with: symbols',
+    index: 2,
+    mediaType: 'image',
+    ext: 'jpg',
+  };
+
+  test('replaces tokens with values', () => {
+    expect(renderFilenameTemplate('{platform}_{author}_{postId}_{index}.{ext}', values))
+      .toBe('x_someone_12345_2.jpg');
+  });
+
+  test('truncates tokens with a length suffix', () => {
+    expect(renderFilenameTemplate('{caption:6}.{ext}', values)).toBe('A capt.jpg');
+  });
+
+  test('sanitises path separators inside token values', () => {
+    expect(renderFilenameTemplate('{caption}.{ext}', values)).toBe('A caption_with_ symbols.jpg');
+  });
+
+  test('leaves unknown tokens untouched', () => {
+    expect(renderFilenameTemplate('{platform}_{nope}.{ext}', values)).toBe('x_{nope}.jpg');
+  });
+
+  test('renders missing values as empty strings', () => {
+    expect(renderFilenameTemplate('{platform}{caption}.{ext}', { platform: 'x', caption: null, ext: 'jpg' })).toBe('x.jpg');
+  });
+});
+
+describe('renderFolderTemplate', () => {
+  const values = { platform: 'x', author: 'some/one', postId: '12345' };
+
+  test('renders each path segment and joins them with /', () => {
+    expect(renderFolderTemplate('SocialSnap/{platform}/{author}/{postId}', values))
+      .toBe('SocialSnap/x/some_one/12345');
+  });
+
+  test('drops empty segments and normalises backslashes', () => {
+    expect(renderFolderTemplate('/SocialSnap//{platform}\\{postId}/', values)).toBe('SocialSnap/x/12345');
+  });
+
+  test('sanitises each segment', () => {
+    expect(renderFolderTemplate('Archive: {platform}/..', values)).toBe('Archive_ x/download');
+  });
+});
+
+describe('getMediaKey', () => {
+  const efg = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64');
+
+  test('uses the twimg media key regardless of requested size', () => {
+    expect(getMediaKey('https://pbs.twimg.com/media/GabcDEF123?format=jpg&name=4096x4096')).toBe('twimg:GabcDEF123');
+    expect(getMediaKey('https://pbs.twimg.com/media/GabcDEF123?format=jpg&name=small')).toBe('twimg:GabcDEF123');
+  });
+
+  test('uses the video ID for X videos and GIFs', () => {
+    expect(getMediaKey('https://video.twimg.com/ext_tw_video/1234567890/pu/vid/avc1/1280x720/a.mp4')).toBe('twimg:1234567890');
+    expect(getMediaKey('https://video.twimg.com/amplify_video/987/pl/master.m3u8')).toBe('twimg:987');
+    expect(getMediaKey('https://video.twimg.com/tweet_video/HDnBg4saQAAGQMX.mp4')).toBe('twimg:HDnBg4saQAAGQMX');
+  });
+
+  test('prefers the efg asset ID for Meta CDN videos', () => {
+    const url = `https://scontent.cdninstagram.com/o1/v/t16/f2/m86/AQabc.mp4?efg=${efg({ xpv_asset_id: 555, vencode_tag: 'x' })}&oh=1`;
+    expect(getMediaKey(url)).toBe('asset:555');
+
+    const fbUrl = `https://video.xx.fbcdn.net/v/t42/123.mp4?efg=${efg({ video_id: 777 })}`;
+    expect(getMediaKey(fbUrl)).toBe('asset:777');
+  });
+
+  test('uses the photo ID from Meta CDN filenames', () => {
+    const small = 'https://scontent.xx.fbcdn.net/v/t39.30808-6/462578403_1095934238872301_4327811287129489765_n.jpg?stp=dst-jpg_s600x600&oh=a';
+    const large = 'https://scontent-lax3-1.xx.fbcdn.net/v/t39.30808-6/462578403_1095934238872301_4327811287129489765_n.jpg?oh=b';
+    expect(getMediaKey(small)).toBe('fbid:1095934238872301');
+    expect(getMediaKey(large)).toBe(getMediaKey(small));
+  });
+
+  test('falls back to the path without query string', () => {
+    expect(getMediaKey('https://cdn.example.com/a/b.jpg?sig=1')).toBe('https://cdn.example.com/a/b.jpg');
+    expect(getMediaKey('not a url')).toBe('not a url');
+  });
+});